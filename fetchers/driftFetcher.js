@@ -0,0 +1,155 @@
+/**
+ * Fetcher spécifique pour la plateforme Drift (lending & perpétuels) sur Solana
+ * Les dépôts et emprunts spot reprennent le format lending de KaminoFetcher,
+ * les positions perps celui de JupiterPerpsFetcher
+ * Implémenté selon l'architecture exacte du projet portfolio
+ */
+const { Fetcher, PLATFORM_TYPES } = require('../services/fetcherService');
+const networkService = require('../services/networkService');
+const driftService = require('../services/driftService');
+const cacheService = require('../services/cacheService');
+const { formatLendingElement } = require('../utils/lendingUtils');
+
+// Constantes spécifiques à Drift
+const DRIFT_PROGRAM_ID = driftService.DRIFT_PROGRAM_ID;
+const DRIFT_LENDING = {
+  name: 'Drift',
+  tag: 'drift-lending',
+  programId: DRIFT_PROGRAM_ID,
+  link: 'https://app.drift.trade/overview'
+};
+
+// Référence directe au réseau Solana
+const SOLANA_NETWORK_ID = networkService.NETWORK_TYPES.SOLANA;
+
+class DriftFetcher extends Fetcher {
+  constructor() {
+    // ID unique, networkId, platformId, platformType (exactement comme portfolio)
+    super('drift-solana', SOLANA_NETWORK_ID, 'drift', PLATFORM_TYPES.MULTIPLE);
+  }
+
+  /**
+   * Exécute le fetcher pour récupérer les positions Drift
+   * @param {string} owner - Adresse du propriétaire
+   * @returns {Promise<Array>} - Éléments de portfolio pour Drift
+   */
+  async execute(owner) {
+    console.log(`[DriftFetcher] Récupération des positions Drift pour ${owner}`);
+
+    // Vérifier le cache d'abord
+    const cacheKey = `drift_${owner}`;
+    const cachedData = cacheService.get(cacheKey);
+
+    if (cachedData) {
+      console.log(`[DriftFetcher] Données récupérées depuis le cache pour ${owner}`);
+      return cachedData;
+    }
+
+    try {
+      const { lendingPositions, perpPositions } = await driftService.getUserPositions(owner);
+
+      if (lendingPositions.length === 0 && perpPositions.length === 0) {
+        console.log(`[DriftFetcher] Aucune position Drift trouvée pour ${owner}`);
+        return [];
+      }
+
+      console.log(`[DriftFetcher] ${lendingPositions.length} positions spot et ${perpPositions.length} positions perps trouvées pour ${owner}`);
+
+      const portfolioElements = [];
+
+      // Précharger les prix de toutes les positions en un seul lot
+      await this._getPrices(lendingPositions.map(position => position.tokenMint));
+
+      for (const position of lendingPositions) {
+        try {
+          const tokenPrice = await this._getPrice(position.tokenMint);
+          portfolioElements.push(formatLendingElement(this, position, tokenPrice, DRIFT_LENDING));
+        } catch (positionError) {
+          console.error(`[DriftFetcher] Erreur lors du traitement d'une position spot: ${positionError.message}`);
+          // Continuer avec les autres positions
+        }
+      }
+
+      for (const position of perpPositions) {
+        try {
+          portfolioElements.push(this._formatPerpPosition(position));
+        } catch (positionError) {
+          console.error(`[DriftFetcher] Erreur lors du traitement d'une position perp: ${positionError.message}`);
+          // Continuer avec les autres positions
+        }
+      }
+
+      // Mettre en cache pour 1 minute : PnL et santé du compte suivent le marché
+      cacheService.set(cacheKey, portfolioElements, 60);
+
+      return portfolioElements;
+    } catch (error) {
+      console.error(`[DriftFetcher] Erreur dans l'exécution: ${error.message}`);
+      throw error; // Remonter l'échec à runFetchers pour qu'il apparaisse dans fetcherStatuses
+    }
+  }
+
+  /**
+   * Formate une position perp en élément de portfolio
+   * @private
+   * @param {Object} position - Position décodée par driftService
+   * @returns {Object} - Élément de portfolio
+   */
+  _formatPerpPosition(position) {
+    const label = `${position.market} ${position.side === 'long' ? 'Long' : 'Short'}`;
+
+    return {
+      networkId: this.networkId,
+      platformId: this.platformId,
+      type: 'leverage',
+      label: 'Leverage',
+      name: `Drift ${label}`,
+      // Le collatéral est déjà compté dans les dépôts spot : la position ne vaut que son PnL
+      value: { amount: position.pnlUsd, currency: 'usd' },
+      attributes: {
+        side: position.side,
+        isLiquidating: position.isLiquidating,
+        healthFactor: position.healthFactor,
+        tags: ['perpetual', position.side, 'drift-perp']
+      },
+      data: {
+        positionAddress: position.userAddress,
+        subAccountId: position.subAccountId,
+        market: position.market,
+        marketIndex: position.marketIndex,
+        side: position.side,
+        size: position.baseAmount,
+        sizeUsd: position.sizeUsd,
+        entryPrice: position.entryPrice,
+        markPrice: position.markPrice,
+        pnlUsd: position.pnlUsd,
+        pnlPercent: position.entryPrice > 0
+          ? position.pnlUsd / (position.baseAmount * position.entryPrice) * 100
+          : null,
+        settledPnlUsd: position.settledPnlUsd,
+        leverage: position.leverage,
+        liquidationPrice: position.liquidationPrice,
+        ref: position.userAddress,
+        sourceRefs: [
+          {
+            address: position.userAddress,
+            name: 'Position'
+          },
+          {
+            address: position.marketAddress,
+            name: 'Market'
+          },
+          {
+            address: DRIFT_PROGRAM_ID,
+            name: 'Program'
+          }
+        ],
+        link: 'https://app.drift.trade/overview/positions'
+      },
+      baseTokens: []
+    };
+  }
+}
+
+// Exporter une instance
+module.exports = new DriftFetcher();
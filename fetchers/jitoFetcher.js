@@ -5,13 +5,11 @@
 const { Fetcher, PLATFORM_TYPES } = require('../services/fetcherService');
 const networkService = require('../services/networkService');
 const jitoService = require('../services/jitoService');
-const priceService = require('../services/priceService');
 const cacheService = require('../services/cacheService');
 const solanaWebService = require('../services/solanaWebService');
 
 // Constantes spécifiques à Jito
-const JITO_PROGRAM_ID = 'jito11111111111111111111111111111111111111';
-const JITOSOL_TOKEN = 'J1toso1uCk3RLmjorhTtrVwY9HJ7X8V9yYac6Y7kGCPn';
+const { JITO_PROGRAM_ID, JITO_STAKE_POOL_ADDRESS, JITOSOL_TOKEN } = jitoService;
 
 // Référence directe au réseau Solana
 const SOLANA_NETWORK_ID = networkService.NETWORK_TYPES.SOLANA;
@@ -55,7 +53,7 @@ class JitoFetcher extends Fetcher {
       return jitosolPositions;
     } catch (error) {
       console.error(`[JitoFetcher] Erreur dans l'exécution: ${error.message}`);
-      return []; // Retourner un tableau vide en cas d'erreur
+      throw error; // Remonter l'échec à runFetchers pour qu'il apparaisse dans fetcherStatuses
     }
   }
   
@@ -99,7 +97,8 @@ class JitoFetcher extends Fetcher {
           // Calcul des valeurs
           const jitosolAmount = parseFloat(account.uiAmount);
           const solAmount = jitosolAmount * stakingDetails.jitosolToSolRate;
-          const jitosolValue = jitosolAmount * jitosolPrice;
+          // Valoriser via le taux du stake pool : le prix de marché du jitoSOL peut s'en écarter
+          const jitosolValue = solPrice > 0 ? solAmount * solPrice : jitosolAmount * jitosolPrice;
           
           // Structure d'élément portfolio pour une position de staking JitoSOL
           const portfolioElement = {
@@ -118,7 +117,10 @@ class JitoFetcher extends Fetcher {
               jitosolAddress: account.tokenAccountAddress,
               jitosolAmount: jitosolAmount,
               jitosolToSolRate: stakingDetails.jitosolToSolRate,
-              apy: stakingDetails.apy * 100,
+              marketPrice: jitosolPrice,
+              apy: stakingDetails.apy !== null ? stakingDetails.apy * 100 : null,
+              mevApy: stakingDetails.mevRewards !== null ? stakingDetails.mevRewards * 100 : null,
+              fees: stakingDetails.fees,
               ref: account.tokenAccountAddress,
               sourceRefs: [
                 {
@@ -129,6 +131,10 @@ class JitoFetcher extends Fetcher {
                   address: JITOSOL_TOKEN,
                   name: 'Token'
                 },
+                {
+                  address: JITO_STAKE_POOL_ADDRESS,
+                  name: 'Stake Pool'
+                },
                 {
                   address: JITO_PROGRAM_ID,
                   name: 'Program'
@@ -146,7 +152,7 @@ class JitoFetcher extends Fetcher {
                 data: {
                   address: JITOSOL_TOKEN,
                   amount: jitosolAmount,
-                  price: { amount: jitosolPrice, currency: 'usd' },
+                  price: { amount: jitosolAmount > 0 ? jitosolValue / jitosolAmount : 0, currency: 'usd' },
                   decimals: 9
                 }
               }
@@ -186,23 +192,7 @@ class JitoFetcher extends Fetcher {
         return this._getSimulatedPositions();
       }
       
-      return [];
-    }
-  }
-  
-  /**
-   * Récupère le prix d'un token
-   * @private
-   * @param {string} tokenAddress - Adresse du token
-   * @returns {Promise<number>} - Prix du token en USD
-   */
-  async _getPrice(tokenAddress) {
-    try {
-      const priceData = await priceService.getCurrentPrice(tokenAddress);
-      return priceData?.price || 0;
-    } catch (error) {
-      console.warn(`[JitoFetcher] Erreur lors de la récupération du prix pour ${tokenAddress}: ${error.message}`);
-      return 0;
+      throw error;
     }
   }
   
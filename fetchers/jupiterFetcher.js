@@ -1,11 +1,10 @@
 /**
- * Fetcher spécifique pour la plateforme Jupiter (limit orders) sur Solana
+ * Fetcher spécifique pour la plateforme Jupiter (limit orders et DCA) sur Solana
  * Implémenté selon l'architecture exacte du projet portfolio
  */
 const { Fetcher, PLATFORM_TYPES } = require('../services/fetcherService');
 const networkService = require('../services/networkService');
 const jupiterService = require('../services/jupiterService');
-const priceService = require('../services/priceService');
 const cacheService = require('../services/cacheService');
 const solanaWebService = require('../services/solanaWebService');
 
@@ -39,22 +38,26 @@ class JupiterFetcher extends Fetcher {
     }
     
     try {
-      // Récupérer les positions de limit order
-      const limitOrders = await this._fetchLimitOrders(owner);
+      // Récupérer les limit orders et les DCA ouverts (fonds bloqués hors du wallet)
+      const [limitOrders, dcaPositions] = await Promise.all([
+        this._fetchLimitOrders(owner),
+        this._fetchDcaPositions(owner)
+      ]);
+      const portfolioElements = [...limitOrders, ...dcaPositions];
       
       // Si aucun élément de portfolio n'est trouvé, retourner un tableau vide
-      if (limitOrders.length === 0) {
+      if (portfolioElements.length === 0) {
         console.log(`[JupiterFetcher] Aucune position Jupiter trouvée pour ${owner}`);
         return [];
       }
       
       // Mettre en cache pour 5 minutes
-      cacheService.set(cacheKey, limitOrders, 300);
+      cacheService.set(cacheKey, portfolioElements, 300);
       
-      return limitOrders;
+      return portfolioElements;
     } catch (error) {
       console.error(`[JupiterFetcher] Erreur dans l'exécution: ${error.message}`);
-      return []; // Retourner un tableau vide en cas d'erreur
+      throw error; // Remonter l'échec à runFetchers pour qu'il apparaisse dans fetcherStatuses
     }
   }
   
@@ -68,7 +71,7 @@ class JupiterFetcher extends Fetcher {
     try {
       console.log(`[JupiterFetcher] Récupération des limit orders pour ${owner}`);
       
-      // Appel API pour récupérer les limit orders
+      // Ordres décodés on-chain depuis les programmes Limit Order v1 et v2
       const limitOrders = await jupiterService.getLimitOrdersByOwner(owner);
       
       if (!limitOrders || limitOrders.length === 0) {
@@ -81,18 +84,20 @@ class JupiterFetcher extends Fetcher {
       // Formater les orders selon le format portfolio.js
       const portfolioElements = [];
       
+      // Précharger les prix de tous les ordres en un seul lot
+      await this._getPrices(limitOrders.map(order => order.inputMint));
+
       for (const order of limitOrders) {
         try {
           // Récupération des informations des tokens
           const inputTokenInfo = await jupiterService.getTokenInfo(order.inputMint);
           const outputTokenInfo = await jupiterService.getTokenInfo(order.outputMint);
           
-          // Récupération des prix pour calculer la valeur
+          // Récupération du prix pour calculer la valeur bloquée
           const inputPrice = await this._getPrice(order.inputMint);
-          const outputPrice = await this._getPrice(order.outputMint);
           
-          // Calculer la valeur de l'ordre
-          const inputValue = parseFloat(order.inAmount) * inputPrice / Math.pow(10, inputTokenInfo?.decimals || 9);
+          // La valeur bloquée correspond au montant d'entrée non encore exécuté
+          const inputValue = order.inputAmount * inputPrice;
           
           // Structure d'élément portfolio pour un limit order
           const portfolioElement = {
@@ -102,15 +107,23 @@ class JupiterFetcher extends Fetcher {
             label: 'Limit Order',
             name: 'Jupiter',
             value: { amount: inputValue, currency: 'usd' },
+            attributes: {
+              tags: ['limit-order', `limit-order-v${order.version}`]
+            },
             data: {
               orderId: order.orderId,
               inputMint: order.inputMint,
               outputMint: order.outputMint,
-              inputAmount: parseFloat(order.inAmount) / Math.pow(10, inputTokenInfo?.decimals || 9),
-              outputAmount: parseFloat(order.outAmount) / Math.pow(10, outputTokenInfo?.decimals || 9),
+              inputAmount: order.inputAmount,
+              outputAmount: order.outputAmount,
+              originalInputAmount: order.originalInputAmount,
+              originalOutputAmount: order.originalOutputAmount,
+              filledInputAmount: order.filledInputAmount,
+              fillProgress: order.fillProgress,
+              price: order.price,
               inputSymbol: inputTokenInfo?.symbol || 'Unknown',
               outputSymbol: outputTokenInfo?.symbol || 'Unknown', 
-              state: order.orderStatus,
+              state: order.status,
               createdAt: order.createdAt,
               expiresAt: order.expiresAt,
               ref: order.orderId,
@@ -120,26 +133,14 @@ class JupiterFetcher extends Fetcher {
                   name: 'Order'
                 },
                 {
-                  address: JUPITER_PROGRAM_ID,
+                  address: order.programId,
                   name: 'Program'
                 }
               ],
-              link: `https://jup.ag/limit/order/${order.orderId}`
+              link: 'https://jup.ag/limit'
             },
             baseTokens: [
-              {
-                networkId: this.networkId,
-                type: 'token',
-                value: { amount: inputValue, currency: 'usd' },
-                name: inputTokenInfo?.name || 'Unknown Token',
-                symbol: inputTokenInfo?.symbol || 'Unknown',
-                data: {
-                  address: order.inputMint,
-                  amount: parseFloat(order.inAmount) / Math.pow(10, inputTokenInfo?.decimals || 9),
-                  price: { amount: inputPrice, currency: 'usd' },
-                  decimals: inputTokenInfo?.decimals || 9
-                }
-              }
+              this._formatBaseToken(order.inputMint, inputTokenInfo, order.inputAmount, inputPrice, order.inputDecimals, 'locked')
             ]
           };
           
@@ -161,26 +162,141 @@ class JupiterFetcher extends Fetcher {
         return this._getSimulatedOrders();
       }
       
-      return [];
+      throw error;
     }
   }
   
   /**
-   * Récupère le prix d'un token
+   * Récupère les DCA ouverts de l'utilisateur
    * @private
-   * @param {string} tokenAddress - Adresse du token
-   * @returns {Promise<number>} - Prix du token en USD
+   * @param {string} owner - Adresse du propriétaire
+   * @returns {Promise<Array>} - Positions DCA formatées
    */
-  async _getPrice(tokenAddress) {
+  async _fetchDcaPositions(owner) {
     try {
-      const priceData = await priceService.getCurrentPrice(tokenAddress);
-      return priceData?.price || 0;
+      console.log(`[JupiterFetcher] Récupération des DCA pour ${owner}`);
+      
+      const dcaAccounts = await jupiterService.getDcaAccountsByOwner(owner);
+      
+      if (!dcaAccounts || dcaAccounts.length === 0) {
+        console.log(`[JupiterFetcher] Aucun DCA trouvé pour ${owner}`);
+        return [];
+      }
+      
+      console.log(`[JupiterFetcher] ${dcaAccounts.length} DCA trouvés pour ${owner}`);
+      
+      const portfolioElements = [];
+      
+      // Précharger les prix de tous les DCA en un seul lot
+      await this._getPrices(dcaAccounts.flatMap(dca => [dca.inputMint, dca.outputMint]));
+
+      for (const dca of dcaAccounts) {
+        try {
+          const inputTokenInfo = await jupiterService.getTokenInfo(dca.inputMint);
+          const outputTokenInfo = await jupiterService.getTokenInfo(dca.outputMint);
+          
+          const inputPrice = await this._getPrice(dca.inputMint);
+          const outputPrice = await this._getPrice(dca.outputMint);
+          
+          // Entrée restant à échanger et sortie reçue mais non retirée
+          const baseTokens = [];
+          if (dca.inputRemaining > 0) {
+            baseTokens.push(this._formatBaseToken(dca.inputMint, inputTokenInfo, dca.inputRemaining, inputPrice, dca.inputDecimals, 'locked'));
+          }
+          if (dca.outputPending > 0) {
+            baseTokens.push(this._formatBaseToken(dca.outputMint, outputTokenInfo, dca.outputPending, outputPrice, dca.outputDecimals, 'claimable'));
+          }
+          
+          const lockedValue = baseTokens.reduce((sum, token) => sum + token.value.amount, 0);
+          
+          portfolioElements.push({
+            networkId: this.networkId,
+            platformId: this.platformId,
+            type: 'dca',
+            label: 'DCA',
+            name: 'Jupiter',
+            value: { amount: lockedValue, currency: 'usd' },
+            attributes: {
+              tags: ['dca']
+            },
+            data: {
+              dcaId: dca.dcaId,
+              inputMint: dca.inputMint,
+              outputMint: dca.outputMint,
+              inputSymbol: inputTokenInfo?.symbol || 'Unknown',
+              outputSymbol: outputTokenInfo?.symbol || 'Unknown',
+              inputDeposited: dca.inputDeposited,
+              inputUsed: dca.inputUsed,
+              inputRemaining: dca.inputRemaining,
+              outputReceived: dca.outputReceived,
+              outputPending: dca.outputPending,
+              amountPerCycle: dca.amountPerCycle,
+              cycleFrequency: dca.cycleFrequency,
+              completedCycles: dca.completedCycles,
+              totalCycles: dca.totalCycles,
+              fillProgress: dca.fillProgress,
+              nextCycleAt: dca.nextCycleAt,
+              state: dca.status,
+              createdAt: dca.createdAt,
+              ref: dca.dcaId,
+              sourceRefs: [
+                {
+                  address: dca.dcaId,
+                  name: 'DCA'
+                },
+                {
+                  address: dca.programId,
+                  name: 'Program'
+                }
+              ],
+              link: 'https://jup.ag/dca'
+            },
+            baseTokens
+          });
+        } catch (dcaError) {
+          console.error(`[JupiterFetcher] Erreur lors du traitement d'un DCA: ${dcaError.message}`);
+          // Continuer avec les autres DCA
+        }
+      }
+      
+      return portfolioElements;
+      
     } catch (error) {
-      console.warn(`[JupiterFetcher] Erreur lors de la récupération du prix pour ${tokenAddress}: ${error.message}`);
-      return 0;
+      console.warn(`[JupiterFetcher] Erreur lors de la récupération des DCA: ${error.message}`);
+      throw error;
     }
   }
   
+  /**
+   * Formate un montant bloqué en base token portfolio
+   * @private
+   * @param {string} mint - Adresse du token
+   * @param {Object|null} tokenInfo - Informations du token (name, symbol)
+   * @param {number} amount - Montant du token
+   * @param {number} price - Prix du token en USD
+   * @param {number} decimals - Décimales lues on-chain
+   * @param {string} category - Nature du montant (locked, claimable)
+   * @returns {Object} - Base token au format portfolio.js
+   */
+  _formatBaseToken(mint, tokenInfo, amount, price, decimals, category) {
+    return {
+      networkId: this.networkId,
+      type: 'token',
+      value: { amount: amount * price, currency: 'usd' },
+      name: tokenInfo?.name || 'Unknown Token',
+      symbol: tokenInfo?.symbol || 'Unknown',
+      attributes: {
+        tags: [category]
+      },
+      data: {
+        address: mint,
+        amount: amount,
+        price: { amount: price, currency: 'usd' },
+        decimals: decimals
+      }
+    };
+  }
+  
   /**
    * Génère des données d'orders simulés pour les tests
    * @private
@@ -0,0 +1,176 @@
+/**
+ * Fetcher spécifique pour Jupiter Perpetuals (positions à levier) sur Solana
+ * Implémenté selon l'architecture exacte du projet portfolio
+ */
+const { Fetcher, PLATFORM_TYPES } = require('../services/fetcherService');
+const networkService = require('../services/networkService');
+const jupiterPerpsService = require('../services/jupiterPerpsService');
+const tokenMetadataService = require('../services/tokenMetadataService');
+const cacheService = require('../services/cacheService');
+
+// Constantes spécifiques à Jupiter Perps
+const JUPITER_PERPS_PROGRAM_ID = jupiterPerpsService.JUPITER_PERPS_PROGRAM_ID;
+
+// Référence directe au réseau Solana
+const SOLANA_NETWORK_ID = networkService.NETWORK_TYPES.SOLANA;
+
+class JupiterPerpsFetcher extends Fetcher {
+  constructor() {
+    // ID unique, networkId, platformId, platformType (exactement comme portfolio)
+    super('jupiter-perps-solana', SOLANA_NETWORK_ID, 'jupiter', PLATFORM_TYPES.LEVERAGE);
+  }
+
+  /**
+   * Exécute le fetcher pour récupérer les positions Jupiter Perps
+   * @param {string} owner - Adresse du propriétaire
+   * @returns {Promise<Array>} - Éléments de portfolio pour Jupiter Perps
+   */
+  async execute(owner) {
+    console.log(`[JupiterPerpsFetcher] Récupération des positions perps pour ${owner}`);
+
+    // Vérifier le cache d'abord
+    const cacheKey = `jupiter_perps_${owner}`;
+    const cachedData = cacheService.get(cacheKey);
+
+    if (cachedData) {
+      console.log(`[JupiterPerpsFetcher] Données récupérées depuis le cache pour ${owner}`);
+      return cachedData;
+    }
+
+    try {
+      const positions = await jupiterPerpsService.getPositionsByOwner(owner);
+
+      if (positions.length === 0) {
+        console.log(`[JupiterPerpsFetcher] Aucune position perps trouvée pour ${owner}`);
+        return [];
+      }
+
+      console.log(`[JupiterPerpsFetcher] ${positions.length} positions perps trouvées pour ${owner}`);
+
+      const portfolioElements = [];
+
+      for (const position of positions) {
+        try {
+          portfolioElements.push(await this._formatPosition(position));
+        } catch (positionError) {
+          console.error(`[JupiterPerpsFetcher] Erreur lors du traitement d'une position: ${positionError.message}`);
+          // Continuer avec les autres positions
+        }
+      }
+
+      // Mettre en cache pour 1 minute : PnL et prix de liquidation suivent le marché
+      cacheService.set(cacheKey, portfolioElements, 60);
+
+      return portfolioElements;
+    } catch (error) {
+      console.error(`[JupiterPerpsFetcher] Erreur dans l'exécution: ${error.message}`);
+      throw error; // Remonter l'échec à runFetchers pour qu'il apparaisse dans fetcherStatuses
+    }
+  }
+
+  /**
+   * Formate une position perps en élément de portfolio
+   * @private
+   * @param {Object} position - Position décodée par jupiterPerpsService
+   * @returns {Promise<Object>} - Élément de portfolio
+   */
+  async _formatPosition(position) {
+    const markPrice = await this._getPrice(position.mint);
+    const metrics = jupiterPerpsService.computePositionMetrics(position, markPrice);
+
+    const tokenInfo = await this._getTokenInfo(position.mint);
+    const collateralInfo = await this._getTokenInfo(position.collateralMint);
+    const collateralPrice = await this._getPrice(position.collateralMint);
+
+    const label = `${tokenInfo.symbol} ${position.side === 'long' ? 'Long' : 'Short'}`;
+
+    return {
+      networkId: this.networkId,
+      platformId: this.platformId,
+      type: 'leverage',
+      label: 'Leverage',
+      name: `Jupiter Perps ${label}`,
+      // La valeur nette de la position est le collatéral ajusté du PnL et des frais
+      value: { amount: metrics.equityUsd, currency: 'usd' },
+      attributes: {
+        side: position.side,
+        tags: ['perpetual', position.side]
+      },
+      data: {
+        positionAddress: position.positionAddress,
+        market: tokenInfo.symbol,
+        side: position.side,
+        sizeUsd: position.sizeUsd,
+        size: markPrice > 0 ? position.sizeUsd / markPrice : null,
+        collateralUsd: position.collateralUsd,
+        entryPrice: position.entryPrice,
+        markPrice: markPrice || null,
+        pnlUsd: metrics.pnlUsd,
+        pnlPercent: metrics.pnlPercent,
+        realisedPnlUsd: position.realisedPnlUsd,
+        borrowFeeUsd: position.borrowFeeUsd,
+        leverage: metrics.leverage,
+        maxLeverage: position.maxLeverage,
+        liquidationPrice: metrics.liquidationPrice,
+        openTime: position.openTime,
+        updateTime: position.updateTime,
+        ref: position.positionAddress,
+        sourceRefs: [
+          {
+            address: position.positionAddress,
+            name: 'Position'
+          },
+          {
+            address: position.pool,
+            name: 'Pool'
+          },
+          {
+            address: JUPITER_PERPS_PROGRAM_ID,
+            name: 'Program'
+          }
+        ],
+        link: 'https://jup.ag/perps'
+      },
+      baseTokens: [
+        {
+          networkId: this.networkId,
+          type: 'token',
+          value: { amount: position.collateralUsd, currency: 'usd' },
+          name: collateralInfo.name,
+          symbol: collateralInfo.symbol,
+          attributes: {
+            tags: ['collateral']
+          },
+          data: {
+            address: position.collateralMint,
+            amount: collateralPrice > 0 ? position.collateralUsd / collateralPrice : null,
+            price: { amount: collateralPrice, currency: 'usd' },
+            decimals: position.collateralDecimals
+          }
+        }
+      ]
+    };
+  }
+
+  /**
+   * Récupère le nom et le symbole d'un token
+   * @private
+   * @param {string} mint - Adresse du token
+   * @returns {Promise<Object>} - Nom et symbole
+   */
+  async _getTokenInfo(mint) {
+    try {
+      const metadata = await tokenMetadataService.getTokenMetadata(mint);
+      return {
+        name: metadata?.name || 'Unknown Token',
+        symbol: metadata?.symbol || 'UNKNOWN'
+      };
+    } catch (error) {
+      console.warn(`[JupiterPerpsFetcher] Métadonnées indisponibles pour ${mint}: ${error.message}`);
+      return { name: 'Unknown Token', symbol: 'UNKNOWN' };
+    }
+  }
+}
+
+// Exporter une instance
+module.exports = new JupiterPerpsFetcher();
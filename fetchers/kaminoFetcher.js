@@ -5,14 +5,20 @@
 const { Fetcher, PLATFORM_TYPES } = require('../services/fetcherService');
 const networkService = require('../services/networkService');
 const kaminoFetcher = require('../services/kaminoService');
-const priceService = require('../services/priceService');
 const cacheService = require('../services/cacheService');
 const solanaWebService = require('../services/solanaWebService');
+const { formatLendingElement } = require('../utils/lendingUtils');
 
 // Constantes spécifiques à Kamino
 const KAMINO_PROGRAM_ID = 'KLend2g3cP87fffoy8q1mQqGKjrxjC8boSyAYavgmjD';
 const KAMINO_STAKING_ID = 'KaminoKSsxB3Qy4xFj8gcDUCMJv8Up1twwAy7W7eiEwp';
 const KAMINO_TOKEN = 'KPTV4LYACCm72jPKpEMEYNYVBmNTyA2xLYSYGKSrYCi';
+const KAMINO_LENDING = {
+  name: 'Kamino',
+  tag: 'kamino-lending',
+  programId: KAMINO_PROGRAM_ID,
+  link: 'https://kamino.finance/lending'
+};
 
 // Référence directe au réseau Solana
 const SOLANA_NETWORK_ID = networkService.NETWORK_TYPES.SOLANA;
@@ -61,7 +67,7 @@ class KaminoFetcher extends Fetcher {
       return allPositions;
     } catch (error) {
       console.error(`[KaminoFetcher] Erreur dans l'exécution: ${error.message}`);
-      return []; // Retourner un tableau vide en cas d'erreur
+      throw error; // Remonter l'échec à runFetchers pour qu'il apparaisse dans fetcherStatuses
     }
   }
   
@@ -88,68 +94,16 @@ class KaminoFetcher extends Fetcher {
       // Formater les positions selon le format portfolio.js
       const portfolioElements = [];
       
+      // Précharger les prix de toutes les positions en un seul lot
+      await this._getPrices(lendingPositions.map(position => position.tokenMint));
+
       for (const position of lendingPositions) {
         try {
           // Récupération du prix du token
           const tokenPrice = await this._getPrice(position.tokenMint);
           
-          // Calcul des valeurs
-          const tokenValue = position.amount * tokenPrice;
-          
           // Structure d'élément portfolio pour une position de lending
-          const portfolioElement = {
-            networkId: this.networkId,
-            platformId: this.platformId,
-            type: position.isDeposit ? 'lending-deposit' : 'lending-borrow',
-            label: position.isDeposit ? 'Lending Deposit' : 'Lending Borrow',
-            name: `Kamino ${position.tokenSymbol}`,
-            value: { amount: tokenValue, currency: 'usd' },
-            attributes: {
-              isCollateral: position.isCollateral || false,
-              isLiquidating: position.isLiquidating || false,
-              healthFactor: position.healthFactor || null,
-              tags: [position.isDeposit ? 'deposit' : 'borrow', 'kamino-lending']
-            },
-            data: {
-              apy: position.apy || 0,
-              tokenMint: position.tokenMint,
-              amount: position.amount,
-              pool: position.pool,
-              ref: position.address || owner,
-              sourceRefs: [
-                {
-                  address: position.address || owner,
-                  name: 'Position'
-                },
-                {
-                  address: position.pool || KAMINO_PROGRAM_ID,
-                  name: 'Pool'
-                },
-                {
-                  address: KAMINO_PROGRAM_ID,
-                  name: 'Program'
-                }
-              ],
-              link: `https://kamino.finance/lending`
-            },
-            baseTokens: [
-              {
-                networkId: this.networkId,
-                type: 'token',
-                value: { amount: tokenValue, currency: 'usd' },
-                name: position.tokenName || 'Unknown Token',
-                symbol: position.tokenSymbol || 'Unknown',
-                data: {
-                  address: position.tokenMint,
-                  amount: position.amount,
-                  price: { amount: tokenPrice, currency: 'usd' },
-                  decimals: position.decimals || 9
-                }
-              }
-            ]
-          };
-          
-          portfolioElements.push(portfolioElement);
+          portfolioElements.push(formatLendingElement(this, position, tokenPrice, KAMINO_LENDING));
         } catch (positionError) {
           console.error(`[KaminoFetcher] Erreur lors du traitement d'une position de lending: ${positionError.message}`);
           // Continuer avec les autres positions
@@ -160,7 +114,7 @@ class KaminoFetcher extends Fetcher {
       
     } catch (error) {
       console.warn(`[KaminoFetcher] Erreur lors de la récupération des positions de lending: ${error.message}`);
-      return [];
+      throw error;
     }
   }
   
@@ -251,7 +205,7 @@ class KaminoFetcher extends Fetcher {
       
     } catch (error) {
       console.warn(`[KaminoFetcher] Erreur lors de la récupération des positions de staking: ${error.message}`);
-      return [];
+      throw error;
     }
   }
   
@@ -278,6 +232,9 @@ class KaminoFetcher extends Fetcher {
       // Formater les positions selon le format portfolio.js
       const portfolioElements = [];
       
+      // Précharger les prix de toutes les positions en un seul lot
+      await this._getPrices(vaultPositions.flatMap(position => [position.token0.mint, position.token1.mint]));
+
       for (const position of vaultPositions) {
         try {
           // Récupération des prix des tokens sous-jacents
@@ -368,23 +325,7 @@ class KaminoFetcher extends Fetcher {
         return this._getSimulatedVaultPositions();
       }
       
-      return [];
-    }
-  }
-  
-  /**
-   * Récupère le prix d'un token
-   * @private
-   * @param {string} tokenAddress - Adresse du token
-   * @returns {Promise<number>} - Prix du token en USD
-   */
-  async _getPrice(tokenAddress) {
-    try {
-      const priceData = await priceService.getCurrentPrice(tokenAddress);
-      return priceData?.price || 0;
-    } catch (error) {
-      console.warn(`[KaminoFetcher] Erreur lors de la récupération du prix pour ${tokenAddress}: ${error.message}`);
-      return 0;
+      throw error;
     }
   }
   
@@ -0,0 +1,270 @@
+/**
+ * Fetcher générique pour les tokens de staking liquide (LST) sur Solana
+ * Piloté par le registre data/lst-registry.json : ajouter un LST se fait par une entrée de configuration
+ * Implémenté selon l'architecture exacte du projet portfolio
+ */
+const fs = require('fs');
+const path = require('path');
+const { Fetcher, PLATFORM_TYPES } = require('../services/fetcherService');
+const networkService = require('../services/networkService');
+const splStakePoolService = require('../services/splStakePoolService');
+const cacheService = require('../services/cacheService');
+const solanaWebService = require('../services/solanaWebService');
+
+// Constantes
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '../data/lst-registry.json');
+
+// Types d'entrées du registre
+const LST_TYPES = {
+  // Stake pool SPL (ou fork Sanctum) : taux lu on-chain
+  SPL_STAKE_POOL: 'spl-stake-pool',
+  // Pas de stake pool lisible : taux déduit des prix de marché
+  MARKET_PRICE: 'market-price'
+};
+
+// Référence directe au réseau Solana
+const SOLANA_NETWORK_ID = networkService.NETWORK_TYPES.SOLANA;
+
+class LiquidStakingFetcher extends Fetcher {
+  constructor() {
+    // ID unique, networkId, platformId, platformType (exactement comme portfolio)
+    super('liquid-staking-solana', SOLANA_NETWORK_ID, 'liquid-staking', PLATFORM_TYPES.STAKING);
+    this.registry = this._loadRegistry(process.env.LST_REGISTRY_PATH || DEFAULT_REGISTRY_PATH);
+  }
+
+  /**
+   * Exécute le fetcher pour récupérer les positions de staking liquide
+   * @param {string} owner - Adresse du propriétaire
+   * @returns {Promise<Array>} - Éléments de portfolio pour les LST
+   */
+  async execute(owner) {
+    console.log(`[LiquidStakingFetcher] Récupération des positions LST pour ${owner}`);
+
+    // Vérifier le cache d'abord
+    const cacheKey = `liquid_staking_${owner}`;
+    const cachedData = cacheService.get(cacheKey);
+
+    if (cachedData) {
+      console.log(`[LiquidStakingFetcher] Données récupérées depuis le cache pour ${owner}`);
+      return cachedData;
+    }
+
+    try {
+      const lstPositions = await this._fetchLstPositions(owner);
+
+      if (lstPositions.length === 0) {
+        console.log(`[LiquidStakingFetcher] Aucune position LST trouvée pour ${owner}`);
+        return [];
+      }
+
+      // Mettre en cache pour 5 minutes
+      cacheService.set(cacheKey, lstPositions, 300);
+
+      return lstPositions;
+    } catch (error) {
+      console.error(`[LiquidStakingFetcher] Erreur dans l'exécution: ${error.message}`);
+      throw error; // Remonter l'échec à runFetchers pour qu'il apparaisse dans fetcherStatuses
+    }
+  }
+
+  /**
+   * Charge le registre des LST
+   * @private
+   * @param {string} registryPath - Chemin du fichier de registre
+   * @returns {Array} - Entrées du registre
+   */
+  _loadRegistry(registryPath) {
+    try {
+      const entries = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+
+      return entries.filter(entry => {
+        const isValid = entry.mint && entry.symbol &&
+          (entry.type === LST_TYPES.MARKET_PRICE || (entry.type === LST_TYPES.SPL_STAKE_POOL && entry.stakePool));
+        if (!isValid) {
+          console.warn(`[LiquidStakingFetcher] Entrée de registre invalide ignorée: ${entry.id || entry.mint}`);
+        }
+        return isValid;
+      });
+    } catch (error) {
+      console.error(`[LiquidStakingFetcher] Impossible de charger le registre ${registryPath}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Récupère les positions LST de l'utilisateur
+   * @private
+   * @param {string} owner - Adresse du propriétaire
+   * @returns {Promise<Array>} - Positions de staking formatées
+   */
+  async _fetchLstPositions(owner) {
+    // 1. Détecter les LST du registre détenus par l'utilisateur
+    const tokenAccounts = await solanaWebService.getTokenAccountsByOwner(owner);
+    const registryByMint = new Map(this.registry.map(entry => [entry.mint, entry]));
+
+    const lstAccounts = tokenAccounts.filter(account =>
+      registryByMint.has(account.mint) && parseFloat(account.amount) > 0
+    );
+
+    if (lstAccounts.length === 0) {
+      return [];
+    }
+
+    console.log(`[LiquidStakingFetcher] ${lstAccounts.length} comptes LST trouvés pour ${owner}`);
+
+    const solPrice = await this._getPrice(SOL_MINT);
+    const portfolioElements = [];
+
+    // 2. Lire le taux de chaque LST et formater les positions
+    for (const account of lstAccounts) {
+      const entry = registryByMint.get(account.mint);
+      const lstPrice = await this._getPrice(entry.mint);
+      const stakingDetails = await this._getStakingDetails(entry, lstPrice, solPrice);
+
+      if (!stakingDetails) {
+        console.warn(`[LiquidStakingFetcher] Taux indisponible pour ${entry.symbol}, position ignorée`);
+        continue;
+      }
+
+      portfolioElements.push(this._formatPosition(entry, account, stakingDetails, lstPrice, solPrice));
+    }
+
+    return portfolioElements;
+  }
+
+  /**
+   * Récupère le taux LST -> SOL et le rendement d'une entrée du registre
+   * @private
+   * @param {Object} entry - Entrée du registre
+   * @param {number} lstPrice - Prix du LST en USD
+   * @param {number} solPrice - Prix du SOL en USD
+   * @returns {Promise<Object|null>} - Détails (toSolRate, apy, fees, source)
+   */
+  async _getStakingDetails(entry, lstPrice, solPrice) {
+    if (entry.type === LST_TYPES.SPL_STAKE_POOL) {
+      const pool = await splStakePoolService.getStakePoolDetails(entry.stakePool);
+      if (!pool || pool.rate === null) return null;
+
+      if (pool.poolMint !== entry.mint) {
+        console.warn(`[LiquidStakingFetcher] Le mint du stake pool ${entry.stakePool} ne correspond pas à ${entry.mint}`);
+        return null;
+      }
+
+      return {
+        toSolRate: pool.rate,
+        apy: pool.apy,
+        fees: pool.fees,
+        totalStaked: pool.totalStaked,
+        source: 'stake-pool'
+      };
+    }
+
+    // Taux déduit du marché lorsque le protocole n'expose pas de stake pool SPL
+    if (lstPrice > 0 && solPrice > 0) {
+      return {
+        toSolRate: lstPrice / solPrice,
+        apy: null,
+        fees: null,
+        totalStaked: null,
+        source: 'market-price'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Formate une position LST en élément de portfolio (même structure que MarinadeFetcher)
+   * @private
+   * @param {Object} entry - Entrée du registre
+   * @param {Object} account - Compte de token
+   * @param {Object} stakingDetails - Taux et rendement du LST
+   * @param {number} lstPrice - Prix du LST en USD
+   * @param {number} solPrice - Prix du SOL en USD
+   * @returns {Object} - Élément de portfolio
+   */
+  _formatPosition(entry, account, stakingDetails, lstPrice, solPrice) {
+    const lstAmount = parseFloat(account.uiAmount);
+    const solAmount = lstAmount * stakingDetails.toSolRate;
+    // Sans prix de marché pour le LST, valoriser via le taux du stake pool
+    const lstValue = lstPrice > 0 ? lstAmount * lstPrice : solAmount * solPrice;
+
+    const sourceRefs = [
+      {
+        address: account.tokenAccountAddress,
+        name: 'Token Account'
+      },
+      {
+        address: entry.mint,
+        name: 'Token'
+      }
+    ];
+
+    if (entry.stakePool) {
+      sourceRefs.push({
+        address: entry.stakePool,
+        name: 'Stake Pool'
+      });
+    }
+
+    return {
+      networkId: this.networkId,
+      platformId: entry.platformId || this.platformId,
+      type: 'staking',
+      label: 'Liquid Staking',
+      name: entry.name,
+      value: { amount: lstValue, currency: 'usd' },
+      attributes: {
+        stakingType: 'liquid',
+        stakingToken: entry.symbol.toLowerCase(),
+        tags: ['staking', 'liquid-staking', entry.id || entry.symbol.toLowerCase()]
+      },
+      data: {
+        tokenAccountAddress: account.tokenAccountAddress,
+        lstAmount: lstAmount,
+        toSolRate: stakingDetails.toSolRate,
+        rateSource: stakingDetails.source,
+        apy: stakingDetails.apy !== null ? stakingDetails.apy * 100 : null,
+        fees: stakingDetails.fees,
+        stakePool: entry.stakePool || null,
+        ref: account.tokenAccountAddress,
+        sourceRefs,
+        link: entry.link
+      },
+      baseTokens: [
+        {
+          networkId: this.networkId,
+          type: 'token',
+          value: { amount: lstValue, currency: 'usd' },
+          name: entry.tokenName || entry.name,
+          symbol: entry.symbol,
+          data: {
+            address: entry.mint,
+            amount: lstAmount,
+            price: { amount: lstAmount > 0 ? lstValue / lstAmount : 0, currency: 'usd' },
+            decimals: account.decimals ?? 9
+          }
+        }
+      ],
+      underlyingTokens: [
+        {
+          networkId: this.networkId,
+          type: 'token',
+          value: { amount: solAmount * solPrice, currency: 'usd' },
+          name: 'Solana',
+          symbol: 'SOL',
+          data: {
+            address: SOL_MINT,
+            amount: solAmount,
+            price: { amount: solPrice, currency: 'usd' },
+            decimals: 9
+          }
+        }
+      ]
+    };
+  }
+}
+
+// Exporter une instance
+module.exports = new LiquidStakingFetcher();
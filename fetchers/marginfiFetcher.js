@@ -0,0 +1,82 @@
+/**
+ * Fetcher spécifique pour la plateforme Marginfi (lending) sur Solana
+ * Implémenté selon l'architecture exacte du projet portfolio
+ */
+const { Fetcher, PLATFORM_TYPES } = require('../services/fetcherService');
+const networkService = require('../services/networkService');
+const marginfiService = require('../services/marginfiService');
+const cacheService = require('../services/cacheService');
+const { formatLendingElement } = require('../utils/lendingUtils');
+
+// Constantes spécifiques à Marginfi
+const MARGINFI_LENDING = {
+  name: 'Marginfi',
+  tag: 'marginfi-lending',
+  programId: marginfiService.MARGINFI_PROGRAM_ID,
+  link: 'https://app.marginfi.com/portfolio'
+};
+
+// Référence directe au réseau Solana
+const SOLANA_NETWORK_ID = networkService.NETWORK_TYPES.SOLANA;
+
+class MarginfiFetcher extends Fetcher {
+  constructor() {
+    // ID unique, networkId, platformId, platformType (exactement comme portfolio)
+    super('marginfi-solana', SOLANA_NETWORK_ID, 'marginfi', PLATFORM_TYPES.LENDING);
+  }
+
+  /**
+   * Exécute le fetcher pour récupérer les comptes Marginfi
+   * @param {string} owner - Adresse du propriétaire
+   * @returns {Promise<Array>} - Éléments de portfolio pour Marginfi
+   */
+  async execute(owner) {
+    console.log(`[MarginfiFetcher] Récupération des positions Marginfi pour ${owner}`);
+
+    // Vérifier le cache d'abord
+    const cacheKey = `marginfi_${owner}`;
+    const cachedData = cacheService.get(cacheKey);
+
+    if (cachedData) {
+      console.log(`[MarginfiFetcher] Données récupérées depuis le cache pour ${owner}`);
+      return cachedData;
+    }
+
+    try {
+      const lendingPositions = await marginfiService.getLendingPositions(owner);
+
+      if (lendingPositions.length === 0) {
+        console.log(`[MarginfiFetcher] Aucune position Marginfi trouvée pour ${owner}`);
+        return [];
+      }
+
+      console.log(`[MarginfiFetcher] ${lendingPositions.length} positions de lending trouvées pour ${owner}`);
+
+      const portfolioElements = [];
+
+      // Précharger les prix de toutes les positions en un seul lot
+      await this._getPrices(lendingPositions.map(position => position.tokenMint));
+
+      for (const position of lendingPositions) {
+        try {
+          const tokenPrice = await this._getPrice(position.tokenMint);
+          portfolioElements.push(formatLendingElement(this, position, tokenPrice, MARGINFI_LENDING));
+        } catch (positionError) {
+          console.error(`[MarginfiFetcher] Erreur lors du traitement d'une position de lending: ${positionError.message}`);
+          // Continuer avec les autres positions
+        }
+      }
+
+      // Mettre en cache pour 5 minutes
+      cacheService.set(cacheKey, portfolioElements, 300);
+
+      return portfolioElements;
+    } catch (error) {
+      console.error(`[MarginfiFetcher] Erreur dans l'exécution: ${error.message}`);
+      throw error; // Remonter l'échec à runFetchers pour qu'il apparaisse dans fetcherStatuses
+    }
+  }
+}
+
+// Exporter une instance
+module.exports = new MarginfiFetcher();
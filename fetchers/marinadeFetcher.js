@@ -5,7 +5,6 @@
 const { Fetcher, PLATFORM_TYPES } = require('../services/fetcherService');
 const networkService = require('../services/networkService');
 const marinadeService = require('../services/marinadeService');
-const priceService = require('../services/priceService');
 const cacheService = require('../services/cacheService');
 const solanaWebService = require('../services/solanaWebService');
 
@@ -55,7 +54,7 @@ class MarinadeFetcher extends Fetcher {
       return msolPositions;
     } catch (error) {
       console.error(`[MarinadeFetcher] Erreur dans l'exécution: ${error.message}`);
-      return []; // Retourner un tableau vide en cas d'erreur
+      throw error; // Remonter l'échec à runFetchers pour qu'il apparaisse dans fetcherStatuses
     }
   }
   
@@ -99,7 +98,8 @@ class MarinadeFetcher extends Fetcher {
           // Calcul des valeurs
           const msolAmount = parseFloat(account.uiAmount);
           const solAmount = msolAmount * stakingDetails.msolToSolRate;
-          const msolValue = msolAmount * msolPrice;
+          // Valoriser via le taux on-chain : le prix de marché du mSOL peut s'en écarter
+          const msolValue = solPrice > 0 ? solAmount * solPrice : msolAmount * msolPrice;
           
           // Structure d'élément portfolio pour une position de staking mSOL
           const portfolioElement = {
@@ -118,7 +118,10 @@ class MarinadeFetcher extends Fetcher {
               msolAddress: account.tokenAccountAddress,
               msolAmount: msolAmount,
               msolToSolRate: stakingDetails.msolToSolRate,
-              apy: stakingDetails.apy * 100,
+              marketPrice: msolPrice,
+              apy: stakingDetails.apy !== null ? stakingDetails.apy * 100 : null,
+              apyWindow: stakingDetails.apyWindow,
+              liquidUnstake: stakingDetails.liquidUnstake,
               ref: account.tokenAccountAddress,
               sourceRefs: [
                 {
@@ -146,7 +149,7 @@ class MarinadeFetcher extends Fetcher {
                 data: {
                   address: MSOL_TOKEN,
                   amount: msolAmount,
-                  price: { amount: msolPrice, currency: 'usd' },
+                  price: { amount: msolAmount > 0 ? msolValue / msolAmount : 0, currency: 'usd' },
                   decimals: 9
                 }
               }
@@ -176,74 +179,69 @@ class MarinadeFetcher extends Fetcher {
       }
       
       // 4. Vérifier les stakes directs via Marinade (non-mSOL)
-      try {
-        const directStakes = await marinadeService.getDirectStakes(owner);
+      const directStakes = await marinadeService.getDirectStakes(owner);
+      
+      if (directStakes && directStakes.length > 0) {
+        console.log(`[MarinadeFetcher] ${directStakes.length} stakes directs trouvés pour ${owner}`);
         
-        if (directStakes && directStakes.length > 0) {
-          console.log(`[MarinadeFetcher] ${directStakes.length} stakes directs trouvés pour ${owner}`);
+        for (const stake of directStakes) {
+          // Récupération du prix de SOL
+          const solPrice = await this._getPrice('So11111111111111111111111111111111111111112');
+          
+          // Calcul des valeurs
+          const solAmount = parseFloat(stake.amount);
+          const solValue = solAmount * solPrice;
           
-          for (const stake of directStakes) {
-            // Récupération du prix de SOL
-            const solPrice = await this._getPrice('So11111111111111111111111111111111111111112');
-            
-            // Calcul des valeurs
-            const solAmount = parseFloat(stake.amount);
-            const solValue = solAmount * solPrice;
-            
-            // Structure d'élément portfolio pour une position de staking direct
-            const portfolioElement = {
-              networkId: this.networkId,
-              platformId: this.platformId,
-              type: 'staking',
-              label: 'Direct Staking',
-              name: 'Marinade Direct Stake',
-              value: { amount: solValue, currency: 'usd' },
-              attributes: {
-                stakingType: 'direct',
-                stakingToken: 'sol',
-                tags: ['staking', 'direct-staking', 'marinade']
-              },
-              data: {
-                stakeAddress: stake.address,
-                solAmount: solAmount,
-                activationEpoch: stake.activationEpoch,
-                apy: stakingDetails.apy * 100,
-                ref: stake.address,
-                sourceRefs: [
-                  {
-                    address: stake.address,
-                    name: 'Stake Account'
-                  },
-                  {
-                    address: MARINADE_PROGRAM_ID,
-                    name: 'Program'
-                  }
-                ],
-                link: `https://marinade.finance/app/staking`
-              },
-              baseTokens: [
+          // Structure d'élément portfolio pour une position de staking direct
+          const portfolioElement = {
+            networkId: this.networkId,
+            platformId: this.platformId,
+            type: 'staking',
+            label: 'Direct Staking',
+            name: 'Marinade Direct Stake',
+            value: { amount: solValue, currency: 'usd' },
+            attributes: {
+              stakingType: 'direct',
+              stakingToken: 'sol',
+              tags: ['staking', 'direct-staking', 'marinade']
+            },
+            data: {
+              stakeAddress: stake.address,
+              solAmount: solAmount,
+              activationEpoch: stake.activationEpoch,
+              apy: stakingDetails.apy !== null ? stakingDetails.apy * 100 : null,
+              ref: stake.address,
+              sourceRefs: [
                 {
-                  networkId: this.networkId,
-                  type: 'token',
-                  value: { amount: solValue, currency: 'usd' },
-                  name: 'Solana',
-                  symbol: 'SOL',
-                  data: {
-                    address: 'So11111111111111111111111111111111111111112',
-                    amount: solAmount,
-                    price: { amount: solPrice, currency: 'usd' },
-                    decimals: 9
-                  }
+                  address: stake.address,
+                  name: 'Stake Account'
+                },
+                {
+                  address: MARINADE_PROGRAM_ID,
+                  name: 'Program'
                 }
-              ]
-            };
-            
-            portfolioElements.push(portfolioElement);
-          }
+              ],
+              link: `https://marinade.finance/app/staking`
+            },
+            baseTokens: [
+              {
+                networkId: this.networkId,
+                type: 'token',
+                value: { amount: solValue, currency: 'usd' },
+                name: 'Solana',
+                symbol: 'SOL',
+                data: {
+                  address: 'So11111111111111111111111111111111111111112',
+                  amount: solAmount,
+                  price: { amount: solPrice, currency: 'usd' },
+                  decimals: 9
+                }
+              }
+            ]
+          };
+          
+          portfolioElements.push(portfolioElement);
         }
-      } catch (stakesError) {
-        console.warn(`[MarinadeFetcher] Erreur lors de la récupération des stakes directs: ${stakesError.message}`);
-        // Continuer avec les positions mSOL uniquement
       }
       
       return portfolioElements;
@@ -257,23 +255,7 @@ class MarinadeFetcher extends Fetcher {
         return this._getSimulatedPositions();
       }
       
-      return [];
-    }
-  }
-  
-  /**
-   * Récupère le prix d'un token
-   * @private
-   * @param {string} tokenAddress - Adresse du token
-   * @returns {Promise<number>} - Prix du token en USD
-   */
-  async _getPrice(tokenAddress) {
-    try {
-      const priceData = await priceService.getCurrentPrice(tokenAddress);
-      return priceData?.price || 0;
-    } catch (error) {
-      console.warn(`[MarinadeFetcher] Erreur lors de la récupération du prix pour ${tokenAddress}: ${error.message}`);
-      return 0;
+      throw error;
     }
   }
   
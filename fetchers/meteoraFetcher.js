@@ -0,0 +1,292 @@
+/**
+ * Fetcher spécifique pour la plateforme Meteora (liquidity pools) sur Solana
+ * Couvre les positions DLMM (liquidité par bins) et les tokens LP des pools Dynamic AMM
+ * Implémenté selon l'architecture exacte du projet portfolio
+ */
+const { Fetcher, PLATFORM_TYPES } = require('../services/fetcherService');
+const networkService = require('../services/networkService');
+const cacheService = require('../services/cacheService');
+const meteoraService = require('../services/meteoraService');
+
+// Constantes spécifiques à Meteora
+const METEORA_DLMM_PROGRAM_ID = meteoraService.METEORA_DLMM_PROGRAM_ID;
+const METEORA_DAMM_PROGRAM_ID = meteoraService.METEORA_DAMM_PROGRAM_ID;
+const METEORA_LOGO = 'https://app.meteora.ag/icons/logo.svg';
+
+// Référence directe au réseau Solana
+const SOLANA_NETWORK_ID = networkService.NETWORK_TYPES.SOLANA;
+
+class MeteoraFetcher extends Fetcher {
+  constructor() {
+    // ID unique, networkId, platformId, platformType (exactement comme portfolio)
+    super('meteora-solana', SOLANA_NETWORK_ID, 'meteora', PLATFORM_TYPES.LIQUIDITY_POOL);
+  }
+
+  /**
+   * Exécute le fetcher pour récupérer les positions Meteora (liquidité)
+   * @param {string} owner - Adresse du propriétaire
+   * @returns {Promise<Array>} - Éléments de portfolio pour Meteora
+   */
+  async execute(owner) {
+    console.log(`[MeteoraFetcher] Récupération des positions Meteora pour ${owner}`);
+
+    // Même structure d'élément que OrcaFetcher
+    const portfolioElement = {
+      networkId: this.networkId,
+      platformId: this.platformId,
+      type: 'liquidity-pool',
+      label: 'Liquidity Pool',
+      name: 'Meteora',
+      value: { amount: 0, currency: 'usd' },
+      data: {
+        pools: [],
+        ref: owner,
+        sourceRefs: [
+          {
+            address: METEORA_DLMM_PROGRAM_ID,
+            name: 'DLMM Program'
+          },
+          {
+            address: METEORA_DAMM_PROGRAM_ID,
+            name: 'Dynamic AMM Program'
+          }
+        ],
+        link: 'https://app.meteora.ag/portfolio'
+      }
+    };
+
+    try {
+      // Vérifier le cache d'abord
+      const cacheKey = `meteora_${owner}`;
+      const cachedData = cacheService.get(cacheKey);
+
+      if (cachedData) {
+        console.log(`[MeteoraFetcher] Données récupérées depuis le cache pour ${owner}`);
+        return [cachedData];
+      }
+
+      // 1. Récupérer les positions DLMM et Dynamic AMM
+      const [dlmmPositions, dammPositions] = await Promise.all([
+        this._fetchDlmmPositions(owner),
+        this._fetchDammPositions(owner)
+      ]);
+      const positions = [...dlmmPositions, ...dammPositions];
+
+      if (positions.length === 0) {
+        console.log(`[MeteoraFetcher] Aucune position Meteora trouvée pour ${owner}`);
+        return [];
+      }
+
+      // 2. Ajouter les positions et calculer la valeur totale
+      portfolioElement.data.pools = positions;
+      const totalValue = positions.reduce((sum, pool) => sum + (pool.value.amount || 0), 0);
+      portfolioElement.value = { amount: totalValue, currency: 'usd' };
+
+      // Mettre en cache pour 5 minutes
+      cacheService.set(cacheKey, portfolioElement, 300);
+
+      return [portfolioElement];
+
+    } catch (error) {
+      console.error(`[MeteoraFetcher] Erreur dans l'exécution: ${error.message}`);
+      throw error; // Remonter l'échec à runFetchers pour qu'il apparaisse dans fetcherStatuses
+    }
+  }
+
+  /**
+   * Récupère les positions DLMM de l'utilisateur
+   * @private
+   * @param {string} owner - Adresse du propriétaire
+   * @returns {Promise<Array>} - Positions DLMM formatées
+   */
+  async _fetchDlmmPositions(owner) {
+    try {
+      const positions = await meteoraService.getDlmmPositions(owner);
+      console.log(`[MeteoraFetcher] ${positions.length} positions DLMM trouvées pour ${owner}`);
+
+      const formattedPositions = [];
+
+      // Précharger les prix de toutes les positions en un seul lot
+      await this._getPrices(positions.flatMap(position => [position.token0.address, position.token1.address]));
+
+      for (const position of positions) {
+        const token0Price = await this._getPrice(position.token0.address);
+        const token1Price = await this._getPrice(position.token1.address);
+
+        const token0Value = position.token0.amount * token0Price;
+        const token1Value = position.token1.amount * token1Price;
+
+        const baseTokens = [
+          this._formatBaseToken(position.token0, position.token0.amount, token0Price, 'liquidity'),
+          this._formatBaseToken(position.token1, position.token1.amount, token1Price, 'liquidity')
+        ];
+
+        // Frais non réclamés, en base tokens séparés
+        if (position.fees.token0 > 0) {
+          baseTokens.push(this._formatBaseToken(position.token0, position.fees.token0, token0Price, 'unclaimed-fee'));
+        }
+        if (position.fees.token1 > 0) {
+          baseTokens.push(this._formatBaseToken(position.token1, position.fees.token1, token1Price, 'unclaimed-fee'));
+        }
+
+        const totalValue = baseTokens.reduce((sum, token) => sum + token.value.amount, 0);
+
+        formattedPositions.push({
+          networkId: this.networkId,
+          type: 'liquidity-position',
+          value: { amount: totalValue, currency: 'usd' },
+          attributes: {
+            isDeprecated: false,
+            isInRange: position.inRange,
+            tags: ['concentrated-liquidity', 'meteora-dlmm']
+          },
+          name: `${position.token0.symbol}-${position.token1.symbol}`,
+          imageUri: METEORA_LOGO,
+          data: {
+            address: position.poolAddress,
+            positionAddress: position.positionAddress,
+            positionMint: position.positionMint,
+            fee: position.fee,
+            binStep: position.binStep,
+            lowerTick: position.lowerTick,
+            upperTick: position.upperTick,
+            currentTick: position.currentTick,
+            inRange: position.inRange,
+            prices: position.prices,
+            liquidity: position.liquidity,
+            liquidityValue: token0Value + token1Value,
+            // Répartition de la liquidité par bin, valorisée au prix courant des tokens
+            bins: position.bins.map(bin => ({
+              ...bin,
+              value: bin.amount0 * token0Price + bin.amount1 * token1Price
+            }))
+          },
+          baseTokens,
+          ref: position.positionAddress,
+          sourceRefs: [
+            {
+              address: position.positionAddress,
+              name: 'Position'
+            },
+            {
+              address: position.poolAddress,
+              name: 'Pool'
+            },
+            {
+              address: METEORA_DLMM_PROGRAM_ID,
+              name: 'Program'
+            }
+          ]
+        });
+      }
+
+      return formattedPositions;
+
+    } catch (error) {
+      console.warn(`[MeteoraFetcher] Erreur lors de la récupération des positions DLMM: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Récupère les positions Dynamic AMM de l'utilisateur (tokens LP)
+   * @private
+   * @param {string} owner - Adresse du propriétaire
+   * @returns {Promise<Array>} - Positions Dynamic AMM formatées
+   */
+  async _fetchDammPositions(owner) {
+    try {
+      const positions = await meteoraService.getDammPositions(owner);
+      console.log(`[MeteoraFetcher] ${positions.length} positions Dynamic AMM trouvées pour ${owner}`);
+
+      const formattedPositions = [];
+
+      // Précharger les prix de toutes les positions en un seul lot
+      await this._getPrices(positions.flatMap(position => [position.token0.address, position.token1.address]));
+
+      for (const position of positions) {
+        const token0Price = await this._getPrice(position.token0.address);
+        const token1Price = await this._getPrice(position.token1.address);
+
+        const baseTokens = [
+          this._formatBaseToken(position.token0, position.token0.amount, token0Price, 'liquidity'),
+          this._formatBaseToken(position.token1, position.token1.amount, token1Price, 'liquidity')
+        ];
+        const totalValue = baseTokens.reduce((sum, token) => sum + token.value.amount, 0);
+
+        formattedPositions.push({
+          networkId: this.networkId,
+          type: 'liquidity-position',
+          value: { amount: totalValue, currency: 'usd' },
+          attributes: {
+            isDeprecated: false,
+            tags: ['amm', 'meteora-dynamic-amm']
+          },
+          name: `${position.token0.symbol}-${position.token1.symbol}`,
+          imageUri: METEORA_LOGO,
+          data: {
+            address: position.poolAddress,
+            lpMint: position.lpMint,
+            lpAmount: position.lpAmount,
+            share: position.share,
+            fee: position.fee,
+            liquidityValue: totalValue
+          },
+          baseTokens,
+          ref: position.lpTokenAccount,
+          sourceRefs: [
+            {
+              address: position.lpTokenAccount,
+              name: 'LP Token Account'
+            },
+            {
+              address: position.poolAddress,
+              name: 'Pool'
+            },
+            {
+              address: METEORA_DAMM_PROGRAM_ID,
+              name: 'Program'
+            }
+          ]
+        });
+      }
+
+      return formattedPositions;
+
+    } catch (error) {
+      console.warn(`[MeteoraFetcher] Erreur lors de la récupération des positions Dynamic AMM: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Formate un token d'une position en base token portfolio
+   * @private
+   * @param {Object} token - Informations du token (address, name, symbol, decimals)
+   * @param {number} amount - Montant du token
+   * @param {number} price - Prix du token en USD
+   * @param {string} category - Nature du montant (liquidity, unclaimed-fee)
+   * @returns {Object} - Base token au format portfolio.js
+   */
+  _formatBaseToken(token, amount, price, category) {
+    return {
+      networkId: this.networkId,
+      type: 'token',
+      value: { amount: amount * price, currency: 'usd' },
+      name: token.name,
+      symbol: token.symbol,
+      attributes: {
+        tags: [category]
+      },
+      data: {
+        address: token.address,
+        amount: amount,
+        price: { amount: price, currency: 'usd' },
+        decimals: token.decimals
+      }
+    };
+  }
+}
+
+// Exporter une instance
+module.exports = new MeteoraFetcher();
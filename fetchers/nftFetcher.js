@@ -54,7 +54,7 @@ class NftFetcher extends Fetcher {
       return portfolioElements;
     } catch (error) {
       console.error(`[NftFetcher] Erreur dans l'exécution: ${error.message}`);
-      return []; // Retourner un tableau vide en cas d'erreur
+      throw error; // Remonter l'échec à runFetchers pour qu'il apparaisse dans fetcherStatuses
     }
   }
   
@@ -109,7 +109,7 @@ class NftFetcher extends Fetcher {
         return this._getSimulatedNfts();
       }
       
-      return [];
+      throw error;
     }
   }
   
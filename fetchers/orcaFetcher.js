@@ -4,13 +4,11 @@
  */
 const { Fetcher, PLATFORM_TYPES } = require('../services/fetcherService');
 const networkService = require('../services/networkService');
-const priceService = require('../services/priceService');
 const cacheService = require('../services/cacheService');
-const solanaWebService = require('../services/solanaWebService');
+const orcaService = require('../services/orcaService');
 
 // Constantes spécifiques à Orca
-const ORCA_PROGRAM_ID = 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc';
-const ORCA_WHIRLPOOL_ID = 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc';
+const ORCA_PROGRAM_ID = orcaService.ORCA_WHIRLPOOL_PROGRAM_ID;
 
 // Référence directe au réseau Solana
 const SOLANA_NETWORK_ID = networkService.NETWORK_TYPES.SOLANA;
@@ -85,7 +83,7 @@ class OrcaFetcher extends Fetcher {
       
     } catch (error) {
       console.error(`[OrcaFetcher] Erreur dans l'exécution: ${error.message}`);
-      return []; // Retourner un tableau vide en cas d'erreur
+      throw error; // Remonter l'échec à runFetchers pour qu'il apparaisse dans fetcherStatuses
     }
   }
   
@@ -99,52 +97,68 @@ class OrcaFetcher extends Fetcher {
     try {
       console.log(`[OrcaFetcher] Recherche des positions Whirlpool pour ${owner}`);
       
-      // Récupérer les PDA des positions Whirlpool
-      const positionPdas = await solanaWebService.getTokenPositionsByOwnerAndProgram(
-        owner,
-        ORCA_PROGRAM_ID
-      );
+      // Découvrir et décoder les positions Whirlpool à partir des NFT de position
+      const positions = await orcaService.getPositionsByOwner(owner);
       
-      if (!positionPdas || positionPdas.length === 0) {
+      if (!positions || positions.length === 0) {
         console.log(`[OrcaFetcher] Aucune position Whirlpool trouvée pour ${owner}`);
         return [];
       }
       
-      console.log(`[OrcaFetcher] ${positionPdas.length} positions Whirlpool trouvées pour ${owner}`);
-      
-      // Récupérer les détails de chaque position
-      const positionsData = await Promise.all(
-        positionPdas.map(async (pda) => {
-          try {
-            const positionData = await solanaWebService.getWhirlpoolPositionData(pda);
-            return positionData;
-          } catch (err) {
-            console.error(`[OrcaFetcher] Erreur lors de la récupération des données de position ${pda}: ${err.message}`);
-            return null;
-          }
-        })
-      );
-      
-      // Filtrer les positions valides
-      const validPositions = positionsData.filter(position => position !== null);
+      console.log(`[OrcaFetcher] ${positions.length} positions Whirlpool trouvées pour ${owner}`);
       
       // Formater les positions selon le format portfolio.js
       const formattedPositions = [];
       
-      for (const position of validPositions) {
+      // Précharger les prix de toutes les positions en un seul lot
+      await this._getPrices(positions.flatMap(position => [
+        position.token0.address,
+        position.token1.address,
+        ...(position.rewards || []).map(reward => reward.token?.address)
+      ]));
+
+      // Calculer le rendement une seule fois par Whirlpool, même si plusieurs positions le partagent
+      const yieldByPool = new Map();
+      for (const poolAddress of new Set(positions.map(position => position.poolAddress))) {
+        yieldByPool.set(poolAddress, await this._getYieldData(poolAddress));
+      }
+
+      for (const position of positions) {
         // Récupérer les prix des tokens
         const token0Price = await this._getPrice(position.token0.address);
         const token1Price = await this._getPrice(position.token1.address);
         
-        // Calculer les valeurs
+        // Calculer les valeurs de la liquidité
         const token0Value = position.token0.amount * token0Price;
         const token1Value = position.token1.amount * token1Price;
-        const totalValue = token0Value + token1Value;
         
-        // Dans une implémentation réelle, les APR/APY seraient récupérés depuis l'API Orca
-        const yieldData = await this._getYieldData(position.poolAddress);
-        const apr = yieldData?.apr || 0;
-        const apy = yieldData?.apy || 0;
+        const baseTokens = [
+          this._formatBaseToken(position.token0, position.token0.amount, token0Price, 'liquidity'),
+          this._formatBaseToken(position.token1, position.token1.amount, token1Price, 'liquidity')
+        ];
+        
+        // Frais non réclamés, en base tokens séparés
+        if (position.fees) {
+          if (position.fees.token0 > 0) {
+            baseTokens.push(this._formatBaseToken(position.token0, position.fees.token0, token0Price, 'unclaimed-fee'));
+          }
+          if (position.fees.token1 > 0) {
+            baseTokens.push(this._formatBaseToken(position.token1, position.fees.token1, token1Price, 'unclaimed-fee'));
+          }
+        }
+        
+        // Récompenses non réclamées, en base tokens séparés
+        for (const reward of position.rewards) {
+          if (reward.amount > 0) {
+            const rewardPrice = await this._getPrice(reward.token.address);
+            baseTokens.push(this._formatBaseToken(reward.token, reward.amount, rewardPrice, 'unclaimed-reward'));
+          }
+        }
+        
+        const totalValue = baseTokens.reduce((sum, token) => sum + token.value.amount, 0);
+        
+        // Rendement du pool calculé à partir des frais et des émissions de récompenses
+        const yieldData = yieldByPool.get(position.poolAddress);
         
         // Créer l'objet pool au format exact de portfolio.js
         const pool = {
@@ -153,6 +167,7 @@ class OrcaFetcher extends Fetcher {
           value: { amount: totalValue, currency: 'usd' },
           attributes: {
             isDeprecated: false,
+            isInRange: position.inRange,
             tags: ['concentrated-liquidity', 'whirlpool']
           },
           name: `${position.token0.symbol}-${position.token1.symbol}`,
@@ -160,43 +175,18 @@ class OrcaFetcher extends Fetcher {
           data: {
             address: position.poolAddress,
             positionAddress: position.positionAddress,
+            positionMint: position.positionMint,
             fee: position.fee,
             lowerTick: position.lowerTick,
             upperTick: position.upperTick,
+            currentTick: position.currentTick,
+            inRange: position.inRange,
+            prices: position.prices,
             liquidity: position.liquidity,
-            yield: {
-              apr: apr,
-              apy: apy
-            }
+            liquidityValue: token0Value + token1Value,
+            yield: yieldData
           },
-          baseTokens: [
-            {
-              networkId: this.networkId,
-              type: 'token',
-              value: { amount: token0Value, currency: 'usd' },
-              name: position.token0.name,
-              symbol: position.token0.symbol,
-              data: {
-                address: position.token0.address,
-                amount: position.token0.amount,
-                price: { amount: token0Price, currency: 'usd' },
-                decimals: position.token0.decimals
-              }
-            },
-            {
-              networkId: this.networkId,
-              type: 'token',
-              value: { amount: token1Value, currency: 'usd' },
-              name: position.token1.name,
-              symbol: position.token1.symbol,
-              data: {
-                address: position.token1.address,
-                amount: position.token1.amount,
-                price: { amount: token1Price, currency: 'usd' },
-                decimals: position.token1.decimals
-              }
-            }
-          ],
+          baseTokens,
           ref: position.positionAddress,
           sourceRefs: [
             {
@@ -228,7 +218,7 @@ class OrcaFetcher extends Fetcher {
         return this._getSimulatedPositions();
       }
       
-      return [];
+      throw error;
     }
   }
   
@@ -236,41 +226,53 @@ class OrcaFetcher extends Fetcher {
    * Récupère les données de rendement pour un pool spécifique
    * @private
    * @param {string} poolAddress - Adresse du pool
-   * @returns {Promise<object>} - Données de rendement (apr, apy)
+   * @returns {Promise<object>} - Données de rendement (apr, apy, feeApr, rewardApr)
    */
   async _getYieldData(poolAddress) {
-    try {
-      // Dans une implémentation réelle, appeler une API pour obtenir les données de rendement
-      // const yieldData = await axios.get(`https://api.orca.so/pools/${poolAddress}/yield`);
-      
-      // Pour l'exemple, on retourne des valeurs simulées
-      return {
-        apr: 0.15, // 15% APR
-        apy: 0.17  // 17% APY
-      };
-    } catch (error) {
-      console.warn(`[OrcaFetcher] Erreur lors de la récupération des données de rendement: ${error.message}`);
-      return {
-        apr: 0,
-        apy: 0
-      };
+    const yieldData = await orcaService.getPoolYield(poolAddress, (mint) => this._getPrice(mint));
+    
+    if (!yieldData) {
+      console.warn(`[OrcaFetcher] Rendement indisponible pour le pool ${poolAddress}`);
+      return { apr: null, apy: null, feeApr: null, rewardApr: null };
     }
+    
+    return {
+      apr: yieldData.apr,
+      apy: yieldData.apy,
+      feeApr: yieldData.feeApr,
+      rewardApr: yieldData.rewardApr,
+      rewards: yieldData.rewards.map(reward => ({ mint: reward.mint, apr: reward.apr })),
+      tvl: yieldData.tvl,
+      window: yieldData.window
+    };
   }
   
   /**
-   * Récupère le prix d'un token
+   * Formate un token d'une position en base token portfolio
    * @private
-   * @param {string} tokenAddress - Adresse du token
-   * @returns {Promise<number>} - Prix du token en USD
+   * @param {Object} token - Informations du token (address, name, symbol, decimals)
+   * @param {number} amount - Montant du token
+   * @param {number} price - Prix du token en USD
+   * @param {string} category - Nature du montant (liquidity, unclaimed-fee, unclaimed-reward)
+   * @returns {Object} - Base token au format portfolio.js
    */
-  async _getPrice(tokenAddress) {
-    try {
-      const priceData = await priceService.getCurrentPrice(tokenAddress);
-      return priceData?.price || 0;
-    } catch (error) {
-      console.warn(`[OrcaFetcher] Erreur lors de la récupération du prix pour ${tokenAddress}: ${error.message}`);
-      return 0;
-    }
+  _formatBaseToken(token, amount, price, category) {
+    return {
+      networkId: this.networkId,
+      type: 'token',
+      value: { amount: amount * price, currency: 'usd' },
+      name: token.name,
+      symbol: token.symbol,
+      attributes: {
+        tags: [category]
+      },
+      data: {
+        address: token.address,
+        amount: amount,
+        price: { amount: price, currency: 'usd' },
+        decimals: token.decimals
+      }
+    };
   }
   
   /**
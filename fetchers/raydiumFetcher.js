@@ -0,0 +1,300 @@
+/**
+ * Fetcher spécifique pour la plateforme Raydium (liquidity pools) sur Solana
+ * Couvre les tokens LP des pools AMM v4 et les positions CLMM (liquidité concentrée)
+ * Implémenté selon l'architecture exacte du projet portfolio
+ */
+const { Fetcher, PLATFORM_TYPES } = require('../services/fetcherService');
+const networkService = require('../services/networkService');
+const cacheService = require('../services/cacheService');
+const raydiumService = require('../services/raydiumService');
+
+// Constantes spécifiques à Raydium
+const RAYDIUM_AMM_PROGRAM_ID = raydiumService.RAYDIUM_AMM_PROGRAM_ID;
+const RAYDIUM_CLMM_PROGRAM_ID = raydiumService.RAYDIUM_CLMM_PROGRAM_ID;
+const RAYDIUM_LOGO = 'https://raydium.io/logo/logo-only-icon.svg';
+
+// Référence directe au réseau Solana
+const SOLANA_NETWORK_ID = networkService.NETWORK_TYPES.SOLANA;
+
+class RaydiumFetcher extends Fetcher {
+  constructor() {
+    // ID unique, networkId, platformId, platformType (exactement comme portfolio)
+    super('raydium-solana', SOLANA_NETWORK_ID, 'raydium', PLATFORM_TYPES.LIQUIDITY_POOL);
+  }
+
+  /**
+   * Exécute le fetcher pour récupérer les positions Raydium (liquidité)
+   * @param {string} owner - Adresse du propriétaire
+   * @returns {Promise<Array>} - Éléments de portfolio pour Raydium
+   */
+  async execute(owner) {
+    console.log(`[RaydiumFetcher] Récupération des positions Raydium pour ${owner}`);
+
+    // Même structure d'élément que OrcaFetcher
+    const portfolioElement = {
+      networkId: this.networkId,
+      platformId: this.platformId,
+      type: 'liquidity-pool',
+      label: 'Liquidity Pool',
+      name: 'Raydium',
+      value: { amount: 0, currency: 'usd' },
+      data: {
+        pools: [],
+        ref: owner,
+        sourceRefs: [
+          {
+            address: RAYDIUM_AMM_PROGRAM_ID,
+            name: 'AMM Program'
+          },
+          {
+            address: RAYDIUM_CLMM_PROGRAM_ID,
+            name: 'CLMM Program'
+          }
+        ],
+        link: 'https://raydium.io/portfolio/'
+      }
+    };
+
+    try {
+      // Vérifier le cache d'abord
+      const cacheKey = `raydium_${owner}`;
+      const cachedData = cacheService.get(cacheKey);
+
+      if (cachedData) {
+        console.log(`[RaydiumFetcher] Données récupérées depuis le cache pour ${owner}`);
+        return [cachedData];
+      }
+
+      // 1. Récupérer les positions AMM v4 et CLMM
+      const [ammPositions, clmmPositions] = await Promise.all([
+        this._fetchAmmPositions(owner),
+        this._fetchClmmPositions(owner)
+      ]);
+      const positions = [...ammPositions, ...clmmPositions];
+
+      if (positions.length === 0) {
+        console.log(`[RaydiumFetcher] Aucune position Raydium trouvée pour ${owner}`);
+        return [];
+      }
+
+      // 2. Ajouter les positions et calculer la valeur totale
+      portfolioElement.data.pools = positions;
+      const totalValue = positions.reduce((sum, pool) => sum + (pool.value.amount || 0), 0);
+      portfolioElement.value = { amount: totalValue, currency: 'usd' };
+
+      // Mettre en cache pour 5 minutes
+      cacheService.set(cacheKey, portfolioElement, 300);
+
+      return [portfolioElement];
+
+    } catch (error) {
+      console.error(`[RaydiumFetcher] Erreur dans l'exécution: ${error.message}`);
+      throw error; // Remonter l'échec à runFetchers pour qu'il apparaisse dans fetcherStatuses
+    }
+  }
+
+  /**
+   * Récupère les positions AMM v4 de l'utilisateur (tokens LP)
+   * @private
+   * @param {string} owner - Adresse du propriétaire
+   * @returns {Promise<Array>} - Positions AMM formatées
+   */
+  async _fetchAmmPositions(owner) {
+    try {
+      const positions = await raydiumService.getAmmPositions(owner);
+      console.log(`[RaydiumFetcher] ${positions.length} positions AMM trouvées pour ${owner}`);
+
+      const formattedPositions = [];
+
+      // Précharger les prix de toutes les positions en un seul lot
+      await this._getPrices(positions.flatMap(position => [position.token0.address, position.token1.address]));
+
+      for (const position of positions) {
+        const token0Price = await this._getPrice(position.token0.address);
+        const token1Price = await this._getPrice(position.token1.address);
+
+        const baseTokens = [
+          this._formatBaseToken(position.token0, position.token0.amount, token0Price, 'liquidity'),
+          this._formatBaseToken(position.token1, position.token1.amount, token1Price, 'liquidity')
+        ];
+        const totalValue = baseTokens.reduce((sum, token) => sum + token.value.amount, 0);
+
+        formattedPositions.push({
+          networkId: this.networkId,
+          type: 'liquidity-position',
+          value: { amount: totalValue, currency: 'usd' },
+          attributes: {
+            isDeprecated: false,
+            tags: ['amm', 'raydium-amm-v4']
+          },
+          name: `${position.token0.symbol}-${position.token1.symbol}`,
+          imageUri: RAYDIUM_LOGO,
+          data: {
+            address: position.poolAddress,
+            lpMint: position.lpMint,
+            lpAmount: position.lpAmount,
+            share: position.share,
+            fee: position.fee,
+            liquidityValue: totalValue
+          },
+          baseTokens,
+          ref: position.lpTokenAccount,
+          sourceRefs: [
+            {
+              address: position.lpTokenAccount,
+              name: 'LP Token Account'
+            },
+            {
+              address: position.poolAddress,
+              name: 'Pool'
+            },
+            {
+              address: RAYDIUM_AMM_PROGRAM_ID,
+              name: 'Program'
+            }
+          ]
+        });
+      }
+
+      return formattedPositions;
+
+    } catch (error) {
+      console.warn(`[RaydiumFetcher] Erreur lors de la récupération des positions AMM: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Récupère les positions CLMM de l'utilisateur (NFT de position)
+   * @private
+   * @param {string} owner - Adresse du propriétaire
+   * @returns {Promise<Array>} - Positions CLMM formatées
+   */
+  async _fetchClmmPositions(owner) {
+    try {
+      const positions = await raydiumService.getClmmPositions(owner);
+      console.log(`[RaydiumFetcher] ${positions.length} positions CLMM trouvées pour ${owner}`);
+
+      const formattedPositions = [];
+
+      // Précharger les prix de toutes les positions en un seul lot
+      await this._getPrices(positions.flatMap(position => [
+        position.token0.address,
+        position.token1.address,
+        ...(position.rewards || []).map(reward => reward.token?.address)
+      ]));
+
+      for (const position of positions) {
+        const token0Price = await this._getPrice(position.token0.address);
+        const token1Price = await this._getPrice(position.token1.address);
+
+        const token0Value = position.token0.amount * token0Price;
+        const token1Value = position.token1.amount * token1Price;
+
+        const baseTokens = [
+          this._formatBaseToken(position.token0, position.token0.amount, token0Price, 'liquidity'),
+          this._formatBaseToken(position.token1, position.token1.amount, token1Price, 'liquidity')
+        ];
+
+        // Frais non réclamés, en base tokens séparés
+        if (position.fees) {
+          if (position.fees.token0 > 0) {
+            baseTokens.push(this._formatBaseToken(position.token0, position.fees.token0, token0Price, 'unclaimed-fee'));
+          }
+          if (position.fees.token1 > 0) {
+            baseTokens.push(this._formatBaseToken(position.token1, position.fees.token1, token1Price, 'unclaimed-fee'));
+          }
+        }
+
+        // Récompenses non réclamées, en base tokens séparés
+        for (const reward of position.rewards) {
+          if (reward.amount > 0) {
+            const rewardPrice = await this._getPrice(reward.token.address);
+            baseTokens.push(this._formatBaseToken(reward.token, reward.amount, rewardPrice, 'unclaimed-reward'));
+          }
+        }
+
+        const totalValue = baseTokens.reduce((sum, token) => sum + token.value.amount, 0);
+
+        formattedPositions.push({
+          networkId: this.networkId,
+          type: 'liquidity-position',
+          value: { amount: totalValue, currency: 'usd' },
+          attributes: {
+            isDeprecated: false,
+            isInRange: position.inRange,
+            tags: ['concentrated-liquidity', 'raydium-clmm']
+          },
+          name: `${position.token0.symbol}-${position.token1.symbol}`,
+          imageUri: RAYDIUM_LOGO,
+          data: {
+            address: position.poolAddress,
+            positionAddress: position.positionAddress,
+            positionMint: position.positionMint,
+            fee: position.fee,
+            lowerTick: position.lowerTick,
+            upperTick: position.upperTick,
+            currentTick: position.currentTick,
+            inRange: position.inRange,
+            prices: position.prices,
+            liquidity: position.liquidity,
+            liquidityValue: token0Value + token1Value
+          },
+          baseTokens,
+          ref: position.positionAddress,
+          sourceRefs: [
+            {
+              address: position.positionAddress,
+              name: 'Position'
+            },
+            {
+              address: position.poolAddress,
+              name: 'Pool'
+            },
+            {
+              address: RAYDIUM_CLMM_PROGRAM_ID,
+              name: 'Program'
+            }
+          ]
+        });
+      }
+
+      return formattedPositions;
+
+    } catch (error) {
+      console.warn(`[RaydiumFetcher] Erreur lors de la récupération des positions CLMM: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Formate un token d'une position en base token portfolio
+   * @private
+   * @param {Object} token - Informations du token (address, name, symbol, decimals)
+   * @param {number} amount - Montant du token
+   * @param {number} price - Prix du token en USD
+   * @param {string} category - Nature du montant (liquidity, unclaimed-fee, unclaimed-reward)
+   * @returns {Object} - Base token au format portfolio.js
+   */
+  _formatBaseToken(token, amount, price, category) {
+    return {
+      networkId: this.networkId,
+      type: 'token',
+      value: { amount: amount * price, currency: 'usd' },
+      name: token.name,
+      symbol: token.symbol,
+      attributes: {
+        tags: [category]
+      },
+      data: {
+        address: token.address,
+        amount: amount,
+        price: { amount: price, currency: 'usd' },
+        decimals: token.decimals
+      }
+    };
+  }
+}
+
+// Exporter une instance
+module.exports = new RaydiumFetcher();
@@ -0,0 +1,82 @@
+/**
+ * Fetcher spécifique pour la plateforme Solend (lending) sur Solana
+ * Implémenté selon l'architecture exacte du projet portfolio
+ */
+const { Fetcher, PLATFORM_TYPES } = require('../services/fetcherService');
+const networkService = require('../services/networkService');
+const solendService = require('../services/solendService');
+const cacheService = require('../services/cacheService');
+const { formatLendingElement } = require('../utils/lendingUtils');
+
+// Constantes spécifiques à Solend
+const SOLEND_LENDING = {
+  name: 'Solend',
+  tag: 'solend-lending',
+  programId: solendService.SOLEND_PROGRAM_ID,
+  link: 'https://solend.fi/dashboard'
+};
+
+// Référence directe au réseau Solana
+const SOLANA_NETWORK_ID = networkService.NETWORK_TYPES.SOLANA;
+
+class SolendFetcher extends Fetcher {
+  constructor() {
+    // ID unique, networkId, platformId, platformType (exactement comme portfolio)
+    super('solend-solana', SOLANA_NETWORK_ID, 'solend', PLATFORM_TYPES.LENDING);
+  }
+
+  /**
+   * Exécute le fetcher pour récupérer les obligations Solend
+   * @param {string} owner - Adresse du propriétaire
+   * @returns {Promise<Array>} - Éléments de portfolio pour Solend
+   */
+  async execute(owner) {
+    console.log(`[SolendFetcher] Récupération des positions Solend pour ${owner}`);
+
+    // Vérifier le cache d'abord
+    const cacheKey = `solend_${owner}`;
+    const cachedData = cacheService.get(cacheKey);
+
+    if (cachedData) {
+      console.log(`[SolendFetcher] Données récupérées depuis le cache pour ${owner}`);
+      return cachedData;
+    }
+
+    try {
+      const lendingPositions = await solendService.getLendingPositions(owner);
+
+      if (lendingPositions.length === 0) {
+        console.log(`[SolendFetcher] Aucune position Solend trouvée pour ${owner}`);
+        return [];
+      }
+
+      console.log(`[SolendFetcher] ${lendingPositions.length} positions de lending trouvées pour ${owner}`);
+
+      const portfolioElements = [];
+
+      // Précharger les prix de toutes les positions en un seul lot
+      await this._getPrices(lendingPositions.map(position => position.tokenMint));
+
+      for (const position of lendingPositions) {
+        try {
+          const tokenPrice = await this._getPrice(position.tokenMint);
+          portfolioElements.push(formatLendingElement(this, position, tokenPrice, SOLEND_LENDING));
+        } catch (positionError) {
+          console.error(`[SolendFetcher] Erreur lors du traitement d'une position de lending: ${positionError.message}`);
+          // Continuer avec les autres positions
+        }
+      }
+
+      // Mettre en cache pour 5 minutes
+      cacheService.set(cacheKey, portfolioElements, 300);
+
+      return portfolioElements;
+    } catch (error) {
+      console.error(`[SolendFetcher] Erreur dans l'exécution: ${error.message}`);
+      throw error; // Remonter l'échec à runFetchers pour qu'il apparaisse dans fetcherStatuses
+    }
+  }
+}
+
+// Exporter une instance
+module.exports = new SolendFetcher();
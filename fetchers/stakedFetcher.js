@@ -5,8 +5,10 @@
 const { Fetcher, PLATFORM_TYPES } = require('../services/fetcherService');
 const networkService = require('../services/networkService');
 const solanaWebService = require('../services/solanaWebService');
-const priceService = require('../services/priceService');
 const cacheService = require('../services/cacheService');
+const validatorService = require('../services/validatorService');
+const marinadeService = require('../services/marinadeService');
+const jitoService = require('../services/jitoService');
 
 // Référence directe au réseau Solana
 const SOLANA_NETWORK_ID = networkService.NETWORK_TYPES.SOLANA;
@@ -53,7 +55,7 @@ class StakedFetcher extends Fetcher {
       return portfolioElements;
     } catch (error) {
       console.error(`[StakedFetcher] Erreur dans l'exécution: ${error.message}`);
-      return []; // Retourner un tableau vide en cas d'erreur
+      throw error; // Remonter l'échec à runFetchers pour qu'il apparaisse dans fetcherStatuses
     }
   }
   
@@ -72,8 +74,8 @@ class StakedFetcher extends Fetcher {
       
       // Filtrer pour exclure les comptes gérés par des protocoles comme Marinade ou Jito
       const specialStakingPrograms = [
-        'MarBmsSgKXdrN1egZf5sqe1TMai9K1rChYNDJgjq7aD', // Marinade
-        'jito11111111111111111111111111111111111111' // Jito
+        marinadeService.MARINADE_PROGRAM_ID, // Marinade
+        jitoService.JITO_STAKE_POOL_WITHDRAW_AUTHORITY // Jito (autorité de retrait du stake pool)
       ];
       
       const standardStakeAccounts = allStakeAccounts.filter(account => 
@@ -87,7 +89,7 @@ class StakedFetcher extends Fetcher {
       return standardStakeAccounts;
     } catch (error) {
       console.warn(`[StakedFetcher] Erreur lors de la récupération des comptes de stake: ${error.message}`);
-      return [];
+      throw error;
     }
   }
   
@@ -100,13 +102,18 @@ class StakedFetcher extends Fetcher {
    */
   async _formatStakesAsPortfolioElements(stakeAccounts, owner) {
     // Récupérer le prix du SOL
-    let solPrice = 0;
-    try {
-      const priceData = await priceService.getCurrentPrice('So11111111111111111111111111111111111111112');
-      solPrice = priceData?.price || 0;
-    } catch (error) {
-      console.warn(`[StakedFetcher] Erreur lors de la récupération du prix du SOL: ${error.message}`);
-    }
+    const solPrice = await this._getPrice('So11111111111111111111111111111111111111112');
+    
+    // Récupérer les métadonnées des validateurs et les récompenses de la dernière époque
+    const votePubkeys = [...new Set(stakeAccounts.map(account => account.voter).filter(Boolean))];
+    const [validatorsInfo, lastEpochRewards, epochsPerYear] = await Promise.all([
+      validatorService.getValidatorsInfo(votePubkeys),
+      validatorService.getLastEpochRewards(stakeAccounts.map(account => account.address)),
+      validatorService.getEpochsPerYear().catch(error => {
+        console.warn(`[StakedFetcher] Erreur lors du calcul des époques par an: ${error.message}`);
+        return null;
+      })
+    ]);
     
     // Regrouper les comptes de stake par validateur
     const stakesByValidator = {};
@@ -115,9 +122,11 @@ class StakedFetcher extends Fetcher {
       const validatorPubkey = account.voter || 'unknown';
       
       if (!stakesByValidator[validatorPubkey]) {
+        const validatorInfo = validatorsInfo[validatorPubkey] || null;
         stakesByValidator[validatorPubkey] = {
           validator: validatorPubkey,
-          name: this._getValidatorName(validatorPubkey),
+          name: this._getValidatorName(validatorPubkey, validatorInfo),
+          info: validatorInfo,
           accounts: [],
           totalAmount: 0
         };
@@ -133,6 +142,11 @@ class StakedFetcher extends Fetcher {
     for (const validatorPubkey in stakesByValidator) {
       const validatorGroup = stakesByValidator[validatorPubkey];
       const totalValue = validatorGroup.totalAmount * solPrice;
+      const validatorInfo = validatorGroup.info;
+      
+      // APY réel de la dernière époque, calculé sur les récompenses des comptes de ce validateur
+      const rewards = validatorGroup.accounts.map(acc => lastEpochRewards[acc.address]);
+      const apy = epochsPerYear ? validatorService.computeApyFromRewards(rewards, epochsPerYear) : null;
       
       // Structure d'élément portfolio pour une position de staking
       const portfolioElement = {
@@ -146,18 +160,37 @@ class StakedFetcher extends Fetcher {
           stakingType: 'delegated',
           stakingToken: 'sol',
           validatorCount: validatorGroup.accounts.length,
+          isDelinquent: validatorInfo?.delinquent || false,
           tags: ['staking', 'solana-stake']
         },
         data: {
           validator: validatorGroup.validator,
           validatorName: validatorGroup.name,
+          validatorInfo: validatorInfo ? {
+            identity: validatorInfo.identity,
+            name: validatorInfo.name,
+            iconUrl: validatorInfo.iconUrl,
+            website: validatorInfo.website,
+            commission: validatorInfo.commission,
+            skipRate: validatorInfo.skipRate,
+            delinquent: validatorInfo.delinquent,
+            activatedStake: validatorInfo.activatedStake
+          } : null,
           totalStaked: validatorGroup.totalAmount,
-          apy: 0.065, // APY approximatif pour le staking SOL natif
+          apy,
           accounts: validatorGroup.accounts.map(acc => ({
             address: acc.address,
             amount: parseFloat(acc.amount),
+            delegatedAmount: acc.delegatedAmount,
             status: acc.status,
-            activationEpoch: acc.activationEpoch
+            activationEpoch: acc.activationEpoch,
+            deactivationEpoch: acc.deactivationEpoch,
+            staker: acc.staker,
+            withdrawer: acc.withdrawer,
+            lockup: acc.lockup,
+            lastEpochReward: lastEpochRewards[acc.address]
+              ? lastEpochRewards[acc.address].lamports / 1e9
+              : null
           })),
           ref: owner,
           sourceRefs: validatorGroup.accounts.map(acc => ({
@@ -189,25 +222,17 @@ class StakedFetcher extends Fetcher {
   }
   
   /**
-   * Récupère le nom d'un validateur à partir de son adresse publique
+   * Récupère le nom d'un validateur à partir de ses métadonnées on-chain
    * @private
-   * @param {string} validatorPubkey - Clé publique du validateur
+   * @param {string} validatorPubkey - Clé publique du compte de vote
+   * @param {Object|null} validatorInfo - Informations du validateur (validatorService)
    * @returns {string} - Nom du validateur
    */
-  _getValidatorName(validatorPubkey) {
-    // Dans une implémentation réelle, on interrogerait une API pour récupérer le nom du validateur
-    // Pour la simplicité, on retourne un nom générique
+  _getValidatorName(validatorPubkey, validatorInfo) {
     if (validatorPubkey === 'unknown') return 'Unknown Validator';
+    if (validatorInfo?.name) return validatorInfo.name;
     
-    // Simuler quelques validateurs connus
-    const knownValidators = {
-      'Voter1YarYYC7fzNpjgSVHvJ6xzUQu22Xtg9rJCr3JMD': 'Solana Foundation',
-      'Voter1111111111111111111111111111111111111': 'Chorus One',
-      'Voter2222222222222222222222222222222222222': 'Certus One',
-      'Voter3333333333333333333333333333333333333': 'Staking Facilities'
-    };
-    
-    return knownValidators[validatorPubkey] || `Validator ${validatorPubkey.slice(0, 6)}...${validatorPubkey.slice(-4)}`;
+    return `Validator ${validatorPubkey.slice(0, 6)}...${validatorPubkey.slice(-4)}`;
   }
 }
 
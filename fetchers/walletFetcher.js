@@ -5,9 +5,9 @@
 const { Fetcher, PLATFORM_TYPES } = require('../services/fetcherService');
 const networkService = require('../services/networkService');
 const solanaWebService = require('../services/solanaWebService');
-const priceService = require('../services/priceService');
 const cacheService = require('../services/cacheService');
 const tokenMetadataService = require('../services/tokenMetadataService');
+const tokenValuationService = require('../services/tokenValuationService');
 const alchemyService = require('../services/alchemyService');
 const heliusService = require('../services/heliusService');
 
@@ -111,7 +111,7 @@ class WalletFetcher extends Fetcher {
       return [portfolioElement];
     } catch (error) {
       console.error(`[WalletFetcher] Erreur dans l'exécution: ${error.message}`);
-      return [portfolioElement]; // Retourner quand même l'élément, même vide
+      throw error; // Remonter l'échec à runFetchers pour qu'il apparaisse dans fetcherStatuses
     }
   }
 
@@ -217,51 +217,32 @@ class WalletFetcher extends Fetcher {
   async _enrichWithPrices(assets) {
     if (!Array.isArray(assets) || assets.length === 0) return;
     
-    // Récupérer les prix en lots de 10 pour éviter de surcharger les APIs
+    // Récupérer tous les prix en un seul lot, groupé par fournisseur
+    const prices = await this._getPrices(assets.map(asset => asset.data.address));
+    
+    // Récupérer les métadonnées en lots de 10 pour éviter de surcharger les APIs
     const batchSize = 10;
     
     for (let i = 0; i < assets.length; i += batchSize) {
       const batch = assets.slice(i, i + batchSize);
       const tokenAddresses = batch.map(asset => asset.data.address);
       
-      // Promesses pour les prix et les métadonnées
-      const pricePromises = tokenAddresses.map(address => {
-        // Vérifier le cache d'abord
-        const cacheKey = `price_${address}`;
-        const cachedPrice = cacheService.get(cacheKey);
-        
-        if (cachedPrice) {
-          return Promise.resolve(cachedPrice);
-        }
-        
-        // Sinon, récupérer le prix
-        return priceService.getCurrentPrice(address)
-          .then(result => {
-            if (result && result.price) {
-              // Mettre en cache pour 5 minutes
-              cacheService.set(cacheKey, result, 300);
-              return result;
-            }
-            return null;
-          })
-          .catch(() => null);
-      });
-      
       const tokenInfoPromises = tokenAddresses.map(address => {
         // Vérifier le cache d'abord
-        const cacheKey = `metadata_${address}`;
-        const cachedInfo = cacheService.getLong(cacheKey);
+        const cachedInfo = cacheService.getTokenMetadata(address);
         
         if (cachedInfo) {
           return Promise.resolve(cachedInfo);
         }
         
-        // Récupérer les métadonnées
-        return priceService.getTokenInfo(address)
+        // Récupérer les métadonnées, dans la chaîne de promesses pour qu'une erreur reste locale au token
+        return Promise.resolve()
+          .then(() => tokenMetadataService.getTokenMetadata(address))
           .then(result => {
-            if (result) {
+            // Les informations minimales d'un token inconnu ne sont ni mises en cache ni appliquées
+            if (result && result.symbol !== 'UNKNOWN') {
               // Mettre en cache pour 24 heures
-              cacheService.setLong(cacheKey, result);
+              cacheService.setTokenMetadata(address, result);
               return result;
             }
             return null;
@@ -269,28 +250,24 @@ class WalletFetcher extends Fetcher {
           .catch(() => null);
       });
       
-      // Attendre toutes les promesses
-      const [priceResults, metadataResults] = await Promise.all([
-        Promise.all(pricePromises),
-        Promise.all(tokenInfoPromises)
-      ]);
+      const metadataResults = await Promise.all(tokenInfoPromises);
       
       // Mettre à jour les tokens avec les prix et métadonnées
       for (let j = 0; j < batch.length; j++) {
         const asset = batch[j];
-        const priceResult = priceResults[j];
+        const price = prices[asset.data.address] || 0;
         const metadataResult = metadataResults[j];
         
         // Mettre à jour avec le prix
-        if (priceResult && priceResult.price) {
+        if (price > 0) {
           asset.data.price = {
-            amount: priceResult.price,
+            amount: price,
             currency: 'usd'
           };
           
           // Mettre à jour la valeur de l'asset
           asset.value = {
-            amount: priceResult.price * asset.data.amount,
+            amount: price * asset.data.amount,
             currency: 'usd'
           };
         }
@@ -308,6 +285,67 @@ class WalletFetcher extends Fetcher {
         }
       }
     }
+    
+    // Les tokens composites (JLP, tokens LP, LST) sont revalorisés à partir de leurs sous-jacents
+    await this._applyCompositeValuations(assets);
+  }
+
+  /**
+   * Valorise les tokens composites à partir de la composition de leur pool
+   * et expose la répartition par actif sous-jacent dans `data.underlying`
+   * @private
+   * @param {Array} assets - Assets déjà enrichis avec leur prix de marché
+   * @returns {Promise<void>}
+   */
+  async _applyCompositeValuations(assets) {
+    let compositions;
+    try {
+      compositions = await tokenValuationService.getCompositions(assets.map(asset => asset.data.address));
+    } catch (error) {
+      console.warn(`[WalletFetcher] Valorisation des tokens composites impossible: ${error.message}`);
+      return;
+    }
+    
+    for (const asset of assets) {
+      const composition = compositions[asset.data.address];
+      if (!composition) continue;
+      
+      const underlying = await Promise.all(composition.underlying.map(async (component) => {
+        const price = await this._getPrice(component.mint);
+        const amount = component.amountPerToken * asset.data.amount;
+        return {
+          address: component.mint,
+          amount,
+          price: { amount: price, currency: 'usd' },
+          value: { amount: amount * price, currency: 'usd' }
+        };
+      }));
+      
+      const underlyingValue = underlying.reduce((sum, component) => sum + component.value.amount, 0);
+      underlying.forEach(component => {
+        component.share = underlyingValue > 0 ? component.value.amount / underlyingValue : null;
+      });
+      
+      // Prix lu on-chain (AUM / offre) en priorité, sinon somme des sous-jacents
+      const tokenValue = composition.priceUsd !== null
+        ? composition.priceUsd * asset.data.amount
+        : underlyingValue;
+      
+      asset.data.underlying = underlying;
+      asset.data.valuation = {
+        method: 'underlying',
+        type: composition.type,
+        protocol: composition.protocol,
+        source: composition.source,
+        marketPrice: asset.data.price.amount || null
+      };
+      asset.attributes.tags = [...new Set([...(asset.attributes.tags || []), composition.type])];
+      
+      if (tokenValue > 0 && asset.data.amount > 0) {
+        asset.data.price = { amount: tokenValue / asset.data.amount, currency: 'usd' };
+        asset.value = { amount: tokenValue, currency: 'usd' };
+      }
+    }
   }
 }
 
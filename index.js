@@ -25,6 +25,7 @@ process.on('uncaughtException', (err) => {
 const portfolioRoutes = require('./routes/portfolioRoutes');
 const tokenRoutes = require('./routes/tokenRoutes');
 const transactionRoutes = require('./routes/transactionRoutes');
+const fetcherRoutes = require('./routes/fetcherRoutes');
 
 const app = express();
 // Changer le port par défaut à 3002, mais prévoir un système pour trouver un port disponible
@@ -115,6 +116,7 @@ app.use((req, res, next) => {
 app.use('/api/portfolio', portfolioRoutes);
 app.use('/api/token', tokenRoutes);
 app.use('/api/transaction', transactionRoutes);
+app.use('/api/fetchers', fetcherRoutes);
 
 // Route de diagnostique
 app.get('/api/diagnostics', (req, res) => {
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const ResponseUtils = require('../utils/responseUtils');
+const fetcherService = require('../services/fetcherService');
+
+/**
+ * @route GET /api/fetchers
+ * @desc Liste les fetchers enregistrés avec leur type de plateforme, leur configuration et leur santé
+ * @params {string} networkId - Filtrer par réseau (optionnel)
+ * @params {boolean} enabled - Filtrer sur les fetchers activés ou désactivés (optionnel)
+ */
+router.get('/', (req, res) => {
+  try {
+    const { networkId, enabled } = req.query;
+
+    let fetchers = fetcherService.getAllFetchers();
+
+    if (networkId) {
+      fetchers = fetchers.filter(fetcher => fetcher.networkId === networkId);
+    }
+
+    if (enabled !== undefined) {
+      const enabledOnly = enabled === 'true';
+      fetchers = fetchers.filter(fetcher => fetcher.enabled === enabledOnly);
+    }
+
+    res.json(ResponseUtils.success({
+      count: fetchers.length,
+      fetchers
+    }));
+  } catch (error) {
+    console.error('Erreur lors de la récupération des fetchers:', error);
+    res.status(500).json(ResponseUtils.error('Erreur lors de la récupération des fetchers', 500, error.message));
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const ResponseUtils = require('../utils/responseUtils');
 const portfolioAssetsService = require('../services/portfolioAssetsService');
 const cacheService = require('../services/cacheService');
+const fetcherService = require('../services/fetcherService');
+const stakingRewardsService = require('../services/stakingRewardsService');
+const networkService = require('../services/networkService');
 const { cacheMiddleware } = require('../utils/middlewareUtils');
 
 /**
@@ -22,6 +25,24 @@ const getPortfolioData = async (walletAddress, network, options = {}) => {
   return await portfolioAssetsService.getAllPortfolioAssets(walletAddress, mergedOptions);
 };
 
+/**
+ * Met en cache les données du portefeuille, sauf si un fetcher a échoué :
+ * un résultat partiel ne doit pas masquer la plateforme indisponible lors des requêtes suivantes
+ */
+const cachePortfolioData = (walletAddress, portfolioData) => {
+  const failedFetchers = (portfolioData.fetcherStatuses || []).filter(status => status.status !== 'success');
+  if (failedFetchers.length > 0) {
+    console.warn(`Portefeuille partiel non mis en cache (${failedFetchers.map(status => status.id).join(', ')})`);
+    return;
+  }
+
+  try {
+    cacheService.setWalletData(walletAddress, portfolioData);
+  } catch (cacheError) {
+    console.warn(`Impossible de mettre en cache les données du portefeuille: ${cacheError.message}`);
+  }
+};
+
 /**
  * @route GET /api/portfolio/:walletAddress
  * @desc Récupère toutes les informations du portefeuille pour une adresse Solana
@@ -30,6 +51,9 @@ const getPortfolioData = async (walletAddress, network, options = {}) => {
  * @params {boolean} includeStaking - Inclure les données de staking
  * @params {boolean} includeProtocols - Inclure les données des protocoles
  * @params {string} network - Réseau à utiliser (mainnet, devnet)
+ * @params {number} timeout - Délai maximal par fetcher en ms (défaut: 30000)
+ * La réponse inclut netWorth (ventilé par type de plateforme) et fetcherStatuses (id, status, duration, error)
+ * pour signaler les plateformes indisponibles
  */
 router.get('/:walletAddress', 
   cacheMiddleware({ dataType: 'all' }), 
@@ -42,7 +66,7 @@ router.get('/:walletAddress',
         includeTransactions = false,
         includeStaking = true,
         includeProtocols = true,
-        timeout = 30000  // Ajout d'un paramètre de timeout
+        timeout = 30000  // Délai maximal par fetcher
       } = req.query;
       
       console.log(`Récupération du portefeuille: ${walletAddress} sur ${network}`);
@@ -59,16 +83,12 @@ router.get('/:walletAddress',
       const portfolioData = await getPortfolioData(walletAddress, network, options);
       
       // Mettre en cache les résultats pour les futures requêtes
-      try {
-        cacheService.setWalletData(walletAddress, portfolioData);
-      } catch (cacheError) {
-        console.warn(`Impossible de mettre en cache les données du portefeuille: ${cacheError.message}`);
-      }
+      cachePortfolioData(walletAddress, portfolioData);
       
       res.json(ResponseUtils.success(portfolioData));
     } catch (error) {
       console.error('Erreur lors de la récupération du portefeuille:', error);
-      res.status(500).json(ResponseUtils.error('Erreur lors de la récupération du portefeuille', error.message));
+      res.status(500).json(ResponseUtils.error('Erreur lors de la récupération du portefeuille', 500, error.message));
     }
   }
 );
@@ -103,18 +123,167 @@ router.get('/portfolio-exact/:walletAddress',
       const portfolioData = await getPortfolioData(walletAddress, network, options);
       
       // Mettre en cache les résultats pour les futures requêtes
-      try {
-        cacheService.setWalletData(walletAddress, portfolioData);
-      } catch (cacheError) {
-        console.warn(`Impossible de mettre en cache les données du portefeuille: ${cacheError.message}`);
-      }
+      cachePortfolioData(walletAddress, portfolioData);
       
       res.json(ResponseUtils.success(portfolioData));
     } catch (error) {
       console.error('Erreur lors de la récupération du portefeuille exact:', error);
-      res.status(500).json(ResponseUtils.error('Erreur lors de la récupération du portefeuille exact', error.message));
+      res.status(500).json(ResponseUtils.error('Erreur lors de la récupération du portefeuille exact', 500, error.message));
     }
   }
 );
 
+/**
+ * @route GET /api/portfolio/:walletAddress/stakes
+ * @desc Récupère les positions de staking SOL natif enrichies avec les informations des validateurs
+ * (nom, icône, commission, taux de skip, délinquance, APY de la dernière époque)
+ */
+router.get('/:walletAddress/stakes', async (req, res) => {
+  try {
+    const { walletAddress } = req.params;
+    
+    if (!networkService.isValidAddress(walletAddress, networkService.ADDRESS_SYSTEMS.SOLANA)) {
+      return res.status(400).json(ResponseUtils.error('Adresse Solana invalide', 400));
+    }
+    
+    console.log(`Récupération des positions de staking: ${walletAddress}`);
+    
+    const stakes = await fetcherService.fetchSpecificPlatform('staked-solana', walletAddress);
+    const totalValue = stakes.reduce((sum, element) => sum + (element.value?.amount || 0), 0);
+    const totalStaked = stakes.reduce((sum, element) => sum + (element.data?.totalStaked || 0), 0);
+    
+    res.json(ResponseUtils.success({
+      walletAddress,
+      totalStaked,
+      totalValue,
+      stakes
+    }));
+  } catch (error) {
+    console.error('Erreur lors de la récupération des positions de staking:', error);
+    // Fetcher staked-solana inconnu ou désactivé : 404, comme pour /platforms/:fetcherId
+    if (error.statusCode === 404) {
+      return res.status(404).json(ResponseUtils.error(error.message, 404));
+    }
+    res.status(500).json(ResponseUtils.error('Erreur lors de la récupération des positions de staking', 500, error.message));
+  }
+});
+
+/**
+ * @route GET /api/portfolio/:walletAddress/staking-rewards
+ * @desc Récupère l'historique des récompenses de staking SOL natif par époque et par compte de stake
+ * @params {number} fromEpoch - Première époque incluse (défaut: 10 dernières époques)
+ * @params {number} toEpoch - Dernière époque incluse (défaut: dernière époque terminée)
+ */
+router.get('/:walletAddress/staking-rewards', async (req, res) => {
+  try {
+    const { walletAddress } = req.params;
+    const { fromEpoch, toEpoch } = req.query;
+    
+    const parsedFrom = fromEpoch !== undefined ? parseInt(fromEpoch, 10) : undefined;
+    const parsedTo = toEpoch !== undefined ? parseInt(toEpoch, 10) : undefined;
+    
+    if ((fromEpoch !== undefined && isNaN(parsedFrom)) || (toEpoch !== undefined && isNaN(parsedTo))) {
+      return res.status(400).json(
+        ResponseUtils.error('Les paramètres fromEpoch et toEpoch doivent être des nombres entiers', 400)
+      );
+    }
+    
+    console.log(`Récupération des récompenses de staking: ${walletAddress}`);
+    
+    let rewards;
+    try {
+      rewards = await stakingRewardsService.getStakingRewards(walletAddress, {
+        fromEpoch: parsedFrom,
+        toEpoch: parsedTo
+      });
+    } catch (rangeError) {
+      if (rangeError.statusCode === 400) {
+        return res.status(400).json(ResponseUtils.error(rangeError.message, 400));
+      }
+      throw rangeError;
+    }
+    
+    res.json(ResponseUtils.success(rewards));
+  } catch (error) {
+    console.error('Erreur lors de la récupération des récompenses de staking:', error);
+    res.status(500).json(ResponseUtils.error('Erreur lors de la récupération des récompenses de staking', 500, error.message));
+  }
+});
+
+/**
+ * @route GET /api/portfolio/:walletAddress/elements
+ * @desc Récupère les éléments bruts (format portfolio.js) de tous les fetchers activés, plateforme par plateforme
+ * @params {number} timeout - Délai maximal par fetcher en ms (défaut: 30000)
+ */
+router.get('/:walletAddress/elements', async (req, res) => {
+  try {
+    const { walletAddress } = req.params;
+    const { timeout = 30000 } = req.query;
+
+    if (!networkService.isValidAddress(walletAddress, networkService.ADDRESS_SYSTEMS.SOLANA)) {
+      return res.status(400).json(ResponseUtils.error('Adresse Solana invalide', 400));
+    }
+
+    console.log(`Récupération des éléments de portfolio: ${walletAddress}`);
+
+    const portfolio = await fetcherService.fetchAllPortfolio(walletAddress, {
+      timeout: parseInt(timeout, 10) || 30000
+    });
+
+    res.json(ResponseUtils.success(portfolio));
+  } catch (error) {
+    console.error('Erreur lors de la récupération des éléments de portfolio:', error);
+    res.status(500).json(ResponseUtils.error('Erreur lors de la récupération des éléments de portfolio', 500, error.message));
+  }
+});
+
+/**
+ * @route GET /api/portfolio/:walletAddress/platforms/:fetcherId
+ * @desc Récupère les éléments d'une seule plateforme (ID de fetcher, voir GET /api/fetchers)
+ * @params {number} timeout - Délai maximal du fetcher en ms (défaut: 30000)
+ */
+router.get('/:walletAddress/platforms/:fetcherId', async (req, res) => {
+  try {
+    const { walletAddress, fetcherId } = req.params;
+    const { timeout = 30000 } = req.query;
+
+    if (!networkService.isValidAddress(walletAddress, networkService.ADDRESS_SYSTEMS.SOLANA)) {
+      return res.status(400).json(ResponseUtils.error('Adresse Solana invalide', 400));
+    }
+
+    const fetcher = fetcherService.getFetcherById(fetcherId);
+    if (!fetcher) {
+      return res.status(404).json(ResponseUtils.error(`Fetcher ${fetcherId} non trouvé`, 404));
+    }
+    if (!fetcher.options.enabled) {
+      return res.status(503).json(ResponseUtils.error(`Fetcher ${fetcherId} désactivé par la configuration`, 503));
+    }
+
+    console.log(`Récupération de la plateforme ${fetcherId}: ${walletAddress}`);
+
+    const portfolio = await fetcherService.runFetchers([fetcher], walletAddress, fetcher.networkId, {
+      timeout: parseInt(timeout, 10) || 30000
+    });
+    const [fetcherStatus] = portfolio.fetcherStatuses;
+
+    // La plateforme n'a pas pu être interrogée : le signaler plutôt que de retourner une liste vide
+    if (fetcherStatus.status !== 'success') {
+      const statusCode = fetcherStatus.status === 'timeout' ? 504 : 502;
+      return res.status(statusCode).json(
+        ResponseUtils.error(`Plateforme ${fetcher.platformId} indisponible`, statusCode, fetcherStatus)
+      );
+    }
+
+    res.json(ResponseUtils.success({
+      ...portfolio,
+      fetcherId: fetcher.id,
+      platformId: fetcher.platformId,
+      platformType: fetcher.platformType
+    }));
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la plateforme:', error);
+    res.status(500).json(ResponseUtils.error('Erreur lors de la récupération de la plateforme', 500, error.message));
+  }
+});
+
 module.exports = router;
\ No newline at end of file
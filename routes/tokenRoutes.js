@@ -6,6 +6,7 @@ const birdeyeService = require('../services/birdeyeService');
 const coinGeckoService = require('../services/coinGeckoService');
 const cryptoCompareService = require('../services/cryptoCompareService');
 const jupiterService = require('../services/jupiterService');
+const priceService = require('../services/priceService');
 const heliusService = require('../services/heliusService');
 const responseUtils = require('../utils/responseUtils');
 
@@ -42,14 +43,52 @@ router.get('/info/:tokenAddress', async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /api/token/price-providers
+ * @description Liste les fournisseurs de prix enregistrés, leur rang de priorité et leur état de santé
+ * @access Public
+ */
+router.get('/price-providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: priceService.getProvidersStatus()
+  });
+});
+
 /**
  * @route GET /api/token/price/:tokenAddress
- * @description Récupère le prix actuel d'un token
+ * @description Récupère le prix actuel d'un token (mode=consensus pour agréger toutes les sources)
  * @access Public
  */
 router.get('/price/:tokenAddress', async (req, res, next) => {
   try {
     const { tokenAddress } = req.params;
+    const { mode, maxDeviation } = req.query;
+    
+    if (mode === 'consensus') {
+      const consensusPrice = await priceService.getConsensusPrice(tokenAddress, {
+        maxDeviation: parseFloat(maxDeviation)
+      });
+      
+      if (!consensusPrice) {
+        return res.status(404).json({
+          success: false,
+          message: `Aucune source n'a fourni de prix pour ${tokenAddress}`
+        });
+      }
+      
+      return res.json({
+        success: true,
+        priceData: consensusPrice
+      });
+    }
+    
+    if (mode) {
+      return res.status(400).json({
+        success: false,
+        message: `Mode de prix inconnu: ${mode} (modes disponibles: consensus)`
+      });
+    }
     
     // Récupération du prix via Birdeye
     const priceData = await birdeyeService.getTokenPrice(tokenAddress);
@@ -2,9 +2,11 @@ const axios = require('axios');
 const coinGeckoService = require('./coinGeckoService');
 const cryptoCompareService = require('./cryptoCompareService');
 const jupiterService = require('./jupiterService');
+const { PriceProvider } = require('./priceProviderService');
 
-class BirdeyeService {
+class BirdeyeService extends PriceProvider {
   constructor() {
+    super('birdeye');
     this.apiKey = process.env.BIRDEYE_API_KEY;
     this.baseURL = 'https://public-api.birdeye.so/v1';
     this.supportedTokens = null;
@@ -51,6 +53,20 @@ class BirdeyeService {
    * @returns {Promise<Object>} - Données historiques de prix
    */
   async getTokenPriceHistory(tokenAddress, fromTimestamp, toTimestamp, resolution = '1H') {
+    const history = await this._fetchPriceHistory(tokenAddress, fromTimestamp, toTimestamp, resolution);
+    return history || await this.getFallbackPriceHistory(tokenAddress, fromTimestamp, toTimestamp);
+  }
+
+  /**
+   * Récupère le prix historique d'un token via Birdeye uniquement, sans services de repli
+   * @private
+   * @param {string} tokenAddress - Adresse du token
+   * @param {number} fromTimestamp - Timestamp Unix de début (ms)
+   * @param {number} toTimestamp - Timestamp Unix de fin (ms)
+   * @param {string} resolution - Résolution des données ('1H', '1D', etc.)
+   * @returns {Promise<Object|null>} - Données historiques de prix ou null si Birdeye n'en fournit pas
+   */
+  async _fetchPriceHistory(tokenAddress, fromTimestamp, toTimestamp, resolution) {
     // Nombre maximum de tentatives
     const maxRetries = 3;
     let retries = 0;
@@ -80,6 +96,8 @@ class BirdeyeService {
         });
         
         if (response.status === 200) {
+          this.recordSuccess();
+          
           // Vérifier si la réponse contient des données
           if (response.data && Array.isArray(response.data.data) && response.data.data.length > 0) {
             console.log(`BirdEye: Succès - ${response.data.data.length} points de données historiques récupérés`);
@@ -117,8 +135,11 @@ class BirdeyeService {
       }
     }
     
-    console.error('BirdEye: Échec de la récupération de l\'historique des prix après plusieurs tentatives:', lastError?.message);
-    return await this.getFallbackPriceHistory(tokenAddress, fromTimestamp, toTimestamp);
+    if (lastError) {
+      this.recordFailure(lastError);
+      console.error('BirdEye: Échec de la récupération de l\'historique des prix après plusieurs tentatives:', lastError.message);
+    }
+    return null;
   }
 
   /**
@@ -128,6 +149,19 @@ class BirdeyeService {
    * @returns {Promise<Object|null>} - Données de prix ou null si non trouvé
    */
   async getHistoricalPrice(tokenAddress, timestamp) {
+    const priceData = await this.getHistoricalPriceByMint(tokenAddress, timestamp);
+    return priceData || await this.getFallbackHistoricalPrice(tokenAddress, timestamp);
+  }
+
+  /**
+   * Récupère le prix historique d'un token à un moment précis via Birdeye uniquement (contrat PriceProvider)
+   * @param {string} tokenAddress - Adresse du token
+   * @param {number} timestamp - Timestamp Unix en secondes
+   * @returns {Promise<Object|null>} - Données de prix ou null si non trouvé
+   */
+  async getHistoricalPriceByMint(tokenAddress, timestamp) {
+    if (!this.isEnabled()) return null;
+
     try {
       console.log(`BirdEye: Récupération du prix historique pour ${tokenAddress} au timestamp ${timestamp}`);
       
@@ -136,7 +170,7 @@ class BirdeyeService {
       const timeToSec = Math.floor(timestamp + 3600);   // 1 heure après
       
       // Obtenir une plage de prix autour du timestamp demandé
-      const response = await this.getTokenPriceHistory(
+      const response = await this._fetchPriceHistory(
         tokenAddress,
         timeFromSec * 1000,
         timeToSec * 1000,
@@ -170,11 +204,10 @@ class BirdeyeService {
         }
       }
       
-      // Si pas de données ou pas assez précis, utiliser les fallbacks
-      return await this.getFallbackHistoricalPrice(tokenAddress, timestamp);
+      return null;
     } catch (error) {
       console.error(`Erreur lors de la récupération du prix historique Birdeye pour ${tokenAddress}:`, error.message);
-      return await this.getFallbackHistoricalPrice(tokenAddress, timestamp);
+      return null;
     }
   }
 
@@ -339,6 +372,88 @@ class BirdeyeService {
     return await this.getFallbackPrice(tokenAddress);
   }
   
+  /**
+   * Récupère les prix actuels de plusieurs tokens via l'endpoint multi_price (100 adresses par requête)
+   * @param {Array<string>} tokenAddresses - Adresses des tokens
+   * @returns {Promise<Object>} - Prix indexés par adresse : { mint, price, priceUsd, updateUnixTime, source }
+   */
+  async getTokenPrices(tokenAddresses) {
+    const prices = {};
+    if (!this.isEnabled() || !Array.isArray(tokenAddresses) || tokenAddresses.length === 0) {
+      return prices;
+    }
+
+    for (let i = 0; i < tokenAddresses.length; i += 100) {
+      const chunk = tokenAddresses.slice(i, i + 100);
+
+      try {
+        const response = await axios.get(`${this.baseURL}/defi/multi_price`, {
+          params: {
+            list_address: chunk.join(',')
+          },
+          headers: {
+            'X-API-KEY': this.apiKey
+          },
+          timeout: 5000
+        });
+        this.recordSuccess();
+
+        for (const [address, data] of Object.entries(response.data?.data || {})) {
+          if (data && data.value > 0) {
+            prices[address] = {
+              mint: address,
+              price: data.value,
+              priceUsd: data.value,
+              updateUnixTime: data.updateUnixTime,
+              source: 'birdeye'
+            };
+          }
+        }
+      } catch (error) {
+        this.recordFailure(error);
+        console.warn(`Erreur Birdeye multi_price pour ${chunk.length} tokens: ${error.message}`);
+      }
+    }
+
+    return prices;
+  }
+
+  /**
+   * Récupère le prix actuel d'un token via Birdeye uniquement (contrat PriceProvider)
+   * @param {string} tokenAddress - Adresse du token
+   * @returns {Promise<Object|null>} - Données de prix ou null si non trouvé
+   */
+  async getTokenPriceByMint(tokenAddress) {
+    const prices = await this.getTokenPrices([tokenAddress]);
+    return prices[tokenAddress] || null;
+  }
+
+  /**
+   * Récupère les prix actuels de plusieurs tokens (contrat PriceProvider)
+   * @param {Array<string>} tokenAddresses - Adresses des tokens
+   * @returns {Promise<Object>} - Données de prix indexées par adresse
+   */
+  async getTokenPricesByMint(tokenAddresses) {
+    return this.getTokenPrices(tokenAddresses);
+  }
+
+  /**
+   * Birdeye valorise tous les tokens SPL, sous réserve d'une clé d'API
+   * @param {string} tokenAddress - Adresse du token
+   * @returns {Promise<boolean>}
+   */
+  async isTokenSupported(tokenAddress) {
+    return this.isEnabled();
+  }
+
+  /**
+   * Birdeye n'est interrogé que si BIRDEYE_API_KEY est définie
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !!this.apiKey;
+  }
+
   /**
    * Méthode de repli pour récupérer le prix via un autre service
    */
@@ -7,13 +7,15 @@ const CACHE_DIR = path.join(__dirname, '../data/cache');
 const PRICE_CACHE_FILE = path.join(CACHE_DIR, 'price-cache.json');
 const TOKEN_METADATA_CACHE_FILE = path.join(CACHE_DIR, 'token-metadata-cache.json');
 const NFT_CACHE_FILE = path.join(CACHE_DIR, 'nft-cache.json');
+const HISTORY_CACHE_FILE = path.join(CACHE_DIR, 'history-cache.json');
 
 // Durées de vie du cache (en millisecondes)
 const CACHE_TTL = {
   PRICES: 15 * 60 * 1000, // 15 minutes pour les prix
   TOKEN_METADATA: 24 * 60 * 60 * 1000, // 24 heures pour les métadonnées
   NFT_METADATA: 12 * 60 * 60 * 1000, // 12 heures pour les NFT
-  WALLET_DATA: 5 * 60 * 1000 // 5 minutes pour les données de portefeuille
+  WALLET_DATA: 5 * 60 * 1000, // 5 minutes pour les données de portefeuille
+  GENERIC: 5 * 60 * 1000 // 5 minutes par défaut pour les entrées génériques
 };
 
 // S'assurer que le répertoire de cache existe
@@ -56,7 +58,10 @@ const memoryCache = {
   prices: new Map(),
   tokenMetadata: new Map(),
   nftMetadata: new Map(),
-  walletData: new Map()
+  walletData: new Map(),
+  generic: new Map(),
+  // Historiques persistés (taux, croissances) qui doivent survivre aux redémarrages
+  history: null
 };
 
 /**
@@ -106,11 +111,15 @@ async function prefetchPopularTokens() {
   }
 }
 
-// Préchargement au démarrage
-setTimeout(prefetchPopularTokens, 1000);
+// Les minuteries ne maintiennent pas le processus en vie (scripts, tests) ;
+// le préchargement est désactivé en test pour éviter tout appel réseau
+if (process.env.NODE_ENV !== 'test') {
+  // Préchargement au démarrage
+  setTimeout(prefetchPopularTokens, 1000).unref();
 
-// Préchargement périodique (toutes les 10 minutes)
-setInterval(prefetchPopularTokens, 10 * 60 * 1000);
+  // Préchargement périodique (toutes les 10 minutes)
+  setInterval(prefetchPopularTokens, 10 * 60 * 1000).unref();
+}
 
 // Service de cache
 const cacheService = {
@@ -159,6 +168,25 @@ const cacheService = {
     }
   },
 
+  /**
+   * Charge le cache d'historiques depuis le disque (une seule fois par processus)
+   * Appelé à la demande : les historiques doivent être disponibles même sans initialisation du serveur
+   */
+  initializeHistoryCache: function() {
+    if (memoryCache.history) return;
+
+    memoryCache.history = new Map();
+    try {
+      const historyCache = loadCache(HISTORY_CACHE_FILE);
+      Object.keys(historyCache).forEach(key => {
+        memoryCache.history.set(key, historyCache[key]);
+      });
+      console.log(`Cache d'historiques chargé: ${memoryCache.history.size} entrées`);
+    } catch (err) {
+      console.error('Erreur lors de l\'initialisation du cache d\'historiques:', err);
+    }
+  },
+
   /**
    * Initialise tous les caches
    */
@@ -166,6 +194,7 @@ const cacheService = {
     this.initializePriceCache();
     this.initializeTokenMetadataCache();
     this.initializeNFTCache();
+    this.initializeHistoryCache();
   },
 
   /**
@@ -296,6 +325,68 @@ const cacheService = {
     });
   },
   
+  /**
+   * Obtient une entrée générique du cache en mémoire
+   * @param {string} key - La clé de l'entrée
+   * @returns {*} La valeur en cache ou null
+   */
+  get: function(key) {
+    const cacheEntry = memoryCache.generic.get(key);
+    if (cacheEntry && !isExpired(cacheEntry, cacheEntry.ttl)) {
+      return cacheEntry.data;
+    }
+    return null;
+  },
+
+  /**
+   * Définit une entrée générique dans le cache en mémoire
+   * @param {string} key - La clé de l'entrée
+   * @param {*} value - La valeur à mettre en cache
+   * @param {number} ttlSeconds - Durée de vie en secondes
+   */
+  set: function(key, value, ttlSeconds) {
+    memoryCache.generic.set(key, {
+      timestamp: Date.now(),
+      ttl: ttlSeconds ? ttlSeconds * 1000 : CACHE_TTL.GENERIC,
+      data: value
+    });
+  },
+  
+  /**
+   * Obtient un historique persisté (conservé entre les redémarrages)
+   * @param {string} key - La clé de l'historique
+   * @returns {*} L'historique ou null
+   */
+  getHistory: function(key) {
+    this.initializeHistoryCache();
+    const cacheEntry = memoryCache.history.get(key);
+    if (cacheEntry && !isExpired(cacheEntry, cacheEntry.ttl)) {
+      return cacheEntry.data;
+    }
+    return null;
+  },
+
+  /**
+   * Définit un historique persisté et sauvegarde le fichier d'historiques
+   * @param {string} key - La clé de l'historique
+   * @param {*} value - L'historique à conserver
+   * @param {number} ttlSeconds - Durée de vie en secondes depuis la dernière mise à jour
+   */
+  setHistory: function(key, value, ttlSeconds) {
+    this.initializeHistoryCache();
+    memoryCache.history.set(key, {
+      timestamp: Date.now(),
+      ttl: ttlSeconds ? ttlSeconds * 1000 : CACHE_TTL.GENERIC,
+      data: value
+    });
+
+    const historyCache = {};
+    memoryCache.history.forEach((entry, entryKey) => {
+      historyCache[entryKey] = entry;
+    });
+    saveCache(HISTORY_CACHE_FILE, historyCache);
+  },
+
   /**
    * Nettoie les entrées expirées du cache en mémoire
    */
@@ -327,6 +418,22 @@ const cacheService = {
         memoryCache.walletData.delete(key);
       }
     });
+    
+    // Nettoyage du cache générique
+    memoryCache.generic.forEach((value, key) => {
+      if (isExpired(value, value.ttl)) {
+        memoryCache.generic.delete(key);
+      }
+    });
+
+    // Nettoyage du cache d'historiques
+    if (memoryCache.history) {
+      memoryCache.history.forEach((value, key) => {
+        if (isExpired(value, value.ttl)) {
+          memoryCache.history.delete(key);
+        }
+      });
+    }
   }
 };
 
@@ -334,6 +441,6 @@ const cacheService = {
 setInterval(() => {
   cacheService.cleanupCache();
   console.log('Nettoyage du cache effectué');
-}, 30 * 60 * 1000);
+}, 30 * 60 * 1000).unref();
 
 module.exports = cacheService;
\ No newline at end of file
@@ -1,7 +1,9 @@
 const axios = require('axios');
+const { PriceProvider } = require('./priceProviderService');
 
-class CoinGeckoService {
+class CoinGeckoService extends PriceProvider {
   constructor() {
+    super('coingecko');
     this.apiKey = process.env.COINGECKO_API_KEY || null;
     this.baseURL = this.apiKey 
       ? 'https://pro-api.coingecko.com/api/v3' 
@@ -212,7 +214,8 @@ class CoinGeckoService {
           name: tokenId.charAt(0).toUpperCase() + tokenId.slice(1).replace('-', ' '),
           price: priceData[tokenId].usd,
           priceUsd: priceData[tokenId].usd,
-          change24h: priceData[tokenId].usd_24h_change || 0
+          change24h: priceData[tokenId].usd_24h_change || 0,
+          source: 'coingecko'
         };
       }
       
@@ -264,6 +267,78 @@ class CoinGeckoService {
     }
   }
   
+  /**
+   * Récupère le prix actuel d'un token via son adresse mint (contrat PriceProvider)
+   * @param {string} tokenMint - Adresse du token
+   * @returns {Promise<Object|null>} - Données de prix ou null si le token n'est pas référencé
+   */
+  async getTokenPriceByMint(tokenMint) {
+    if (!this.tokenAddressToId[tokenMint]) return null;
+
+    const prices = await this.getTokenPricesByMint([tokenMint]);
+    return prices[tokenMint] || null;
+  }
+
+  /**
+   * Récupère les prix actuels de plusieurs tokens en une requête simple/price (contrat PriceProvider)
+   * @param {Array<string>} tokenMints - Adresses des tokens
+   * @returns {Promise<Object>} - Données de prix indexées par adresse (tokens non référencés absents)
+   */
+  async getTokenPricesByMint(tokenMints) {
+    const prices = {};
+    const supportedMints = tokenMints.filter(mint => this.tokenAddressToId[mint]);
+    if (supportedMints.length === 0) return prices;
+
+    try {
+      const ids = [...new Set(supportedMints.map(mint => this.tokenAddressToId[mint]))];
+      const priceData = await this.getPrice(ids.join(','), 'usd');
+      this.recordSuccess();
+
+      for (const mint of supportedMints) {
+        const tokenId = this.tokenAddressToId[mint];
+        const price = priceData?.[tokenId]?.usd;
+
+        if (price > 0) {
+          prices[mint] = {
+            mint,
+            symbol: tokenId.toUpperCase(),
+            price,
+            priceUsd: price,
+            change24h: priceData[tokenId].usd_24h_change || 0,
+            source: 'coingecko'
+          };
+        }
+      }
+    } catch (error) {
+      this.recordFailure(error);
+      console.error(`Erreur lors de la récupération des prix via CoinGecko pour ${supportedMints.length} tokens:`, error.message);
+    }
+
+    return prices;
+  }
+
+  /**
+   * Récupère le prix d'un token à un instant précis via son adresse mint (contrat PriceProvider)
+   * @param {string} tokenMint - Adresse du token
+   * @param {number} timestamp - Timestamp Unix en secondes
+   * @returns {Promise<Object|null>} - Données de prix ou null si non trouvé
+   */
+  async getHistoricalPriceByMint(tokenMint, timestamp) {
+    if (!this.tokenAddressToId[tokenMint]) return null;
+
+    const priceData = await this.getHistoricalPrice(tokenMint, timestamp);
+    return priceData ? { ...priceData, mint: tokenMint, priceUsd: priceData.price } : null;
+  }
+
+  /**
+   * Seuls les tokens de la table de correspondance ont un ID CoinGecko connu
+   * @param {string} tokenMint - Adresse du token
+   * @returns {Promise<boolean>}
+   */
+  async isTokenSupported(tokenMint) {
+    return !!this.tokenAddressToId[tokenMint];
+  }
+
   /**
    * Récupère le prix de SOL en USD
    * @returns {Promise<Object>} Prix de SOL
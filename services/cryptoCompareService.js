@@ -1,7 +1,9 @@
 const axios = require('axios');
+const { PriceProvider } = require('./priceProviderService');
 
-class CryptoCompareService {
+class CryptoCompareService extends PriceProvider {
   constructor() {
+    super('cryptocompare');
     this.apiKey = process.env.CRYPTOCOMPARE_API_KEY;
     this.baseURL = 'https://min-api.cryptocompare.com/data';
     
@@ -205,7 +207,8 @@ class CryptoCompareService {
           name: symbol, // Nom simpliste
           price: priceData.USD,
           priceUsd: priceData.USD,
-          change24h: 0 // CryptoCompare nécessite un autre appel pour obtenir le changement sur 24h
+          change24h: 0, // CryptoCompare nécessite un autre appel pour obtenir le changement sur 24h
+          source: 'cryptocompare'
         };
       }
       
@@ -253,6 +256,77 @@ class CryptoCompareService {
     }
   }
 
+  /**
+   * Récupère le prix actuel d'un token via son adresse mint (contrat PriceProvider)
+   * @param {string} tokenMint - Adresse du token
+   * @returns {Promise<Object|null>} - Données de prix ou null si le token n'est pas référencé
+   */
+  async getTokenPriceByMint(tokenMint) {
+    if (!this.tokenAddressToSymbol[tokenMint]) return null;
+
+    const prices = await this.getTokenPricesByMint([tokenMint]);
+    return prices[tokenMint] || null;
+  }
+
+  /**
+   * Récupère les prix actuels de plusieurs tokens en une requête pricemulti (contrat PriceProvider)
+   * @param {Array<string>} tokenMints - Adresses des tokens
+   * @returns {Promise<Object>} - Données de prix indexées par adresse (tokens non référencés absents)
+   */
+  async getTokenPricesByMint(tokenMints) {
+    const prices = {};
+    const supportedMints = tokenMints.filter(mint => this.tokenAddressToSymbol[mint]);
+    if (supportedMints.length === 0) return prices;
+
+    try {
+      const symbols = [...new Set(supportedMints.map(mint => this.tokenAddressToSymbol[mint]))];
+      const response = await axios.get(`${this.baseURL}/pricemulti`, {
+        params: {
+          fsyms: symbols.join(','),
+          tsyms: 'USD',
+          api_key: this.apiKey
+        }
+      });
+      this.recordSuccess();
+
+      for (const mint of supportedMints) {
+        const symbol = this.tokenAddressToSymbol[mint];
+        const price = response.data?.[symbol]?.USD;
+
+        if (price > 0) {
+          prices[mint] = { mint, symbol, price, priceUsd: price, source: 'cryptocompare' };
+        }
+      }
+    } catch (error) {
+      this.recordFailure(error);
+      console.error(`Erreur lors de la récupération des prix via CryptoCompare pour ${supportedMints.length} tokens:`, error.message);
+    }
+
+    return prices;
+  }
+
+  /**
+   * Récupère le prix d'un token à un instant précis via son adresse mint (contrat PriceProvider)
+   * @param {string} tokenMint - Adresse du token
+   * @param {number} timestamp - Timestamp Unix en secondes
+   * @returns {Promise<Object|null>} - Données de prix ou null si non trouvé
+   */
+  async getHistoricalPriceByMint(tokenMint, timestamp) {
+    if (!this.tokenAddressToSymbol[tokenMint]) return null;
+
+    const priceData = await this.getHistoricalPrice(tokenMint, timestamp);
+    return priceData ? { ...priceData, mint: tokenMint, priceUsd: priceData.price } : null;
+  }
+
+  /**
+   * Seuls les tokens de la table de correspondance ont un symbole CryptoCompare connu
+   * @param {string} tokenMint - Adresse du token
+   * @returns {Promise<boolean>}
+   */
+  async isTokenSupported(tokenMint) {
+    return !!this.tokenAddressToSymbol[tokenMint];
+  }
+
   /**
    * Récupère le prix de SOL en USD
    * @returns {Promise<Object>} Prix de SOL
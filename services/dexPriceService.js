@@ -0,0 +1,363 @@
+/**
+ * Fournisseur de prix on-chain pour les tokens de longue traîne (contrat PriceProvider)
+ * Cherche le pool le plus profond d'un token contre SOL ou USDC (Raydium AMM v4 et CLMM,
+ * Orca Whirlpool, Meteora DLMM), lit ses réserves ou son prix racine directement dans les
+ * comptes du pool et convertit le prix en USD via le prix du SOL
+ */
+const crypto = require('crypto');
+const { PriceProvider } = require('./priceProviderService');
+const cacheService = require('./cacheService');
+const { readU8, readU64, toUiAmount } = require('../utils/bufferUtils');
+const { sqrtPriceX64ToNumber, sqrtPriceToPrice } = require('../utils/clmmUtils');
+// Les services on-chain sont chargés à la demande : solanaWebService -> priceService -> dexPriceService
+
+// Tokens de cotation acceptés
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const QUOTE_MINTS = [SOL_MINT, USDC_MINT];
+
+// Offsets dans les comptes Mint et de token SPL
+const MINT_DECIMALS_OFFSET = 44;
+const TOKEN_ACCOUNT_AMOUNT_OFFSET = 64;
+
+// Liquidité minimale (USD) d'un pool pour que son prix soit retenu (défaut: 1000)
+const MIN_LIQUIDITY_USD = parseFloat(process.env.DEX_PRICE_MIN_LIQUIDITY_USD) || 1000;
+
+// Durée (secondes) pendant laquelle un token sans pool exploitable n'est plus recherché (défaut: 1800)
+const NEGATIVE_CACHE_TTL = parseInt(process.env.DEX_PRICE_NEGATIVE_CACHE_TTL, 10) || 1800;
+
+// Nombre maximal de tokens recherchés par appel groupé, les suivants restent sans prix (défaut: 10)
+const MAX_MINTS_PER_BATCH = parseInt(process.env.DEX_PRICE_MAX_MINTS_PER_BATCH, 10) || 10;
+
+/**
+ * Calcule le discriminateur Anchor d'un type de compte
+ * @param {string} accountName - Nom du compte Anchor
+ * @returns {Buffer} 8 premiers octets de sha256("account:<nom>")
+ */
+function getAccountDiscriminator(accountName) {
+  return crypto.createHash('sha256').update(`account:${accountName}`).digest().subarray(0, 8);
+}
+
+const CLMM_POOL_DISCRIMINATOR = getAccountDiscriminator('PoolState');
+const WHIRLPOOL_DISCRIMINATOR = getAccountDiscriminator('Whirlpool');
+const LB_PAIR_DISCRIMINATOR = getAccountDiscriminator('LbPair');
+
+class DexPriceService extends PriceProvider {
+  constructor() {
+    super('dex');
+    // Chaque token coûte plusieurs getProgramAccounts : limiter les recherches simultanées
+    this.concurrency = 4;
+  }
+
+  /**
+   * Récupère le prix d'un token à partir du pool SOL/USDC le plus profond (contrat PriceProvider)
+   * @param {string} tokenMint - Adresse du token
+   * @returns {Promise<Object|null>} - { mint, price, priceUsd, liquidityUsd, dex, poolAddress, quoteMint, source } ou null
+   */
+  async getTokenPriceByMint(tokenMint) {
+    if (!(await this.isTokenSupported(tokenMint))) return null;
+
+    const { quotes, failedDexes } = await this.getPoolQuotes(tokenMint);
+    const deepestPool = quotes
+      .filter(pool => pool.liquidityUsd >= MIN_LIQUIDITY_USD)
+      .sort((a, b) => b.liquidityUsd - a.liquidityUsd)[0];
+
+    if (!deepestPool) {
+      console.log(`[DexPriceService] Aucun pool SOL/USDC d'au moins ${MIN_LIQUIDITY_USD} USD de liquidité pour ${tokenMint}`);
+      // Une recherche interrompue par une erreur RPC n'est pas mise en cache
+      if (failedDexes.length === 0) {
+        cacheService.set(`dex_price_miss_${tokenMint}`, true, NEGATIVE_CACHE_TTL);
+      }
+      return null;
+    }
+
+    return {
+      mint: tokenMint,
+      price: deepestPool.priceUsd,
+      priceUsd: deepestPool.priceUsd,
+      liquidityUsd: deepestPool.liquidityUsd,
+      dex: deepestPool.dex,
+      poolAddress: deepestPool.poolAddress,
+      quoteMint: deepestPool.quoteMint,
+      priceInQuote: deepestPool.priceInQuote,
+      source: 'dex'
+    };
+  }
+
+  /**
+   * Récupère les prix de plusieurs tokens (contrat PriceProvider)
+   * Seuls les MAX_MINTS_PER_BATCH premiers tokens sans résultat négatif en cache sont recherchés
+   * @param {Array<string>} tokenMints - Adresses des tokens
+   * @returns {Promise<Object>} - Données de prix indexées par adresse (tokens non trouvés absents)
+   */
+  async getTokenPricesByMint(tokenMints) {
+    const candidates = [];
+    for (const mint of tokenMints) {
+      if (await this.isTokenSupported(mint)) candidates.push(mint);
+    }
+
+    if (candidates.length > MAX_MINTS_PER_BATCH) {
+      console.warn(`[DexPriceService] ${candidates.length} tokens à rechercher, seuls les ${MAX_MINTS_PER_BATCH} premiers sont évalués`);
+    }
+
+    return super.getTokenPricesByMint(candidates.slice(0, MAX_MINTS_PER_BATCH));
+  }
+
+  /**
+   * Indique si le token peut être recherché : ni token de cotation, ni absence de pool récemment constatée
+   * @param {string} tokenMint - Adresse du token
+   * @returns {Promise<boolean>}
+   */
+  async isTokenSupported(tokenMint) {
+    return !!tokenMint && !QUOTE_MINTS.includes(tokenMint) && !cacheService.get(`dex_price_miss_${tokenMint}`);
+  }
+
+  /**
+   * Les pools ne fournissent pas d'historique de prix (contrat PriceProvider)
+   * @returns {Promise<null>}
+   */
+  async getHistoricalPriceByMint(tokenMint, timestamp) {
+    return null;
+  }
+
+  /**
+   * Évalue tous les pools d'un token contre SOL ou USDC
+   * @param {string} tokenMint - Adresse du token
+   * @returns {Promise<Object>} - { quotes, failedDexes } : pools avec prix du token (en token de cotation
+   * et en USD) et liquidité en USD, et DEX dont la recherche a échoué
+   */
+  async getPoolQuotes(tokenMint) {
+    const solanaWebService = require('./solanaWebService');
+    const { pools, failedDexes } = await this._findPools(tokenMint);
+    if (pools.length === 0) return { quotes: [], failedDexes };
+
+    // Vaults et mints de tous les pools en un seul appel
+    const accounts = await solanaWebService.getMultipleAccounts(
+      pools.flatMap(pool => [pool.vaultA, pool.vaultB, pool.mintA, pool.mintB])
+    );
+
+    const quoteUsdPrices = { [USDC_MINT]: 1 };
+    if (pools.some(pool => pool.mintA === SOL_MINT || pool.mintB === SOL_MINT)) {
+      const priceService = require('./priceService');
+      const solPrice = await priceService.getCurrentPrice(SOL_MINT);
+      quoteUsdPrices[SOL_MINT] = solPrice?.price || 0;
+    }
+
+    const quotes = [];
+    for (const pool of pools) {
+      const decimalsA = pool.decimalsA ?? (accounts[pool.mintA] ? readU8(accounts[pool.mintA].data, MINT_DECIMALS_OFFSET) : null);
+      const decimalsB = pool.decimalsB ?? (accounts[pool.mintB] ? readU8(accounts[pool.mintB].data, MINT_DECIMALS_OFFSET) : null);
+      if (decimalsA === null || decimalsB === null || !accounts[pool.vaultA] || !accounts[pool.vaultB]) continue;
+
+      const rawReserveA = readU64(accounts[pool.vaultA].data, TOKEN_ACCOUNT_AMOUNT_OFFSET) - (pool.pnlA || 0n);
+      const rawReserveB = readU64(accounts[pool.vaultB].data, TOKEN_ACCOUNT_AMOUNT_OFFSET) - (pool.pnlB || 0n);
+      const reserveA = rawReserveA > 0n ? toUiAmount(rawReserveA, decimalsA) : 0;
+      const reserveB = rawReserveB > 0n ? toUiAmount(rawReserveB, decimalsB) : 0;
+
+      // Prix du token A en token B : prix racine pour la liquidité concentrée, ratio des réserves sinon
+      const priceAInB = pool.getPriceAInB ? pool.getPriceAInB(decimalsA, decimalsB) : (reserveA > 0 ? reserveB / reserveA : 0);
+      if (!(priceAInB > 0) || !isFinite(priceAInB)) continue;
+
+      const tokenIsA = pool.mintA === tokenMint;
+      const quoteMint = tokenIsA ? pool.mintB : pool.mintA;
+      const quoteUsd = quoteUsdPrices[quoteMint] || 0;
+      const priceInQuote = tokenIsA ? priceAInB : 1 / priceAInB;
+      const tokenReserve = tokenIsA ? reserveA : reserveB;
+      const quoteReserve = tokenIsA ? reserveB : reserveA;
+
+      quotes.push({
+        dex: pool.dex,
+        poolAddress: pool.poolAddress,
+        quoteMint,
+        priceInQuote,
+        priceUsd: priceInQuote * quoteUsd,
+        liquidityUsd: (quoteReserve + tokenReserve * priceInQuote) * quoteUsd
+      });
+    }
+
+    return { quotes, failedDexes };
+  }
+
+  /**
+   * Recherche les pools d'un token contre SOL ou USDC sur chaque DEX
+   * Un DEX en échec n'empêche pas d'évaluer les pools des autres
+   * @private
+   * @param {string} tokenMint - Adresse du token
+   * @returns {Promise<Object>} - { pools, failedDexes } : pools normalisés { dex, poolAddress, mintA, mintB, vaultA, vaultB, ... }
+   */
+  async _findPools(tokenMint) {
+    const finders = [
+      { dex: 'raydium-amm', find: () => this._findRaydiumAmmPools(tokenMint) },
+      { dex: 'raydium-clmm', find: () => this._findRaydiumClmmPools(tokenMint) },
+      { dex: 'orca-whirlpool', find: () => this._findWhirlpools(tokenMint) },
+      { dex: 'meteora-dlmm', find: () => this._findDlmmPools(tokenMint) }
+    ];
+
+    const failedDexes = [];
+    const results = await Promise.all(finders.map(async (finder) => {
+      try {
+        const pools = await finder.find();
+        this.recordSuccess();
+        return pools;
+      } catch (error) {
+        this.recordFailure(error);
+        failedDexes.push(finder.dex);
+        console.warn(`[DexPriceService] Erreur lors de la recherche des pools ${finder.dex} pour ${tokenMint}: ${error.message}`);
+        return [];
+      }
+    }));
+
+    const pools = results
+      .flat()
+      .filter(pool => pool.mintA !== pool.mintB)
+      .filter(pool => (pool.mintA === tokenMint && QUOTE_MINTS.includes(pool.mintB)) ||
+        (pool.mintB === tokenMint && QUOTE_MINTS.includes(pool.mintA)));
+
+    return { pools, failedDexes };
+  }
+
+  /**
+   * Récupère les comptes d'un programme dont l'un des deux champs mint vaut le token
+   * @private
+   * @param {string} programId - Programme du DEX
+   * @param {Array<number>} mintOffsets - Offsets des deux mints du pool
+   * @param {string} tokenMint - Adresse du token
+   * @param {Array} [filters] - Filtres supplémentaires (dataSize)
+   * @returns {Promise<Array>} Comptes bruts
+   */
+  async _getPoolAccountsByMint(programId, mintOffsets, tokenMint, filters = []) {
+    const solanaWebService = require('./solanaWebService');
+    const results = await Promise.all(mintOffsets.map(offset => solanaWebService.getProgramAccounts(programId, [
+      ...filters,
+      { memcmp: { offset, bytes: tokenMint } }
+    ])));
+
+    return results.flat();
+  }
+
+  /**
+   * Pools Raydium AMM v4 : prix déduit du ratio des réserves (hors PnL à prélever)
+   * @private
+   */
+  async _findRaydiumAmmPools(tokenMint) {
+    const raydiumService = require('./raydiumService');
+    const layout = raydiumService.AMM_INFO_LAYOUT;
+    const accounts = await this._getPoolAccountsByMint(
+      raydiumService.RAYDIUM_AMM_PROGRAM_ID,
+      [layout.BASE_MINT, layout.QUOTE_MINT],
+      tokenMint,
+      [{ dataSize: layout.SIZE }]
+    );
+
+    return accounts.map(account => {
+      const pool = raydiumService.decodeAmmInfo(account.data);
+      return {
+        dex: 'raydium-amm',
+        poolAddress: account.address,
+        mintA: pool.baseMint,
+        mintB: pool.quoteMint,
+        vaultA: pool.baseVault,
+        vaultB: pool.quoteVault,
+        decimalsA: pool.baseDecimals,
+        decimalsB: pool.quoteDecimals,
+        pnlA: pool.baseNeedTakePnl,
+        pnlB: pool.quoteNeedTakePnl
+      };
+    });
+  }
+
+  /**
+   * Pools Raydium CLMM : prix déduit du prix racine courant
+   * @private
+   */
+  async _findRaydiumClmmPools(tokenMint) {
+    const raydiumService = require('./raydiumService');
+    const layout = raydiumService.CLMM_POOL_LAYOUT;
+    const accounts = await this._getPoolAccountsByMint(
+      raydiumService.RAYDIUM_CLMM_PROGRAM_ID,
+      [layout.TOKEN_MINT_0, layout.TOKEN_MINT_1],
+      tokenMint,
+      [{ dataSize: layout.SIZE }]
+    );
+
+    return accounts
+      .filter(account => account.data.subarray(0, 8).equals(CLMM_POOL_DISCRIMINATOR))
+      .map(account => {
+        const pool = raydiumService.decodeClmmPool(account.data);
+        return {
+          dex: 'raydium-clmm',
+          poolAddress: account.address,
+          mintA: pool.tokenMint0,
+          mintB: pool.tokenMint1,
+          vaultA: pool.tokenVault0,
+          vaultB: pool.tokenVault1,
+          decimalsA: pool.mintDecimals0,
+          decimalsB: pool.mintDecimals1,
+          getPriceAInB: (decimalsA, decimalsB) => sqrtPriceToPrice(sqrtPriceX64ToNumber(pool.sqrtPriceX64), decimalsA, decimalsB)
+        };
+      });
+  }
+
+  /**
+   * Whirlpools Orca : prix déduit du prix racine courant
+   * @private
+   */
+  async _findWhirlpools(tokenMint) {
+    const orcaService = require('./orcaService');
+    const layout = orcaService.WHIRLPOOL_LAYOUT;
+    const accounts = await this._getPoolAccountsByMint(
+      orcaService.ORCA_WHIRLPOOL_PROGRAM_ID,
+      [layout.TOKEN_MINT_A, layout.TOKEN_MINT_B],
+      tokenMint,
+      [{ dataSize: layout.SIZE }]
+    );
+
+    return accounts
+      .filter(account => account.data.subarray(0, 8).equals(WHIRLPOOL_DISCRIMINATOR))
+      .map(account => {
+        const whirlpool = orcaService.decodeWhirlpool(account.data);
+        return {
+          dex: 'orca-whirlpool',
+          poolAddress: account.address,
+          mintA: whirlpool.tokenMintA,
+          mintB: whirlpool.tokenMintB,
+          vaultA: whirlpool.tokenVaultA,
+          vaultB: whirlpool.tokenVaultB,
+          getPriceAInB: (decimalsA, decimalsB) => sqrtPriceToPrice(sqrtPriceX64ToNumber(whirlpool.sqrtPrice), decimalsA, decimalsB)
+        };
+      });
+  }
+
+  /**
+   * Paires Meteora DLMM : prix du bin actif
+   * @private
+   */
+  async _findDlmmPools(tokenMint) {
+    const meteoraService = require('./meteoraService');
+    const layout = meteoraService.LB_PAIR_LAYOUT;
+    const accounts = await this._getPoolAccountsByMint(
+      meteoraService.METEORA_DLMM_PROGRAM_ID,
+      [layout.TOKEN_X_MINT, layout.TOKEN_Y_MINT],
+      tokenMint,
+      [{ dataSize: layout.SIZE }]
+    );
+
+    return accounts
+      .filter(account => account.data.subarray(0, 8).equals(LB_PAIR_DISCRIMINATOR))
+      .map(account => {
+        const pair = meteoraService.decodeLbPair(account.data);
+        return {
+          dex: 'meteora-dlmm',
+          poolAddress: account.address,
+          mintA: pair.tokenXMint,
+          mintB: pair.tokenYMint,
+          vaultA: pair.reserveX,
+          vaultB: pair.reserveY,
+          getPriceAInB: (decimalsA, decimalsB) => meteoraService.getBinPrice(pair.activeId, pair.binStep, decimalsA, decimalsB)
+        };
+      });
+  }
+}
+
+// Exporter une instance
+module.exports = new DexPriceService();
@@ -0,0 +1,489 @@
+/**
+ * Service pour interagir avec Drift v2 (lending et perpétuels)
+ * Décode les comptes User, SpotMarket et PerpMarket du programme pour reconstituer
+ * les dépôts, emprunts, positions perps et la santé (marge de maintenance) du compte
+ */
+const { PublicKey } = require('@solana/web3.js');
+const solanaWebService = require('./solanaWebService');
+const tokenMetadataService = require('./tokenMetadataService');
+const {
+  readPubkey,
+  readU8,
+  readU16,
+  readU32,
+  readU64,
+  readI64,
+  readU128
+} = require('../utils/bufferUtils');
+const { computeLendingRisk } = require('../utils/lendingUtils');
+
+// Constantes
+const DRIFT_PROGRAM_ID = 'dRiftyHA39MWEi3m9aunc5MzRF1JYuBsbn6VPcn33UH';
+// Précisions des montants Drift
+const PRICE_PRECISION = 1e6;
+const QUOTE_PRECISION = 1e6;
+const BASE_PRECISION = 1e9;
+const SPOT_WEIGHT_PRECISION = 1e4;
+const MARGIN_PRECISION = 1e4;
+// scaled_balance (1e9) x intérêt cumulé (1e10) donne directement le montant UI
+const SPOT_BALANCE_TO_UI = 1e19;
+
+// Statuts du compte User (bitflags)
+const USER_STATUS = {
+  BEING_LIQUIDATED: 1,
+  BANKRUPT: 2,
+  REDUCE_ONLY: 4
+};
+
+/**
+ * Layout du compte User (offsets en octets, discriminateur Anchor inclus)
+ */
+const USER_LAYOUT = {
+  SIZE: 4376,
+  AUTHORITY: 8,
+  NAME: 72,
+  SPOT_POSITIONS: 104,
+  SPOT_POSITIONS_COUNT: 8,
+  SPOT_POSITION_SIZE: 40,
+  PERP_POSITIONS: 424,
+  PERP_POSITIONS_COUNT: 8,
+  PERP_POSITION_SIZE: 96,
+  SUB_ACCOUNT_ID: 4346,
+  STATUS: 4348
+};
+
+/**
+ * Offsets relatifs à une entrée SpotPosition
+ */
+const SPOT_POSITION_LAYOUT = {
+  SCALED_BALANCE: 0,
+  MARKET_INDEX: 32,
+  BALANCE_TYPE: 34
+};
+
+/**
+ * Offsets relatifs à une entrée PerpPosition
+ */
+const PERP_POSITION_LAYOUT = {
+  BASE_ASSET_AMOUNT: 8,
+  QUOTE_ASSET_AMOUNT: 16,
+  QUOTE_ENTRY_AMOUNT: 32,
+  SETTLED_PNL: 56,
+  MARKET_INDEX: 92
+};
+
+/**
+ * Layout du compte SpotMarket (offsets en octets, discriminateur Anchor inclus)
+ */
+const SPOT_MARKET_LAYOUT = {
+  MINT: 72,
+  NAME: 136,
+  LAST_ORACLE_PRICE: 168,
+  DEPOSIT_BALANCE: 432,
+  BORROW_BALANCE: 448,
+  CUMULATIVE_DEPOSIT_INTEREST: 464,
+  CUMULATIVE_BORROW_INTEREST: 480,
+  INITIAL_ASSET_WEIGHT: 640,
+  MAINTENANCE_ASSET_WEIGHT: 644,
+  INITIAL_LIABILITY_WEIGHT: 648,
+  MAINTENANCE_LIABILITY_WEIGHT: 652,
+  DECIMALS: 680,
+  MARKET_INDEX: 684
+};
+
+/**
+ * Layout du compte PerpMarket (offsets en octets, discriminateur Anchor inclus)
+ */
+const PERP_MARKET_LAYOUT = {
+  LAST_ORACLE_PRICE: 72,
+  NAME: 1000,
+  MARGIN_RATIO_INITIAL: 1136,
+  MARGIN_RATIO_MAINTENANCE: 1140
+};
+
+/**
+ * Lit un nom Drift (32 octets UTF-8 complétés par des espaces)
+ * @param {Buffer} data - Données du compte
+ * @param {number} offset - Position de lecture
+ * @returns {string}
+ */
+function readName(data, offset) {
+  return data.subarray(offset, offset + 32).toString('utf8').replace(/\0/g, '').trim();
+}
+
+/**
+ * Calcule l'adresse (PDA) du compte State de Drift
+ * @returns {string}
+ */
+function getStateAddress() {
+  const [address] = PublicKey.findProgramAddressSync(
+    [Buffer.from('drift_state')],
+    new PublicKey(DRIFT_PROGRAM_ID)
+  );
+  return address.toBase58();
+}
+
+/**
+ * Calcule l'adresse (PDA) d'un marché spot ou perp
+ * @param {string} seed - 'spot_market' ou 'perp_market'
+ * @param {number} marketIndex - Index du marché
+ * @returns {string}
+ */
+function getMarketAddress(seed, marketIndex) {
+  const indexBuffer = Buffer.alloc(2);
+  indexBuffer.writeUInt16LE(marketIndex);
+
+  const [address] = PublicKey.findProgramAddressSync(
+    [Buffer.from(seed), indexBuffer],
+    new PublicKey(DRIFT_PROGRAM_ID)
+  );
+  return address.toBase58();
+}
+
+/**
+ * Décode un compte User
+ * @param {Buffer} data - Données brutes du compte
+ * @returns {Object} Compte décodé (montants bruts)
+ */
+function decodeUser(data) {
+  const spotPositions = [];
+  for (let i = 0; i < USER_LAYOUT.SPOT_POSITIONS_COUNT; i++) {
+    const offset = USER_LAYOUT.SPOT_POSITIONS + i * USER_LAYOUT.SPOT_POSITION_SIZE;
+    const scaledBalance = readU64(data, offset + SPOT_POSITION_LAYOUT.SCALED_BALANCE);
+    if (scaledBalance === 0n) continue;
+
+    spotPositions.push({
+      marketIndex: readU16(data, offset + SPOT_POSITION_LAYOUT.MARKET_INDEX),
+      scaledBalance,
+      isDeposit: readU8(data, offset + SPOT_POSITION_LAYOUT.BALANCE_TYPE) === 0
+    });
+  }
+
+  const perpPositions = [];
+  for (let i = 0; i < USER_LAYOUT.PERP_POSITIONS_COUNT; i++) {
+    const offset = USER_LAYOUT.PERP_POSITIONS + i * USER_LAYOUT.PERP_POSITION_SIZE;
+    const baseAssetAmount = readI64(data, offset + PERP_POSITION_LAYOUT.BASE_ASSET_AMOUNT);
+    if (baseAssetAmount === 0n) continue;
+
+    perpPositions.push({
+      marketIndex: readU16(data, offset + PERP_POSITION_LAYOUT.MARKET_INDEX),
+      baseAssetAmount,
+      quoteAssetAmount: readI64(data, offset + PERP_POSITION_LAYOUT.QUOTE_ASSET_AMOUNT),
+      quoteEntryAmount: readI64(data, offset + PERP_POSITION_LAYOUT.QUOTE_ENTRY_AMOUNT),
+      settledPnl: readI64(data, offset + PERP_POSITION_LAYOUT.SETTLED_PNL)
+    });
+  }
+
+  const status = readU8(data, USER_LAYOUT.STATUS);
+
+  return {
+    authority: readPubkey(data, USER_LAYOUT.AUTHORITY),
+    name: readName(data, USER_LAYOUT.NAME),
+    subAccountId: readU16(data, USER_LAYOUT.SUB_ACCOUNT_ID),
+    spotPositions,
+    perpPositions,
+    isBeingLiquidated: (status & USER_STATUS.BEING_LIQUIDATED) !== 0,
+    isBankrupt: (status & USER_STATUS.BANKRUPT) !== 0
+  };
+}
+
+/**
+ * Décode un compte SpotMarket
+ * @param {Buffer} data - Données brutes du compte
+ * @returns {Object} Marché spot décodé
+ */
+function decodeSpotMarket(data) {
+  const cumulativeDepositInterest = readU128(data, SPOT_MARKET_LAYOUT.CUMULATIVE_DEPOSIT_INTEREST);
+  const cumulativeBorrowInterest = readU128(data, SPOT_MARKET_LAYOUT.CUMULATIVE_BORROW_INTEREST);
+  const totalDeposits = Number(readU128(data, SPOT_MARKET_LAYOUT.DEPOSIT_BALANCE)) * Number(cumulativeDepositInterest);
+  const totalBorrows = Number(readU128(data, SPOT_MARKET_LAYOUT.BORROW_BALANCE)) * Number(cumulativeBorrowInterest);
+
+  return {
+    mint: readPubkey(data, SPOT_MARKET_LAYOUT.MINT),
+    name: readName(data, SPOT_MARKET_LAYOUT.NAME),
+    marketIndex: readU16(data, SPOT_MARKET_LAYOUT.MARKET_INDEX),
+    decimals: readU32(data, SPOT_MARKET_LAYOUT.DECIMALS),
+    oraclePrice: Number(readI64(data, SPOT_MARKET_LAYOUT.LAST_ORACLE_PRICE)) / PRICE_PRECISION,
+    cumulativeDepositInterest,
+    cumulativeBorrowInterest,
+    utilization: totalDeposits > 0 ? totalBorrows / totalDeposits : 0,
+    initialAssetWeight: readU32(data, SPOT_MARKET_LAYOUT.INITIAL_ASSET_WEIGHT) / SPOT_WEIGHT_PRECISION,
+    maintenanceAssetWeight: readU32(data, SPOT_MARKET_LAYOUT.MAINTENANCE_ASSET_WEIGHT) / SPOT_WEIGHT_PRECISION,
+    initialLiabilityWeight: readU32(data, SPOT_MARKET_LAYOUT.INITIAL_LIABILITY_WEIGHT) / SPOT_WEIGHT_PRECISION,
+    maintenanceLiabilityWeight: readU32(data, SPOT_MARKET_LAYOUT.MAINTENANCE_LIABILITY_WEIGHT) / SPOT_WEIGHT_PRECISION
+  };
+}
+
+/**
+ * Décode un compte PerpMarket
+ * @param {Buffer} data - Données brutes du compte
+ * @returns {Object} Marché perp décodé
+ */
+function decodePerpMarket(data) {
+  return {
+    name: readName(data, PERP_MARKET_LAYOUT.NAME),
+    oraclePrice: Number(readI64(data, PERP_MARKET_LAYOUT.LAST_ORACLE_PRICE)) / PRICE_PRECISION,
+    marginRatioInitial: readU32(data, PERP_MARKET_LAYOUT.MARGIN_RATIO_INITIAL) / MARGIN_PRECISION,
+    marginRatioMaintenance: readU32(data, PERP_MARKET_LAYOUT.MARGIN_RATIO_MAINTENANCE) / MARGIN_PRECISION
+  };
+}
+
+/**
+ * Calcule les montants d'un compte Drift et sa marge
+ * Les valeurs USD utilisent le dernier prix oracle enregistré dans chaque marché
+ * @param {Object} user - Compte User décodé
+ * @param {Object} spotMarkets - Marchés spot décodés indexés par marketIndex
+ * @param {Object} perpMarkets - Marchés perp décodés indexés par marketIndex
+ * @returns {Object} Positions spot et perp valorisées, indicateurs de risque et levier
+ */
+function computeUserMargin(user, spotMarkets, perpMarkets) {
+  let collateralUsd = 0;
+  let borrowsUsd = 0;
+  let initialCollateralUsd = 0;
+  let maintenanceCollateralUsd = 0;
+  let initialRequirementUsd = 0;
+  let maintenanceRequirementUsd = 0;
+  let perpNotionalUsd = 0;
+
+  const spot = [];
+  for (const position of user.spotPositions) {
+    const market = spotMarkets[position.marketIndex];
+    if (!market) continue;
+
+    const interest = position.isDeposit ? market.cumulativeDepositInterest : market.cumulativeBorrowInterest;
+    const amount = Number(position.scaledBalance) * Number(interest) / SPOT_BALANCE_TO_UI;
+    const valueUsd = amount * market.oraclePrice;
+
+    if (position.isDeposit) {
+      collateralUsd += valueUsd;
+      initialCollateralUsd += valueUsd * market.initialAssetWeight;
+      maintenanceCollateralUsd += valueUsd * market.maintenanceAssetWeight;
+    } else {
+      borrowsUsd += valueUsd;
+      initialRequirementUsd += valueUsd * market.initialLiabilityWeight;
+      maintenanceRequirementUsd += valueUsd * market.maintenanceLiabilityWeight;
+    }
+
+    spot.push({ position, market, amount });
+  }
+
+  const perp = [];
+  for (const position of user.perpPositions) {
+    const market = perpMarkets[position.marketIndex];
+    if (!market) continue;
+
+    const baseAmount = Number(position.baseAssetAmount) / BASE_PRECISION;
+    const notionalUsd = Math.abs(baseAmount) * market.oraclePrice;
+    // PnL non réalisé = valeur de la position + montant quote (négatif à l'achat pour un long)
+    const pnlUsd = baseAmount * market.oraclePrice + Number(position.quoteAssetAmount) / QUOTE_PRECISION;
+
+    perpNotionalUsd += notionalUsd;
+    initialCollateralUsd += pnlUsd;
+    maintenanceCollateralUsd += pnlUsd;
+    initialRequirementUsd += notionalUsd * market.marginRatioInitial;
+    maintenanceRequirementUsd += notionalUsd * market.marginRatioMaintenance;
+
+    perp.push({ position, market, baseAmount, notionalUsd, pnlUsd });
+  }
+
+  const risk = computeLendingRisk({
+    collateralUsd,
+    debtUsd: initialRequirementUsd,
+    allowedBorrowUsd: initialCollateralUsd,
+    unhealthyBorrowUsd: maintenanceCollateralUsd
+  });
+  // Le compte est liquidable dès que la marge de maintenance n'est plus couverte
+  risk.healthFactor = maintenanceRequirementUsd > 0 ? maintenanceCollateralUsd / maintenanceRequirementUsd : null;
+
+  const equityUsd = collateralUsd - borrowsUsd + perp.reduce((sum, { pnlUsd }) => sum + pnlUsd, 0);
+  const freeCollateralUsd = maintenanceCollateralUsd - maintenanceRequirementUsd;
+
+  return {
+    spot,
+    perp,
+    risk,
+    equityUsd,
+    freeCollateralUsd,
+    leverage: equityUsd > 0 ? (perpNotionalUsd + borrowsUsd) / equityUsd : null
+  };
+}
+
+/**
+ * Prix de liquidation d'une position perp, les autres positions du compte restant inchangées
+ * @param {number} baseAmount - Taille signée de la position
+ * @param {number} oraclePrice - Prix oracle courant
+ * @param {number} marginRatioMaintenance - Ratio de marge de maintenance du marché
+ * @param {number} freeCollateralUsd - Collatéral de maintenance disponible du compte
+ * @returns {number|null}
+ */
+function computeLiquidationPrice(baseAmount, oraclePrice, marginRatioMaintenance, freeCollateralUsd) {
+  // Variation de la marge libre par dollar de variation du prix
+  const sensitivity = baseAmount - Math.abs(baseAmount) * marginRatioMaintenance;
+  if (sensitivity === 0) return null;
+
+  const liquidationPrice = oraclePrice - freeCollateralUsd / sensitivity;
+  return liquidationPrice > 0 ? liquidationPrice : null;
+}
+
+/**
+ * Transforme un compte Drift en positions de prêt/emprunt et en positions perps
+ * @param {string} userAddress - Adresse du compte User
+ * @param {Object} user - Compte User décodé
+ * @param {Object} spotMarkets - Marchés spot décodés indexés par marketIndex
+ * @param {Object} perpMarkets - Marchés perp décodés indexés par marketIndex
+ * @param {Object} tokensInfo - Métadonnées des tokens indexées par mint
+ * @returns {Object} { lendingPositions, perpPositions }
+ */
+function buildUserPositions(userAddress, user, spotMarkets, perpMarkets, tokensInfo = {}) {
+  const margin = computeUserMargin(user, spotMarkets, perpMarkets);
+  const { risk } = margin;
+  const isLiquidating = user.isBeingLiquidated || (risk.healthFactor !== null && risk.healthFactor < 1);
+  const stateAddress = getStateAddress();
+
+  const lendingPositions = margin.spot.map(({ position, market, amount }) => {
+    const tokenInfo = tokensInfo[market.mint] || {};
+    return {
+      address: userAddress,
+      pool: getMarketAddress('spot_market', market.marketIndex),
+      lendingMarket: stateAddress,
+      subAccountId: user.subAccountId,
+      tokenMint: market.mint,
+      tokenSymbol: tokenInfo.symbol || market.name || 'Unknown',
+      tokenName: tokenInfo.name || 'Unknown Token',
+      decimals: market.decimals,
+      healthFactor: risk.healthFactor,
+      isLiquidating,
+      ltv: risk.ltv,
+      maxLtv: risk.maxLtv,
+      liquidationLtv: risk.liquidationLtv,
+      utilization: market.utilization,
+      isDeposit: position.isDeposit,
+      // Un marché avec une pondération initiale nulle ne compte pas comme collatéral
+      isCollateral: position.isDeposit && market.initialAssetWeight > 0,
+      amount,
+      marketValueUsd: amount * market.oraclePrice
+    };
+  });
+
+  const perpPositions = margin.perp.map(({ position, market, baseAmount, notionalUsd, pnlUsd }) => ({
+    userAddress,
+    subAccountId: user.subAccountId,
+    marketIndex: position.marketIndex,
+    marketAddress: getMarketAddress('perp_market', position.marketIndex),
+    market: market.name || `PERP-${position.marketIndex}`,
+    side: baseAmount > 0 ? 'long' : 'short',
+    baseAmount: Math.abs(baseAmount),
+    sizeUsd: notionalUsd,
+    entryPrice: Math.abs(Number(position.quoteEntryAmount) / QUOTE_PRECISION / baseAmount),
+    markPrice: market.oraclePrice,
+    pnlUsd,
+    settledPnlUsd: Number(position.settledPnl) / QUOTE_PRECISION,
+    leverage: margin.leverage,
+    liquidationPrice: computeLiquidationPrice(baseAmount, market.oraclePrice, market.marginRatioMaintenance, margin.freeCollateralUsd),
+    healthFactor: risk.healthFactor,
+    isLiquidating
+  }));
+
+  return { lendingPositions, perpPositions };
+}
+
+/**
+ * Récupère et décode les marchés référencés par une liste de comptes
+ * @param {string} seed - 'spot_market' ou 'perp_market'
+ * @param {Array<number>} marketIndexes - Index des marchés
+ * @param {Function} decode - Fonction de décodage
+ * @returns {Promise<Object>} Marchés décodés indexés par marketIndex
+ */
+async function getMarkets(seed, marketIndexes, decode) {
+  const indexes = [...new Set(marketIndexes)];
+  if (indexes.length === 0) return {};
+
+  const addresses = indexes.map(index => getMarketAddress(seed, index));
+  const accounts = await solanaWebService.getMultipleAccounts(addresses);
+
+  const markets = {};
+  indexes.forEach((index, i) => {
+    const account = accounts[addresses[i]];
+    if (account) {
+      markets[index] = decode(account.data);
+    }
+  });
+  return markets;
+}
+
+/**
+ * Récupère les positions d'un utilisateur sur Drift (tous sous-comptes confondus)
+ * @param {string} owner - Adresse du propriétaire
+ * @returns {Promise<Object>} { lendingPositions, perpPositions }
+ */
+async function getUserPositions(owner) {
+  try {
+    // 1. Récupérer les sous-comptes User du propriétaire
+    const userAccounts = await solanaWebService.getProgramAccounts(DRIFT_PROGRAM_ID, [
+      { dataSize: USER_LAYOUT.SIZE },
+      { memcmp: { offset: USER_LAYOUT.AUTHORITY, bytes: owner } }
+    ]);
+
+    if (userAccounts.length === 0) {
+      return { lendingPositions: [], perpPositions: [] };
+    }
+
+    const users = userAccounts.map(account => ({
+      address: account.address,
+      user: decodeUser(account.data)
+    }));
+
+    // 2. Récupérer les marchés spot et perp référencés
+    const [spotMarkets, perpMarkets] = await Promise.all([
+      getMarkets('spot_market', users.flatMap(({ user }) => user.spotPositions.map(p => p.marketIndex)), decodeSpotMarket),
+      getMarkets('perp_market', users.flatMap(({ user }) => user.perpPositions.map(p => p.marketIndex)), decodePerpMarket)
+    ]);
+
+    // 3. Récupérer les métadonnées des tokens des marchés spot
+    const mints = [...new Set(Object.values(spotMarkets).map(market => market.mint))];
+    const tokensInfo = {};
+    await Promise.all(mints.map(async mint => {
+      tokensInfo[mint] = await getTokenInfo(mint);
+    }));
+
+    // 4. Construire les positions de chaque sous-compte
+    const lendingPositions = [];
+    const perpPositions = [];
+    for (const { address, user } of users) {
+      const positions = buildUserPositions(address, user, spotMarkets, perpMarkets, tokensInfo);
+      lendingPositions.push(...positions.lendingPositions);
+      perpPositions.push(...positions.perpPositions);
+    }
+
+    return { lendingPositions, perpPositions };
+  } catch (error) {
+    console.error(`[DriftService] Erreur lors de la récupération des positions: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Récupère les métadonnées d'un token
+ * @param {string} tokenMint - Adresse du token
+ * @returns {Promise<Object|null>} Informations sur le token
+ */
+async function getTokenInfo(tokenMint) {
+  try {
+    return await tokenMetadataService.getTokenMetadata(tokenMint);
+  } catch (error) {
+    console.error(`[DriftService] Erreur lors de la récupération des informations du token ${tokenMint}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  getUserPositions,
+  decodeUser,
+  decodeSpotMarket,
+  decodePerpMarket,
+  computeUserMargin,
+  computeLiquidationPrice,
+  buildUserPositions,
+  getMarketAddress,
+  DRIFT_PROGRAM_ID
+};
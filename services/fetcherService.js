@@ -3,6 +3,7 @@
  * Implémenté pour reproduire exactement la structure du projet portfolio
  */
 const networkService = require('./networkService');
+const priceContextService = require('./priceContextService');
 
 // Types de plateformes, exactement comme dans portfolio.js
 const PLATFORM_TYPES = {
@@ -11,6 +12,7 @@ const PLATFORM_TYPES = {
   LIQUIDITY_POOL: 'liquidity_pool',
   LENDING: 'lending',
   FARMING: 'farming',
+  LEVERAGE: 'leverage',
   NFT: 'nft',
   MULTIPLE: 'multiple'
 };
@@ -44,6 +46,34 @@ class Fetcher {
   async execute(owner) {
     throw new Error('La méthode execute doit être implémentée par les classes filles');
   }
+
+  /**
+   * Récupère le prix d'un token via le contexte de prix de l'exécution : les demandes de tous les
+   * fetchers d'un même runFetchers sont regroupées par fournisseur et le même token est valorisé
+   * au même prix sur toutes les plateformes
+   * @protected
+   * @param {string} tokenAddress - Adresse du token
+   * @returns {Promise<number>} - Prix du token en USD (0 si inconnu)
+   */
+  async _getPrice(tokenAddress) {
+    const prices = await this._getPrices([tokenAddress]);
+    return prices[tokenAddress] || 0;
+  }
+
+  /**
+   * Récupère les prix de plusieurs tokens en un seul lot
+   * @protected
+   * @param {Array<string>} tokenAddresses - Adresses des tokens
+   * @returns {Promise<Object>} - Prix en USD indexés par adresse (0 si inconnu)
+   */
+  async _getPrices(tokenAddresses) {
+    try {
+      return await priceContextService.getPrices(tokenAddresses);
+    } catch (error) {
+      console.warn(`[${this.constructor.name}] Erreur lors de la récupération des prix de ${tokenAddresses.length} tokens: ${error.message}`);
+      return {};
+    }
+  }
 }
 
 // Exporter d'abord la classe Fetcher et les constantes
@@ -53,37 +83,209 @@ module.exports = {
   Fetcher
 };
 
-// IMPORTANT: L'importation des fetchers doit se faire APRÈS l'exportation de Fetcher
+// IMPORTANT: Le chargement des fetchers doit se faire APRÈS l'exportation de Fetcher
 // pour éviter les dépendances circulaires
-const walletFetcher = require('../fetchers/walletFetcher');
-const marinadeFetcher = require('../fetchers/marinadeFetcher');
-const jitoFetcher = require('../fetchers/jitoFetcher');
-const orcaFetcher = require('../fetchers/orcaFetcher');
-const kaminoFetcher = require('../fetchers/kaminoFetcher');
-const jupiterFetcher = require('../fetchers/jupiterFetcher');
-const nftFetcher = require('../fetchers/nftFetcher');
-const stakedFetcher = require('../fetchers/stakedFetcher');
-
-// Liste de tous les fetchers disponibles
-const ALL_FETCHERS = [
-  walletFetcher,
-  marinadeFetcher,
-  jitoFetcher,
-  orcaFetcher,
-  kaminoFetcher,
-  jupiterFetcher,
-  nftFetcher,
-  stakedFetcher
-];
+const fs = require('fs');
+const path = require('path');
+const solanaWebService = require('./solanaWebService');
+
+const FETCHERS_DIR = path.join(__dirname, '../fetchers');
+const DEFAULT_FETCHERS_CONFIG_PATH = path.join(__dirname, '../data/fetchers-config.json');
+
+// Options par défaut appliquées à chaque fetcher
+const DEFAULT_FETCHER_OPTIONS = {
+  enabled: true,
+  timeoutMs: 30000,
+  rpcUrl: null
+};
+
+/**
+ * Charge la configuration des fetchers (fichier JSON puis surcharges d'environnement)
+ * @returns {Object} - { defaults, fetchers: { [fetcherId]: options } }
+ */
+function loadFetchersConfig() {
+  const configPath = process.env.FETCHERS_CONFIG_PATH || DEFAULT_FETCHERS_CONFIG_PATH;
+  let config = {};
+
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    console.warn(`[FetcherService] Impossible de charger la configuration ${configPath}: ${error.message}`);
+  }
+
+  const defaults = { ...DEFAULT_FETCHER_OPTIONS, ...(config.defaults || {}) };
+  const envTimeout = parseInt(process.env.FETCHERS_TIMEOUT_MS, 10);
+  if (envTimeout > 0) defaults.timeoutMs = envTimeout;
+
+  return { defaults, fetchers: config.fetchers || {} };
+}
+
+/**
+ * Résout les options d'un fetcher : défauts < fichier de configuration < variables d'environnement
+ * Variables reconnues : FETCHERS_DISABLED (liste d'IDs séparés par des virgules),
+ * FETCHER_<ID>_ENABLED, FETCHER_<ID>_TIMEOUT_MS et FETCHER_<ID>_RPC_URL (ID en majuscules, tirets en underscores)
+ * @param {string} fetcherId - ID du fetcher
+ * @param {Object} config - Configuration chargée par loadFetchersConfig
+ * @returns {Object} - { enabled, timeoutMs, rpcUrl }
+ */
+function resolveFetcherOptions(fetcherId, config) {
+  const options = { ...config.defaults, ...(config.fetchers[fetcherId] || {}) };
+  const envPrefix = `FETCHER_${fetcherId.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+
+  const disabledIds = (process.env.FETCHERS_DISABLED || '').split(',').map(id => id.trim());
+  if (disabledIds.includes(fetcherId)) options.enabled = false;
+
+  const envEnabled = process.env[`${envPrefix}ENABLED`];
+  if (envEnabled !== undefined) options.enabled = envEnabled !== 'false' && envEnabled !== '0';
+
+  const envTimeout = parseInt(process.env[`${envPrefix}TIMEOUT_MS`], 10);
+  if (envTimeout > 0) options.timeoutMs = envTimeout;
+
+  if (process.env[`${envPrefix}RPC_URL`]) options.rpcUrl = process.env[`${envPrefix}RPC_URL`];
+
+  return options;
+}
+
+/**
+ * Découvre les modules *Fetcher.js du dossier fetchers/ et ne retient que les instances de Fetcher
+ * Ajouter un protocole revient à déposer son fichier dans fetchers/
+ * @returns {Array<Fetcher>} - Fetchers valides, configurés via fetcher.options
+ */
+function discoverFetchers() {
+  const config = loadFetchersConfig();
+  const fetchers = [];
+  let files = [];
+
+  try {
+    files = fs.readdirSync(FETCHERS_DIR).filter(file => file.endsWith('Fetcher.js')).sort();
+  } catch (error) {
+    console.error(`[FetcherService] Impossible de lire le dossier des fetchers: ${error.message}`);
+    return fetchers;
+  }
+
+  for (const file of files) {
+    try {
+      const fetcher = require(path.join(FETCHERS_DIR, file));
+
+      if (!(fetcher instanceof Fetcher)) {
+        console.warn(`[FetcherService] ${file} ignoré : le module doit exporter une instance de Fetcher`);
+        continue;
+      }
+
+      if (!fetcher.id || fetchers.some(existing => existing.id === fetcher.id)) {
+        console.warn(`[FetcherService] ${file} ignoré : ID de fetcher absent ou déjà enregistré (${fetcher.id})`);
+        continue;
+      }
+
+      fetcher.options = resolveFetcherOptions(fetcher.id, config);
+      fetchers.push(fetcher);
+    } catch (error) {
+      console.error(`[FetcherService] Impossible de charger ${file}: ${error.message}`);
+    }
+  }
+
+  return fetchers;
+}
+
+// Registre de tous les fetchers découverts, activés ou non
+const ALL_FETCHERS = discoverFetchers();
+
+// Santé des fetchers : résultat de leur dernière exécution
+const fetcherHealth = new Map(); // fetcherId -> { lastStatus, lastRunAt, lastDuration, lastError, successCount, errorCount }
+
+// Les listes de fetchers des réseaux sont dérivées du registre
+for (const network of Object.values(NETWORKS)) {
+  network.fetchers = ALL_FETCHERS
+    .filter(fetcher => fetcher.networkId === network.id && fetcher.options.enabled)
+    .map(fetcher => fetcher.id);
+}
+
+console.log(`[FetcherService] ${ALL_FETCHERS.length} fetchers enregistrés (${getEnabledFetchers().length} activés)`);
+
+/**
+ * Retourne les fetchers activés par la configuration
+ * @returns {Array<Fetcher>}
+ */
+function getEnabledFetchers() {
+  return ALL_FETCHERS.filter(fetcher => fetcher.options.enabled);
+}
+
+/**
+ * Exécute un fetcher avec son endpoint RPC configuré, sous un délai maximal
+ * Le délai retenu est le plus court entre celui du fetcher et celui de la requête
+ * @param {Fetcher} fetcher - Fetcher à exécuter
+ * @param {string} address - Adresse du portefeuille
+ * @param {number} [requestTimeoutMs] - Délai maximal imposé par la requête
+ * @returns {Promise<Array>} - Éléments de portfolio (rejetée avec error.isTimeout si le délai est dépassé)
+ */
+function executeFetcher(fetcher, address, requestTimeoutMs) {
+  const { rpcUrl, timeoutMs: fetcherTimeoutMs } = fetcher.options || DEFAULT_FETCHER_OPTIONS;
+  const timeoutMs = [fetcherTimeoutMs, requestTimeoutMs]
+    .filter(value => value > 0)
+    .reduce((min, value) => Math.min(min, value), Infinity);
+  const execution = solanaWebService.runWithRpcEndpoint(rpcUrl, () => fetcher.execute(address));
+
+  if (timeoutMs === Infinity) return execution;
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Délai de ${timeoutMs}ms dépassé`);
+      error.isTimeout = true;
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([execution, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Enregistre le résultat d'une exécution dans l'état de santé du fetcher
+ * @param {string} fetcherId - ID du fetcher
+ * @param {Object} report - Rapport d'exécution { status, duration, error }
+ */
+function recordFetcherHealth(fetcherId, report) {
+  const health = fetcherHealth.get(fetcherId) || { successCount: 0, errorCount: 0 };
+
+  health.lastStatus = report.status;
+  health.lastRunAt = Date.now();
+  health.lastDuration = report.duration;
+  health.lastError = report.error || null;
+  if (report.status === 'success') health.successCount++;
+  else health.errorCount++;
+
+  fetcherHealth.set(fetcherId, health);
+}
+
+/**
+ * Calcule l'état de santé d'un fetcher
+ * @param {Fetcher} fetcher - Fetcher enregistré
+ * @returns {Object} - { status: 'healthy'|'failing'|'unknown'|'disabled', ... }
+ */
+function getFetcherHealth(fetcher) {
+  if (!fetcher.options.enabled) return { status: 'disabled' };
+
+  const health = fetcherHealth.get(fetcher.id);
+  if (!health) return { status: 'unknown' };
+
+  return {
+    status: health.lastStatus === 'success' ? 'healthy' : 'failing',
+    ...health
+  };
+}
 
 /**
  * Exécuter des fetchers pour une adresse donnée
+ * Chaque fetcher tourne sous son propre délai : un fetcher en échec ou trop lent n'empêche pas
+ * de retourner les éléments des autres, et son échec est signalé dans fetcherStatuses
  * @param {Array} fetchers - Liste des fetchers à exécuter
  * @param {string} address - Adresse du portefeuille
  * @param {string} addressSystem - Système d'adressage (par défaut: 'solana')
+ * @param {Object} options - Options d'exécution
+ * @param {number} options.timeout - Délai maximal par fetcher en ms (borne le délai configuré du fetcher)
  * @returns {Promise<Object>} - Résultat combiné de tous les fetchers
  */
-async function runFetchers(fetchers, address, addressSystem = 'solana') {
+async function runFetchers(fetchers, address, addressSystem = 'solana', options = {}) {
   console.log(`[FetcherService] Exécution de ${fetchers.length} fetchers pour ${address}`);
   
   const startTime = Date.now();
@@ -95,14 +297,15 @@ async function runFetchers(fetchers, address, addressSystem = 'solana') {
     value: { amount: 0, currency: 'usd' },
     elements: [],
     fetcherReports: {},
+    fetcherStatuses: [],
     duration: 0
   };
   
-  // Exécuter les fetchers en parallèle
-  const fetcherPromises = fetchers.map(fetcher => {
+  // Exécuter les fetchers en parallèle, dans un contexte de prix commun
+  const fetcherPromises = priceContextService.run(() => fetchers.map(fetcher => {
     const fetcherStartTime = Date.now();
     
-    return fetcher.execute(address)
+    return executeFetcher(fetcher, address, options.timeout)
       .then(elements => {
         // Calculer la durée d'exécution de ce fetcher
         const fetcherDuration = Date.now() - fetcherStartTime;
@@ -115,38 +318,49 @@ async function runFetchers(fetchers, address, addressSystem = 'solana') {
           duration: fetcherDuration,
           count: elements?.length || 0
         };
+        recordFetcherHealth(fetcher.id, result.fetcherReports[fetcher.id]);
         
-        // Si des éléments sont retournés, les ajouter au résultat
-        if (elements && elements.length > 0) {
-          result.elements.push(...elements);
-          
-          // Calculer la valeur totale
-          for (const element of elements) {
-            if (element.value && typeof element.value.amount === 'number') {
-              result.value.amount += element.value.amount;
-            }
+        // Calculer la valeur totale
+        for (const element of elements || []) {
+          if (element.value && typeof element.value.amount === 'number') {
+            result.value.amount += element.value.amount;
           }
         }
         
-        return elements;
+        // Copie annotée du type de plateforme : les éléments peuvent provenir du cache du fetcher
+        return (elements || []).map(element => ({ ...element, platformType: fetcher.platformType }));
       })
       .catch(error => {
         console.error(`[FetcherService] Erreur dans ${fetcher.id}: ${error.message}`);
         
         // Ajouter un rapport d'erreur pour ce fetcher
         result.fetcherReports[fetcher.id] = {
-          status: 'error',
+          status: error.isTimeout ? 'timeout' : 'error',
           duration: Date.now() - fetcherStartTime,
           error: error.message
         };
+        recordFetcherHealth(fetcher.id, result.fetcherReports[fetcher.id]);
         
         // Retourner un tableau vide en cas d'erreur
         return [];
       });
-  });
+  }));
   
-  // Attendre que tous les fetchers soient terminés
-  await Promise.all(fetcherPromises);
+  // Attendre que tous les fetchers soient terminés, les éléments restent dans l'ordre des fetchers
+  const elementsByFetcher = await Promise.all(fetcherPromises);
+  result.elements = elementsByFetcher.flat();
+
+  // Statuts dans l'ordre des fetchers, pour signaler les plateformes indisponibles au client
+  result.fetcherStatuses = fetchers.map(fetcher => {
+    const report = result.fetcherReports[fetcher.id];
+    return {
+      id: fetcher.id,
+      platformId: fetcher.platformId,
+      status: report.status,
+      duration: report.duration,
+      error: report.error || null
+    };
+  });
   
   // Calculer la durée totale
   result.duration = Date.now() - startTime;
@@ -156,22 +370,32 @@ async function runFetchers(fetchers, address, addressSystem = 'solana') {
 }
 
 /**
- * Obtenir les fetchers par ID de réseau
+ * Obtenir les fetchers activés par ID de réseau
  * @param {string} networkId - ID du réseau
  * @returns {Array} - Liste des fetchers disponibles pour ce réseau
  */
 function getFetchersByNetworkId(networkId) {
-  return ALL_FETCHERS.filter(fetcher => fetcher.networkId === networkId);
+  return getEnabledFetchers().filter(fetcher => fetcher.networkId === networkId);
 }
 
 /**
  * Exécute tous les fetchers pour une adresse donnée
  * @param {string} address - Adresse du portefeuille
+ * @param {Object} options - Options d'exécution (voir runFetchers)
  * @returns {Promise<Object>} - Portfolio complet avec tous les éléments
  */
-async function fetchAllPortfolio(address) {
+async function fetchAllPortfolio(address, options = {}) {
   console.log(`[FetcherService] Récupération du portfolio complet pour ${address}`);
-  return runFetchers(ALL_FETCHERS, address);
+  return runFetchers(getEnabledFetchers(), address, 'solana', options);
+}
+
+/**
+ * Retourne un fetcher enregistré par son ID, activé ou non
+ * @param {string} fetcherId - ID du fetcher
+ * @returns {Fetcher|null} - Fetcher ou null si inconnu
+ */
+function getFetcherById(fetcherId) {
+  return ALL_FETCHERS.find(fetcher => fetcher.id === fetcherId) || null;
 }
 
 /**
@@ -179,21 +403,30 @@ async function fetchAllPortfolio(address) {
  * @param {string} fetcherId - ID du fetcher à exécuter
  * @param {string} address - Adresse du portefeuille
  * @returns {Promise<Array>} - Éléments de portfolio pour ce fetcher
+ * @throws {Error} Fetcher inconnu ou désactivé (statusCode = 404)
  */
 async function fetchSpecificPlatform(fetcherId, address) {
   console.log(`[FetcherService] Récupération spécifique pour ${fetcherId} et l'adresse ${address}`);
   
-  const fetcher = ALL_FETCHERS.find(f => f.id === fetcherId);
+  const fetcher = getFetcherById(fetcherId);
   
   if (!fetcher) {
-    throw new Error(`Fetcher avec l'ID ${fetcherId} non trouvé`);
+    const error = new Error(`Fetcher avec l'ID ${fetcherId} non trouvé`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!fetcher.options.enabled) {
+    const error = new Error(`Fetcher ${fetcherId} désactivé par la configuration`);
+    error.statusCode = 404;
+    throw error;
   }
   
-  return fetcher.execute(address);
+  return priceContextService.run(() => executeFetcher(fetcher, address));
 }
 
 /**
- * Retourne la liste de tous les fetchers disponibles
+ * Retourne la liste de tous les fetchers enregistrés, avec leur configuration et leur santé
  * Utilisé pour l'UI
  * @returns {Array} - Liste des fetchers
  */
@@ -202,7 +435,12 @@ function getAllFetchers() {
     id: fetcher.id,
     networkId: fetcher.networkId,
     platformId: fetcher.platformId,
-    platformType: fetcher.platformType
+    platformType: fetcher.platformType,
+    enabled: fetcher.options.enabled,
+    timeoutMs: fetcher.options.timeoutMs,
+    // Ne pas exposer l'URL RPC, qui contient souvent une clé d'API
+    hasRpcOverride: Boolean(fetcher.options.rpcUrl),
+    health: getFetcherHealth(fetcher)
   }));
 }
 
@@ -211,6 +449,8 @@ Object.assign(module.exports, {
   fetchAllPortfolio,
   fetchSpecificPlatform,
   getAllFetchers,
+  getEnabledFetchers,
+  getFetcherById,
   runFetchers,
   getFetchersByNetworkId
 });
\ No newline at end of file
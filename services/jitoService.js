@@ -1,38 +1,60 @@
 /**
  * Service pour interagir avec Jito (staking liquide et MEV)
  * Ce service gère les requêtes liées aux tokens jitoSOL et aux positions de staking
+ * Le pool jitoSOL est un stake pool SPL : les valeurs sont lues on-chain
  */
-const axios = require('axios');
-const priceService = require('./priceService');
 const solanaWebService = require('./solanaWebService');
+const splStakePoolService = require('./splStakePoolService');
+const validatorService = require('./validatorService');
 
 // Constantes
-const JITO_PROGRAM_ID = 'jito11111111111111111111111111111111111111';
+const JITO_PROGRAM_ID = splStakePoolService.SPL_STAKE_POOL_PROGRAM_ID;
+const JITO_STAKE_POOL_ADDRESS = 'Jito4APyf642JPZPx3hGc6WWJ8zPKtRbRs4P815Awbb';
+const JITO_STAKE_POOL_WITHDRAW_AUTHORITY = splStakePoolService.getWithdrawAuthority(JITO_STAKE_POOL_ADDRESS);
 const JITOSOL_TOKEN = 'J1toso1uCk3RLmjorhTtrVwY9HJ7X8V9yYac6Y7kGCPn';
 
 /**
- * Récupère les détails généraux du staking Jito (taux jitoSOL/SOL, APY)
+ * Récupère les détails généraux du staking Jito (taux jitoSOL/SOL, APY, rendement MEV)
  * @returns {Promise<Object>} Détails du staking
+ * @throws {Error} Stake pool Jito illisible
  */
 async function getStakingDetails() {
   try {
-    // Dans une implémentation réelle, on interrogerait l'API Jito ou le programme on-chain
-    // Pour la simplicité, on retourne des valeurs statiques
+    const pool = await splStakePoolService.getStakePoolDetails(JITO_STAKE_POOL_ADDRESS);
+
+    if (!pool || pool.rate === null) {
+      throw new Error(`Stake pool Jito illisible: ${JITO_STAKE_POOL_ADDRESS}`);
+    }
+
+    // Le rendement MEV est estimé comme l'excédent de croissance du pool
+    // par rapport au rendement d'inflation net des frais du pool
+    let mevRewards = null;
+    if (pool.apy !== null) {
+      try {
+        const networkStakingApy = await validatorService.getNetworkStakingApy();
+        if (networkStakingApy !== null) {
+          const inflationApy = networkStakingApy * (1 - pool.fees.epochFee);
+          mevRewards = Math.max(pool.apy - inflationApy, 0);
+        }
+      } catch (error) {
+        console.warn(`[JitoService] Rendement d'inflation indisponible: ${error.message}`);
+      }
+    }
+
     return {
-      jitosolToSolRate: 1.045, // 1 jitoSOL = 1.045 SOL
-      apy: 0.072, // 7.2% APY
-      totalStaked: 28000000, // 28M SOL stakés
-      mevRewards: 0.012 // 1.2% de rendement supplémentaire via MEV
+      jitosolToSolRate: pool.rate,
+      apy: pool.apy,
+      epochGrowth: pool.epochGrowth,
+      totalStaked: pool.totalStaked,
+      mevRewards,
+      fees: pool.fees,
+      lastUpdateEpoch: pool.lastUpdateEpoch,
+      stakePool: JITO_STAKE_POOL_ADDRESS
     };
   } catch (error) {
     console.error(`[JitoService] Erreur lors de la récupération des détails de staking: ${error.message}`);
-    // En cas d'erreur, retourner des valeurs par défaut
-    return {
-      jitosolToSolRate: 1.04,
-      apy: 0.07,
-      totalStaked: 0,
-      mevRewards: 0.01
-    };
+    // Aucun taux par défaut : un taux inventé fausserait la valorisation des positions
+    throw error;
   }
 }
 
@@ -41,36 +63,42 @@ async function getStakingDetails() {
  * @returns {Promise<number>} Taux de conversion
  */
 async function getJitosolToSolRate() {
-  try {
-    const { jitosolToSolRate } = await getStakingDetails();
-    return jitosolToSolRate;
-  } catch (error) {
-    console.error(`[JitoService] Erreur lors de la récupération du taux jitoSOL/SOL: ${error.message}`);
-    return 1.04; // Valeur par défaut
-  }
+  const { jitosolToSolRate } = await getStakingDetails();
+  return jitosolToSolRate;
 }
 
 /**
  * Calcule les récompenses MEV pour un utilisateur Jito
- * @param {string} owner - Adresse du propriétaire 
+ * Les récompenses de la dernière époque sont estimées à partir de la croissance du pool
+ * et de la part MEV du rendement
+ * @param {string} owner - Adresse du propriétaire
  * @returns {Promise<Object>} Informations sur les récompenses MEV
  */
 async function getMevRewards(owner) {
   try {
-    // Dans une implémentation réelle, on interrogerait l'API Jito
-    // Pour la simplicité, on retourne des valeurs simulées
+    const stakingDetails = await getStakingDetails();
+    const tokenAccounts = await solanaWebService.getTokenAccountsByOwner(owner);
+
+    const jitosolAmount = tokenAccounts
+      .filter(account => account.mint === JITOSOL_TOKEN)
+      .reduce((sum, account) => sum + parseFloat(account.uiAmount || 0), 0);
+    const solAmount = jitosolAmount * stakingDetails.jitosolToSolRate;
+
+    let lastEpochRewards = null;
+    if (stakingDetails.epochGrowth !== null && stakingDetails.mevRewards !== null && stakingDetails.apy > 0) {
+      const mevShare = stakingDetails.mevRewards / stakingDetails.apy;
+      lastEpochRewards = solAmount / (1 + stakingDetails.epochGrowth) * stakingDetails.epochGrowth * mevShare;
+    }
+
     return {
-      totalRewards: 0.05, // 0.05 SOL de récompenses MEV
-      lastEpochRewards: 0.002, // 0.002 SOL de récompenses dans la dernière époque
-      annualizedYield: 0.012 // 1.2% de rendement annuel
+      // Le cumul depuis le dépôt nécessiterait l'historique des dépôts de l'utilisateur
+      totalRewards: null,
+      lastEpochRewards,
+      annualizedYield: stakingDetails.mevRewards
     };
   } catch (error) {
     console.error(`[JitoService] Erreur lors de la récupération des récompenses MEV: ${error.message}`);
-    return {
-      totalRewards: 0,
-      lastEpochRewards: 0,
-      annualizedYield: 0
-    };
+    throw error;
   }
 }
 
@@ -79,5 +107,7 @@ module.exports = {
   getJitosolToSolRate,
   getMevRewards,
   JITO_PROGRAM_ID,
+  JITO_STAKE_POOL_ADDRESS,
+  JITO_STAKE_POOL_WITHDRAW_AUTHORITY,
   JITOSOL_TOKEN
-};
\ No newline at end of file
+};
@@ -0,0 +1,325 @@
+/**
+ * Service pour interagir avec Jupiter Perpetuals
+ * Décode les comptes Position et Custody du programme et calcule PnL, levier et prix de liquidation
+ */
+const solanaWebService = require('./solanaWebService');
+const cacheService = require('./cacheService');
+const {
+  readPubkey,
+  readU8,
+  readU32,
+  readU64,
+  readI64,
+  readU128,
+  toUiAmount
+} = require('../utils/bufferUtils');
+
+// Constantes
+const JUPITER_PERPS_PROGRAM_ID = 'PERPHjGBqRHArX4DySjwM6UJHiR3sWAatqfdBS2qQJu';
+const JLP_POOL_ADDRESS = '5BUwFW4nRbftYTDMbgxykoFWqWHPzahFSNAaaaJtVKsq';
+const JLP_MINT = '27G8MtK7VtTcCHkpASjSDdkWWYfoqT6ggEuKidVJidD4';
+// Offsets de l'offre et des décimales dans un compte Mint
+const MINT_SUPPLY_OFFSET = 36;
+const MINT_DECIMALS_OFFSET = 44;
+// Durée de cache de la composition du pool JLP (en secondes)
+const POOL_COMPOSITION_TTL = 60;
+// Les montants USD et les prix sont stockés avec 6 décimales
+const USD_DECIMALS = 6;
+// Les taux d'intérêt cumulés sont stockés avec 9 décimales
+const RATE_POWER = 1e9;
+// Le levier maximal est exprimé en points de base
+const BPS_POWER = 10000;
+
+const SIDES = {
+  0: 'none',
+  1: 'long',
+  2: 'short'
+};
+
+/**
+ * Layout du compte Position (offsets en octets, discriminateur Anchor inclus)
+ */
+const POSITION_LAYOUT = {
+  SIZE: 210,
+  OWNER: 8,
+  POOL: 40,
+  CUSTODY: 72,
+  COLLATERAL_CUSTODY: 104,
+  OPEN_TIME: 136,
+  UPDATE_TIME: 144,
+  SIDE: 152,
+  PRICE: 153,
+  SIZE_USD: 161,
+  COLLATERAL_USD: 169,
+  REALISED_PNL_USD: 177,
+  CUMULATIVE_INTEREST_SNAPSHOT: 185,
+  LOCKED_AMOUNT: 201
+};
+
+/**
+ * Layout du compte Custody (offsets en octets, discriminateur Anchor inclus)
+ */
+const CUSTODY_LAYOUT = {
+  POOL: 8,
+  MINT: 40,
+  TOKEN_ACCOUNT: 72,
+  DECIMALS: 104,
+  IS_STABLE: 105,
+  MAX_LEVERAGE: 179,
+  ASSETS_OWNED: 226,
+  ASSETS_LOCKED: 234,
+  CUMULATIVE_INTEREST_RATE: 266,
+  FUNDING_LAST_UPDATE: 282,
+  HOURLY_FUNDING_DBPS: 290
+};
+
+/**
+ * Décode un compte Position
+ * @param {Buffer} data - Données du compte
+ * @returns {Object} Position décodée (montants bruts)
+ */
+function decodePosition(data) {
+  const layout = POSITION_LAYOUT;
+
+  return {
+    owner: readPubkey(data, layout.OWNER),
+    pool: readPubkey(data, layout.POOL),
+    custody: readPubkey(data, layout.CUSTODY),
+    collateralCustody: readPubkey(data, layout.COLLATERAL_CUSTODY),
+    openTime: Number(readI64(data, layout.OPEN_TIME)),
+    updateTime: Number(readI64(data, layout.UPDATE_TIME)),
+    side: SIDES[readU8(data, layout.SIDE)] || 'none',
+    price: readU64(data, layout.PRICE),
+    sizeUsd: readU64(data, layout.SIZE_USD),
+    collateralUsd: readU64(data, layout.COLLATERAL_USD),
+    realisedPnlUsd: readI64(data, layout.REALISED_PNL_USD),
+    cumulativeInterestSnapshot: readU128(data, layout.CUMULATIVE_INTEREST_SNAPSHOT),
+    lockedAmount: readU64(data, layout.LOCKED_AMOUNT)
+  };
+}
+
+/**
+ * Décode un compte Custody
+ * @param {Buffer} data - Données du compte
+ * @returns {Object} Custody décodée
+ */
+function decodeCustody(data) {
+  const layout = CUSTODY_LAYOUT;
+
+  return {
+    pool: readPubkey(data, layout.POOL),
+    mint: readPubkey(data, layout.MINT),
+    tokenAccount: readPubkey(data, layout.TOKEN_ACCOUNT),
+    decimals: readU8(data, layout.DECIMALS),
+    isStable: readU8(data, layout.IS_STABLE) === 1,
+    maxLeverage: Number(readU64(data, layout.MAX_LEVERAGE)) / BPS_POWER,
+    owned: readU64(data, layout.ASSETS_OWNED),
+    locked: readU64(data, layout.ASSETS_LOCKED),
+    cumulativeInterestRate: readU128(data, layout.CUMULATIVE_INTEREST_RATE),
+    fundingLastUpdate: Number(readI64(data, layout.FUNDING_LAST_UPDATE)),
+    hourlyFundingDbps: readU64(data, layout.HOURLY_FUNDING_DBPS)
+  };
+}
+
+/**
+ * Décode un compte Pool (nom et liste de custodies de taille variable, puis AUM)
+ * @param {Buffer} data - Données du compte
+ * @returns {Object} Pool décodé
+ */
+function decodePool(data) {
+  let offset = 8;
+
+  const nameLength = readU32(data, offset);
+  const name = data.subarray(offset + 4, offset + 4 + nameLength).toString('utf8');
+  offset += 4 + nameLength;
+
+  const custodiesCount = readU32(data, offset);
+  offset += 4;
+  const custodies = [];
+  for (let i = 0; i < custodiesCount; i++) {
+    custodies.push(readPubkey(data, offset));
+    offset += 32;
+  }
+
+  return {
+    name,
+    custodies,
+    aumUsd: readU128(data, offset)
+  };
+}
+
+/**
+ * Calcule les frais d'emprunt accumulés depuis l'ouverture (ou la dernière mise à jour) de la position
+ * @param {Object} position - Position décodée
+ * @param {Object} custody - Custody du collatéral (qui prête la liquidité)
+ * @returns {number} Frais en USD
+ */
+function computeBorrowFeeUsd(position, custody) {
+  if (custody.cumulativeInterestRate <= position.cumulativeInterestSnapshot) return 0;
+
+  const interestDelta = custody.cumulativeInterestRate - position.cumulativeInterestSnapshot;
+  return toUiAmount(position.sizeUsd, USD_DECIMALS) * Number(interestDelta) / RATE_POWER;
+}
+
+/**
+ * Calcule PnL latent, levier et prix de liquidation d'une position au prix courant
+ * @param {Object} position - Position formatée (montants en USD)
+ * @param {number} markPrice - Prix courant du token tradé
+ * @returns {Object} Métriques de la position
+ */
+function computePositionMetrics(position, markPrice) {
+  const { side, entryPrice, sizeUsd, collateralUsd, borrowFeeUsd, maxLeverage } = position;
+
+  let pnlUsd = null;
+  if (markPrice > 0 && entryPrice > 0) {
+    const priceDelta = side === 'long' ? markPrice - entryPrice : entryPrice - markPrice;
+    pnlUsd = sizeUsd * priceDelta / entryPrice;
+  }
+
+  const equityUsd = collateralUsd + (pnlUsd || 0) - borrowFeeUsd;
+  const leverage = equityUsd > 0 ? sizeUsd / equityUsd : null;
+
+  // Liquidation lorsque la marge restante passe sous la marge de maintenance (taille / levier maximal)
+  let liquidationPrice = null;
+  if (sizeUsd > 0 && entryPrice > 0 && maxLeverage > 0) {
+    const marginBuffer = (collateralUsd - borrowFeeUsd - sizeUsd / maxLeverage) / sizeUsd;
+    liquidationPrice = side === 'long'
+      ? Math.max(entryPrice * (1 - marginBuffer), 0)
+      : entryPrice * (1 + marginBuffer);
+  }
+
+  return {
+    pnlUsd,
+    pnlPercent: pnlUsd !== null && collateralUsd > 0 ? (pnlUsd / collateralUsd) * 100 : null,
+    equityUsd: Math.max(equityUsd, 0),
+    leverage,
+    liquidationPrice
+  };
+}
+
+/**
+ * Récupère les positions perps ouvertes d'un utilisateur
+ * @param {string} owner - Adresse du propriétaire
+ * @returns {Promise<Array>} Positions avec montants en USD et custodies associées
+ */
+async function getPositionsByOwner(owner) {
+  const accounts = await solanaWebService.getProgramAccounts(JUPITER_PERPS_PROGRAM_ID, [
+    { dataSize: POSITION_LAYOUT.SIZE },
+    { memcmp: { offset: POSITION_LAYOUT.OWNER, bytes: owner } }
+  ]);
+
+  // Les comptes des positions fermées sont conservés avec une taille nulle
+  const positions = accounts
+    .map(account => ({ address: account.address, position: decodePosition(account.data) }))
+    .filter(({ position }) => position.sizeUsd > 0n && position.side !== 'none');
+
+  if (positions.length === 0) return [];
+
+  const custodyAddresses = positions.flatMap(({ position }) => [position.custody, position.collateralCustody]);
+  const custodyAccounts = await solanaWebService.getMultipleAccounts(custodyAddresses);
+
+  const custodies = {};
+  for (const address of new Set(custodyAddresses)) {
+    if (custodyAccounts[address]) {
+      custodies[address] = decodeCustody(custodyAccounts[address].data);
+    }
+  }
+
+  return positions
+    .filter(({ address, position }) => {
+      if (!custodies[position.custody] || !custodies[position.collateralCustody]) {
+        console.warn(`[JupiterPerpsService] Custody introuvable pour la position ${address}`);
+        return false;
+      }
+      return true;
+    })
+    .map(({ address, position }) => {
+      const custody = custodies[position.custody];
+      const collateralCustody = custodies[position.collateralCustody];
+
+      return {
+        positionAddress: address,
+        pool: position.pool,
+        custody: position.custody,
+        collateralCustody: position.collateralCustody,
+        side: position.side,
+        mint: custody.mint,
+        decimals: custody.decimals,
+        collateralMint: collateralCustody.mint,
+        collateralDecimals: collateralCustody.decimals,
+        entryPrice: toUiAmount(position.price, USD_DECIMALS),
+        sizeUsd: toUiAmount(position.sizeUsd, USD_DECIMALS),
+        collateralUsd: toUiAmount(position.collateralUsd, USD_DECIMALS),
+        realisedPnlUsd: Number(position.realisedPnlUsd) / Math.pow(10, USD_DECIMALS),
+        // Les frais d'emprunt courent sur la custody qui bloque la liquidité (le collatéral)
+        borrowFeeUsd: computeBorrowFeeUsd(position, collateralCustody),
+        maxLeverage: custody.maxLeverage,
+        lockedAmount: toUiAmount(position.lockedAmount, collateralCustody.decimals),
+        openTime: position.openTime ? new Date(position.openTime * 1000).toISOString() : null,
+        updateTime: position.updateTime ? new Date(position.updateTime * 1000).toISOString() : null
+      };
+    });
+}
+
+/**
+ * Récupère la composition du pool JLP : AUM, offre de JLP et actifs détenus par chaque custody
+ * @returns {Promise<Object|null>} Composition du pool (montants UI) ou null si le pool est introuvable
+ */
+async function getJlpPoolComposition() {
+  const cacheKey = 'jupiter_perps_jlp_composition';
+  const cachedData = cacheService.get(cacheKey);
+  if (cachedData) return cachedData;
+
+  const accounts = await solanaWebService.getMultipleAccounts([JLP_POOL_ADDRESS, JLP_MINT]);
+  if (!accounts[JLP_POOL_ADDRESS] || !accounts[JLP_MINT]) {
+    console.warn('[JupiterPerpsService] Pool JLP ou mint JLP introuvable');
+    return null;
+  }
+
+  const pool = decodePool(accounts[JLP_POOL_ADDRESS].data);
+  const lpDecimals = readU8(accounts[JLP_MINT].data, MINT_DECIMALS_OFFSET);
+  const lpSupply = toUiAmount(readU64(accounts[JLP_MINT].data, MINT_SUPPLY_OFFSET), lpDecimals);
+
+  const custodyAccounts = await solanaWebService.getMultipleAccounts(pool.custodies);
+  const custodies = pool.custodies
+    .filter(address => custodyAccounts[address])
+    .map(address => {
+      const custody = decodeCustody(custodyAccounts[address].data);
+      return {
+        custody: address,
+        mint: custody.mint,
+        decimals: custody.decimals,
+        isStable: custody.isStable,
+        owned: toUiAmount(custody.owned, custody.decimals),
+        locked: toUiAmount(custody.locked, custody.decimals)
+      };
+    });
+
+  const composition = {
+    poolAddress: JLP_POOL_ADDRESS,
+    lpMint: JLP_MINT,
+    name: pool.name,
+    aumUsd: Number(pool.aumUsd) / Math.pow(10, USD_DECIMALS),
+    lpSupply,
+    lpDecimals,
+    custodies
+  };
+
+  cacheService.set(cacheKey, composition, POOL_COMPOSITION_TTL);
+  return composition;
+}
+
+module.exports = {
+  getPositionsByOwner,
+  getJlpPoolComposition,
+  computePositionMetrics,
+  computeBorrowFeeUsd,
+  decodePosition,
+  decodeCustody,
+  decodePool,
+  JUPITER_PERPS_PROGRAM_ID,
+  JLP_POOL_ADDRESS,
+  JLP_MINT,
+  POSITION_LAYOUT,
+  CUSTODY_LAYOUT
+};
@@ -1,13 +1,214 @@
 const axios = require('axios');
+const crypto = require('crypto');
 // Supprimer l'import de priceService pour éviter la dépendance circulaire
-const solanaWebService = require('./solanaWebService');
+// solanaWebService est chargé à la demande : solanaWebService -> priceService -> ... -> jupiterService
+const { readPubkey, readU8, readU16, readU64, readI64, toUiAmount } = require('../utils/bufferUtils');
+const { PriceProvider } = require('./priceProviderService');
 
 // Constantes
 const JUPITER_PROGRAM_ID = 'JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB';
 const JUPITER_API_BASE = 'https://price.jup.ag/v6';
+const JUPITER_LIMIT_ORDER_PROGRAM_ID = 'jupoNjAxXgZ4rjzxzPMP4oxduvQsQtZzyknqvzYNrNu';
+const JUPITER_LIMIT_ORDER_V2_PROGRAM_ID = 'j1o2qRpjcyUwEvwtcfhEQefh773ZgjxcVRry7LDqg5X';
+const JUPITER_DCA_PROGRAM_ID = 'DCA265Vj8a9CEuX1eb1LWRnDT7uK6q1xMipnNyatn23M';
 
-class JupiterService {
+// Offset des décimales dans un compte Mint (SPL Token et Token-2022)
+const MINT_DECIMALS_OFFSET = 44;
+
+/**
+ * Layout du compte Order de Jupiter Limit Order v1 (offsets en octets, discriminateur Anchor inclus)
+ */
+const LIMIT_ORDER_V1_LAYOUT = {
+  MAKER: 8,
+  INPUT_MINT: 40,
+  OUTPUT_MINT: 72,
+  WAITING: 104,
+  ORI_MAKING_AMOUNT: 105,
+  ORI_TAKING_AMOUNT: 113,
+  MAKING_AMOUNT: 121,
+  TAKING_AMOUNT: 129,
+  MAKER_INPUT_ACCOUNT: 137,
+  MAKER_OUTPUT_ACCOUNT: 169,
+  RESERVE: 201,
+  BORROW_MAKING_AMOUNT: 233,
+  EXPIRED_AT: 241 // Option<i64>
+};
+
+/**
+ * Layout du compte Order de Jupiter Limit Order v2 (offsets en octets, discriminateur Anchor inclus)
+ */
+const LIMIT_ORDER_V2_LAYOUT = {
+  MAKER: 8,
+  INPUT_MINT: 40,
+  OUTPUT_MINT: 72,
+  INPUT_MINT_RESERVE: 168,
+  UNIQUE_ID: 200,
+  ORI_MAKING_AMOUNT: 208,
+  ORI_TAKING_AMOUNT: 216,
+  MAKING_AMOUNT: 224,
+  TAKING_AMOUNT: 232,
+  BORROW_MAKING_AMOUNT: 240,
+  EXPIRED_AT: 248, // Option<i64>, les champs suivants sont décalés selon sa présence
+  // Offsets relatifs après expired_at
+  FEE_BPS: 0,
+  CREATED_AT: 34,
+  UPDATED_AT: 42
+};
+
+/**
+ * Layout du compte Dca de Jupiter DCA (offsets en octets, discriminateur Anchor inclus)
+ */
+const DCA_LAYOUT = {
+  USER: 8,
+  INPUT_MINT: 40,
+  OUTPUT_MINT: 72,
+  IDX: 104,
+  NEXT_CYCLE_AT: 112,
+  IN_DEPOSITED: 120,
+  IN_WITHDRAWN: 128,
+  OUT_WITHDRAWN: 136,
+  IN_USED: 144,
+  OUT_RECEIVED: 152,
+  IN_AMOUNT_PER_CYCLE: 160,
+  CYCLE_FREQUENCY: 168,
+  NEXT_CYCLE_AMOUNT_LEFT: 176,
+  IN_ACCOUNT: 184,
+  OUT_ACCOUNT: 216,
+  MIN_OUT_AMOUNT: 248,
+  MAX_OUT_AMOUNT: 256,
+  CREATED_AT: 280
+};
+
+/**
+ * Calcule le discriminateur Anchor d'un type de compte
+ * @param {string} accountName - Nom du compte Anchor
+ * @returns {Buffer} 8 premiers octets de sha256("account:<nom>")
+ */
+function getAccountDiscriminator(accountName) {
+  return crypto.createHash('sha256').update(`account:${accountName}`).digest().subarray(0, 8);
+}
+
+const ORDER_DISCRIMINATOR = getAccountDiscriminator('Order');
+const DCA_DISCRIMINATOR = getAccountDiscriminator('Dca');
+
+/**
+ * Lit un Option<i64> Borsh
+ * @param {Buffer} data - Données du compte
+ * @param {number} offset - Offset du tag de l'option
+ * @returns {{value: bigint|null, size: number}} Valeur et taille occupée
+ */
+function readOptionI64(data, offset) {
+  return readU8(data, offset) === 1
+    ? { value: readI64(data, offset + 1), size: 9 }
+    : { value: null, size: 1 };
+}
+
+/**
+ * Convertit un timestamp Unix en date ISO
+ * @param {bigint|number|null} timestamp - Timestamp en secondes
+ * @returns {string|null}
+ */
+function toIsoDate(timestamp) {
+  return timestamp ? new Date(Number(timestamp) * 1000).toISOString() : null;
+}
+
+/**
+ * Décode un compte Order de Jupiter Limit Order v1
+ * @param {Buffer} data - Données du compte
+ * @returns {Object} Ordre décodé (montants bruts)
+ */
+function decodeLimitOrderV1(data) {
+  const layout = LIMIT_ORDER_V1_LAYOUT;
+
+  return {
+    version: 1,
+    maker: readPubkey(data, layout.MAKER),
+    inputMint: readPubkey(data, layout.INPUT_MINT),
+    outputMint: readPubkey(data, layout.OUTPUT_MINT),
+    waiting: readU8(data, layout.WAITING) === 1,
+    oriMakingAmount: readU64(data, layout.ORI_MAKING_AMOUNT),
+    oriTakingAmount: readU64(data, layout.ORI_TAKING_AMOUNT),
+    makingAmount: readU64(data, layout.MAKING_AMOUNT),
+    takingAmount: readU64(data, layout.TAKING_AMOUNT),
+    reserve: readPubkey(data, layout.RESERVE),
+    borrowMakingAmount: readU64(data, layout.BORROW_MAKING_AMOUNT),
+    expiredAt: readOptionI64(data, layout.EXPIRED_AT).value,
+    createdAt: null,
+    feeBps: null
+  };
+}
+
+/**
+ * Décode un compte Order de Jupiter Limit Order v2
+ * @param {Buffer} data - Données du compte
+ * @returns {Object} Ordre décodé (montants bruts)
+ */
+function decodeLimitOrderV2(data) {
+  const layout = LIMIT_ORDER_V2_LAYOUT;
+  const expiredAt = readOptionI64(data, layout.EXPIRED_AT);
+  const afterExpiry = layout.EXPIRED_AT + expiredAt.size;
+
+  return {
+    version: 2,
+    maker: readPubkey(data, layout.MAKER),
+    inputMint: readPubkey(data, layout.INPUT_MINT),
+    outputMint: readPubkey(data, layout.OUTPUT_MINT),
+    waiting: false,
+    oriMakingAmount: readU64(data, layout.ORI_MAKING_AMOUNT),
+    oriTakingAmount: readU64(data, layout.ORI_TAKING_AMOUNT),
+    makingAmount: readU64(data, layout.MAKING_AMOUNT),
+    takingAmount: readU64(data, layout.TAKING_AMOUNT),
+    reserve: readPubkey(data, layout.INPUT_MINT_RESERVE),
+    borrowMakingAmount: readU64(data, layout.BORROW_MAKING_AMOUNT),
+    expiredAt: expiredAt.value,
+    createdAt: readI64(data, afterExpiry + layout.CREATED_AT),
+    feeBps: readU16(data, afterExpiry + layout.FEE_BPS)
+  };
+}
+
+/**
+ * Décode un compte Dca de Jupiter DCA
+ * @param {Buffer} data - Données du compte
+ * @returns {Object} DCA décodé (montants bruts)
+ */
+function decodeDca(data) {
+  const layout = DCA_LAYOUT;
+
+  return {
+    user: readPubkey(data, layout.USER),
+    inputMint: readPubkey(data, layout.INPUT_MINT),
+    outputMint: readPubkey(data, layout.OUTPUT_MINT),
+    idx: readU64(data, layout.IDX),
+    nextCycleAt: readI64(data, layout.NEXT_CYCLE_AT),
+    inDeposited: readU64(data, layout.IN_DEPOSITED),
+    inWithdrawn: readU64(data, layout.IN_WITHDRAWN),
+    outWithdrawn: readU64(data, layout.OUT_WITHDRAWN),
+    inUsed: readU64(data, layout.IN_USED),
+    outReceived: readU64(data, layout.OUT_RECEIVED),
+    inAmountPerCycle: readU64(data, layout.IN_AMOUNT_PER_CYCLE),
+    cycleFrequency: readI64(data, layout.CYCLE_FREQUENCY),
+    nextCycleAmountLeft: readU64(data, layout.NEXT_CYCLE_AMOUNT_LEFT),
+    inAccount: readPubkey(data, layout.IN_ACCOUNT),
+    outAccount: readPubkey(data, layout.OUT_ACCOUNT),
+    minOutAmount: readU64(data, layout.MIN_OUT_AMOUNT),
+    maxOutAmount: readU64(data, layout.MAX_OUT_AMOUNT),
+    createdAt: readI64(data, layout.CREATED_AT)
+  };
+}
+
+/**
+ * Soustraction sans passer sous zéro
+ * @param {bigint} a
+ * @param {bigint} b
+ * @returns {bigint}
+ */
+function saturatingSub(a, b) {
+  return a > b ? a - b : 0n;
+}
+
+class JupiterService extends PriceProvider {
   constructor() {
+    super('jupiter');
     this.apiKey = process.env.JUPITER_API_KEY || null;
     this.baseURL = 'https://quote-api.jup.ag/v6';
     this.liteApiBaseURL = 'https://lite-api.jup.ag';
@@ -319,21 +520,220 @@ class JupiterService {
   }
 
   /**
-   * Récupère les limit orders d'un utilisateur sur Jupiter
+   * Récupère les comptes d'un programme Jupiter appartenant à un utilisateur
+   * @private
+   * @param {string} programId - Programme Jupiter
+   * @param {string} owner - Adresse du propriétaire
+   * @param {number} ownerOffset - Offset de l'adresse du propriétaire dans le compte
+   * @param {Buffer} discriminator - Discriminateur Anchor attendu
+   * @returns {Promise<Array>} Comptes bruts
+   */
+  async _getOwnerProgramAccounts(programId, owner, ownerOffset, discriminator) {
+    const solanaWebService = require('./solanaWebService');
+    const accounts = await solanaWebService.getProgramAccounts(programId, [
+      { memcmp: { offset: ownerOffset, bytes: owner } }
+    ]);
+
+    return accounts.filter(account => account.data.subarray(0, 8).equals(discriminator));
+  }
+
+  /**
+   * Lit les décimales d'une liste de mints on-chain
+   * @private
+   * @param {Array<string>} mints - Adresses des mints
+   * @returns {Promise<Object>} Décimales indexées par mint (null si inconnues)
+   */
+  async _getMintDecimals(mints) {
+    const solanaWebService = require('./solanaWebService');
+    const mintAccounts = await solanaWebService.getMultipleAccounts(mints);
+    const decimals = {};
+
+    for (const mint of new Set(mints)) {
+      decimals[mint] = mintAccounts[mint] ? readU8(mintAccounts[mint].data, MINT_DECIMALS_OFFSET) : null;
+    }
+
+    return decimals;
+  }
+
+  /**
+   * Récupère les limit orders ouverts d'un utilisateur, décodés on-chain (programmes v1 et v2)
    * @param {string} owner - Adresse du propriétaire
    * @returns {Promise<Array>} Liste des limit orders
    */
   async getLimitOrdersByOwner(owner) {
     try {
-      // Dans une implémentation réelle, on ferait appel à l'API Jupiter
-      // Pour la simplicité, on retourne un tableau vide (l'utilisateur n'a pas d'orders)
-      return [];
+      const [v1Accounts, v2Accounts] = await Promise.all([
+        this._getOwnerProgramAccounts(JUPITER_LIMIT_ORDER_PROGRAM_ID, owner, LIMIT_ORDER_V1_LAYOUT.MAKER, ORDER_DISCRIMINATOR),
+        this._getOwnerProgramAccounts(JUPITER_LIMIT_ORDER_V2_PROGRAM_ID, owner, LIMIT_ORDER_V2_LAYOUT.MAKER, ORDER_DISCRIMINATOR)
+      ]);
+
+      const orders = [
+        ...v1Accounts.map(account => ({ account, programId: JUPITER_LIMIT_ORDER_PROGRAM_ID, order: decodeLimitOrderV1(account.data) })),
+        ...v2Accounts.map(account => ({ account, programId: JUPITER_LIMIT_ORDER_V2_PROGRAM_ID, order: decodeLimitOrderV2(account.data) }))
+      ];
+
+      if (orders.length === 0) return [];
+
+      const decimals = await this._getMintDecimals(
+        orders.flatMap(({ order }) => [order.inputMint, order.outputMint])
+      );
+      const now = Math.floor(Date.now() / 1000);
+
+      return orders.map(({ account, programId, order }) => {
+        const inputDecimals = decimals[order.inputMint] ?? 0;
+        const outputDecimals = decimals[order.outputMint] ?? 0;
+        const filledMaking = saturatingSub(order.oriMakingAmount, order.makingAmount);
+        const expired = order.expiredAt !== null && Number(order.expiredAt) <= now;
+
+        return {
+          orderId: account.address,
+          programId,
+          version: order.version,
+          inputMint: order.inputMint,
+          outputMint: order.outputMint,
+          inputDecimals,
+          outputDecimals,
+          // Montant d'entrée encore bloqué dans l'ordre
+          inputAmount: toUiAmount(order.makingAmount, inputDecimals),
+          outputAmount: toUiAmount(order.takingAmount, outputDecimals),
+          originalInputAmount: toUiAmount(order.oriMakingAmount, inputDecimals),
+          originalOutputAmount: toUiAmount(order.oriTakingAmount, outputDecimals),
+          filledInputAmount: toUiAmount(filledMaking, inputDecimals),
+          fillProgress: order.oriMakingAmount > 0n ? Number(filledMaking) / Number(order.oriMakingAmount) : 0,
+          price: order.oriMakingAmount > 0n
+            ? toUiAmount(order.oriTakingAmount, outputDecimals) / toUiAmount(order.oriMakingAmount, inputDecimals)
+            : null,
+          feeBps: order.feeBps,
+          reserve: order.reserve,
+          status: expired ? 'expired' : 'open',
+          createdAt: toIsoDate(order.createdAt),
+          expiresAt: toIsoDate(order.expiredAt)
+        };
+      });
     } catch (error) {
       console.error(`[JupiterService] Erreur lors de la récupération des limit orders: ${error.message}`);
-      return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Récupère les comptes DCA actifs d'un utilisateur, décodés on-chain
+   * @param {string} owner - Adresse du propriétaire
+   * @returns {Promise<Array>} Liste des DCA
+   */
+  async getDcaAccountsByOwner(owner) {
+    try {
+      const accounts = await this._getOwnerProgramAccounts(JUPITER_DCA_PROGRAM_ID, owner, DCA_LAYOUT.USER, DCA_DISCRIMINATOR);
+      if (accounts.length === 0) return [];
+
+      const dcas = accounts.map(account => ({ account, dca: decodeDca(account.data) }));
+      const decimals = await this._getMintDecimals(dcas.flatMap(({ dca }) => [dca.inputMint, dca.outputMint]));
+
+      return dcas.map(({ account, dca }) => {
+        const inputDecimals = decimals[dca.inputMint] ?? 0;
+        const outputDecimals = decimals[dca.outputMint] ?? 0;
+        // Entrée non encore échangée et sortie reçue mais pas encore retirée : les deux restent bloquées
+        const inputRemaining = saturatingSub(dca.inDeposited, dca.inUsed + dca.inWithdrawn);
+        const outputPending = saturatingSub(dca.outReceived, dca.outWithdrawn);
+        const totalCycles = dca.inAmountPerCycle > 0n
+          ? Math.ceil(Number(dca.inDeposited) / Number(dca.inAmountPerCycle))
+          : null;
+        const completedCycles = dca.inAmountPerCycle > 0n
+          ? Math.floor(Number(dca.inUsed) / Number(dca.inAmountPerCycle))
+          : null;
+
+        return {
+          dcaId: account.address,
+          programId: JUPITER_DCA_PROGRAM_ID,
+          inputMint: dca.inputMint,
+          outputMint: dca.outputMint,
+          inputDecimals,
+          outputDecimals,
+          inputDeposited: toUiAmount(dca.inDeposited, inputDecimals),
+          inputUsed: toUiAmount(dca.inUsed, inputDecimals),
+          inputRemaining: toUiAmount(inputRemaining, inputDecimals),
+          outputReceived: toUiAmount(dca.outReceived, outputDecimals),
+          outputPending: toUiAmount(outputPending, outputDecimals),
+          amountPerCycle: toUiAmount(dca.inAmountPerCycle, inputDecimals),
+          cycleFrequency: Number(dca.cycleFrequency),
+          completedCycles,
+          totalCycles,
+          fillProgress: dca.inDeposited > 0n ? Number(dca.inUsed) / Number(dca.inDeposited) : 0,
+          nextCycleAt: inputRemaining > 0n ? toIsoDate(dca.nextCycleAt) : null,
+          status: inputRemaining > 0n ? 'open' : 'completed',
+          createdAt: toIsoDate(dca.createdAt)
+        };
+      });
+    } catch (error) {
+      console.error(`[JupiterService] Erreur lors de la récupération des DCA: ${error.message}`);
+      throw error;
     }
   }
 
+  /**
+   * Récupère les prix de plusieurs tokens via l'API de prix Jupiter v3 (liste d'ids, 50 tokens par requête)
+   * @param {Array<string>} mints - Adresses des tokens
+   * @returns {Promise<Object>} - Prix indexés par adresse : { mint, price, priceUsd, source }
+   */
+  async getTokenPrices(mints) {
+    const prices = {};
+    if (!Array.isArray(mints) || mints.length === 0) {
+      return prices;
+    }
+
+    for (let i = 0; i < mints.length; i += 50) {
+      const chunk = mints.slice(i, i + 50);
+
+      try {
+        const response = await axios.get(`${this.liteApiBaseURL}/price/v3`, {
+          params: { ids: chunk.join(',') },
+          timeout: 5000
+        });
+        this.recordSuccess();
+
+        // Réponse indexée par mint : { usdPrice, blockId, decimals, priceChange24h }, tokens sans prix absents
+        for (const [mint, data] of Object.entries(response.data || {})) {
+          const price = parseFloat(data?.usdPrice);
+          if (price > 0) {
+            prices[mint] = { mint, price, priceUsd: price, source: 'jupiter' };
+          }
+        }
+      } catch (error) {
+        this.recordFailure(error);
+        console.warn(`[JupiterService] Erreur lors de la récupération des prix pour ${chunk.length} tokens: ${error.message}`);
+      }
+    }
+
+    return prices;
+  }
+
+  /**
+   * Récupère le prix actuel d'un token (contrat PriceProvider)
+   * @param {string} mint - Adresse du token
+   * @returns {Promise<Object|null>} - Données de prix ou null si non trouvé
+   */
+  async getTokenPriceByMint(mint) {
+    const prices = await this.getTokenPrices([mint]);
+    return prices[mint] || null;
+  }
+
+  /**
+   * Récupère les prix actuels de plusieurs tokens (contrat PriceProvider)
+   * @param {Array<string>} mints - Adresses des tokens
+   * @returns {Promise<Object>} - Données de prix indexées par adresse
+   */
+  async getTokenPricesByMint(mints) {
+    return this.getTokenPrices(mints);
+  }
+
+  /**
+   * L'API de prix Jupiter ne fournit pas d'historique (contrat PriceProvider)
+   * @returns {Promise<null>}
+   */
+  async getHistoricalPriceByMint(mint, timestamp) {
+    return null;
+  }
+
   /**
    * Récupère le prix d'un token sur le DEX Jupiter
    * @param {string} mint - Adresse du token
@@ -373,4 +773,4 @@ class JupiterService {
   }
 }
 
-module.exports = new JupiterService();
\ No newline at end of file
+module.exports = new JupiterService();
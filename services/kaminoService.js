@@ -5,12 +5,240 @@
 const axios = require('axios');
 const priceService = require('./priceService');
 const solanaWebService = require('./solanaWebService');
+const tokenMetadataService = require('./tokenMetadataService');
+const {
+  readPubkey,
+  readU8,
+  readU64,
+  readU128,
+  scaledFractionToNumber,
+  isDefaultPubkey
+} = require('../utils/bufferUtils');
+const { computeLendingRisk } = require('../utils/lendingUtils');
 
 // Constantes
 const KAMINO_PROGRAM_ID = 'KLend2g3cP87fffoy8q1mQqGKjrxjC8boSyAYavgmjD';
 const KAMINO_STAKING_ID = 'KaminoKSsxB3Qy4xFj8gcDUCMJv8Up1twwAy7W7eiEwp';
 const KAMINO_TOKEN = 'KPTV4LYACCm72jPKpEMEYNYVBmNTyA2xLYSYGKSrYCi';
 
+/**
+ * Layout du compte Obligation KLend (offsets en octets, discriminateur Anchor inclus)
+ */
+const OBLIGATION_LAYOUT = {
+  SIZE: 3344,
+  LENDING_MARKET: 32,
+  OWNER: 64,
+  DEPOSITS: 96,
+  DEPOSITS_COUNT: 8,
+  DEPOSIT_SIZE: 136,
+  DEPOSITED_VALUE_SF: 1192,
+  BORROWS: 1208,
+  BORROWS_COUNT: 5,
+  BORROW_SIZE: 200,
+  BORROW_FACTOR_ADJUSTED_DEBT_VALUE_SF: 2208,
+  BORROWED_ASSETS_MARKET_VALUE_SF: 2224,
+  ALLOWED_BORROW_VALUE_SF: 2240,
+  UNHEALTHY_BORROW_VALUE_SF: 2256
+};
+
+/**
+ * Layout du compte Reserve KLend (offsets en octets, discriminateur Anchor inclus)
+ */
+const RESERVE_LAYOUT = {
+  LENDING_MARKET: 32,
+  LIQUIDITY_MINT: 128,
+  LIQUIDITY_AVAILABLE_AMOUNT: 224,
+  LIQUIDITY_BORROWED_AMOUNT_SF: 232,
+  LIQUIDITY_MARKET_PRICE_SF: 248,
+  LIQUIDITY_MINT_DECIMALS: 272,
+  LIQUIDITY_CUMULATIVE_BORROW_RATE_BSF: 296,
+  LIQUIDITY_ACCUMULATED_PROTOCOL_FEES_SF: 344,
+  LIQUIDITY_ACCUMULATED_REFERRER_FEES_SF: 360,
+  LIQUIDITY_PENDING_REFERRER_FEES_SF: 376,
+  COLLATERAL_MINT: 2560,
+  COLLATERAL_MINT_TOTAL_SUPPLY: 2592,
+  CONFIG_LOAN_TO_VALUE_PCT: 4872,
+  CONFIG_LIQUIDATION_THRESHOLD_PCT: 4873
+};
+
+/**
+ * Lit un BigFraction KLend (U256 stocké sur 4 mots de 64 bits)
+ * @param {Buffer} data - Données du compte
+ * @param {number} offset - Position de lecture
+ * @returns {bigint}
+ */
+function readBigFraction(data, offset) {
+  let value = 0n;
+  for (let i = 3; i >= 0; i--) {
+    value = (value << 64n) + readU64(data, offset + i * 8);
+  }
+  return value;
+}
+
+/**
+ * Décode un compte Obligation KLend
+ * @param {Buffer} data - Données brutes du compte
+ * @returns {Object} Obligation décodée (valeurs USD en nombres flottants)
+ */
+function decodeObligation(data) {
+  const deposits = [];
+  for (let i = 0; i < OBLIGATION_LAYOUT.DEPOSITS_COUNT; i++) {
+    const offset = OBLIGATION_LAYOUT.DEPOSITS + i * OBLIGATION_LAYOUT.DEPOSIT_SIZE;
+    const reserve = readPubkey(data, offset);
+    if (isDefaultPubkey(reserve)) continue;
+
+    deposits.push({
+      reserve,
+      depositedAmount: readU64(data, offset + 32),
+      marketValueUsd: scaledFractionToNumber(readU128(data, offset + 40))
+    });
+  }
+
+  const borrows = [];
+  for (let i = 0; i < OBLIGATION_LAYOUT.BORROWS_COUNT; i++) {
+    const offset = OBLIGATION_LAYOUT.BORROWS + i * OBLIGATION_LAYOUT.BORROW_SIZE;
+    const reserve = readPubkey(data, offset);
+    if (isDefaultPubkey(reserve)) continue;
+
+    borrows.push({
+      reserve,
+      cumulativeBorrowRate: readBigFraction(data, offset + 32),
+      borrowedAmountSf: readU128(data, offset + 88),
+      marketValueUsd: scaledFractionToNumber(readU128(data, offset + 104))
+    });
+  }
+
+  return {
+    lendingMarket: readPubkey(data, OBLIGATION_LAYOUT.LENDING_MARKET),
+    owner: readPubkey(data, OBLIGATION_LAYOUT.OWNER),
+    deposits,
+    borrows,
+    depositedValueUsd: scaledFractionToNumber(readU128(data, OBLIGATION_LAYOUT.DEPOSITED_VALUE_SF)),
+    borrowFactorAdjustedDebtValueUsd: scaledFractionToNumber(readU128(data, OBLIGATION_LAYOUT.BORROW_FACTOR_ADJUSTED_DEBT_VALUE_SF)),
+    borrowedAssetsMarketValueUsd: scaledFractionToNumber(readU128(data, OBLIGATION_LAYOUT.BORROWED_ASSETS_MARKET_VALUE_SF)),
+    allowedBorrowValueUsd: scaledFractionToNumber(readU128(data, OBLIGATION_LAYOUT.ALLOWED_BORROW_VALUE_SF)),
+    unhealthyBorrowValueUsd: scaledFractionToNumber(readU128(data, OBLIGATION_LAYOUT.UNHEALTHY_BORROW_VALUE_SF))
+  };
+}
+
+/**
+ * Décode un compte Reserve KLend
+ * @param {Buffer} data - Données brutes du compte
+ * @returns {Object} Reserve décodée
+ */
+function decodeReserve(data) {
+  const decimals = Number(readU64(data, RESERVE_LAYOUT.LIQUIDITY_MINT_DECIMALS));
+  const availableAmount = readU64(data, RESERVE_LAYOUT.LIQUIDITY_AVAILABLE_AMOUNT);
+  const borrowedAmount = scaledFractionToNumber(readU128(data, RESERVE_LAYOUT.LIQUIDITY_BORROWED_AMOUNT_SF));
+  const fees = scaledFractionToNumber(readU128(data, RESERVE_LAYOUT.LIQUIDITY_ACCUMULATED_PROTOCOL_FEES_SF)) +
+    scaledFractionToNumber(readU128(data, RESERVE_LAYOUT.LIQUIDITY_ACCUMULATED_REFERRER_FEES_SF)) +
+    scaledFractionToNumber(readU128(data, RESERVE_LAYOUT.LIQUIDITY_PENDING_REFERRER_FEES_SF));
+
+  // Liquidité totale (en unités natives du token) = disponible + empruntée - frais accumulés
+  const totalLiquidity = Number(availableAmount) + borrowedAmount - fees;
+  const collateralSupply = Number(readU64(data, RESERVE_LAYOUT.COLLATERAL_MINT_TOTAL_SUPPLY));
+
+  return {
+    lendingMarket: readPubkey(data, RESERVE_LAYOUT.LENDING_MARKET),
+    liquidityMint: readPubkey(data, RESERVE_LAYOUT.LIQUIDITY_MINT),
+    collateralMint: readPubkey(data, RESERVE_LAYOUT.COLLATERAL_MINT),
+    decimals,
+    marketPriceUsd: scaledFractionToNumber(readU128(data, RESERVE_LAYOUT.LIQUIDITY_MARKET_PRICE_SF)),
+    cumulativeBorrowRate: readBigFraction(data, RESERVE_LAYOUT.LIQUIDITY_CUMULATIVE_BORROW_RATE_BSF),
+    totalLiquidity,
+    borrowedAmount,
+    utilization: totalLiquidity > 0 ? borrowedAmount / totalLiquidity : 0,
+    // Nombre de tokens sous-jacents par cToken
+    collateralExchangeRate: collateralSupply > 0 ? totalLiquidity / collateralSupply : 1,
+    loanToValue: readU8(data, RESERVE_LAYOUT.CONFIG_LOAN_TO_VALUE_PCT) / 100,
+    liquidationThreshold: readU8(data, RESERVE_LAYOUT.CONFIG_LIQUIDATION_THRESHOLD_PCT) / 100
+  };
+}
+
+/**
+ * Calcule les indicateurs de risque d'une obligation
+ * @param {Object} obligation - Obligation décodée
+ * @returns {Object} Health factor, LTV actuel et LTV de liquidation
+ */
+function computeObligationRisk(obligation) {
+  return computeLendingRisk({
+    collateralUsd: obligation.depositedValueUsd,
+    debtUsd: obligation.borrowFactorAdjustedDebtValueUsd,
+    allowedBorrowUsd: obligation.allowedBorrowValueUsd,
+    unhealthyBorrowUsd: obligation.unhealthyBorrowValueUsd
+  });
+}
+
+/**
+ * Transforme une obligation et ses reserves en positions de prêt/emprunt
+ * @param {string} obligationAddress - Adresse de l'obligation
+ * @param {Object} obligation - Obligation décodée
+ * @param {Object} reserves - Reserves décodées indexées par adresse
+ * @param {Object} tokensInfo - Métadonnées des tokens indexées par mint
+ * @returns {Array} Positions de lending
+ */
+function buildLendingPositions(obligationAddress, obligation, reserves, tokensInfo = {}) {
+  const risk = computeObligationRisk(obligation);
+  const positions = [];
+
+  const basePosition = (reserveAddress, reserve) => {
+    const tokenInfo = tokensInfo[reserve.liquidityMint] || {};
+    return {
+      address: obligationAddress,
+      pool: reserveAddress,
+      lendingMarket: obligation.lendingMarket,
+      tokenMint: reserve.liquidityMint,
+      tokenSymbol: tokenInfo.symbol || 'Unknown',
+      tokenName: tokenInfo.name || 'Unknown Token',
+      decimals: reserve.decimals,
+      healthFactor: risk.healthFactor,
+      isLiquidating: risk.healthFactor !== null && risk.healthFactor < 1,
+      ltv: risk.ltv,
+      maxLtv: risk.maxLtv,
+      liquidationLtv: risk.liquidationLtv,
+      utilization: reserve.utilization
+    };
+  };
+
+  for (const deposit of obligation.deposits) {
+    const reserve = reserves[deposit.reserve];
+    if (!reserve) continue;
+
+    const nativeAmount = Number(deposit.depositedAmount) * reserve.collateralExchangeRate;
+    positions.push({
+      ...basePosition(deposit.reserve, reserve),
+      isDeposit: true,
+      // Une reserve avec un LTV nul ne peut pas servir de collatéral
+      isCollateral: reserve.loanToValue > 0,
+      amount: nativeAmount / Math.pow(10, reserve.decimals),
+      marketValueUsd: deposit.marketValueUsd,
+      reserveLtv: reserve.loanToValue,
+      reserveLiquidationThreshold: reserve.liquidationThreshold
+    });
+  }
+
+  for (const borrow of obligation.borrows) {
+    const reserve = reserves[borrow.reserve];
+    if (!reserve) continue;
+
+    // Actualiser le montant emprunté avec le taux cumulé courant de la reserve
+    let nativeAmount = scaledFractionToNumber(borrow.borrowedAmountSf);
+    if (borrow.cumulativeBorrowRate > 0n && reserve.cumulativeBorrowRate > borrow.cumulativeBorrowRate) {
+      nativeAmount *= Number(reserve.cumulativeBorrowRate) / Number(borrow.cumulativeBorrowRate);
+    }
+
+    positions.push({
+      ...basePosition(borrow.reserve, reserve),
+      isDeposit: false,
+      isCollateral: false,
+      amount: nativeAmount / Math.pow(10, reserve.decimals),
+      marketValueUsd: borrow.marketValueUsd
+    });
+  }
+
+  return positions;
+}
+
 /**
  * Récupère les positions de lending d'un utilisateur sur Kamino
  * @param {string} owner - Adresse du propriétaire
@@ -18,24 +246,61 @@ const KAMINO_TOKEN = 'KPTV4LYACCm72jPKpEMEYNYVBmNTyA2xLYSYGKSrYCi';
  */
 async function getLendingPositions(owner) {
   try {
-    // Dans une implémentation réelle, on interrogerait l'API Kamino ou le programme on-chain
-    // Pour la simplicité, on retourne un tableau vide (l'utilisateur n'a pas de positions)
-    return [];
+    // 1. Récupérer les obligations du propriétaire (tous marchés confondus)
+    const obligationAccounts = await solanaWebService.getProgramAccounts(KAMINO_PROGRAM_ID, [
+      { dataSize: OBLIGATION_LAYOUT.SIZE },
+      { memcmp: { offset: OBLIGATION_LAYOUT.OWNER, bytes: owner } }
+    ]);
+
+    if (obligationAccounts.length === 0) {
+      return [];
+    }
+
+    const obligations = obligationAccounts.map(account => ({
+      address: account.address,
+      obligation: decodeObligation(account.data)
+    }));
+
+    // 2. Récupérer et décoder toutes les reserves référencées
+    const reserveAddresses = obligations.flatMap(({ obligation }) => [
+      ...obligation.deposits.map(deposit => deposit.reserve),
+      ...obligation.borrows.map(borrow => borrow.reserve)
+    ]);
+    const reserveAccounts = await solanaWebService.getMultipleAccounts([...new Set(reserveAddresses)]);
+
+    const reserves = {};
+    for (const [address, account] of Object.entries(reserveAccounts)) {
+      if (account) {
+        reserves[address] = decodeReserve(account.data);
+      }
+    }
+
+    // 3. Récupérer les métadonnées des tokens sous-jacents
+    const mints = [...new Set(Object.values(reserves).map(reserve => reserve.liquidityMint))];
+    const tokensInfo = {};
+    await Promise.all(mints.map(async mint => {
+      tokensInfo[mint] = await getTokenInfo(mint);
+    }));
+
+    // 4. Construire les positions de dépôt et d'emprunt
+    return obligations.flatMap(({ address, obligation }) =>
+      buildLendingPositions(address, obligation, reserves, tokensInfo)
+    );
   } catch (error) {
     console.error(`[KaminoService] Erreur lors de la récupération des positions de lending: ${error.message}`);
-    return [];
+    throw error;
   }
 }
 
 /**
  * Récupère les positions de staking d'un utilisateur sur Kamino
+ * Hors périmètre : seules les obligations KLend sont décodées on-chain. Le staking KMNO
+ * (programme de farms) n'est pas encore décodé, aucune position n'est donc remontée
  * @param {string} owner - Adresse du propriétaire
- * @returns {Promise<Array>} Liste des positions de staking
+ * @returns {Promise<Array>} Liste des positions de staking (toujours vide)
  */
 async function getStakingPositions(owner) {
   try {
-    // Dans une implémentation réelle, on interrogerait l'API Kamino ou le programme on-chain
-    // Pour la simplicité, on retourne un tableau vide (l'utilisateur n'a pas de positions)
     return [];
   } catch (error) {
     console.error(`[KaminoService] Erreur lors de la récupération des positions de staking: ${error.message}`);
@@ -45,13 +310,13 @@ async function getStakingPositions(owner) {
 
 /**
  * Récupère les positions de vault (LP farming) d'un utilisateur sur Kamino
+ * Hors périmètre : les stratégies de liquidité Kamino (kTokens) ne sont pas encore décodées,
+ * aucune position n'est donc remontée
  * @param {string} owner - Adresse du propriétaire
- * @returns {Promise<Array>} Liste des positions de vault
+ * @returns {Promise<Array>} Liste des positions de vault (toujours vide)
  */
 async function getVaultPositions(owner) {
   try {
-    // Dans une implémentation réelle, on interrogerait l'API Kamino ou le programme on-chain
-    // Pour la simplicité, on retourne un tableau vide (l'utilisateur n'a pas de positions)
     return [];
   } catch (error) {
     console.error(`[KaminoService] Erreur lors de la récupération des positions de vault: ${error.message}`);
@@ -66,8 +331,8 @@ async function getVaultPositions(owner) {
  */
 async function getTokenInfo(tokenMint) {
   try {
-    // Utiliser le service de prix pour obtenir les informations sur le token
-    const tokenInfo = await priceService.getTokenInfo(tokenMint);
+    // Utiliser le service de métadonnées pour obtenir les informations sur le token
+    const tokenInfo = await tokenMetadataService.getTokenMetadata(tokenMint);
     return tokenInfo;
   } catch (error) {
     console.error(`[KaminoService] Erreur lors de la récupération des informations du token ${tokenMint}: ${error.message}`);
@@ -110,6 +375,10 @@ module.exports = {
   getVaultPositions,
   getTokenInfo,
   getVaultStats,
+  decodeObligation,
+  decodeReserve,
+  computeObligationRisk,
+  buildLendingPositions,
   KAMINO_PROGRAM_ID,
   KAMINO_STAKING_ID,
   KAMINO_TOKEN
@@ -0,0 +1,319 @@
+/**
+ * Service pour interagir avec Marginfi v2 (lending)
+ * Décode les comptes MarginfiAccount et Bank du programme pour reconstituer les dépôts et emprunts
+ */
+const priceService = require('./priceService');
+const solanaWebService = require('./solanaWebService');
+const tokenMetadataService = require('./tokenMetadataService');
+const {
+  readPubkey,
+  readU8,
+  readU64,
+  readI128,
+  scaledFractionToNumber,
+  isDefaultPubkey
+} = require('../utils/bufferUtils');
+const { computeLendingRisk } = require('../utils/lendingUtils');
+
+// Constantes
+const MARGINFI_PROGRAM_ID = 'MFv2hWf31Z9kbCa1snEPYctwafyhdvnV7FZnsebVacA';
+// Les montants et pondérations Marginfi sont des I80F48 (48 bits de partie fractionnaire)
+const I80F48_FRACTIONAL_BITS = 48;
+
+/**
+ * Layout du compte MarginfiAccount (offsets en octets, discriminateur Anchor inclus)
+ */
+const ACCOUNT_LAYOUT = {
+  SIZE: 2312,
+  GROUP: 8,
+  AUTHORITY: 40,
+  BALANCES: 72,
+  BALANCES_COUNT: 16,
+  BALANCE_SIZE: 104,
+  // Offsets relatifs à une entrée Balance
+  BALANCE_ACTIVE: 0,
+  BALANCE_BANK: 1,
+  BALANCE_ASSET_SHARES: 40,
+  BALANCE_LIABILITY_SHARES: 56,
+  ACCOUNT_FLAGS: 1800
+};
+
+/**
+ * Layout du compte Bank (offsets en octets, discriminateur Anchor inclus)
+ */
+const BANK_LAYOUT = {
+  MINT: 8,
+  MINT_DECIMALS: 40,
+  GROUP: 41,
+  ASSET_SHARE_VALUE: 80,
+  LIABILITY_SHARE_VALUE: 96,
+  TOTAL_LIABILITY_SHARES: 256,
+  TOTAL_ASSET_SHARES: 272,
+  CONFIG_ASSET_WEIGHT_INIT: 296,
+  CONFIG_ASSET_WEIGHT_MAINT: 312,
+  CONFIG_LIABILITY_WEIGHT_INIT: 328,
+  CONFIG_LIABILITY_WEIGHT_MAINT: 344
+};
+
+// Drapeaux du compte (account_flags)
+const ACCOUNT_FLAG_DISABLED = 1 << 0;
+const ACCOUNT_FLAG_IN_FLASHLOAN = 1 << 1;
+
+/**
+ * Lit un I80F48 Marginfi
+ * @param {Buffer} data - Données du compte
+ * @param {number} offset - Position de lecture
+ * @returns {number}
+ */
+function readI80F48(data, offset) {
+  const value = readI128(data, offset);
+  // scaledFractionToNumber attend une valeur positive
+  return value < 0n
+    ? -scaledFractionToNumber(-value, I80F48_FRACTIONAL_BITS)
+    : scaledFractionToNumber(value, I80F48_FRACTIONAL_BITS);
+}
+
+/**
+ * Décode un compte MarginfiAccount
+ * @param {Buffer} data - Données brutes du compte
+ * @returns {Object} Compte décodé (parts en unités brutes)
+ */
+function decodeMarginfiAccount(data) {
+  const balances = [];
+  for (let i = 0; i < ACCOUNT_LAYOUT.BALANCES_COUNT; i++) {
+    const offset = ACCOUNT_LAYOUT.BALANCES + i * ACCOUNT_LAYOUT.BALANCE_SIZE;
+    if (readU8(data, offset + ACCOUNT_LAYOUT.BALANCE_ACTIVE) === 0) continue;
+
+    const bank = readPubkey(data, offset + ACCOUNT_LAYOUT.BALANCE_BANK);
+    if (isDefaultPubkey(bank)) continue;
+
+    balances.push({
+      bank,
+      assetShares: readI80F48(data, offset + ACCOUNT_LAYOUT.BALANCE_ASSET_SHARES),
+      liabilityShares: readI80F48(data, offset + ACCOUNT_LAYOUT.BALANCE_LIABILITY_SHARES)
+    });
+  }
+
+  const flags = Number(readU64(data, ACCOUNT_LAYOUT.ACCOUNT_FLAGS));
+
+  return {
+    group: readPubkey(data, ACCOUNT_LAYOUT.GROUP),
+    authority: readPubkey(data, ACCOUNT_LAYOUT.AUTHORITY),
+    balances,
+    isDisabled: (flags & ACCOUNT_FLAG_DISABLED) !== 0,
+    isInFlashloan: (flags & ACCOUNT_FLAG_IN_FLASHLOAN) !== 0
+  };
+}
+
+/**
+ * Décode un compte Bank
+ * @param {Buffer} data - Données brutes du compte
+ * @returns {Object} Bank décodée
+ */
+function decodeBank(data) {
+  const assetShareValue = readI80F48(data, BANK_LAYOUT.ASSET_SHARE_VALUE);
+  const liabilityShareValue = readI80F48(data, BANK_LAYOUT.LIABILITY_SHARE_VALUE);
+  const totalAssets = readI80F48(data, BANK_LAYOUT.TOTAL_ASSET_SHARES) * assetShareValue;
+  const totalLiabilities = readI80F48(data, BANK_LAYOUT.TOTAL_LIABILITY_SHARES) * liabilityShareValue;
+
+  return {
+    mint: readPubkey(data, BANK_LAYOUT.MINT),
+    decimals: readU8(data, BANK_LAYOUT.MINT_DECIMALS),
+    group: readPubkey(data, BANK_LAYOUT.GROUP),
+    assetShareValue,
+    liabilityShareValue,
+    utilization: totalAssets > 0 ? totalLiabilities / totalAssets : 0,
+    assetWeightInit: readI80F48(data, BANK_LAYOUT.CONFIG_ASSET_WEIGHT_INIT),
+    assetWeightMaint: readI80F48(data, BANK_LAYOUT.CONFIG_ASSET_WEIGHT_MAINT),
+    liabilityWeightInit: readI80F48(data, BANK_LAYOUT.CONFIG_LIABILITY_WEIGHT_INIT),
+    liabilityWeightMaint: readI80F48(data, BANK_LAYOUT.CONFIG_LIABILITY_WEIGHT_MAINT)
+  };
+}
+
+/**
+ * Calcule les montants d'un compte et ses indicateurs de risque
+ * Marginfi ne stocke pas de valeurs USD : elles sont calculées avec les prix courants
+ * @param {Object} account - Compte décodé
+ * @param {Object} banks - Banks décodées indexées par adresse
+ * @param {Object} prices - Prix USD indexés par mint
+ * @returns {Object} Montants par balance et indicateurs de risque
+ */
+function computeAccountRisk(account, banks, prices = {}) {
+  let collateralUsd = 0;
+  let debtUsd = 0;
+  let allowedBorrowUsd = 0;
+  let unhealthyBorrowUsd = 0;
+  let maintenanceDebtUsd = 0;
+
+  const amounts = [];
+
+  for (const balance of account.balances) {
+    const bank = banks[balance.bank];
+    if (!bank) continue;
+
+    const scale = Math.pow(10, bank.decimals);
+    const depositAmount = balance.assetShares * bank.assetShareValue / scale;
+    const borrowAmount = balance.liabilityShares * bank.liabilityShareValue / scale;
+    const price = prices[bank.mint] || 0;
+
+    collateralUsd += depositAmount * price;
+    allowedBorrowUsd += depositAmount * price * bank.assetWeightInit;
+    unhealthyBorrowUsd += depositAmount * price * bank.assetWeightMaint;
+    debtUsd += borrowAmount * price * bank.liabilityWeightInit;
+    maintenanceDebtUsd += borrowAmount * price * bank.liabilityWeightMaint;
+
+    amounts.push({ balance, bank, depositAmount, borrowAmount });
+  }
+
+  const risk = computeLendingRisk({ collateralUsd, debtUsd, allowedBorrowUsd, unhealthyBorrowUsd });
+  // La liquidation se juge sur les pondérations de maintenance des deux côtés
+  risk.healthFactor = maintenanceDebtUsd > 0 ? unhealthyBorrowUsd / maintenanceDebtUsd : null;
+
+  return { amounts, risk };
+}
+
+/**
+ * Transforme un compte Marginfi et ses banks en positions de prêt/emprunt
+ * @param {string} accountAddress - Adresse du MarginfiAccount
+ * @param {Object} account - Compte décodé
+ * @param {Object} banks - Banks décodées indexées par adresse
+ * @param {Object} prices - Prix USD indexés par mint
+ * @param {Object} tokensInfo - Métadonnées des tokens indexées par mint
+ * @returns {Array} Positions de lending
+ */
+function buildLendingPositions(accountAddress, account, banks, prices = {}, tokensInfo = {}) {
+  const { amounts, risk } = computeAccountRisk(account, banks, prices);
+  const positions = [];
+
+  for (const { balance, bank, depositAmount, borrowAmount } of amounts) {
+    const tokenInfo = tokensInfo[bank.mint] || {};
+    const basePosition = {
+      address: accountAddress,
+      pool: balance.bank,
+      lendingMarket: account.group,
+      tokenMint: bank.mint,
+      tokenSymbol: tokenInfo.symbol || 'Unknown',
+      tokenName: tokenInfo.name || 'Unknown Token',
+      decimals: bank.decimals,
+      healthFactor: risk.healthFactor,
+      isLiquidating: risk.healthFactor !== null && risk.healthFactor < 1,
+      ltv: risk.ltv,
+      maxLtv: risk.maxLtv,
+      liquidationLtv: risk.liquidationLtv,
+      utilization: bank.utilization
+    };
+
+    if (depositAmount > 0) {
+      positions.push({
+        ...basePosition,
+        isDeposit: true,
+        // Une bank avec une pondération initiale nulle ne peut pas servir de collatéral
+        isCollateral: bank.assetWeightInit > 0,
+        amount: depositAmount,
+        marketValueUsd: depositAmount * (prices[bank.mint] || 0)
+      });
+    }
+
+    if (borrowAmount > 0) {
+      positions.push({
+        ...basePosition,
+        isDeposit: false,
+        isCollateral: false,
+        amount: borrowAmount,
+        marketValueUsd: borrowAmount * (prices[bank.mint] || 0)
+      });
+    }
+  }
+
+  return positions;
+}
+
+/**
+ * Récupère les positions de lending d'un utilisateur sur Marginfi
+ * @param {string} owner - Adresse du propriétaire
+ * @returns {Promise<Array>} Liste des positions de prêt et d'emprunt
+ */
+async function getLendingPositions(owner) {
+  try {
+    // 1. Récupérer les comptes Marginfi du propriétaire (tous groupes confondus)
+    const marginfiAccounts = await solanaWebService.getProgramAccounts(MARGINFI_PROGRAM_ID, [
+      { dataSize: ACCOUNT_LAYOUT.SIZE },
+      { memcmp: { offset: ACCOUNT_LAYOUT.AUTHORITY, bytes: owner } }
+    ]);
+
+    if (marginfiAccounts.length === 0) {
+      return [];
+    }
+
+    const accounts = marginfiAccounts.map(account => ({
+      address: account.address,
+      account: decodeMarginfiAccount(account.data)
+    }));
+
+    // 2. Récupérer et décoder toutes les banks référencées
+    const bankAddresses = accounts.flatMap(({ account }) => account.balances.map(balance => balance.bank));
+    const bankAccounts = await solanaWebService.getMultipleAccounts([...new Set(bankAddresses)]);
+
+    const banks = {};
+    for (const [address, bankAccount] of Object.entries(bankAccounts)) {
+      if (bankAccount) {
+        banks[address] = decodeBank(bankAccount.data);
+      }
+    }
+
+    // 3. Récupérer les prix et métadonnées des tokens sous-jacents
+    const mints = [...new Set(Object.values(banks).map(bank => bank.mint))];
+    const prices = {};
+    const tokensInfo = {};
+    await Promise.all(mints.map(async mint => {
+      prices[mint] = await getPrice(mint);
+      tokensInfo[mint] = await getTokenInfo(mint);
+    }));
+
+    // 4. Construire les positions de dépôt et d'emprunt
+    return accounts.flatMap(({ address, account }) =>
+      buildLendingPositions(address, account, banks, prices, tokensInfo)
+    );
+  } catch (error) {
+    console.error(`[MarginfiService] Erreur lors de la récupération des positions de lending: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Récupère le prix d'un token
+ * @param {string} tokenMint - Adresse du token
+ * @returns {Promise<number>} Prix du token en USD
+ */
+async function getPrice(tokenMint) {
+  try {
+    const priceData = await priceService.getCurrentPrice(tokenMint);
+    return priceData?.price || 0;
+  } catch (error) {
+    console.warn(`[MarginfiService] Prix indisponible pour ${tokenMint}: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Récupère les métadonnées d'un token
+ * @param {string} tokenMint - Adresse du token
+ * @returns {Promise<Object|null>} Informations sur le token
+ */
+async function getTokenInfo(tokenMint) {
+  try {
+    return await tokenMetadataService.getTokenMetadata(tokenMint);
+  } catch (error) {
+    console.error(`[MarginfiService] Erreur lors de la récupération des informations du token ${tokenMint}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  getLendingPositions,
+  decodeMarginfiAccount,
+  decodeBank,
+  computeAccountRisk,
+  buildLendingPositions,
+  MARGINFI_PROGRAM_ID
+};
@@ -2,38 +2,252 @@
  * Service pour interagir avec Marinade Finance (staking liquide)
  * Ce service gère les requêtes liées aux tokens mSOL et aux positions de staking
  */
-const axios = require('axios');
-const priceService = require('./priceService');
+const { PublicKey } = require('@solana/web3.js');
 const solanaWebService = require('./solanaWebService');
-const { Connection, PublicKey } = require('@solana/web3.js');
+const validatorService = require('./validatorService');
+const cacheService = require('./cacheService');
+const { readPubkey, readU32, readU64 } = require('../utils/bufferUtils');
 
 // Constantes
 const MARINADE_PROGRAM_ID = 'MarBmsSgKXdrN1egZf5sqe1TMai9K1rChYNDJgjq7aD';
+const MARINADE_STATE_ADDRESS = '8szGkuLTAux9XMgZ2vtY39jVSowEcpBfFfD8hXSEqdGC';
 const MSOL_TOKEN = 'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So';
+const LAMPORTS_PER_SOL = 1e9;
+const BASIS_POINTS = 10000;
+
+// Réserve minimale d'un compte système sans données (jambe SOL du pool de liquidité)
+const SYSTEM_ACCOUNT_RENT_EXEMPT_LAMPORTS = 890880;
+
+// Fenêtre (en époques) utilisée pour calculer l'APY à partir de l'évolution du taux mSOL/SOL
+const APY_EPOCH_WINDOW = parseInt(process.env.MARINADE_APY_EPOCH_WINDOW, 10) || 10;
+
+// Durées de cache (en secondes)
+const STAKING_DETAILS_TTL = 60; // 1 minute
+const RATE_HISTORY_TTL = 30 * 24 * 60 * 60; // 30 jours
+
+/**
+ * Offsets du compte State de Marinade (après le discriminateur Anchor de 8 octets)
+ * State { msol_mint, admin_authority, operational_sol_account, treasury_msol_account,
+ *   reserve_bump_seed, msol_mint_authority_bump_seed, rent_exempt_for_token_acc, reward_fee,
+ *   stake_system (114 octets), validator_system (121 octets), liq_pool (119 octets),
+ *   available_reserve_balance, msol_supply, msol_price, circulating_ticket_count,
+ *   circulating_ticket_balance, lent_from_reserve, min_deposit, min_withdraw,
+ *   staking_sol_cap, emergency_cooling_down, ... }
+ */
+const MARINADE_STATE_LAYOUT = {
+  MSOL_MINT: 8,
+  REWARD_FEE_BPS: 146,
+  // StakeSystem (offset 150) : stake_list (76) puis delayed_unstake_cooling_down
+  DELAYED_UNSTAKE_COOLING_DOWN: 226,
+  // ValidatorSystem (offset 264) : validator_list (76), manager_authority, total_validator_score, total_active_balance
+  TOTAL_ACTIVE_BALANCE: 376,
+  // LiqPool (offset 385)
+  LP_MINT: 385,
+  MSOL_LEG: 420,
+  LP_LIQUIDITY_TARGET: 452,
+  LP_MAX_FEE_BPS: 460,
+  LP_MIN_FEE_BPS: 464,
+  LP_TREASURY_CUT_BPS: 468,
+  LP_SUPPLY: 472,
+  LENT_FROM_SOL_LEG: 480,
+  // Champs de fin de State
+  AVAILABLE_RESERVE_BALANCE: 504,
+  MSOL_SUPPLY: 512,
+  MSOL_PRICE: 520,
+  CIRCULATING_TICKET_BALANCE: 536,
+  EMERGENCY_COOLING_DOWN: 576
+};
+
+// Offset du montant dans un compte de token SPL
+const TOKEN_ACCOUNT_AMOUNT_OFFSET = 64;
+
+/**
+ * Décode le compte State de Marinade
+ * @param {Buffer} data - Données du compte
+ * @returns {Object} État décodé (montants bruts en lamports)
+ */
+function decodeMarinadeState(data) {
+  const layout = MARINADE_STATE_LAYOUT;
+
+  return {
+    msolMint: readPubkey(data, layout.MSOL_MINT),
+    rewardFeeBps: readU32(data, layout.REWARD_FEE_BPS),
+    delayedUnstakeCoolingDown: readU64(data, layout.DELAYED_UNSTAKE_COOLING_DOWN),
+    totalActiveBalance: readU64(data, layout.TOTAL_ACTIVE_BALANCE),
+    liqPool: {
+      lpMint: readPubkey(data, layout.LP_MINT),
+      msolLeg: readPubkey(data, layout.MSOL_LEG),
+      liquidityTarget: readU64(data, layout.LP_LIQUIDITY_TARGET),
+      maxFeeBps: readU32(data, layout.LP_MAX_FEE_BPS),
+      minFeeBps: readU32(data, layout.LP_MIN_FEE_BPS),
+      treasuryCutBps: readU32(data, layout.LP_TREASURY_CUT_BPS),
+      lpSupply: readU64(data, layout.LP_SUPPLY),
+      lentFromSolLeg: readU64(data, layout.LENT_FROM_SOL_LEG)
+    },
+    availableReserveBalance: readU64(data, layout.AVAILABLE_RESERVE_BALANCE),
+    msolSupply: readU64(data, layout.MSOL_SUPPLY),
+    msolPrice: readU64(data, layout.MSOL_PRICE),
+    circulatingTicketBalance: readU64(data, layout.CIRCULATING_TICKET_BALANCE),
+    emergencyCoolingDown: readU64(data, layout.EMERGENCY_COOLING_DOWN)
+  };
+}
+
+/**
+ * Calcule le total virtuel de SOL staké (comme le programme Marinade)
+ * total_active_balance + cooling_down + available_reserve_balance - circulating_ticket_balance
+ * @param {Object} state - État décodé
+ * @returns {bigint} Total en lamports
+ */
+function getTotalVirtualStakedLamports(state) {
+  const totalCoolingDown = state.delayedUnstakeCoolingDown + state.emergencyCoolingDown;
+  return state.totalActiveBalance + totalCoolingDown + state.availableReserveBalance - state.circulatingTicketBalance;
+}
+
+/**
+ * Calcule le taux mSOL/SOL à partir de l'état on-chain
+ * @param {Object} state - État décodé
+ * @returns {number} Nombre de SOL pour 1 mSOL
+ */
+function computeMsolToSolRate(state) {
+  if (state.msolSupply === 0n) return 1;
+  return Number(getTotalVirtualStakedLamports(state)) / Number(state.msolSupply);
+}
+
+/**
+ * Calcule les frais de liquid unstake pour une liquidité restante donnée (frais linéaires de Marinade)
+ * @param {Object} liqPool - Pool de liquidité décodé
+ * @param {number} lamportsAfter - Liquidité SOL restante après l'unstake (lamports)
+ * @returns {number} Frais en points de base
+ */
+function computeLiquidUnstakeFeeBps(liqPool, lamportsAfter) {
+  const target = Number(liqPool.liquidityTarget);
+  if (lamportsAfter >= target) return liqPool.minFeeBps;
+
+  const feeRange = liqPool.maxFeeBps - liqPool.minFeeBps;
+  return liqPool.maxFeeBps - Math.floor(feeRange * lamportsAfter / target);
+}
+
+/**
+ * Calcule l'adresse de la jambe SOL du pool de liquid unstake
+ * @returns {string} Adresse de la PDA
+ */
+function getSolLegAddress() {
+  const [solLeg] = PublicKey.findProgramAddressSync(
+    [new PublicKey(MARINADE_STATE_ADDRESS).toBuffer(), Buffer.from('liq_sol')],
+    new PublicKey(MARINADE_PROGRAM_ID)
+  );
+  return solLeg.toBase58();
+}
 
 /**
- * Récupère les détails généraux du staking Marinade (taux mSOL/SOL, APY)
+ * Enregistre le taux mSOL/SOL de l'époque courante et calcule l'APY sur la fenêtre configurée
+ * L'historique est persisté sur disque pour que l'APY reste disponible après un redémarrage
+ * @param {number} epoch - Époque courante
+ * @param {number} rate - Taux mSOL/SOL actuel
+ * @returns {Promise<Object>} APY et époques utilisées ({apy, fromEpoch, toEpoch})
+ */
+async function computeApyFromRateHistory(epoch, rate) {
+  const cacheKey = 'marinade_msol_rate_history';
+  const history = cacheService.getHistory(cacheKey) || {};
+
+  // Le taux est mis à jour en début d'époque, au fil des mises à jour des validateurs :
+  // le dernier taux observé d'une époque est retenu, il n'est pas figé avant la fin de ces mises à jour
+  history[epoch] = rate;
+
+  // Ne conserver que les époques de la fenêtre
+  for (const storedEpoch of Object.keys(history)) {
+    if (Number(storedEpoch) < epoch - APY_EPOCH_WINDOW) {
+      delete history[storedEpoch];
+    }
+  }
+  cacheService.setHistory(cacheKey, history, RATE_HISTORY_TTL);
+
+  const oldestEpoch = Math.min(...Object.keys(history).map(Number));
+  if (oldestEpoch >= epoch) {
+    // Pas encore assez d'historique pour annualiser
+    return { apy: null, fromEpoch: null, toEpoch: epoch };
+  }
+
+  const epochsPerYear = await validatorService.getEpochsPerYear();
+  const growth = rate / history[oldestEpoch];
+  const apy = Math.pow(growth, epochsPerYear / (epoch - oldestEpoch)) - 1;
+
+  return { apy, fromEpoch: oldestEpoch, toEpoch: epoch };
+}
+
+/**
+ * Récupère les détails généraux du staking Marinade (taux mSOL/SOL, APY, liquidité)
+ * Les valeurs sont lues depuis le compte State on-chain
  * @returns {Promise<Object>} Détails du staking
+ * @throws {Error} État illisible et aucune dernière valeur connue
  */
 async function getStakingDetails() {
+  const cacheKey = 'marinade_staking_details';
+  const cachedData = cacheService.get(cacheKey);
+  if (cachedData) return cachedData;
+
   try {
-    // Dans une implémentation réelle, on interrogerait l'API Marinade ou le programme on-chain
-    // Pour la simplicité, on retourne des valeurs statiques
-    return {
-      msolToSolRate: 1.042, // 1 mSOL = 1.042 SOL
-      apy: 0.068, // 6.8% APY
-      totalStaked: 59000000, // 59M SOL stakés
-      liquidityPool: 120000 // 120K SOL en liquidité
+    const solLegAddress = getSolLegAddress();
+    const stateAccounts = await solanaWebService.getMultipleAccounts([MARINADE_STATE_ADDRESS, solLegAddress]);
+    const stateAccount = stateAccounts[MARINADE_STATE_ADDRESS];
+
+    if (!stateAccount) {
+      throw new Error(`Compte State Marinade introuvable: ${MARINADE_STATE_ADDRESS}`);
+    }
+
+    const state = decodeMarinadeState(stateAccount.data);
+    const msolToSolRate = computeMsolToSolRate(state);
+
+    // Liquidité disponible pour le liquid unstake (jambe SOL du pool, hors réserve de rente)
+    const solLegLamports = stateAccounts[solLegAddress]?.lamports || 0;
+    const liquidityLamports = Math.max(solLegLamports - SYSTEM_ACCOUNT_RENT_EXEMPT_LAMPORTS, 0);
+
+    // Solde mSOL du pool (mSOL déjà échangés contre des SOL)
+    const msolLegAccounts = await solanaWebService.getMultipleAccounts([state.liqPool.msolLeg]);
+    const msolLegAccount = msolLegAccounts[state.liqPool.msolLeg];
+    const msolLegAmount = msolLegAccount ? Number(readU64(msolLegAccount.data, TOKEN_ACCOUNT_AMOUNT_OFFSET)) : 0;
+
+    const { epoch } = await solanaWebService.connection.getEpochInfo();
+    const apyData = await computeApyFromRateHistory(epoch, msolToSolRate);
+
+    const details = {
+      msolToSolRate,
+      apy: apyData.apy,
+      apyWindow: {
+        fromEpoch: apyData.fromEpoch,
+        toEpoch: apyData.toEpoch,
+        maxEpochs: APY_EPOCH_WINDOW
+      },
+      totalStaked: Number(getTotalVirtualStakedLamports(state)) / LAMPORTS_PER_SOL,
+      msolSupply: Number(state.msolSupply) / LAMPORTS_PER_SOL,
+      rewardFee: state.rewardFeeBps / BASIS_POINTS,
+      liquidityPool: liquidityLamports / LAMPORTS_PER_SOL,
+      liquidUnstake: {
+        liquidity: liquidityLamports / LAMPORTS_PER_SOL,
+        liquidityTarget: Number(state.liqPool.liquidityTarget) / LAMPORTS_PER_SOL,
+        msolInPool: msolLegAmount / LAMPORTS_PER_SOL,
+        fee: computeLiquidUnstakeFeeBps(state.liqPool, liquidityLamports) / BASIS_POINTS,
+        minFee: state.liqPool.minFeeBps / BASIS_POINTS,
+        maxFee: state.liqPool.maxFeeBps / BASIS_POINTS
+      },
+      epoch
     };
+
+    cacheService.set(cacheKey, details, STAKING_DETAILS_TTL);
+    // Conserver la dernière valeur connue en cas d'indisponibilité du RPC
+    cacheService.set(`${cacheKey}_last`, details, RATE_HISTORY_TTL);
+
+    return details;
   } catch (error) {
     console.error(`[MarinadeService] Erreur lors de la récupération des détails de staking: ${error.message}`);
-    // En cas d'erreur, retourner des valeurs par défaut
-    return {
-      msolToSolRate: 1.04,
-      apy: 0.065,
-      totalStaked: 0,
-      liquidityPool: 0
-    };
+
+    const lastKnownDetails = cacheService.get(`${cacheKey}_last`);
+    if (lastKnownDetails) {
+      return lastKnownDetails;
+    }
+
+    // Sans état on-chain ni dernière valeur connue, aucun taux ne peut être annoncé
+    throw error;
   }
 }
 
@@ -43,28 +257,23 @@ async function getStakingDetails() {
  * @returns {Promise<Array>} Liste des stakes directs
  */
 async function getDirectStakes(owner) {
-  try {
-    // Simuler l'appel à la blockchain pour les stakes directs
-    // Dans une implémentation réelle, on interrogerait la blockchain
-    const stakes = await solanaWebService.getStakeAccountsByOwner(owner);
-    
-    // Filtrer uniquement les stakes gérés par Marinade
-    const marinadeStakes = stakes.filter(stake => 
-      stake.withdrawer === MARINADE_PROGRAM_ID || 
-      stake.staker === MARINADE_PROGRAM_ID
-    );
-    
-    return marinadeStakes.map(stake => ({
-      address: stake.address,
-      amount: stake.amount,
-      activationEpoch: stake.activationEpoch,
-      deactivationEpoch: stake.deactivationEpoch || null,
-      status: stake.status
-    }));
-  } catch (error) {
-    console.error(`[MarinadeService] Erreur lors de la récupération des stakes directs: ${error.message}`);
-    return [];
-  }
+  // Simuler l'appel à la blockchain pour les stakes directs
+  // Dans une implémentation réelle, on interrogerait la blockchain
+  const stakes = await solanaWebService.getStakeAccountsByOwner(owner);
+  
+  // Filtrer uniquement les stakes gérés par Marinade
+  const marinadeStakes = stakes.filter(stake => 
+    stake.withdrawer === MARINADE_PROGRAM_ID || 
+    stake.staker === MARINADE_PROGRAM_ID
+  );
+  
+  return marinadeStakes.map(stake => ({
+    address: stake.address,
+    amount: stake.amount,
+    activationEpoch: stake.activationEpoch,
+    deactivationEpoch: stake.deactivationEpoch || null,
+    status: stake.status
+  }));
 }
 
 /**
@@ -72,19 +281,19 @@ async function getDirectStakes(owner) {
  * @returns {Promise<number>} Taux de conversion
  */
 async function getMsolToSolRate() {
-  try {
-    const { msolToSolRate } = await getStakingDetails();
-    return msolToSolRate;
-  } catch (error) {
-    console.error(`[MarinadeService] Erreur lors de la récupération du taux mSOL/SOL: ${error.message}`);
-    return 1.04; // Valeur par défaut
-  }
+  const { msolToSolRate } = await getStakingDetails();
+  return msolToSolRate;
 }
 
 module.exports = {
   getStakingDetails,
   getDirectStakes,
   getMsolToSolRate,
+  decodeMarinadeState,
+  computeMsolToSolRate,
+  computeLiquidUnstakeFeeBps,
   MARINADE_PROGRAM_ID,
+  MARINADE_STATE_ADDRESS,
+  MARINADE_STATE_LAYOUT,
   MSOL_TOKEN
 };
\ No newline at end of file
@@ -0,0 +1,618 @@
+/**
+ * Service pour interagir avec Meteora (DLMM et Dynamic AMM)
+ * Décode les positions DLMM (liquidité répartie par bins) et les tokens LP des pools Dynamic AMM,
+ * puis calcule les montants sous-jacents à partir des comptes on-chain
+ */
+const { PublicKey } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const solanaWebService = require('./solanaWebService');
+const tokenMetadataService = require('./tokenMetadataService');
+const {
+  readPubkey,
+  readU8,
+  readU16,
+  readI32,
+  readU32,
+  readU64,
+  readI64,
+  readU128,
+  toUiAmount
+} = require('../utils/bufferUtils');
+const { computeAccruedAmount } = require('../utils/clmmUtils');
+
+// Constantes
+const METEORA_DLMM_PROGRAM_ID = 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo';
+const METEORA_DAMM_PROGRAM_ID = 'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB';
+const METEORA_VAULT_PROGRAM_ID = '24Uqj9JCLxUeoC3hGfh5W3s9FM9uCHDS2SG3LYwBpyTi';
+const MAX_BIN_PER_ARRAY = 70;
+const BASIS_POINT_MAX = 10000;
+const FEE_PRECISION = 1e9;
+// Les parts de liquidité DLMM sont mises à l'échelle 2^64
+const SCALE_OFFSET = 64n;
+// Dénominateur de la dégradation du profit verrouillé des vaults
+const LOCKED_PROFIT_DEGRADATION_DENOMINATOR = 1000000000000n;
+
+/**
+ * Layout d'un compte Mint SPL (offsets en octets)
+ */
+const MINT_LAYOUT = {
+  MINT_AUTHORITY_OPTION: 0,
+  MINT_AUTHORITY: 4,
+  SUPPLY: 36,
+  DECIMALS: 44
+};
+
+/**
+ * Layout d'un compte de token SPL (offsets en octets)
+ */
+const TOKEN_ACCOUNT_LAYOUT = {
+  OWNER: 32,
+  AMOUNT: 64
+};
+
+/**
+ * Layout du compte LbPair DLMM (offsets en octets, discriminateur Anchor inclus)
+ */
+const LB_PAIR_LAYOUT = {
+  SIZE: 904,
+  BASE_FACTOR: 8,
+  ACTIVE_ID: 76,
+  BIN_STEP: 80,
+  TOKEN_X_MINT: 88,
+  TOKEN_Y_MINT: 120,
+  RESERVE_X: 152,
+  RESERVE_Y: 184
+};
+
+/**
+ * Layout du compte PositionV2 DLMM (offsets en octets, discriminateur Anchor inclus)
+ */
+const DLMM_POSITION_LAYOUT = {
+  SIZE: 8120,
+  LB_PAIR: 8,
+  OWNER: 40,
+  LIQUIDITY_SHARES: 72,
+  FEE_INFOS: 4552,
+  FEE_INFO_SIZE: 48,
+  LOWER_BIN_ID: 7912,
+  UPPER_BIN_ID: 7916,
+  LAST_UPDATED_AT: 7920
+};
+
+/**
+ * Layout du compte BinArray DLMM (offsets en octets, discriminateur Anchor inclus)
+ */
+const BIN_ARRAY_LAYOUT = {
+  INDEX: 8,
+  LB_PAIR: 24,
+  BINS: 56,
+  BIN_SIZE: 144,
+  // Offsets relatifs à un Bin
+  BIN_AMOUNT_X: 0,
+  BIN_AMOUNT_Y: 8,
+  BIN_LIQUIDITY_SUPPLY: 32,
+  BIN_FEE_X_PER_TOKEN_STORED: 80,
+  BIN_FEE_Y_PER_TOKEN_STORED: 96
+};
+
+/**
+ * Layout du compte Pool Dynamic AMM (offsets en octets, discriminateur Anchor inclus)
+ */
+const DAMM_POOL_LAYOUT = {
+  LP_MINT: 8,
+  TOKEN_A_MINT: 40,
+  TOKEN_B_MINT: 72,
+  A_VAULT: 104,
+  B_VAULT: 136,
+  A_VAULT_LP: 168,
+  B_VAULT_LP: 200,
+  ENABLED: 233,
+  TRADE_FEE_NUMERATOR: 330,
+  TRADE_FEE_DENOMINATOR: 338
+};
+
+/**
+ * Layout du compte Vault dynamique (offsets en octets, discriminateur Anchor inclus)
+ */
+const VAULT_LAYOUT = {
+  TOTAL_AMOUNT: 11,
+  TOKEN_MINT: 83,
+  LP_MINT: 115,
+  LAST_UPDATED_LOCKED_PROFIT: 1203,
+  LAST_REPORT: 1211,
+  LOCKED_PROFIT_DEGRADATION: 1219
+};
+
+/**
+ * Décode un compte LbPair DLMM
+ * @param {Buffer} data - Données brutes du compte
+ * @returns {Object} Paire décodée
+ */
+function decodeLbPair(data) {
+  const binStep = readU16(data, LB_PAIR_LAYOUT.BIN_STEP);
+  const baseFactor = readU16(data, LB_PAIR_LAYOUT.BASE_FACTOR);
+
+  return {
+    activeId: readI32(data, LB_PAIR_LAYOUT.ACTIVE_ID),
+    binStep,
+    // Frais de base = base_factor x bin_step x 10 (précision 1e9)
+    baseFee: baseFactor * binStep * 10 / FEE_PRECISION,
+    tokenXMint: readPubkey(data, LB_PAIR_LAYOUT.TOKEN_X_MINT),
+    tokenYMint: readPubkey(data, LB_PAIR_LAYOUT.TOKEN_Y_MINT),
+    reserveX: readPubkey(data, LB_PAIR_LAYOUT.RESERVE_X),
+    reserveY: readPubkey(data, LB_PAIR_LAYOUT.RESERVE_Y)
+  };
+}
+
+/**
+ * Décode un compte PositionV2 DLMM
+ * @param {Buffer} data - Données brutes du compte
+ * @returns {Object} Position décodée (parts et frais en attente par bin)
+ */
+function decodeDlmmPosition(data) {
+  const lowerBinId = readI32(data, DLMM_POSITION_LAYOUT.LOWER_BIN_ID);
+  const upperBinId = readI32(data, DLMM_POSITION_LAYOUT.UPPER_BIN_ID);
+  const binCount = Math.min(upperBinId - lowerBinId + 1, MAX_BIN_PER_ARRAY);
+
+  const bins = [];
+  for (let i = 0; i < binCount; i++) {
+    const feeOffset = DLMM_POSITION_LAYOUT.FEE_INFOS + i * DLMM_POSITION_LAYOUT.FEE_INFO_SIZE;
+    bins.push({
+      binId: lowerBinId + i,
+      liquidityShare: readU128(data, DLMM_POSITION_LAYOUT.LIQUIDITY_SHARES + i * 16),
+      feeXPerTokenComplete: readU128(data, feeOffset),
+      feeYPerTokenComplete: readU128(data, feeOffset + 16),
+      feeXPending: readU64(data, feeOffset + 32),
+      feeYPending: readU64(data, feeOffset + 40)
+    });
+  }
+
+  return {
+    lbPair: readPubkey(data, DLMM_POSITION_LAYOUT.LB_PAIR),
+    owner: readPubkey(data, DLMM_POSITION_LAYOUT.OWNER),
+    lowerBinId,
+    upperBinId,
+    lastUpdatedAt: Number(readI64(data, DLMM_POSITION_LAYOUT.LAST_UPDATED_AT)),
+    bins
+  };
+}
+
+/**
+ * Décode un bin d'un compte BinArray
+ * @param {Buffer} data - Données du BinArray
+ * @param {number} binId - Identifiant du bin
+ * @returns {Object|null} Bin décodé, ou null s'il n'appartient pas à ce BinArray
+ */
+function decodeBin(data, binId) {
+  const arrayIndex = Number(readI64(data, BIN_ARRAY_LAYOUT.INDEX));
+  const offsetInArray = binId - arrayIndex * MAX_BIN_PER_ARRAY;
+  if (offsetInArray < 0 || offsetInArray >= MAX_BIN_PER_ARRAY) return null;
+
+  const offset = BIN_ARRAY_LAYOUT.BINS + offsetInArray * BIN_ARRAY_LAYOUT.BIN_SIZE;
+  return {
+    amountX: readU64(data, offset + BIN_ARRAY_LAYOUT.BIN_AMOUNT_X),
+    amountY: readU64(data, offset + BIN_ARRAY_LAYOUT.BIN_AMOUNT_Y),
+    liquiditySupply: readU128(data, offset + BIN_ARRAY_LAYOUT.BIN_LIQUIDITY_SUPPLY),
+    feeXPerTokenStored: readU128(data, offset + BIN_ARRAY_LAYOUT.BIN_FEE_X_PER_TOKEN_STORED),
+    feeYPerTokenStored: readU128(data, offset + BIN_ARRAY_LAYOUT.BIN_FEE_Y_PER_TOKEN_STORED)
+  };
+}
+
+/**
+ * Calcule l'index du BinArray contenant un bin (division entière arrondie vers -infini)
+ * @param {number} binId - Identifiant du bin
+ * @returns {number}
+ */
+function getBinArrayIndex(binId) {
+  return Math.floor(binId / MAX_BIN_PER_ARRAY);
+}
+
+/**
+ * Calcule l'adresse (PDA) d'un BinArray
+ * @param {string} lbPair - Adresse de la paire
+ * @param {number} index - Index du BinArray
+ * @returns {string}
+ */
+function getBinArrayAddress(lbPair, index) {
+  const indexBuffer = Buffer.alloc(8);
+  indexBuffer.writeBigInt64LE(BigInt(index));
+
+  const [address] = PublicKey.findProgramAddressSync(
+    [Buffer.from('bin_array'), new PublicKey(lbPair).toBuffer(), indexBuffer],
+    new PublicKey(METEORA_DLMM_PROGRAM_ID)
+  );
+  return address.toBase58();
+}
+
+/**
+ * Prix d'un bin (token Y par token X, en unités UI)
+ * @param {number} binId - Identifiant du bin
+ * @param {number} binStep - Pas entre deux bins (en points de base)
+ * @param {number} decimalsX - Décimales du token X
+ * @param {number} decimalsY - Décimales du token Y
+ * @returns {number}
+ */
+function getBinPrice(binId, binStep, decimalsX, decimalsY) {
+  return Math.pow(1 + binStep / BASIS_POINT_MAX, binId) * Math.pow(10, decimalsX - decimalsY);
+}
+
+/**
+ * Calcule la part d'une position dans un bin : montants de liquidité et frais non réclamés
+ * @param {Object} positionBin - Bin de la position (parts et checkpoints de frais)
+ * @param {Object} bin - Bin décodé du BinArray
+ * @returns {Object} Montants bruts { amountX, amountY, feeX, feeY }
+ */
+function computeBinShare(positionBin, bin) {
+  const share = positionBin.liquidityShare;
+  const hasSupply = bin.liquiditySupply > 0n;
+
+  // Les frais par token sont en Q64.64 et s'appliquent aux parts ramenées à l'échelle 1
+  const scaledShare = share >> SCALE_OFFSET;
+
+  return {
+    amountX: hasSupply ? bin.amountX * share / bin.liquiditySupply : 0n,
+    amountY: hasSupply ? bin.amountY * share / bin.liquiditySupply : 0n,
+    feeX: positionBin.feeXPending + computeAccruedAmount(bin.feeXPerTokenStored, positionBin.feeXPerTokenComplete, scaledShare),
+    feeY: positionBin.feeYPending + computeAccruedAmount(bin.feeYPerTokenStored, positionBin.feeYPerTokenComplete, scaledShare)
+  };
+}
+
+/**
+ * Décode un compte Pool Dynamic AMM
+ * @param {Buffer} data - Données brutes du compte
+ * @returns {Object} Pool décodé
+ */
+function decodeDammPool(data) {
+  const feeNumerator = readU64(data, DAMM_POOL_LAYOUT.TRADE_FEE_NUMERATOR);
+  const feeDenominator = readU64(data, DAMM_POOL_LAYOUT.TRADE_FEE_DENOMINATOR);
+
+  return {
+    lpMint: readPubkey(data, DAMM_POOL_LAYOUT.LP_MINT),
+    tokenAMint: readPubkey(data, DAMM_POOL_LAYOUT.TOKEN_A_MINT),
+    tokenBMint: readPubkey(data, DAMM_POOL_LAYOUT.TOKEN_B_MINT),
+    aVault: readPubkey(data, DAMM_POOL_LAYOUT.A_VAULT),
+    bVault: readPubkey(data, DAMM_POOL_LAYOUT.B_VAULT),
+    aVaultLp: readPubkey(data, DAMM_POOL_LAYOUT.A_VAULT_LP),
+    bVaultLp: readPubkey(data, DAMM_POOL_LAYOUT.B_VAULT_LP),
+    enabled: readU8(data, DAMM_POOL_LAYOUT.ENABLED) === 1,
+    fee: feeDenominator > 0n ? Number(feeNumerator) / Number(feeDenominator) : null
+  };
+}
+
+/**
+ * Décode un compte Vault dynamique
+ * @param {Buffer} data - Données brutes du compte
+ * @returns {Object} Vault décodé
+ */
+function decodeVault(data) {
+  return {
+    totalAmount: readU64(data, VAULT_LAYOUT.TOTAL_AMOUNT),
+    tokenMint: readPubkey(data, VAULT_LAYOUT.TOKEN_MINT),
+    lpMint: readPubkey(data, VAULT_LAYOUT.LP_MINT),
+    lastUpdatedLockedProfit: readU64(data, VAULT_LAYOUT.LAST_UPDATED_LOCKED_PROFIT),
+    lastReport: readU64(data, VAULT_LAYOUT.LAST_REPORT),
+    lockedProfitDegradation: readU64(data, VAULT_LAYOUT.LOCKED_PROFIT_DEGRADATION)
+  };
+}
+
+/**
+ * Montant retirable d'un vault : total moins le profit encore verrouillé
+ * @param {Object} vault - Vault décodé
+ * @param {number} nowSeconds - Timestamp Unix courant
+ * @returns {bigint}
+ */
+function getVaultUnlockedAmount(vault, nowSeconds) {
+  const elapsed = BigInt(Math.max(0, nowSeconds - Number(vault.lastReport)));
+  const ratio = elapsed * vault.lockedProfitDegradation;
+  const lockedProfit = ratio > LOCKED_PROFIT_DEGRADATION_DENOMINATOR
+    ? 0n
+    : vault.lastUpdatedLockedProfit * (LOCKED_PROFIT_DEGRADATION_DENOMINATOR - ratio) / LOCKED_PROFIT_DEGRADATION_DENOMINATOR;
+
+  return vault.totalAmount > lockedProfit ? vault.totalAmount - lockedProfit : 0n;
+}
+
+/**
+ * Récupère les métadonnées d'une liste de mints, avec décimales lues on-chain si disponibles
+ * @param {Array<string>} mints - Adresses des mints
+ * @param {Object} mintAccounts - Comptes Mint indexés par adresse
+ * @returns {Promise<Object>} Informations indexées par mint
+ */
+async function getTokensInfo(mints, mintAccounts = {}) {
+  const tokensInfo = {};
+
+  await Promise.all([...new Set(mints)].map(async (mint) => {
+    const mintAccount = mintAccounts[mint];
+    const decimals = mintAccount ? readU8(mintAccount.data, MINT_LAYOUT.DECIMALS) : null;
+
+    let metadata = null;
+    try {
+      metadata = await tokenMetadataService.getTokenMetadata(mint);
+    } catch (error) {
+      console.warn(`[MeteoraService] Métadonnées indisponibles pour ${mint}: ${error.message}`);
+    }
+
+    tokensInfo[mint] = {
+      address: mint,
+      symbol: metadata?.symbol || 'UNKNOWN',
+      name: metadata?.name || 'Unknown Token',
+      decimals: decimals ?? metadata?.decimals ?? 0
+    };
+  }));
+
+  return tokensInfo;
+}
+
+/**
+ * Récupère les positions DLMM d'un utilisateur
+ * @param {string} owner - Adresse du propriétaire
+ * @returns {Promise<Array>} Positions DLMM avec montants par bin et frais non réclamés
+ */
+async function getDlmmPositions(owner) {
+  // 1. Récupérer les comptes PositionV2 du propriétaire
+  const positionAccounts = await solanaWebService.getProgramAccounts(METEORA_DLMM_PROGRAM_ID, [
+    { dataSize: DLMM_POSITION_LAYOUT.SIZE },
+    { memcmp: { offset: DLMM_POSITION_LAYOUT.OWNER, bytes: owner } }
+  ]);
+  if (positionAccounts.length === 0) return [];
+
+  const positions = positionAccounts.map(account => ({
+    address: account.address,
+    position: decodeDlmmPosition(account.data)
+  }));
+
+  // 2. Charger les paires
+  const pairAddresses = [...new Set(positions.map(({ position }) => position.lbPair))];
+  const pairAccounts = await solanaWebService.getMultipleAccounts(pairAddresses);
+
+  const pairs = {};
+  for (const address of pairAddresses) {
+    if (pairAccounts[address]) {
+      pairs[address] = decodeLbPair(pairAccounts[address].data);
+    }
+  }
+
+  // 3. Charger les BinArrays couverts par chaque position (au plus deux) et les mints
+  const binArrayAddresses = new Set();
+  const mints = [];
+
+  for (const { position } of positions) {
+    const pair = pairs[position.lbPair];
+    if (!pair) continue;
+
+    for (let index = getBinArrayIndex(position.lowerBinId); index <= getBinArrayIndex(position.upperBinId); index++) {
+      binArrayAddresses.add(getBinArrayAddress(position.lbPair, index));
+    }
+    mints.push(pair.tokenXMint, pair.tokenYMint);
+  }
+
+  const [binArrayAccounts, mintAccounts] = await Promise.all([
+    solanaWebService.getMultipleAccounts([...binArrayAddresses]),
+    solanaWebService.getMultipleAccounts([...new Set(mints)])
+  ]);
+  const tokensInfo = await getTokensInfo(mints, mintAccounts);
+
+  // 4. Calculer la part de la position dans chaque bin
+  const results = [];
+
+  for (const { address, position } of positions) {
+    const pair = pairs[position.lbPair];
+    if (!pair) continue;
+
+    const tokenX = tokensInfo[pair.tokenXMint];
+    const tokenY = tokensInfo[pair.tokenYMint];
+    const totals = { amountX: 0n, amountY: 0n, feeX: 0n, feeY: 0n };
+    const bins = [];
+    let missingBins = 0;
+
+    for (const positionBin of position.bins) {
+      if (positionBin.liquidityShare === 0n) continue;
+
+      const binArray = binArrayAccounts[getBinArrayAddress(position.lbPair, getBinArrayIndex(positionBin.binId))];
+      const bin = binArray ? decodeBin(binArray.data, positionBin.binId) : null;
+      if (!bin) {
+        missingBins++;
+        continue;
+      }
+
+      const binShare = computeBinShare(positionBin, bin);
+      totals.amountX += binShare.amountX;
+      totals.amountY += binShare.amountY;
+      totals.feeX += binShare.feeX;
+      totals.feeY += binShare.feeY;
+
+      bins.push({
+        binId: positionBin.binId,
+        price: getBinPrice(positionBin.binId, pair.binStep, tokenX.decimals, tokenY.decimals),
+        liquidityShare: positionBin.liquidityShare.toString(),
+        amount0: toUiAmount(binShare.amountX, tokenX.decimals),
+        amount1: toUiAmount(binShare.amountY, tokenY.decimals)
+      });
+    }
+
+    if (missingBins > 0) {
+      console.warn(`[MeteoraService] ${missingBins} bins introuvables pour la position ${address}`);
+    }
+
+    results.push({
+      poolType: 'dlmm',
+      positionAddress: address,
+      positionMint: null,
+      poolAddress: position.lbPair,
+      liquidity: position.bins.reduce((sum, bin) => sum + bin.liquidityShare, 0n).toString(),
+      // Les bins jouent le rôle des ticks d'Orca
+      lowerTick: position.lowerBinId,
+      upperTick: position.upperBinId,
+      currentTick: pair.activeId,
+      inRange: pair.activeId >= position.lowerBinId && pair.activeId <= position.upperBinId,
+      fee: pair.baseFee,
+      binStep: pair.binStep,
+      prices: {
+        current: getBinPrice(pair.activeId, pair.binStep, tokenX.decimals, tokenY.decimals),
+        lower: getBinPrice(position.lowerBinId, pair.binStep, tokenX.decimals, tokenY.decimals),
+        upper: getBinPrice(position.upperBinId, pair.binStep, tokenX.decimals, tokenY.decimals)
+      },
+      bins,
+      token0: { ...tokenX, amount: toUiAmount(totals.amountX, tokenX.decimals) },
+      token1: { ...tokenY, amount: toUiAmount(totals.amountY, tokenY.decimals) },
+      fees: {
+        token0: toUiAmount(totals.feeX, tokenX.decimals),
+        token1: toUiAmount(totals.feeY, tokenY.decimals)
+      },
+      rewards: []
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Indique si l'autorité d'un mint peut être celle d'un token LP Dynamic AMM
+ * L'autorité est soit le pool lui-même, soit le compte de LP de vault du pool
+ * (compte de token PDA dont il est lui-même le propriétaire)
+ * @param {Object|null} authorityAccount - Compte de l'autorité de mint
+ * @returns {boolean}
+ */
+function isDammLpAuthority(authorityAccount) {
+  if (!authorityAccount) return false;
+  if (authorityAccount.owner === METEORA_DAMM_PROGRAM_ID) return true;
+
+  return authorityAccount.owner === TOKEN_PROGRAM_ID.toBase58() &&
+    authorityAccount.data.length >= TOKEN_ACCOUNT_LAYOUT.AMOUNT &&
+    readPubkey(authorityAccount.data, TOKEN_ACCOUNT_LAYOUT.OWNER) === authorityAccount.address;
+}
+
+/**
+ * Récupère la composition d'un pool Dynamic AMM à partir de son token LP
+ * Les réserves du pool sont des parts de vaults dynamiques : montant = part du pool x montant retirable du vault
+ * @param {string} lpMint - Mint du token LP
+ * @param {Object} [lpMintAccount] - Compte Mint du token LP, s'il est déjà chargé
+ * @returns {Promise<Object|null>} Pool, offre de LP et réserves (montants UI) ou null si introuvable
+ */
+async function getDammPoolComposition(lpMint, lpMintAccount = null) {
+  const matches = await solanaWebService.getProgramAccounts(METEORA_DAMM_PROGRAM_ID, [
+    { memcmp: { offset: DAMM_POOL_LAYOUT.LP_MINT, bytes: lpMint } }
+  ]);
+  if (matches.length === 0) return null;
+
+  const pool = decodeDammPool(matches[0].data);
+  const vaultAccounts = await solanaWebService.getMultipleAccounts([pool.aVault, pool.bVault]);
+  if (!vaultAccounts[pool.aVault] || !vaultAccounts[pool.bVault]) return null;
+
+  const vaultA = decodeVault(vaultAccounts[pool.aVault].data);
+  const vaultB = decodeVault(vaultAccounts[pool.bVault].data);
+
+  const accounts = await solanaWebService.getMultipleAccounts([
+    pool.aVaultLp, pool.bVaultLp, vaultA.lpMint, vaultB.lpMint, pool.tokenAMint, pool.tokenBMint,
+    ...(lpMintAccount ? [] : [lpMint])
+  ]);
+  const mintAccount = lpMintAccount || accounts[lpMint];
+  if (!mintAccount) return null;
+
+  const tokenAmount = (address) => accounts[address] ? readU64(accounts[address].data, TOKEN_ACCOUNT_LAYOUT.AMOUNT) : 0n;
+  const mintSupply = (address) => accounts[address] ? readU64(accounts[address].data, MINT_LAYOUT.SUPPLY) : 0n;
+  const mintDecimals = (address) => accounts[address] ? readU8(accounts[address].data, MINT_LAYOUT.DECIMALS) : 0;
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const reserveOf = (vault, vaultLpAccount) => {
+    const vaultLpSupply = mintSupply(vault.lpMint);
+    return vaultLpSupply > 0n
+      ? getVaultUnlockedAmount(vault, nowSeconds) * tokenAmount(vaultLpAccount) / vaultLpSupply
+      : 0n;
+  };
+
+  const lpDecimals = readU8(mintAccount.data, MINT_LAYOUT.DECIMALS);
+  const decimalsA = mintDecimals(pool.tokenAMint);
+  const decimalsB = mintDecimals(pool.tokenBMint);
+
+  return {
+    poolAddress: matches[0].address,
+    lpMint,
+    lpSupply: toUiAmount(readU64(mintAccount.data, MINT_LAYOUT.SUPPLY), lpDecimals),
+    lpDecimals,
+    fee: pool.fee,
+    reserves: [
+      { mint: pool.tokenAMint, decimals: decimalsA, amount: toUiAmount(reserveOf(vaultA, pool.aVaultLp), decimalsA) },
+      { mint: pool.tokenBMint, decimals: decimalsB, amount: toUiAmount(reserveOf(vaultB, pool.bVaultLp), decimalsB) }
+    ]
+  };
+}
+
+/**
+ * Récupère les positions Dynamic AMM d'un utilisateur (tokens LP détenus)
+ * @param {string} owner - Adresse du propriétaire
+ * @returns {Promise<Array>} Positions Dynamic AMM avec montants sous-jacents
+ */
+async function getDammPositions(owner) {
+  // 1. Identifier les tokens LP candidats à partir de l'autorité de leur mint
+  const tokenAccounts = (await solanaWebService.getTokenAccountsByOwner(owner))
+    .filter(account => BigInt(account.amount) > 0n);
+  if (tokenAccounts.length === 0) return [];
+
+  const mintAccounts = await solanaWebService.getMultipleAccounts([...new Set(tokenAccounts.map(account => account.mint))]);
+
+  const authorities = {};
+  for (const [mint, mintAccount] of Object.entries(mintAccounts)) {
+    if (mintAccount && readU32(mintAccount.data, MINT_LAYOUT.MINT_AUTHORITY_OPTION) === 1) {
+      authorities[mint] = readPubkey(mintAccount.data, MINT_LAYOUT.MINT_AUTHORITY);
+    }
+  }
+  const authorityAccounts = await solanaWebService.getMultipleAccounts([...new Set(Object.values(authorities))]);
+
+  const lpAccounts = tokenAccounts.filter(account =>
+    authorities[account.mint] && isDammLpAuthority(authorityAccounts[authorities[account.mint]])
+  );
+  if (lpAccounts.length === 0) return [];
+
+  // 2. Retrouver le pool et les réserves de chaque token LP
+  const pools = [];
+  for (const lpAccount of lpAccounts) {
+    const composition = await getDammPoolComposition(lpAccount.mint, mintAccounts[lpAccount.mint]);
+    if (composition) {
+      pools.push({ lpAccount, composition });
+    }
+  }
+  if (pools.length === 0) return [];
+
+  const tokensInfo = await getTokensInfo(
+    pools.flatMap(({ composition }) => composition.reserves.map(reserve => reserve.mint))
+  );
+
+  // 3. Calculer la part de l'utilisateur dans les réserves
+  return pools.map(({ lpAccount, composition }) => {
+    const lpAmount = parseFloat(lpAccount.uiAmount) || toUiAmount(BigInt(lpAccount.amount), lpAccount.decimals);
+    const share = composition.lpSupply > 0 ? lpAmount / composition.lpSupply : 0;
+    const [tokenA, tokenB] = composition.reserves;
+
+    return {
+      poolType: 'dynamic-amm',
+      poolAddress: composition.poolAddress,
+      lpMint: composition.lpMint,
+      lpTokenAccount: lpAccount.tokenAccountAddress,
+      lpAmount,
+      share,
+      fee: composition.fee,
+      token0: { ...tokensInfo[tokenA.mint], decimals: tokenA.decimals, amount: tokenA.amount * share },
+      token1: { ...tokensInfo[tokenB.mint], decimals: tokenB.decimals, amount: tokenB.amount * share }
+    };
+  });
+}
+
+module.exports = {
+  getDlmmPositions,
+  getDammPositions,
+  getDammPoolComposition,
+  decodeLbPair,
+  decodeDlmmPosition,
+  decodeBin,
+  decodeDammPool,
+  decodeVault,
+  computeBinShare,
+  getBinArrayIndex,
+  getBinArrayAddress,
+  getBinPrice,
+  getVaultUnlockedAmount,
+  METEORA_DLMM_PROGRAM_ID,
+  METEORA_DAMM_PROGRAM_ID,
+  METEORA_VAULT_PROGRAM_ID,
+  LB_PAIR_LAYOUT
+};
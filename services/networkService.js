@@ -37,7 +37,7 @@ const NETWORKS = {
     rpcEndpoint: process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
     chainId: '101',
     enabled: true,
-    fetchers: ['wallet-solana', 'nft-solana', 'staked-solana', 'marinade-solana', 'jupiter-solana']
+    fetchers: [] // Renseigné par le registre de fetchers (fetcherService) à partir du dossier fetchers/
   },
   
   // Réseau Ethereum (exemple, à implémenter plus tard)
@@ -0,0 +1,585 @@
+/**
+ * Service pour interagir avec Orca Whirlpools (liquidité concentrée)
+ * Découvre les positions via leurs NFT, décode les comptes Position, Whirlpool et TickArray
+ * et calcule les montants, frais et récompenses non réclamés
+ */
+const { PublicKey } = require('@solana/web3.js');
+const solanaWebService = require('./solanaWebService');
+const tokenMetadataService = require('./tokenMetadataService');
+const cacheService = require('./cacheService');
+const {
+  readPubkey,
+  readU8,
+  readU16,
+  readI32,
+  readU64,
+  readU128,
+  readI128,
+  toUiAmount,
+  isDefaultPubkey
+} = require('../utils/bufferUtils');
+const {
+  Q64,
+  sqrtPriceX64ToNumber,
+  sqrtPriceToPrice,
+  tickToSqrtPrice,
+  getAmountsFromLiquidity,
+  computeGrowthInside,
+  computeAccruedAmount
+} = require('../utils/clmmUtils');
+
+// Constantes
+const ORCA_WHIRLPOOL_PROGRAM_ID = 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc';
+const FEE_RATE_DENOMINATOR = 1e6;
+const NUM_REWARDS = 3;
+const TICK_ARRAY_SIZE = 88;
+
+// Offset des décimales dans un compte Mint (SPL Token et Token-2022)
+const MINT_DECIMALS_OFFSET = 44;
+// Offset du montant dans un compte de token SPL
+const TOKEN_ACCOUNT_AMOUNT_OFFSET = 64;
+
+// Fenêtre glissante (en heures) pour le calcul de l'APR des frais
+const YIELD_WINDOW_HOURS = parseInt(process.env.ORCA_YIELD_WINDOW_HOURS, 10) || 24;
+// Écart minimal entre deux relevés pour estimer l'APR des frais
+const MIN_YIELD_SAMPLE_SECONDS = 5 * 60;
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+/**
+ * Layout du compte Whirlpool (offsets en octets, discriminateur Anchor inclus)
+ */
+const WHIRLPOOL_LAYOUT = {
+  SIZE: 653,
+  WHIRLPOOLS_CONFIG: 8,
+  TICK_SPACING: 41,
+  FEE_RATE: 45,
+  PROTOCOL_FEE_RATE: 47,
+  LIQUIDITY: 49,
+  SQRT_PRICE: 65,
+  TICK_CURRENT_INDEX: 81,
+  TOKEN_MINT_A: 101,
+  TOKEN_VAULT_A: 133,
+  FEE_GROWTH_GLOBAL_A: 165,
+  TOKEN_MINT_B: 181,
+  TOKEN_VAULT_B: 213,
+  FEE_GROWTH_GLOBAL_B: 245,
+  REWARD_LAST_UPDATED_TIMESTAMP: 261,
+  REWARD_INFOS: 269,
+  REWARD_INFO_SIZE: 128,
+  // Offsets relatifs dans un WhirlpoolRewardInfo
+  REWARD_MINT: 0,
+  REWARD_VAULT: 32,
+  REWARD_EMISSIONS_PER_SECOND_X64: 96,
+  REWARD_GROWTH_GLOBAL_X64: 112
+};
+
+/**
+ * Layout du compte Position (offsets en octets, discriminateur Anchor inclus)
+ */
+const POSITION_LAYOUT = {
+  SIZE: 216,
+  WHIRLPOOL: 8,
+  POSITION_MINT: 40,
+  LIQUIDITY: 72,
+  TICK_LOWER_INDEX: 88,
+  TICK_UPPER_INDEX: 92,
+  FEE_GROWTH_CHECKPOINT_A: 96,
+  FEE_OWED_A: 112,
+  FEE_GROWTH_CHECKPOINT_B: 120,
+  FEE_OWED_B: 136,
+  REWARD_INFOS: 144,
+  REWARD_INFO_SIZE: 24,
+  // Offsets relatifs dans un PositionRewardInfo
+  REWARD_GROWTH_INSIDE_CHECKPOINT: 0,
+  REWARD_AMOUNT_OWED: 16
+};
+
+/**
+ * Layout du compte TickArray (offsets en octets, discriminateur Anchor inclus)
+ */
+const TICK_ARRAY_LAYOUT = {
+  START_TICK_INDEX: 8,
+  TICKS: 12,
+  TICK_SIZE: 113,
+  // Offsets relatifs dans un Tick
+  INITIALIZED: 0,
+  LIQUIDITY_NET: 1,
+  LIQUIDITY_GROSS: 17,
+  FEE_GROWTH_OUTSIDE_A: 33,
+  FEE_GROWTH_OUTSIDE_B: 49,
+  REWARD_GROWTHS_OUTSIDE: 65
+};
+
+/**
+ * Décode un compte Whirlpool
+ * @param {Buffer} data - Données du compte
+ * @returns {Object} Whirlpool décodé
+ */
+function decodeWhirlpool(data) {
+  const layout = WHIRLPOOL_LAYOUT;
+
+  const rewardInfos = [];
+  for (let i = 0; i < NUM_REWARDS; i++) {
+    const offset = layout.REWARD_INFOS + i * layout.REWARD_INFO_SIZE;
+    rewardInfos.push({
+      mint: readPubkey(data, offset + layout.REWARD_MINT),
+      vault: readPubkey(data, offset + layout.REWARD_VAULT),
+      emissionsPerSecondX64: readU128(data, offset + layout.REWARD_EMISSIONS_PER_SECOND_X64),
+      growthGlobalX64: readU128(data, offset + layout.REWARD_GROWTH_GLOBAL_X64)
+    });
+  }
+
+  return {
+    whirlpoolsConfig: readPubkey(data, layout.WHIRLPOOLS_CONFIG),
+    tickSpacing: readU16(data, layout.TICK_SPACING),
+    feeRate: readU16(data, layout.FEE_RATE),
+    protocolFeeRate: readU16(data, layout.PROTOCOL_FEE_RATE),
+    liquidity: readU128(data, layout.LIQUIDITY),
+    sqrtPrice: readU128(data, layout.SQRT_PRICE),
+    tickCurrentIndex: readI32(data, layout.TICK_CURRENT_INDEX),
+    tokenMintA: readPubkey(data, layout.TOKEN_MINT_A),
+    tokenVaultA: readPubkey(data, layout.TOKEN_VAULT_A),
+    feeGrowthGlobalA: readU128(data, layout.FEE_GROWTH_GLOBAL_A),
+    tokenMintB: readPubkey(data, layout.TOKEN_MINT_B),
+    tokenVaultB: readPubkey(data, layout.TOKEN_VAULT_B),
+    feeGrowthGlobalB: readU128(data, layout.FEE_GROWTH_GLOBAL_B),
+    rewardLastUpdatedTimestamp: Number(readU64(data, layout.REWARD_LAST_UPDATED_TIMESTAMP)),
+    rewardInfos
+  };
+}
+
+/**
+ * Décode un compte Position
+ * @param {Buffer} data - Données du compte
+ * @returns {Object} Position décodée
+ */
+function decodePosition(data) {
+  const layout = POSITION_LAYOUT;
+
+  const rewardInfos = [];
+  for (let i = 0; i < NUM_REWARDS; i++) {
+    const offset = layout.REWARD_INFOS + i * layout.REWARD_INFO_SIZE;
+    rewardInfos.push({
+      growthInsideCheckpoint: readU128(data, offset + layout.REWARD_GROWTH_INSIDE_CHECKPOINT),
+      amountOwed: readU64(data, offset + layout.REWARD_AMOUNT_OWED)
+    });
+  }
+
+  return {
+    whirlpool: readPubkey(data, layout.WHIRLPOOL),
+    positionMint: readPubkey(data, layout.POSITION_MINT),
+    liquidity: readU128(data, layout.LIQUIDITY),
+    tickLowerIndex: readI32(data, layout.TICK_LOWER_INDEX),
+    tickUpperIndex: readI32(data, layout.TICK_UPPER_INDEX),
+    feeGrowthCheckpointA: readU128(data, layout.FEE_GROWTH_CHECKPOINT_A),
+    feeOwedA: readU64(data, layout.FEE_OWED_A),
+    feeGrowthCheckpointB: readU128(data, layout.FEE_GROWTH_CHECKPOINT_B),
+    feeOwedB: readU64(data, layout.FEE_OWED_B),
+    rewardInfos
+  };
+}
+
+/**
+ * Décode un tick à l'intérieur d'un compte TickArray
+ * @param {Buffer} data - Données du compte TickArray
+ * @param {number} tickIndex - Index du tick
+ * @param {number} tickSpacing - Espacement des ticks du pool
+ * @returns {Object} Tick décodé
+ */
+function decodeTick(data, tickIndex, tickSpacing) {
+  const layout = TICK_ARRAY_LAYOUT;
+  const startTickIndex = readI32(data, layout.START_TICK_INDEX);
+  const offset = layout.TICKS + ((tickIndex - startTickIndex) / tickSpacing) * layout.TICK_SIZE;
+
+  const rewardGrowthsOutside = [];
+  for (let i = 0; i < NUM_REWARDS; i++) {
+    rewardGrowthsOutside.push(readU128(data, offset + layout.REWARD_GROWTHS_OUTSIDE + i * 16));
+  }
+
+  return {
+    initialized: readU8(data, offset + layout.INITIALIZED) === 1,
+    liquidityNet: readI128(data, offset + layout.LIQUIDITY_NET),
+    liquidityGross: readU128(data, offset + layout.LIQUIDITY_GROSS),
+    feeGrowthOutsideA: readU128(data, offset + layout.FEE_GROWTH_OUTSIDE_A),
+    feeGrowthOutsideB: readU128(data, offset + layout.FEE_GROWTH_OUTSIDE_B),
+    rewardGrowthsOutside
+  };
+}
+
+/**
+ * Calcule l'index de départ du TickArray contenant un tick
+ * @param {number} tickIndex - Index du tick
+ * @param {number} tickSpacing - Espacement des ticks du pool
+ * @returns {number}
+ */
+function getTickArrayStartIndex(tickIndex, tickSpacing) {
+  const ticksInArray = tickSpacing * TICK_ARRAY_SIZE;
+  return Math.floor(tickIndex / ticksInArray) * ticksInArray;
+}
+
+/**
+ * Calcule l'adresse d'un compte TickArray
+ * @param {string} whirlpoolAddress - Adresse du Whirlpool
+ * @param {number} startTickIndex - Index de départ du TickArray
+ * @returns {string}
+ */
+function getTickArrayAddress(whirlpoolAddress, startTickIndex) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [Buffer.from('tick_array'), new PublicKey(whirlpoolAddress).toBuffer(), Buffer.from(startTickIndex.toString())],
+    new PublicKey(ORCA_WHIRLPOOL_PROGRAM_ID)
+  );
+  return address.toBase58();
+}
+
+/**
+ * Calcule l'adresse du compte Position associé à un NFT de position
+ * @param {string} positionMint - Mint du NFT de position
+ * @returns {string}
+ */
+function getPositionAddress(positionMint) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [Buffer.from('position'), new PublicKey(positionMint).toBuffer()],
+    new PublicKey(ORCA_WHIRLPOOL_PROGRAM_ID)
+  );
+  return address.toBase58();
+}
+
+/**
+ * Met à jour la croissance globale des récompenses jusqu'à un instant donné
+ * (équivalent de next_whirlpool_reward_infos dans le programme)
+ * @param {Object} whirlpool - Whirlpool décodé
+ * @param {number} nowSeconds - Timestamp Unix courant
+ * @returns {Array<bigint>} Croissance globale de chaque récompense
+ */
+function getUpdatedRewardGrowthsGlobal(whirlpool, nowSeconds) {
+  const elapsed = BigInt(Math.max(nowSeconds - whirlpool.rewardLastUpdatedTimestamp, 0));
+
+  return whirlpool.rewardInfos.map(reward => {
+    if (isDefaultPubkey(reward.mint) || whirlpool.liquidity === 0n) {
+      return reward.growthGlobalX64;
+    }
+    return reward.growthGlobalX64 + (elapsed * reward.emissionsPerSecondX64) / whirlpool.liquidity;
+  });
+}
+
+/**
+ * Calcule les frais et récompenses non réclamés d'une position
+ * @param {Object} position - Position décodée
+ * @param {Object} whirlpool - Whirlpool décodé
+ * @param {Object} tickLower - Tick inférieur décodé
+ * @param {Object} tickUpper - Tick supérieur décodé
+ * @param {number} nowSeconds - Timestamp Unix courant
+ * @returns {{feeA: bigint, feeB: bigint, rewards: Array<bigint|null>}} Montants bruts
+ */
+function computeUnclaimed(position, whirlpool, tickLower, tickUpper, nowSeconds) {
+  const { tickCurrentIndex } = whirlpool;
+  const { tickLowerIndex, tickUpperIndex, liquidity } = position;
+
+  const feeGrowthInsideA = computeGrowthInside(
+    tickCurrentIndex, tickLowerIndex, tickUpperIndex,
+    whirlpool.feeGrowthGlobalA, tickLower.feeGrowthOutsideA, tickUpper.feeGrowthOutsideA
+  );
+  const feeGrowthInsideB = computeGrowthInside(
+    tickCurrentIndex, tickLowerIndex, tickUpperIndex,
+    whirlpool.feeGrowthGlobalB, tickLower.feeGrowthOutsideB, tickUpper.feeGrowthOutsideB
+  );
+
+  const feeA = position.feeOwedA + computeAccruedAmount(feeGrowthInsideA, position.feeGrowthCheckpointA, liquidity);
+  const feeB = position.feeOwedB + computeAccruedAmount(feeGrowthInsideB, position.feeGrowthCheckpointB, liquidity);
+
+  const rewardGrowthsGlobal = getUpdatedRewardGrowthsGlobal(whirlpool, nowSeconds);
+  const rewards = whirlpool.rewardInfos.map((reward, i) => {
+    if (isDefaultPubkey(reward.mint)) return null;
+
+    const growthInside = computeGrowthInside(
+      tickCurrentIndex, tickLowerIndex, tickUpperIndex,
+      rewardGrowthsGlobal[i], tickLower.rewardGrowthsOutside[i], tickUpper.rewardGrowthsOutside[i]
+    );
+    const positionReward = position.rewardInfos[i];
+    return positionReward.amountOwed + computeAccruedAmount(growthInside, positionReward.growthInsideCheckpoint, liquidity);
+  });
+
+  return { feeA, feeB, rewards };
+}
+
+/**
+ * Récupère les positions Whirlpool d'un utilisateur avec montants, frais et récompenses
+ * @param {string} owner - Adresse du propriétaire
+ * @returns {Promise<Array>} Positions décodées et calculées
+ */
+async function getPositionsByOwner(owner) {
+  // 1. Découvrir les NFT de position et vérifier les comptes Position associés
+  const candidateMints = await solanaWebService.getNftMintsByOwner(owner);
+  if (candidateMints.length === 0) return [];
+
+  const positionAddresses = candidateMints.map(getPositionAddress);
+  const positionAccounts = await solanaWebService.getMultipleAccounts(positionAddresses);
+
+  const positions = positionAddresses
+    .map(address => positionAccounts[address])
+    .filter(account =>
+      account &&
+      account.owner === ORCA_WHIRLPOOL_PROGRAM_ID &&
+      account.data.length === POSITION_LAYOUT.SIZE
+    )
+    .map(account => ({ address: account.address, position: decodePosition(account.data) }));
+
+  if (positions.length === 0) return [];
+
+  // 2. Charger les Whirlpools
+  const whirlpoolAddresses = [...new Set(positions.map(({ position }) => position.whirlpool))];
+  const whirlpoolAccounts = await solanaWebService.getMultipleAccounts(whirlpoolAddresses);
+
+  const whirlpools = {};
+  for (const address of whirlpoolAddresses) {
+    const account = whirlpoolAccounts[address];
+    if (account) {
+      whirlpools[address] = decodeWhirlpool(account.data);
+    }
+  }
+
+  // 3. Charger les TickArrays des bornes et les mints (décimales)
+  const tickArrayAddresses = new Set();
+  const mintAddresses = new Set();
+
+  for (const { position } of positions) {
+    const whirlpool = whirlpools[position.whirlpool];
+    if (!whirlpool) continue;
+
+    for (const tickIndex of [position.tickLowerIndex, position.tickUpperIndex]) {
+      const startIndex = getTickArrayStartIndex(tickIndex, whirlpool.tickSpacing);
+      tickArrayAddresses.add(getTickArrayAddress(position.whirlpool, startIndex));
+    }
+
+    mintAddresses.add(whirlpool.tokenMintA);
+    mintAddresses.add(whirlpool.tokenMintB);
+    whirlpool.rewardInfos
+      .filter(reward => !isDefaultPubkey(reward.mint))
+      .forEach(reward => mintAddresses.add(reward.mint));
+  }
+
+  const [tickArrayAccounts, mintAccounts] = await Promise.all([
+    solanaWebService.getMultipleAccounts([...tickArrayAddresses]),
+    solanaWebService.getMultipleAccounts([...mintAddresses])
+  ]);
+
+  // 4. Récupérer les métadonnées des tokens
+  const tokensInfo = {};
+  await Promise.all([...mintAddresses].map(async (mint) => {
+    const mintAccount = mintAccounts[mint];
+    const decimals = mintAccount ? readU8(mintAccount.data, MINT_DECIMALS_OFFSET) : null;
+
+    let metadata = null;
+    try {
+      metadata = await tokenMetadataService.getTokenMetadata(mint);
+    } catch (error) {
+      console.warn(`[OrcaService] Métadonnées indisponibles pour ${mint}: ${error.message}`);
+    }
+
+    tokensInfo[mint] = {
+      address: mint,
+      symbol: metadata?.symbol || 'UNKNOWN',
+      name: metadata?.name || 'Unknown Token',
+      decimals: decimals ?? metadata?.decimals ?? 0
+    };
+  }));
+
+  // 5. Calculer montants, frais et récompenses
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const results = [];
+
+  for (const { address, position } of positions) {
+    const whirlpool = whirlpools[position.whirlpool];
+    if (!whirlpool) continue;
+
+    const tokenA = tokensInfo[whirlpool.tokenMintA];
+    const tokenB = tokensInfo[whirlpool.tokenMintB];
+
+    const sqrtPriceCurrent = sqrtPriceX64ToNumber(whirlpool.sqrtPrice);
+    const rawAmounts = getAmountsFromLiquidity(
+      position.liquidity, sqrtPriceCurrent, position.tickLowerIndex, position.tickUpperIndex
+    );
+
+    const lowerArray = tickArrayAccounts[getTickArrayAddress(
+      position.whirlpool, getTickArrayStartIndex(position.tickLowerIndex, whirlpool.tickSpacing)
+    )];
+    const upperArray = tickArrayAccounts[getTickArrayAddress(
+      position.whirlpool, getTickArrayStartIndex(position.tickUpperIndex, whirlpool.tickSpacing)
+    )];
+
+    let unclaimed = null;
+    if (lowerArray && upperArray) {
+      const tickLower = decodeTick(lowerArray.data, position.tickLowerIndex, whirlpool.tickSpacing);
+      const tickUpper = decodeTick(upperArray.data, position.tickUpperIndex, whirlpool.tickSpacing);
+      unclaimed = computeUnclaimed(position, whirlpool, tickLower, tickUpper, nowSeconds);
+    } else {
+      console.warn(`[OrcaService] TickArrays introuvables pour la position ${address}, frais non calculés`);
+    }
+
+    const rewards = whirlpool.rewardInfos
+      .map((reward, i) => ({ reward, amount: unclaimed ? unclaimed.rewards[i] : null }))
+      .filter(({ reward, amount }) => !isDefaultPubkey(reward.mint) && amount !== null)
+      .map(({ reward, amount }) => ({
+        token: tokensInfo[reward.mint],
+        amount: toUiAmount(amount, tokensInfo[reward.mint].decimals)
+      }));
+
+    results.push({
+      positionAddress: address,
+      positionMint: position.positionMint,
+      poolAddress: position.whirlpool,
+      liquidity: position.liquidity.toString(),
+      lowerTick: position.tickLowerIndex,
+      upperTick: position.tickUpperIndex,
+      currentTick: whirlpool.tickCurrentIndex,
+      inRange: whirlpool.tickCurrentIndex >= position.tickLowerIndex && whirlpool.tickCurrentIndex < position.tickUpperIndex,
+      fee: whirlpool.feeRate / FEE_RATE_DENOMINATOR,
+      tickSpacing: whirlpool.tickSpacing,
+      prices: {
+        current: sqrtPriceToPrice(sqrtPriceCurrent, tokenA.decimals, tokenB.decimals),
+        lower: sqrtPriceToPrice(tickToSqrtPrice(position.tickLowerIndex), tokenA.decimals, tokenB.decimals),
+        upper: sqrtPriceToPrice(tickToSqrtPrice(position.tickUpperIndex), tokenA.decimals, tokenB.decimals)
+      },
+      token0: { ...tokenA, amount: rawAmounts.amountA / Math.pow(10, tokenA.decimals) },
+      token1: { ...tokenB, amount: rawAmounts.amountB / Math.pow(10, tokenB.decimals) },
+      fees: unclaimed ? {
+        token0: toUiAmount(unclaimed.feeA, tokenA.decimals),
+        token1: toUiAmount(unclaimed.feeB, tokenB.decimals)
+      } : null,
+      rewards
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Enregistre un relevé de la croissance des frais d'un pool et retourne le plus ancien relevé de la fenêtre
+ * Les relevés sont persistés sur disque pour que l'APR des frais soit disponible dès le redémarrage
+ * @param {string} whirlpoolAddress - Adresse du Whirlpool
+ * @param {Object} whirlpool - Whirlpool décodé
+ * @param {number} nowSeconds - Timestamp Unix courant
+ * @returns {Object|null} Relevé de référence (timestamp, croissances, liquidité) ou null
+ */
+function recordFeeGrowthSnapshot(whirlpoolAddress, whirlpool, nowSeconds) {
+  const cacheKey = `orca_fee_growth_${whirlpoolAddress}`;
+  const windowSeconds = YIELD_WINDOW_HOURS * 60 * 60;
+
+  const snapshots = (cacheService.getHistory(cacheKey) || [])
+    .filter(snapshot => nowSeconds - snapshot.timestamp <= windowSeconds);
+
+  // Les u128 sont stockés en chaînes pour rester sérialisables
+  snapshots.push({
+    timestamp: nowSeconds,
+    feeGrowthGlobalA: whirlpool.feeGrowthGlobalA.toString(),
+    feeGrowthGlobalB: whirlpool.feeGrowthGlobalB.toString(),
+    liquidity: whirlpool.liquidity.toString()
+  });
+  cacheService.setHistory(cacheKey, snapshots, windowSeconds * 2);
+
+  const oldest = snapshots[0];
+  return nowSeconds - oldest.timestamp >= MIN_YIELD_SAMPLE_SECONDS ? oldest : null;
+}
+
+/**
+ * Calcule le rendement d'un Whirlpool : APR des frais sur une fenêtre glissante
+ * et APR des récompenses à partir des émissions, rapportés à la TVL du pool
+ * @param {string} whirlpoolAddress - Adresse du Whirlpool
+ * @param {Function} getPrice - Fonction asynchrone retournant le prix USD d'un mint
+ * @returns {Promise<Object|null>} Rendement (apr, apy, feeApr, rewardApr, rewards, tvl, window) ou null si le Whirlpool est introuvable
+ */
+async function getPoolYield(whirlpoolAddress, getPrice) {
+  const whirlpoolAccounts = await solanaWebService.getMultipleAccounts([whirlpoolAddress]);
+  const whirlpoolAccount = whirlpoolAccounts[whirlpoolAddress];
+  if (!whirlpoolAccount) return null;
+
+  const whirlpool = decodeWhirlpool(whirlpoolAccount.data);
+  const activeRewards = whirlpool.rewardInfos.filter(reward => !isDefaultPubkey(reward.mint));
+  const mints = [whirlpool.tokenMintA, whirlpool.tokenMintB, ...activeRewards.map(reward => reward.mint)];
+
+  const accounts = await solanaWebService.getMultipleAccounts([
+    whirlpool.tokenVaultA,
+    whirlpool.tokenVaultB,
+    ...mints
+  ]);
+
+  const decimalsOf = (mint) => accounts[mint] ? readU8(accounts[mint].data, MINT_DECIMALS_OFFSET) : 0;
+  const vaultAmount = (vault, mint) => accounts[vault]
+    ? toUiAmount(readU64(accounts[vault].data, TOKEN_ACCOUNT_AMOUNT_OFFSET), decimalsOf(mint))
+    : 0;
+
+  const prices = {};
+  await Promise.all([...new Set(mints)].map(async (mint) => {
+    prices[mint] = await getPrice(mint);
+  }));
+
+  // TVL du pool à partir des soldes des vaults
+  const tvl = vaultAmount(whirlpool.tokenVaultA, whirlpool.tokenMintA) * prices[whirlpool.tokenMintA] +
+    vaultAmount(whirlpool.tokenVaultB, whirlpool.tokenMintB) * prices[whirlpool.tokenMintB];
+
+  if (!tvl) {
+    return { apr: null, apy: null, feeApr: null, rewardApr: null, rewards: [], tvl: 0, window: null };
+  }
+
+  // APR des frais : croissance des frais par unité de liquidité sur la fenêtre, appliquée à la liquidité active
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const reference = recordFeeGrowthSnapshot(whirlpoolAddress, whirlpool, nowSeconds);
+
+  let feeApr = null;
+  let window = null;
+  if (reference) {
+    const elapsed = nowSeconds - reference.timestamp;
+    const averageLiquidity = (BigInt(reference.liquidity) + whirlpool.liquidity) / 2n;
+
+    const feesA = computeAccruedAmount(whirlpool.feeGrowthGlobalA, BigInt(reference.feeGrowthGlobalA), averageLiquidity);
+    const feesB = computeAccruedAmount(whirlpool.feeGrowthGlobalB, BigInt(reference.feeGrowthGlobalB), averageLiquidity);
+
+    const feesUsd = toUiAmount(feesA, decimalsOf(whirlpool.tokenMintA)) * prices[whirlpool.tokenMintA] +
+      toUiAmount(feesB, decimalsOf(whirlpool.tokenMintB)) * prices[whirlpool.tokenMintB];
+
+    feeApr = feesUsd / tvl * (SECONDS_PER_YEAR / elapsed);
+    window = { fromTimestamp: reference.timestamp, toTimestamp: nowSeconds, seconds: elapsed };
+  }
+
+  // APR des récompenses : émissions annuelles valorisées, rapportées à la TVL
+  const rewards = activeRewards.map(reward => {
+    const emissionsPerSecond = Number(reward.emissionsPerSecondX64) / Number(Q64) / Math.pow(10, decimalsOf(reward.mint));
+    const annualRewardsUsd = emissionsPerSecond * SECONDS_PER_YEAR * prices[reward.mint];
+    return {
+      mint: reward.mint,
+      emissionsPerSecond,
+      apr: annualRewardsUsd / tvl
+    };
+  });
+  const rewardApr = rewards.reduce((sum, reward) => sum + reward.apr, 0);
+
+  // Sans relevé de référence (premier appel), seul l'APR des récompenses est connu
+  const apr = feeApr !== null ? feeApr + rewardApr : null;
+
+  return {
+    apr,
+    // Composition quotidienne des gains
+    apy: apr !== null ? Math.pow(1 + apr / 365, 365) - 1 : null,
+    feeApr,
+    rewardApr,
+    rewards,
+    tvl,
+    window
+  };
+}
+
+module.exports = {
+  getPositionsByOwner,
+  getPoolYield,
+  decodeWhirlpool,
+  decodePosition,
+  decodeTick,
+  computeUnclaimed,
+  getTickArrayStartIndex,
+  getTickArrayAddress,
+  getPositionAddress,
+  ORCA_WHIRLPOOL_PROGRAM_ID,
+  WHIRLPOOL_LAYOUT,
+  POSITION_LAYOUT,
+  TICK_ARRAY_LAYOUT
+};
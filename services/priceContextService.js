@@ -0,0 +1,121 @@
+/**
+ * Contexte de prix partagé par les fetchers d'une même exécution
+ * Les prix demandés pendant un même tour de boucle d'événements sont regroupés en un seul
+ * appel à priceService.getCurrentPrices, et chaque token n'est résolu qu'une fois par requête
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const priceService = require('./priceService');
+
+class PriceContext {
+  constructor() {
+    this.prices = new Map(); // mint -> Promise<number>
+    this.pending = new Map(); // mint -> { resolve }
+    this.flushScheduled = false;
+  }
+
+  /**
+   * Récupère le prix d'un token, en le regroupant avec les autres demandes en attente
+   * @param {string} mint - Adresse du token
+   * @returns {Promise<number>} - Prix en USD (0 si inconnu)
+   */
+  getPrice(mint) {
+    if (!mint) return Promise.resolve(0);
+
+    let price = this.prices.get(mint);
+    if (!price) {
+      price = new Promise(resolve => this.pending.set(mint, { resolve }));
+      this.prices.set(mint, price);
+      this._scheduleFlush();
+    }
+
+    return price;
+  }
+
+  /**
+   * Récupère les prix de plusieurs tokens en un seul lot
+   * @param {Array<string>} mints - Adresses des tokens
+   * @returns {Promise<Object>} - Prix en USD indexés par adresse
+   */
+  async getPrices(mints) {
+    const uniqueMints = [...new Set((mints || []).filter(Boolean))];
+    const values = await Promise.all(uniqueMints.map(mint => this.getPrice(mint)));
+
+    return uniqueMints.reduce((prices, mint, index) => {
+      prices[mint] = values[index];
+      return prices;
+    }, {});
+  }
+
+  /**
+   * Planifie la résolution des prix en attente après les demandes synchrones en cours
+   * @private
+   */
+  _scheduleFlush() {
+    if (this.flushScheduled) return;
+    this.flushScheduled = true;
+    setImmediate(() => this._flush());
+  }
+
+  /**
+   * Résout en un appel groupé tous les prix en attente
+   * @private
+   */
+  async _flush() {
+    const batch = this.pending;
+    this.pending = new Map();
+    this.flushScheduled = false;
+
+    let prices = {};
+    try {
+      prices = await priceService.getCurrentPrices([...batch.keys()]);
+    } catch (error) {
+      console.warn(`[PriceContext] Erreur lors de la récupération groupée de ${batch.size} prix: ${error.message}`);
+    }
+
+    for (const [mint, { resolve }] of batch) {
+      resolve(prices[mint]?.price || 0);
+    }
+  }
+}
+
+class PriceContextService {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Exécute une fonction dans un nouveau contexte de prix, partagé par tout son contexte asynchrone
+   * @param {Function} fn - Fonction asynchrone à exécuter
+   * @returns {Promise<*>} - Résultat de la fonction
+   */
+  run(fn) {
+    return this.storage.run(new PriceContext(), fn);
+  }
+
+  /**
+   * Contexte de prix de l'exécution courante
+   * @returns {PriceContext|null}
+   */
+  getCurrentContext() {
+    return this.storage.getStore() || null;
+  }
+
+  /**
+   * Récupère les prix de plusieurs tokens via le contexte courant, ou en un appel groupé hors contexte
+   * @param {Array<string>} mints - Adresses des tokens
+   * @returns {Promise<Object>} - Prix en USD indexés par adresse (0 si inconnu)
+   */
+  async getPrices(mints) {
+    const context = this.getCurrentContext();
+    if (context) return context.getPrices(mints);
+
+    const prices = await priceService.getCurrentPrices(mints);
+    return Object.keys(prices).reduce((result, mint) => {
+      result[mint] = prices[mint]?.price || 0;
+      return result;
+    }, {});
+  }
+}
+
+// Exporter une instance
+module.exports = new PriceContextService();
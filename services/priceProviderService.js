@@ -0,0 +1,114 @@
+/**
+ * Contrat commun des fournisseurs de prix (Birdeye, Pyth, Jupiter, CoinGecko, CryptoCompare, DEX on-chain)
+ * priceService ne connaît que ce contrat : un nouveau fournisseur s'enregistre via
+ * priceService.registerProvider sans modifier la cascade
+ */
+
+class PriceProvider {
+  /**
+   * @param {string} name - Identifiant du fournisseur, utilisé dans l'ordre de priorité (PRICE_PROVIDERS)
+   */
+  constructor(name) {
+    this.name = name;
+    // Nombre d'appels unitaires simultanés dans l'implémentation par défaut de getTokenPricesByMint
+    this.concurrency = 10;
+    this.health = { successCount: 0, errorCount: 0, lastError: null, lastSuccessAt: null, lastErrorAt: null };
+  }
+
+  /**
+   * Récupère le prix actuel d'un token
+   * @param {string} tokenMint - Adresse du token
+   * @returns {Promise<Object|null>} - { mint, price, priceUsd, source } ou null si non trouvé
+   */
+  async getTokenPriceByMint(tokenMint) {
+    throw new Error('La méthode getTokenPriceByMint doit être implémentée par les fournisseurs de prix');
+  }
+
+  /**
+   * Récupère le prix d'un token à un instant précis
+   * @param {string} tokenMint - Adresse du token
+   * @param {number} timestamp - Timestamp Unix en secondes
+   * @returns {Promise<Object|null>} - { mint, price, priceUsd, timestamp, source } ou null si non trouvé
+   */
+  async getHistoricalPriceByMint(tokenMint, timestamp) {
+    throw new Error('La méthode getHistoricalPriceByMint doit être implémentée par les fournisseurs de prix');
+  }
+
+  /**
+   * Récupère les prix actuels de plusieurs tokens
+   * Implémentation par défaut : un appel par token, par lots de `concurrency` ; à surcharger par les
+   * fournisseurs disposant d'un endpoint groupé
+   * @param {Array<string>} tokenMints - Adresses des tokens
+   * @returns {Promise<Object>} - Données de prix indexées par adresse (tokens non trouvés absents)
+   */
+  async getTokenPricesByMint(tokenMints) {
+    const prices = {};
+
+    for (let i = 0; i < tokenMints.length; i += this.concurrency) {
+      const batch = tokenMints.slice(i, i + this.concurrency);
+      const batchPrices = await Promise.all(batch.map(mint => this.getTokenPriceByMint(mint).catch(() => null)));
+
+      batch.forEach((mint, index) => {
+        if (batchPrices[index] && batchPrices[index].price > 0) {
+          prices[mint] = batchPrices[index];
+        }
+      });
+    }
+
+    return prices;
+  }
+
+  /**
+   * Indique si le fournisseur peut valoriser un token
+   * @param {string} tokenMint - Adresse du token
+   * @returns {Promise<boolean>}
+   */
+  async isTokenSupported(tokenMint) {
+    return true;
+  }
+
+  /**
+   * Indique si le fournisseur est utilisable (clé d'API configurée, ...)
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return true;
+  }
+
+  /**
+   * Enregistre un appel réussi au fournisseur
+   */
+  recordSuccess() {
+    this.health.successCount++;
+    this.health.lastSuccessAt = Date.now();
+  }
+
+  /**
+   * Enregistre un appel en échec au fournisseur
+   * @param {Error} error - Erreur rencontrée
+   */
+  recordFailure(error) {
+    this.health.errorCount++;
+    this.health.lastErrorAt = Date.now();
+    this.health.lastError = error?.message || String(error);
+  }
+
+  /**
+   * Calcule l'état de santé du fournisseur à partir de son dernier appel
+   * @returns {Object} - { name, status: 'healthy'|'failing'|'unknown'|'disabled', ... }
+   */
+  getHealth() {
+    if (!this.isEnabled()) return { name: this.name, status: 'disabled' };
+    if (!this.health.lastSuccessAt && !this.health.lastErrorAt) return { name: this.name, status: 'unknown' };
+
+    return {
+      name: this.name,
+      status: (this.health.lastSuccessAt || 0) >= (this.health.lastErrorAt || 0) ? 'healthy' : 'failing',
+      ...this.health
+    };
+  }
+}
+
+module.exports = {
+  PriceProvider
+};
@@ -2,12 +2,115 @@ const axios = require('axios');
 const cacheService = require('./cacheService');
 const pythService = require('./pythService');
 const birdeyeService = require('./birdeyeService');
+const jupiterService = require('./jupiterService');
 const coinGeckoService = require('./coinGeckoService');
 const cryptoCompareService = require('./cryptoCompareService');
+const dexPriceService = require('./dexPriceService');
+const { PriceProvider } = require('./priceProviderService');
+
+// Ordre de priorité par défaut des fournisseurs de prix actuels et historiques
+const DEFAULT_PRICE_PROVIDERS = ['birdeye', 'pyth', 'coingecko', 'cryptocompare', 'jupiter', 'dex'];
+const DEFAULT_HISTORICAL_PRICE_PROVIDERS = ['pyth', 'birdeye', 'coingecko', 'cryptocompare'];
+
+/**
+ * Lit un ordre de priorité de fournisseurs depuis une variable d'environnement (noms séparés par des virgules)
+ * @param {string} value - Valeur de la variable d'environnement
+ * @returns {Array<string>|null} - Noms des fournisseurs, ou null si la variable n'est pas définie
+ */
+function parseProviderOrder(value) {
+  const names = (value || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  return names.length > 0 ? names : null;
+}
+
+// Ordres de priorité configurés : seuls les fournisseurs listés sont alors interrogés
+const CONFIGURED_PRICE_PROVIDERS = parseProviderOrder(process.env.PRICE_PROVIDERS);
+const CONFIGURED_HISTORICAL_PRICE_PROVIDERS = parseProviderOrder(process.env.PRICE_HISTORICAL_PROVIDERS);
+
+// Fournisseurs de prix enregistrés, par nom
+const providers = new Map();
+
+// Écart relatif maximal à la médiane au-delà duquel une source est écartée en mode consensus (défaut: 2%)
+const DEFAULT_CONSENSUS_MAX_DEVIATION = parseFloat(process.env.PRICE_CONSENSUS_MAX_DEVIATION) || 0.02;
+
+/**
+ * Forme commune des prix actuels mis en cache sous `current_price_${mint}` (getCurrentPrice et getCurrentPrices)
+ * @param {string} mint - Adresse du token
+ * @param {Object} priceData - Prix retourné par un fournisseur
+ * @returns {Object} - Prix avec mint et priceUsd renseignés
+ */
+function toCurrentPrice(mint, priceData) {
+  return { ...priceData, mint, priceUsd: priceData.price };
+}
+
+/**
+ * Calcule la médiane d'une liste de nombres
+ * @param {Array<number>} values - Valeurs (non vide)
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
 
 const priceService = {
   /**
-   * Récupère le prix actuel d'un token
+   * Enregistre un fournisseur de prix ; il est interrogé selon sa place dans l'ordre de priorité
+   * (PRICE_PROVIDERS / PRICE_HISTORICAL_PROVIDERS), ou après les fournisseurs par défaut si l'ordre n'est pas configuré
+   * @param {PriceProvider} provider - Fournisseur implémentant le contrat PriceProvider
+   */
+  registerProvider: function(provider) {
+    if (!(provider instanceof PriceProvider)) {
+      console.warn('Fournisseur de prix ignoré : il doit implémenter le contrat PriceProvider');
+      return;
+    }
+
+    if (providers.has(provider.name)) {
+      console.warn(`Fournisseur de prix ${provider.name} déjà enregistré, doublon ignoré`);
+      return;
+    }
+
+    providers.set(provider.name, provider);
+  },
+
+  /**
+   * Retourne les fournisseurs de prix activés, dans l'ordre de priorité
+   * @param {string} kind - 'current' pour les prix actuels, 'historical' pour les prix historiques
+   * @returns {Array<PriceProvider>}
+   */
+  getProviders: function(kind = 'current') {
+    const configuredOrder = kind === 'historical' ? CONFIGURED_HISTORICAL_PRICE_PROVIDERS : CONFIGURED_PRICE_PROVIDERS;
+    const defaultOrder = kind === 'historical' ? DEFAULT_HISTORICAL_PRICE_PROVIDERS : DEFAULT_PRICE_PROVIDERS;
+
+    // Sans configuration, les fournisseurs ajoutés via registerProvider passent après les fournisseurs intégrés
+    const order = configuredOrder || [
+      ...defaultOrder,
+      ...[...providers.keys()].filter(name => !DEFAULT_PRICE_PROVIDERS.includes(name))
+    ];
+
+    return order
+      .map(name => providers.get(name))
+      .filter(provider => provider && provider.isEnabled());
+  },
+
+  /**
+   * Retourne tous les fournisseurs enregistrés avec leur rang de priorité et leur santé
+   * @returns {Array<Object>} - { name, priority, historicalPriority, health }
+   */
+  getProvidersStatus: function() {
+    const currentOrder = this.getProviders('current').map(provider => provider.name);
+    const historicalOrder = this.getProviders('historical').map(provider => provider.name);
+
+    return [...providers.values()].map(provider => ({
+      name: provider.name,
+      priority: currentOrder.includes(provider.name) ? currentOrder.indexOf(provider.name) + 1 : null,
+      historicalPriority: historicalOrder.includes(provider.name) ? historicalOrder.indexOf(provider.name) + 1 : null,
+      health: provider.getHealth()
+    }));
+  },
+
+  /**
+   * Récupère le prix actuel d'un token auprès du premier fournisseur qui le valorise, par ordre de priorité
    * @param {string} tokenMint - Adresse du token
    * @returns {Promise<Object|null>} - Données de prix ou null si non trouvé
    */
@@ -18,77 +121,172 @@ const priceService = {
         return null;
       }
       
-      const now = Math.floor(Date.now() / 1000);
-      const cacheKey = `token_price_${tokenMint}_${now}`;
-      
-      // Vérifier le cache d'abord
-      const cachedPrice = cacheService.getPrice(cacheKey);
+      // Vérifier le cache d'abord (partagé avec getCurrentPrices)
+      const cacheKey = `current_price_${tokenMint}`;
+      const cachedPrice = cacheService.get(cacheKey);
       if (cachedPrice) {
         return cachedPrice;
       }
       
-      // Essayer d'abord BirdEye (priorité la plus élevée)
-      try {
-        const birdeyePrice = await birdeyeService.getTokenPriceByMint(tokenMint);
-        if (birdeyePrice && birdeyePrice.price) {
-          console.log(`Prix obtenu de BirdEye pour ${tokenMint}: ${birdeyePrice.price} USD`);
+      for (const provider of this.getProviders()) {
+        try {
+          if (!(await provider.isTokenSupported(tokenMint))) continue;
           
-          // Mettre en cache le résultat
-          cacheService.setPrice(cacheKey, birdeyePrice, 300); // Cache de 5 minutes
-          return birdeyePrice;
+          const priceData = await provider.getTokenPriceByMint(tokenMint);
+          if (priceData && priceData.price) {
+            console.log(`Prix obtenu de ${provider.name} pour ${tokenMint}: ${priceData.price} USD`);
+            
+            // Mettre en cache le résultat
+            const currentPrice = toCurrentPrice(tokenMint, priceData);
+            cacheService.set(cacheKey, currentPrice, 300); // Cache de 5 minutes
+            return currentPrice;
+          }
+        } catch (error) {
+          provider.recordFailure(error);
+          console.warn(`Erreur ${provider.name} pour ${tokenMint}:`, error.message);
         }
-      } catch (error) {
-        console.warn(`Erreur BirdEye pour ${tokenMint}:`, error.message);
       }
       
-      // Essayer avec Pyth comme seconde option
-      try {
-        const pythPrice = await pythService.getCurrentPrice(tokenMint);
-        if (pythPrice && pythPrice.price) {
-          console.log(`Prix obtenu de Pyth pour ${tokenMint}: ${pythPrice.price} USD`);
-          
-          // Mettre en cache le résultat
-          cacheService.setPrice(cacheKey, pythPrice, 300); // Cache de 5 minutes
-          return pythPrice;
-        }
-      } catch (error) {
-        console.warn(`Erreur Pyth pour ${tokenMint}:`, error.message);
+      console.warn(`Aucun prix trouvé pour ${tokenMint} via toutes les sources disponibles`);
+      return null;
+    } catch (error) {
+      console.error(`Erreur générale dans getCurrentPrice pour ${tokenMint}:`, error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Récupère les prix actuels de plusieurs tokens en groupant les requêtes par fournisseur
+   * (BirdEye multi_price, Pyth Hermes multi-flux, liste d'ids Jupiter, ...), chaque fournisseur
+   * ne recevant, par ordre de priorité, que les tokens non résolus par les précédents
+   * @param {Array<string>} tokenMints - Adresses des tokens
+   * @returns {Promise<Object>} - Données de prix indexées par adresse (null si non trouvé)
+   */
+  getCurrentPrices: async function(tokenMints) {
+    const mints = [...new Set((tokenMints || []).filter(Boolean))];
+    const prices = {};
+    let remaining = [];
+
+    // Vérifier le cache d'abord
+    for (const mint of mints) {
+      const cachedPrice = cacheService.get(`current_price_${mint}`);
+      if (cachedPrice) {
+        prices[mint] = cachedPrice;
+      } else {
+        remaining.push(mint);
       }
-      
-      // Essayer avec CoinGecko comme troisième option
+    }
+
+    if (remaining.length === 0) {
+      return prices;
+    }
+
+    console.log(`Récupération groupée des prix pour ${remaining.length} tokens (${mints.length - remaining.length} en cache)`);
+
+    for (const provider of this.getProviders()) {
+      if (remaining.length === 0) break;
+
       try {
-        const coingeckoPrice = await coinGeckoService.getTokenPriceByMint(tokenMint);
-        if (coingeckoPrice && coingeckoPrice.price) {
-          console.log(`Prix obtenu de CoinGecko pour ${tokenMint}: ${coingeckoPrice.price} USD`);
-          
-          // Mettre en cache le résultat
-          cacheService.setPrice(cacheKey, coingeckoPrice, 300); // Cache de 5 minutes
-          return coingeckoPrice;
+        const providerPrices = (await provider.getTokenPricesByMint(remaining)) || {};
+
+        for (const mint of remaining) {
+          const priceData = providerPrices[mint];
+          if (!priceData || !priceData.price) continue;
+
+          prices[mint] = toCurrentPrice(mint, priceData);
+          cacheService.set(`current_price_${mint}`, prices[mint], 300); // Cache de 5 minutes
         }
+
+        remaining = remaining.filter(mint => !prices[mint]);
       } catch (error) {
-        console.warn(`Erreur CoinGecko pour ${tokenMint}:`, error.message);
+        provider.recordFailure(error);
+        console.warn(`Erreur ${provider.name} lors de la récupération groupée des prix:`, error.message);
       }
-      
-      // Essayer avec CryptoCompare comme dernière option
+    }
+
+    for (const mint of remaining) {
+      prices[mint] = null;
+    }
+
+    return prices;
+  },
+
+  /**
+   * Récupère le prix d'un token par consensus : tous les fournisseurs sont interrogés en parallèle,
+   * celles qui s'écartent de la médiane de plus de maxDeviation sont rejetées et le prix retenu
+   * est la médiane des sources restantes
+   * @param {string} tokenMint - Adresse du token
+   * @param {Object} options - Options du consensus
+   * @param {number} options.maxDeviation - Écart relatif maximal à la médiane (ex: 0.02 pour 2%)
+   * @returns {Promise<Object|null>} - Prix de consensus, sources retenues et rejetées, ou null si aucune source ne répond
+   */
+  getConsensusPrice: async function(tokenMint, options = {}) {
+    if (!tokenMint) {
+      console.warn('Token mint non fourni pour getConsensusPrice');
+      return null;
+    }
+
+    const maxDeviation = options.maxDeviation > 0 ? options.maxDeviation : DEFAULT_CONSENSUS_MAX_DEVIATION;
+
+    // Chaque fournisseur est interrogé seul, sans ses propres replis, pour que les cotations restent indépendantes
+    const results = await Promise.all(this.getProviders().map(async (provider) => {
       try {
-        const cryptoComparePrice = await cryptoCompareService.getTokenPriceByMint(tokenMint);
-        if (cryptoComparePrice && cryptoComparePrice.price) {
-          console.log(`Prix obtenu de CryptoCompare pour ${tokenMint}: ${cryptoComparePrice.price} USD`);
-          
-          // Mettre en cache le résultat
-          cacheService.setPrice(cacheKey, cryptoComparePrice, 300); // Cache de 5 minutes
-          return cryptoComparePrice;
-        }
+        // Comme getCurrentPrice : ne pas interroger un fournisseur qui ne couvre pas le token
+        if (!(await provider.isTokenSupported(tokenMint))) return null;
+
+        const priceData = await provider.getTokenPriceByMint(tokenMint);
+        return priceData && priceData.price > 0 ? { source: provider.name, price: priceData.price } : null;
       } catch (error) {
-        console.warn(`Erreur CryptoCompare pour ${tokenMint}:`, error.message);
+        provider.recordFailure(error);
+        console.warn(`Erreur ${provider.name} pour le consensus de ${tokenMint}:`, error.message);
+        return null;
       }
-      
+    }));
+
+    const quotes = results.filter(Boolean);
+    if (quotes.length === 0) {
       console.warn(`Aucun prix trouvé pour ${tokenMint} via toutes les sources disponibles`);
       return null;
-    } catch (error) {
-      console.error(`Erreur générale dans getCurrentPrice pour ${tokenMint}:`, error.message);
-      return null;
     }
+
+    const initialMedian = median(quotes.map(quote => quote.price));
+    for (const quote of quotes) {
+      quote.deviation = Math.abs(quote.price - initialMedian) / initialMedian;
+    }
+
+    let retained = quotes.filter(quote => quote.deviation <= maxDeviation);
+    const outliers = quotes.filter(quote => quote.deviation > maxDeviation);
+
+    // Aucune majorité (ex: deux sources en désaccord) : la médiane de toutes les sources est conservée
+    const hasMajority = retained.length > 0;
+    if (!hasMajority) {
+      retained = quotes;
+    }
+
+    const price = median(retained.map(quote => quote.price));
+
+    // Part des sources en accord, plafonnée à 0.5 lorsqu'une seule source confirme le prix
+    let confidence = hasMajority ? retained.length / quotes.length : 0;
+    if (retained.length < 2) {
+      confidence = Math.min(confidence, 0.5);
+    }
+
+    if (outliers.length > 0) {
+      console.warn(`Désaccord entre sources pour ${tokenMint}: ${outliers.map(quote => `${quote.source}=${quote.price}`).join(', ')} écartés de la médiane ${initialMedian}`);
+    }
+
+    return {
+      mint: tokenMint,
+      price,
+      priceUsd: price,
+      mode: 'consensus',
+      confidence,
+      disagreement: outliers.length > 0,
+      maxDeviation,
+      sources: hasMajority ? retained : [],
+      outliers: hasMajority ? outliers : quotes,
+      timestamp: Math.floor(Date.now() / 1000)
+    };
   },
 
   /**
@@ -116,117 +314,39 @@ const priceService = {
       
       console.log(`Récupération du prix historique pour ${tokenMint} à ${timestamp} (${new Date(timestamp * 1000).toISOString()})`);
       
-      // Stratégie de chute en cascade : essayer chaque source jusqu'à ce qu'une réussisse
-      
-      // 1. Essayer d'abord Pyth Network pour les prix historiques précis
-      try {
-        console.log(`Essai avec Pyth Network pour ${tokenMint} à ${timestamp}`);
-        const pythPrice = await pythService.getHistoricalPrice(tokenMint, timestamp);
-        
-        if (pythPrice && (pythPrice.price || pythPrice.priceUsd)) {
-          console.log(`Prix historique obtenu de Pyth pour ${tokenMint}: ${pythPrice.priceUsd || pythPrice.price} USD`);
-          
-          // Ajouter des champs supplémentaires au résultat
-          const enrichedPrice = {
-            ...pythPrice,
-            mint: tokenMint,
-            timestamp,
-            date: new Date(timestamp * 1000).toISOString(),
-            source: 'pyth'
-          };
-          
-          // Mettre en cache le résultat pour une journée
-          cacheService.setPrice(cacheKey, enrichedPrice, 86400);
-          
-          return enrichedPrice;
-        }
-        console.log(`Aucun prix disponible via Pyth pour ${tokenMint} à ${timestamp}`);
-      } catch (error) {
-        console.warn(`Erreur Pyth pour prix historique de ${tokenMint}:`, error.message);
-      }
-      
-      // 2. Essayer BirdEye
-      try {
-        console.log(`Essai avec BirdEye pour ${tokenMint} à ${timestamp}`);
-        const birdeyePrice = await birdeyeService.getHistoricalPriceByMint(tokenMint, timestamp);
-        
-        if (birdeyePrice && birdeyePrice.price) {
-          console.log(`Prix historique obtenu de BirdEye pour ${tokenMint}: ${birdeyePrice.price} USD`);
+      // Stratégie de chute en cascade : essayer chaque fournisseur, par ordre de priorité, jusqu'à ce qu'un réussisse
+      for (const provider of this.getProviders('historical')) {
+        try {
+          if (!(await provider.isTokenSupported(tokenMint))) continue;
           
-          // Ajouter des champs supplémentaires au résultat
-          const enrichedPrice = {
-            ...birdeyePrice,
-            mint: tokenMint,
-            timestamp,
-            date: new Date(timestamp * 1000).toISOString(),
-            source: 'birdeye'
-          };
-          
-          // Mettre en cache le résultat pour une journée
-          cacheService.setPrice(cacheKey, enrichedPrice, 86400);
+          console.log(`Essai avec ${provider.name} pour ${tokenMint} à ${timestamp}`);
+          const providerPrice = await provider.getHistoricalPriceByMint(tokenMint, timestamp);
           
-          return enrichedPrice;
+          if (providerPrice && (providerPrice.price || providerPrice.priceUsd)) {
+            console.log(`Prix historique obtenu de ${provider.name} pour ${tokenMint}: ${providerPrice.priceUsd || providerPrice.price} USD`);
+            
+            // Ajouter des champs supplémentaires au résultat
+            const enrichedPrice = {
+              ...providerPrice,
+              mint: tokenMint,
+              timestamp,
+              date: new Date(timestamp * 1000).toISOString(),
+              source: provider.name
+            };
+            
+            // Mettre en cache le résultat pour une journée
+            cacheService.setPrice(cacheKey, enrichedPrice, 86400);
+            
+            return enrichedPrice;
+          }
+          console.log(`Aucun prix disponible via ${provider.name} pour ${tokenMint} à ${timestamp}`);
+        } catch (error) {
+          provider.recordFailure(error);
+          console.warn(`Erreur ${provider.name} pour prix historique de ${tokenMint}:`, error.message);
         }
-        console.log(`Aucun prix disponible via BirdEye pour ${tokenMint} à ${timestamp}`);
-      } catch (error) {
-        console.warn(`Erreur BirdEye pour prix historique de ${tokenMint}:`, error.message);
       }
       
-      // 3. Essayer CoinGecko
-      try {
-        console.log(`Essai avec CoinGecko pour ${tokenMint} à ${timestamp}`);
-        const coingeckoPrice = await coinGeckoService.getHistoricalPriceByMint(tokenMint, timestamp);
-        
-        if (coingeckoPrice && coingeckoPrice.price) {
-          console.log(`Prix historique obtenu de CoinGecko pour ${tokenMint}: ${coingeckoPrice.price} USD`);
-          
-          // Ajouter des champs supplémentaires au résultat
-          const enrichedPrice = {
-            ...coingeckoPrice,
-            mint: tokenMint,
-            timestamp,
-            date: new Date(timestamp * 1000).toISOString(),
-            source: 'coingecko'
-          };
-          
-          // Mettre en cache le résultat pour une journée
-          cacheService.setPrice(cacheKey, enrichedPrice, 86400);
-          
-          return enrichedPrice;
-        }
-        console.log(`Aucun prix disponible via CoinGecko pour ${tokenMint} à ${timestamp}`);
-      } catch (error) {
-        console.warn(`Erreur CoinGecko pour prix historique de ${tokenMint}:`, error.message);
-      }
-      
-      // 4. Essayer CryptoCompare
-      try {
-        console.log(`Essai avec CryptoCompare pour ${tokenMint} à ${timestamp}`);
-        const cryptoComparePrice = await cryptoCompareService.getHistoricalPriceByMint(tokenMint, timestamp);
-        
-        if (cryptoComparePrice && cryptoComparePrice.price) {
-          console.log(`Prix historique obtenu de CryptoCompare pour ${tokenMint}: ${cryptoComparePrice.price} USD`);
-          
-          // Ajouter des champs supplémentaires au résultat
-          const enrichedPrice = {
-            ...cryptoComparePrice,
-            mint: tokenMint,
-            timestamp,
-            date: new Date(timestamp * 1000).toISOString(),
-            source: 'cryptocompare'
-          };
-          
-          // Mettre en cache le résultat pour une journée
-          cacheService.setPrice(cacheKey, enrichedPrice, 86400);
-          
-          return enrichedPrice;
-        }
-        console.log(`Aucun prix disponible via CryptoCompare pour ${tokenMint} à ${timestamp}`);
-      } catch (error) {
-        console.warn(`Erreur CryptoCompare pour prix historique de ${tokenMint}:`, error.message);
-      }
-      
-      // 5. Stratégie de secours : utiliser le prix le plus proche temporellement
+      // Stratégie de secours : utiliser le prix le plus proche temporellement
       console.log(`Aucun prix historique exact trouvé, recherche du prix le plus proche pour ${tokenMint}`);
       
       // Essayer de trouver le prix actuel et l'utiliser comme approximation
@@ -387,4 +507,9 @@ const priceService = {
   }
 };
 
+// Fournisseurs intégrés ; l'ordre d'interrogation est fixé par getProviders
+// (prix on-chain des pools DEX en dernier recours)
+[birdeyeService, pythService, coinGeckoService, cryptoCompareService, jupiterService, dexPriceService]
+  .forEach(provider => priceService.registerProvider(provider));
+
 module.exports = priceService;
\ No newline at end of file
@@ -0,0 +1,262 @@
+/**
+ * Registre des flux de prix Pyth
+ * Charge le catalogue des flux publié par Hermes dans le cache, l'indexe par adresse de token
+ * et par symbole, le rafraîchit à l'expiration du cache et se replie sur une liste statique
+ * lorsque le catalogue est inaccessible
+ */
+const axios = require('axios');
+const { PublicKey } = require('@solana/web3.js');
+const cacheService = require('./cacheService');
+
+const CATALOGUE_URL = 'https://hermes.pyth.network/v2/price_feeds';
+const CATALOGUE_CACHE_KEY = 'pyth_feed_registry';
+
+// Intervalle de rafraîchissement du catalogue en secondes (défaut: 6 heures)
+const REFRESH_INTERVAL_SECONDS = parseInt(process.env.PYTH_FEED_REGISTRY_REFRESH_SECONDS, 10) || 6 * 60 * 60;
+
+// Délai avant une nouvelle tentative lorsque le catalogue est inaccessible (5 minutes)
+const RETRY_INTERVAL_SECONDS = 5 * 60;
+
+// Attributs du catalogue portant l'adresse Solana du token, publiés pour certains flux
+const MINT_ATTRIBUTES = ['mint', 'contract_id'];
+
+/**
+ * Flux de prix des tokens Solana connus, utilisés hors ligne ou en complément du catalogue
+ * Chaque symbole a son adresse de token dans STATIC_TOKEN_MINTS
+ * Format: SYMBOL => priceFeedId
+ */
+const STATIC_PRICE_FEEDS = {
+  'SOL': 'ef0d8b6fda2ceba41da15d4095d1da392a0d2f8ed0c6c7bc0f4cfac8c280b56d',
+  'JITOSOL': '67be9f519b95cf24338801051f9a808eff0a578ccb388db73b7f6fe1de019ffb',
+  'MSOL': 'c2289a6a43d2ce91c6f55caec370f4acc38a2ed477f58813334c6d03749ff2a4',
+  'BSOL': '89875379e70f8fbadc17aef315adf3a8d5d160b811435537e03c97e8aac97d9c',
+  'BONK': '72b021217ca3fe68922a19aaf990109cb9d84e9ad004b4d2025ad6f529314419',
+  'W': 'eff7446475e218517566ea99e72a4abec2e1bd8498b43b7d8331e29dcb059389',
+  'KMNO': 'b17e5bc5de742a8a378b54c9c75442b7d51e30ada63f28d9bd28d3c0e26511a0',
+  'MEW': '514aed52ca5294177f20187ae883cec4a018619772ddce41efcc36a6448f5d5d',
+  'TNSR': '05ecd4597cd48fe13d6cc3596c62af4f9675aee06e2e0b94c06d8bee2b659e05',
+  'USDC': 'eaa020c61cc479712813461ce153894a96a6c00b21ed0cfc2798d1f9a9e9c94a',
+  'JTO': 'b43660a5f790c69354b0729a5ef9d50d68f1df92107540210b9cccba1f947cc2',
+  'USDT': '2b89b9dc8fdf9f34709a5b106b472f0f39bb6ca9ce04b0fd7f2e971688e2e53b',
+  'JUP': '0a0408d619e9380abad35060f9192039ed5042fa6f82301d0e48bb52be830996',
+  'ETH': 'ff61491a931112ddf1bd8147cd1b641375f79f5825126d665480874634fd0ace',
+  'PYTH': '0bbf28e9a841a1cc788f6a361b17ca072d0ea3098a1e5df1c3922d06719579ff',
+  'HNT': '649fdd7ec08e8e2a20f425729854e90293dcbe2376abc47197a14da6ff339756',
+  'ORCA': '37505261e557e251290b8c8899453064e8d760ed5c65a779726f2490980da74c',
+  'SAMO': '49601625e1a342c1f90c3fe6a03ae0251991a1d76e480d2741524c29037be28a',
+  'WIF': '4ca4beeca86f0d164160323817a4e42b10010a724c2217c6ee41b54cd4cc61fc',
+  'LST': '12fb674ee496045b1d9cf7d5e65379acb026133c2ad69f3ed996fb9fe68e3a37',
+  'INF': 'f51570985c642c49c2d6e50156390fdba80bb6d5f7fa389d2f012ced4f7d208f',
+  'PRCL': '5bbd1ce617792b476c55991c27cdfd89794f9f13356babc9c92405f5f0079683',
+  'FIDA': 'c80657b7f6f3eac27218d09d5a4e54e47b25768d9f5e10ac15fe2cf900881400',
+  'MNDE': '3607bf4d7b78666bd3736c7aacaf2fd2bc56caa8667d3224971ebe3c0623292a',
+  'MOBILE': 'ff4c53361e36a9b837433c87d290c229e1f01aec5ef98d9f3f70953a20a629ce',
+  'IOT': '6b701e292e0836d18a5904a08fe94534f9ab5c3d4ff37dc02c74dd0f4901944d',
+  'NEON': 'd82183dd487bef3208a227bb25d748930db58862c5121198e723ed0976eb92b7',
+  'SLND': 'f8d030e4ef460b91ad23eabbbb27aec463e3c30ecc8d5c4b71e92f54a36ccdbd',
+  'WEN': '5169491cd7e2a44c98353b779d5eb612e4ac32e073f5cc534303d86307c2f1bc',
+  'BLZE': '93c3def9b169f49eed14c9d73ed0e942c666cf0e1290657ec82038ebb792c2a8',
+  'JLP': 'c811abc82b4bad1f9bd711a2773ccaa935b03ecef974236942cec5e0eb845a3a',
+  'WBTC': 'c9d8b075a5c69303365ae23633d4e085199bf5c520a3b90fed1322a0342ffc33',
+  'PENGU': 'bed3097008b9b5e3c93bec20be79cb43986b85a996475589351a21e67bae9b61',
+  'AI16Z': '2551eca7784671173def2c41e6f3e51e11cd87494863f1d208fdd8c64a1f85ae',
+  'TRUMP': '879551021853eec7a7dc827578e8e69da7e4fa8148339aa0d3d5296405be4b1a',
+  'FARTCOIN': '58cd29ef0e714c5affc44f269b2c1899a52da4169d7acc147b9da692e6953608'
+};
+
+/**
+ * Adresses des tokens Solana dont le flux est connu, pour les flux dont le catalogue ne publie pas l'adresse
+ * Format: mint => SYMBOL (clé de STATIC_PRICE_FEEDS ou symbole de base du catalogue)
+ */
+const STATIC_TOKEN_MINTS = {
+  'So11111111111111111111111111111111111111112': 'SOL',
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': 'USDC',
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB': 'USDT',
+  'J1toso1uCk3RLmjorhTtrVwY9HJ7X8V9yYac6Y7kGCPn': 'JITOSOL',
+  'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So': 'MSOL',
+  'bSo13r4TkiE4KumL71LsHTPpL2euBYLFx6h9HP3piy1': 'BSOL',
+  'LSTxxxnJzKDFSLr4dUkPcmCf5VyryEqzPLz5j4bpxFp': 'LST',
+  '5oVNBeEEQvYi1cX3ir8Dx5n1P7pdxydbGF2X4TxVusJm': 'INF',
+  'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263': 'BONK',
+  '85VBFQZC9TZkfaptBWjvUw7YbZjy52A6mjtPGjstQAmQ': 'W',
+  'KMNo3nJsBXfcpJTVhZcXLW7RmTwTt4GVFE7suUBo9sS': 'KMNO',
+  'MEW1gQWJ3nEXg2qgERiKu7FAFj79PHvQVREQUzScPP5': 'MEW',
+  'TNSRxcUxoT9xBG3de7PiJyTDYu7kskLqcpddxnEJAS6': 'TNSR',
+  'jtojtomepa8beP8AuQc6eXt5FriJwfFMwQx2v2f9mCL': 'JTO',
+  'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN': 'JUP',
+  'HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3': 'PYTH',
+  'hntyVP6YFm1Hg25TN9WLLRM3ziTd4ZoV2Vvy9ogpyoJ': 'HNT',
+  'orcaEKTdK7LKz57vaAYr9QeNsVEPfiu6QeMU1kektZE': 'ORCA',
+  '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU': 'SAMO',
+  'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm': 'WIF',
+  '4LLbsb5ReP3yEtYzmXewyGjcir5uXtKFURtaEUVC2AHs': 'PRCL',
+  'MNDEFzGvMt87ueuHvVU9VcTqsAP5b3fTGPsHuuPA5ey': 'MNDE',
+  'WENWENvqqNya429ubCdR81ZmD69brwQaaBYY6p3LCpk': 'WEN',
+  '27G8MtK7VtTcCHkpASjSDdkWWYfoqT6ggEuKidVJidD4': 'JLP',
+  '3NZ9JMVBmGAqocybic2c7LP1oTr2s4B1JhPCrLuAMV8S': 'WBTC',
+  '7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs': 'ETH',
+  '2zMMhcVQEXDtdE6vsFS7S7D5oUodfJHE8vd1gnBouauv': 'PENGU',
+  'HeLp6NuQkmYB4pYWo2zYs22mESHXPQYzXbB8n4V98jwC': 'AI16Z',
+  '6p6xgHyF7AeE6TZkSmFsko444wqoP15icUSqi2jfGiPN': 'TRUMP',
+  '9BB6NFEcjBCtnNLFko2FqVQBq8HHM13kCyYcdQbgpump': 'FARTCOIN',
+  'EchesyfXePKdLtoiZSL8pBe8Myagyy8ZRqsACNCFGnvp': 'FIDA',
+  'mb1eu7TzEc71KxDpsmsKoucSSuuoGLv1drys1oP2jh6': 'MOBILE',
+  'iotEVVZLEywoTn1QdwNPddxPWszn3zFhEot3MfL9fns': 'IOT',
+  'NeonTjSjsuo3rexg9o6vHuMXw62f9V7zvmu8M8Zut44': 'NEON',
+  'SLNDpmoWTVADgEdndyvWzroNL7zSi1dF9PC3xHGtPwp': 'SLND',
+  'BLZEEuZUBVqFhj8adcCFPJvPVCiCyVmh3hkJMrU8KuJA': 'BLZE'
+};
+
+/**
+ * Extrait l'adresse Solana d'un token des attributs d'un flux du catalogue
+ * @param {Object} attributes - Attributs du flux
+ * @returns {string|null} - Adresse du token ou null si non publiée
+ */
+function getPublishedMint(attributes) {
+  for (const key of MINT_ATTRIBUTES) {
+    const value = attributes[key];
+    if (typeof value !== 'string') continue;
+
+    try {
+      return new PublicKey(value).toBase58();
+    } catch (error) {
+      // Adresse d'une autre chaîne (EVM, ...) : ignorée
+    }
+  }
+  return null;
+}
+
+class PythFeedRegistryService {
+  constructor() {
+    // Dernier registre chargé, utilisé par les recherches synchrones (statique avant le premier chargement)
+    this.registry = this.buildRegistry([], 'static');
+    this.loading = null;
+  }
+
+  /**
+   * Construit les index du registre à partir de la liste statique, complétée par les flux du catalogue
+   * Seuls les flux crypto cotés en USD (symbole `Crypto.<BASE>/USD`) sont retenus ; un flux du catalogue
+   * portant le symbole d'un flux statique ne le remplace pas
+   * @param {Array<Object>} feeds - Flux du catalogue Hermes : { id, attributes }
+   * @param {string} source - Origine du registre ('catalogue' ou 'static')
+   * @returns {Object} - { source, loadedAt, feedCount, feedsBySymbol, feedsByMint, symbolsByFeedId }
+   */
+  buildRegistry(feeds, source) {
+    const feedsBySymbol = { ...STATIC_PRICE_FEEDS };
+    const feedsByMint = {};
+
+    for (const feed of feeds) {
+      const attributes = feed.attributes || {};
+      const base = attributes.base?.toUpperCase();
+      if (!feed.id || !base || attributes.symbol?.toUpperCase() !== `CRYPTO.${base}/USD`) continue;
+
+      const feedId = feed.id.replace(/^0x/, '');
+      if (!STATIC_PRICE_FEEDS[base]) feedsBySymbol[base] = feedId;
+
+      const mint = getPublishedMint(attributes);
+      if (mint) feedsByMint[mint] = feedId;
+    }
+
+    // Les adresses connues restent associées à leur flux statique, quel que soit le contenu du catalogue
+    for (const [mint, symbol] of Object.entries(STATIC_TOKEN_MINTS)) {
+      feedsByMint[mint] = STATIC_PRICE_FEEDS[symbol];
+    }
+
+    const symbolsByFeedId = {};
+    for (const [symbol, feedId] of Object.entries(feedsBySymbol)) {
+      if (!symbolsByFeedId[feedId]) symbolsByFeedId[feedId] = symbol;
+    }
+
+    return {
+      source,
+      loadedAt: Date.now(),
+      feedCount: feeds.length,
+      feedsBySymbol,
+      feedsByMint,
+      symbolsByFeedId
+    };
+  }
+
+  /**
+   * Récupère le registre depuis le cache, ou recharge le catalogue s'il a expiré
+   * @returns {Promise<Object>} - Registre des flux
+   */
+  async load() {
+    const cachedRegistry = cacheService.get(CATALOGUE_CACHE_KEY);
+    if (cachedRegistry) return cachedRegistry;
+
+    // Un seul chargement du catalogue à la fois
+    if (!this.loading) {
+      this.loading = this.refresh().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Recharge le catalogue des flux depuis Hermes, ou se replie sur la liste statique en cas d'échec
+   * @returns {Promise<Object>} - Registre des flux
+   */
+  async refresh() {
+    let registry;
+    let ttlSeconds = REFRESH_INTERVAL_SECONDS;
+
+    try {
+      const response = await axios.get(CATALOGUE_URL, {
+        params: { asset_type: 'crypto' },
+        timeout: 10000
+      });
+
+      if (!Array.isArray(response.data) || response.data.length === 0) {
+        throw new Error('Catalogue vide ou invalide');
+      }
+
+      registry = this.buildRegistry(response.data, 'catalogue');
+      console.log(`[PythFeedRegistry] Catalogue chargé: ${registry.feedCount} flux, ${Object.keys(registry.feedsByMint).length} tokens indexés par adresse`);
+    } catch (error) {
+      // Conserver le dernier catalogue chargé plutôt que la liste statique
+      registry = this.registry.source === 'catalogue' ? this.registry : this.buildRegistry([], 'static');
+      console.warn(`[PythFeedRegistry] Catalogue Pyth indisponible, utilisation ${registry.source === 'catalogue' ? 'du dernier catalogue chargé' : 'de la liste statique'}: ${error.message}`);
+      ttlSeconds = RETRY_INTERVAL_SECONDS;
+    }
+
+    this.registry = registry;
+    cacheService.set(CATALOGUE_CACHE_KEY, registry, ttlSeconds);
+    return registry;
+  }
+
+  /**
+   * Récupère l'identifiant du flux de prix d'un token par son adresse
+   * @param {string} tokenMint - Adresse du token
+   * @returns {Promise<string|null>} - Identifiant du flux ou null si aucun flux n'est associé à cette adresse
+   */
+  async getFeedIdByMint(tokenMint) {
+    if (!tokenMint) return null;
+    const registry = await this.load();
+    return registry.feedsByMint[tokenMint] || null;
+  }
+
+  /**
+   * Récupère l'identifiant du flux de prix USD d'un symbole dans le dernier registre chargé
+   * @param {string} symbol - Symbole du token (ex: 'SOL')
+   * @returns {string|null} - Identifiant du flux ou null si non supporté
+   */
+  getFeedIdBySymbol(symbol) {
+    if (!symbol) return null;
+    return this.registry.feedsBySymbol[symbol.toUpperCase()] || null;
+  }
+
+  /**
+   * Récupère le symbole associé à un flux de prix dans le dernier registre chargé
+   * @param {string} feedId - Identifiant du flux
+   * @returns {string|null} - Symbole ou null si inconnu
+   */
+  getSymbolByFeedId(feedId) {
+    if (!feedId) return null;
+    return this.registry.symbolsByFeedId[feedId.replace(/^0x/, '')] || null;
+  }
+}
+
+// Exporter une instance
+module.exports = new PythFeedRegistryService();
@@ -1,62 +1,12 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
 const cacheService = require('./cacheService');
 const jupiterService = require('./jupiterService');
-
-/**
- * Mapping des symboles de tokens vers leurs identifiants de flux de prix Pyth
- * Format: SYMBOL => priceFeedId
- */
-const PYTH_PRICE_FEEDS = {
-  'SOL': 'ef0d8b6fda2ceba41da15d4095d1da392a0d2f8ed0c6c7bc0f4cfac8c280b56d',
-  'JITOSOL': '67be9f519b95cf24338801051f9a808eff0a578ccb388db73b7f6fe1de019ffb',
-  'MSOL': 'c2289a6a43d2ce91c6f55caec370f4acc38a2ed477f58813334c6d03749ff2a4',
-  'BSOL': '89875379e70f8fbadc17aef315adf3a8d5d160b811435537e03c97e8aac97d9c',
-  'SSOL': 'add6499a420f809bbebc0b22fbf68acb8c119023897f6ea801688e0d6e391af4',
-  'BONK': '72b021217ca3fe68922a19aaf990109cb9d84e9ad004b4d2025ad6f529314419',
-  'W': 'eff7446475e218517566ea99e72a4abec2e1bd8498b43b7d8331e29dcb059389',
-  'KMNO': 'b17e5bc5de742a8a378b54c9c75442b7d51e30ada63f28d9bd28d3c0e26511a0',
-  'MEW': '514aed52ca5294177f20187ae883cec4a018619772ddce41efcc36a6448f5d5d',
-  'TNSR': '05ecd4597cd48fe13d6cc3596c62af4f9675aee06e2e0b94c06d8bee2b659e05',
-  'USDC': 'eaa020c61cc479712813461ce153894a96a6c00b21ed0cfc2798d1f9a9e9c94a',
-  'BTC': 'e62df6c8b4a85fe1a67db44dc12de5db330f7ac66b72dc658afedf0f4a415b43',
-  'JTO': 'b43660a5f790c69354b0729a5ef9d50d68f1df92107540210b9cccba1f947cc2',
-  'USDT': '2b89b9dc8fdf9f34709a5b106b472f0f39bb6ca9ce04b0fd7f2e971688e2e53b',
-  'JUP': '0a0408d619e9380abad35060f9192039ed5042fa6f82301d0e48bb52be830996',
-  'ETH': 'ff61491a931112ddf1bd8147cd1b641375f79f5825126d665480874634fd0ace',
-  'PYTH': '0bbf28e9a841a1cc788f6a361b17ca072d0ea3098a1e5df1c3922d06719579ff',
-  'HNT': '649fdd7ec08e8e2a20f425729854e90293dcbe2376abc47197a14da6ff339756',
-  'RENDU': '3d4a2bd9535be6ce8059d75eadeba507b043257321aa544717c56fa19b49e35d',
-  'ORCA': '37505261e557e251290b8c8899453064e8d760ed5c65a779726f2490980da74c',
-  'SAMO': '49601625e1a342c1f90c3fe6a03ae0251991a1d76e480d2741524c29037be28a',
-  'WIF': '4ca4beeca86f0d164160323817a4e42b10010a724c2217c6ee41b54cd4cc61fc',
-  'LST': '12fb674ee496045b1d9cf7d5e65379acb026133c2ad69f3ed996fb9fe68e3a37',
-  'INF': 'f51570985c642c49c2d6e50156390fdba80bb6d5f7fa389d2f012ced4f7d208f',
-  'PRCL': '5bbd1ce617792b476c55991c27cdfd89794f9f13356babc9c92405f5f0079683',
-  'RAYON': '91568baa8beb53db23eb3fb7f22c6e8bd303d103919e19733f2bb642d3e7987a',
-  'FIDA': 'c80657b7f6f3eac27218d09d5a4e54e47b25768d9f5e10ac15fe2cf900881400',
-  'MNDE': '3607bf4d7b78666bd3736c7aacaf2fd2bc56caa8667d3224971ebe3c0623292a',
-  'MOBILE': 'ff4c53361e36a9b837433c87d290c229e1f01aec5ef98d9f3f70953a20a629ce',
-  'IOT': '6b701e292e0836d18a5904a08fe94534f9ab5c3d4ff37dc02c74dd0f4901944d',
-  'NEON': 'd82183dd487bef3208a227bb25d748930db58862c5121198e723ed0976eb92b7',
-  'AUD': '67a6f93030420c1c9e3fe37c1ab6b77966af82f995944a9fefce357a22854a80',
-  'GBP': '84c2dde9633d93d1bcad84e7dc41c9d56578b7ec52fabedc1f335d673df0a7c1',
-  'EUR': 'a995d00bb36a63cef7fd2c287dc105fc8f3d93779f062f09551b0af3e81ec30b',
-  'XAG': 'f2fb02c32b055c805e7238d628e5e9dadef274376114eb1f012337cabe93871e',
-  'XAU': '765d2ba906dbc32ca17cc11f5310a89e9ee1f6420508c63861f2f8ba4ee34bb2',
-  'INJ': '7a5bc1d2b56ad029048cd63964b3ad2776eadf812edc1a43a31406cb54bff592',
-  'SLND': 'f8d030e4ef460b91ad23eabbbb27aec463e3c30ecc8d5c4b71e92f54a36ccdbd',
-  'WEN': '5169491cd7e2a44c98353b779d5eb612e4ac32e073f5cc534303d86307c2f1bc',
-  'BLZE': '93c3def9b169f49eed14c9d73ed0e942c666cf0e1290657ec82038ebb792c2a8',
-  'JLP': 'c811abc82b4bad1f9bd711a2773ccaa935b03ecef974236942cec5e0eb845a3a',
-  'WBTC': 'c9d8b075a5c69303365ae23633d4e085199bf5c520a3b90fed1322a0342ffc33',
-  'PENGU': 'bed3097008b9b5e3c93bec20be79cb43986b85a996475589351a21e67bae9b61',
-  'AI16Z': '2551eca7784671173def2c41e6f3e51e11cd87494863f1d208fdd8c64a1f85ae',
-  'TRUMP': '879551021853eec7a7dc827578e8e69da7e4fa8148339aa0d3d5296405be4b1a',
-  'FARTCOIN': '58cd29ef0e714c5affc44f269b2c1899a52da4169d7acc147b9da692e6953608',
-  'FARTROT': '76f54a7b9359680e9db0f591753768d05d246c5fed6644a4b3f2fde37f0e1d87',
-  'OBLIVION': '82d0fedd3335edd8182934d6d505300870e66ec221e34b3c548f98367c1afd27',
-  'SPAM': 'a49271f3cb60213d809a094872b22942897233cf12f86fa788bf9ab27e7ed1bd' // Ajout d'un feed pour les tokens de spam
-};
+const pythFeedRegistryService = require('./pythFeedRegistryService');
+const { PriceProvider } = require('./priceProviderService');
+const { readPubkey, readU8, readI32, readU64, readI64 } = require('../utils/bufferUtils');
+// solanaWebService est chargé à la demande : solanaWebService -> priceService -> pythService
 
 /**
  * Liste des adresses de tokens connus pour être utilisés dans les transactions de spam
@@ -67,32 +17,84 @@ const KNOWN_SPAM_ADDRESSES = [
   '5Hr7wZg7oBpVhH5nngRqzr5W7ZFUfCsfEhbziZJak7fr'
 ];
 
+/**
+ * Source des prix actuels : 'hermes' (API HTTP, défaut), 'onchain' (comptes du push oracle via le RPC)
+ * ou 'auto' (comptes on-chain, puis Hermes pour les flux absents ou périmés)
+ */
+const PYTH_PRICE_SOURCE = (process.env.PYTH_PRICE_SOURCE || 'hermes').toLowerCase();
+
+// Âge maximal (en slots) d'un prix on-chain avant d'être rejeté comme périmé (défaut: 750, ~5 minutes)
+const PYTH_MAX_SLOT_AGE = parseInt(process.env.PYTH_MAX_SLOT_AGE, 10) || 750;
+
+// Programmes du push oracle Pyth : les comptes PriceUpdateV2 appartiennent au receiver et
+// leurs adresses sont dérivées du programme push oracle (seeds: shard u16, feed id)
+const PYTH_PUSH_ORACLE_PROGRAM_ID = 'pythWSnswVUd12oZpeFP8e9CVaEqJg25g1Vtc2biRsT';
+const PYTH_RECEIVER_PROGRAM_ID = 'rec5EKMGg6MxZYaMdyBfgwp4d5rB9T1VQH5pJv5LtFJ';
+const PYTH_DEFAULT_SHARD_ID = 0;
+
+// Discriminateur Anchor des comptes PriceUpdateV2 : sha256("account:PriceUpdateV2")[0..8]
+const PRICE_UPDATE_V2_DISCRIMINATOR = crypto.createHash('sha256').update('account:PriceUpdateV2').digest().subarray(0, 8);
+
+/**
+ * Décode un compte PriceUpdateV2 du receiver Pyth
+ * Layout : discriminator (8), write_authority (32), verification_level (enum Borsh : Partial { u8 } | Full),
+ * price_message (feed_id, price, conf, exponent, publish_time, prev_publish_time, ema_price, ema_conf), posted_slot
+ * @param {Buffer} data - Données du compte
+ * @returns {Object|null} - Prix décodé ou null si le compte n'est pas un PriceUpdateV2
+ */
+function decodePriceUpdateAccount(data) {
+  if (!data || data.length < 8 || !data.subarray(0, 8).equals(PRICE_UPDATE_V2_DISCRIMINATOR)) return null;
+
+  // Partial porte le nombre de signatures vérifiées, Full n'a pas de données
+  const verificationTag = readU8(data, 40);
+  const messageOffset = verificationTag === 0 ? 42 : 41;
+  const exponent = readI32(data, messageOffset + 48);
+  const scale = Math.pow(10, exponent);
+
+  return {
+    writeAuthority: readPubkey(data, 8),
+    verificationLevel: verificationTag === 0 ? 'partial' : 'full',
+    feedId: data.subarray(messageOffset, messageOffset + 32).toString('hex'),
+    price: Number(readI64(data, messageOffset + 32)) * scale,
+    confidence: Number(readU64(data, messageOffset + 40)) * scale,
+    exponent,
+    publishTime: Number(readI64(data, messageOffset + 52)),
+    prevPublishTime: Number(readI64(data, messageOffset + 60)),
+    emaPrice: Number(readI64(data, messageOffset + 68)) * scale,
+    emaConfidence: Number(readU64(data, messageOffset + 76)) * scale,
+    postedSlot: Number(readU64(data, messageOffset + 84))
+  };
+}
+
 /**
  * Service pour interagir avec l'API Pyth Network
+ * Fournisseur de prix (contrat PriceProvider)
  */
-const pythService = {
-  /**
-   * URL de base pour l'API Hermes de Pyth
-   */
-  HERMES_BASE_URL: 'https://hermes.pyth.network/v2/updates/price',
-  
-  /**
-   * URLs de sauvegarde pour les prix en cas d'échec de Pyth
-   */
-  BACKUP_PRICE_URLS: [
-    'https://price-api.birdeye.so/public/price',
-    'https://api.coingecko.com/api/v3/simple/price'
-  ],
+class PythService extends PriceProvider {
+  constructor() {
+    super('pyth');
+
+    // URL de base pour l'API Hermes de Pyth
+    this.HERMES_BASE_URL = 'https://hermes.pyth.network/v2/updates/price';
+
+    // Nombre maximal de flux de prix par requête Hermes
+    this.HERMES_BATCH_SIZE = 50;
+
+    // URLs de sauvegarde pour les prix en cas d'échec de Pyth
+    this.BACKUP_PRICE_URLS = [
+      'https://price-api.birdeye.so/public/price',
+      'https://api.coingecko.com/api/v3/simple/price'
+    ];
+  }
 
   /**
    * Vérifie si un symbole de token est supporté par Pyth
    * @param {string} symbol - Symbole du token (ex: 'SOL', 'BTC')
    * @returns {boolean} - true si le symbole est supporté
    */
-  isSymbolSupported: function(symbol) {
-    if (!symbol) return false;
-    return !!PYTH_PRICE_FEEDS[symbol.toUpperCase()];
-  },
+  isSymbolSupported(symbol) {
+    return !!this.getPriceFeedId(symbol);
+  }
 
   /**
    * Essaie de déterminer le symbole d'un token à partir de son adresse
@@ -137,36 +139,36 @@ const pythService = {
       console.error(`Erreur lors de la récupération du symbole pour ${tokenMint}:`, error.message);
       return null;
     }
-  },
+  }
 
   /**
    * Vérifie si un token est supporté par Pyth via son adresse mint
    * @param {string} tokenMint - Adresse du token
-   * @returns {Promise<boolean>} - true si le token est supporté
+   * @returns {Promise<boolean>} - true si un flux de prix est associé à cette adresse
    */
   async isTokenSupported(tokenMint) {
-    const symbol = await this.getSymbolFromMint(tokenMint);
-    return symbol ? this.isSymbolSupported(symbol) : false;
-  },
+    return !!(await this.getPriceFeedIdFromMint(tokenMint));
+  }
 
   /**
    * Vérifie si une adresse est connue comme étant utilisée pour le spam
    * @param {string} address - Adresse à vérifier
    * @returns {boolean} - true si l'adresse est connue comme spam
    */
-  isKnownSpamAddress: function(address) {
+  isKnownSpamAddress(address) {
     if (!address) return false;
     return KNOWN_SPAM_ADDRESSES.includes(address);
-  },
+  }
 
   /**
    * Gère les erreurs de récupération de prix avec retentatives et fallback
    * @param {string} symbol - Symbole du token
    * @param {number} timestamp - Timestamp Unix en secondes
    * @param {Error} initialError - Erreur initiale
+   * @param {string} priceFeedId - Identifiant du flux de prix (par défaut, flux USD du symbole)
    * @returns {Promise<Object|null>} - Données de prix ou null si tous les essais échouent
    */
-  async handlePriceError(symbol, timestamp, initialError) {
+  async handlePriceError(symbol, timestamp, initialError, priceFeedId = this.getPriceFeedId(symbol)) {
     console.warn(`Erreur lors de la récupération du prix Pyth pour ${symbol}:`, initialError.message);
     
     // Essai avec exponential backoff
@@ -179,7 +181,6 @@ const pythService = {
         await new Promise(resolve => setTimeout(resolve, delay));
         
         // Construire l'URL de l'API Hermes
-        const priceFeedId = PYTH_PRICE_FEEDS[symbol.toUpperCase()];
         const url = `${this.HERMES_BASE_URL}/${timestamp}?ids[]=${priceFeedId}`;
         
         const response = await axios.get(url);
@@ -254,7 +255,7 @@ const pythService = {
     // Échec final, retourner null
     console.error(`Impossible d'obtenir le prix pour ${symbol} après plusieurs tentatives`);
     return null;
-  },
+  }
 
   /**
    * Récupère le prix historique d'un token à un instant précis via son symbole
@@ -262,21 +263,32 @@ const pythService = {
    * @param {number} timestamp - Timestamp Unix en secondes
    * @returns {Promise<Object|null>} - Données de prix ou null si non trouvé
    */
-  getHistoricalPriceBySymbol: async function(symbol, timestamp) {
+  async getHistoricalPriceBySymbol(symbol, timestamp) {
+    if (!symbol) return null;
+
+    await pythFeedRegistryService.load();
+    const upperSymbol = symbol.toUpperCase();
+
+    // Vérifier si le symbole est supporté
+    if (!this.isSymbolSupported(upperSymbol)) {
+      console.warn(`Symbole ${symbol} non supporté par Pyth Network`);
+      return null;
+    }
+
+    return this.getHistoricalPriceByFeedId(this.getPriceFeedId(upperSymbol), upperSymbol, timestamp);
+  }
+
+  /**
+   * Récupère le prix historique d'un flux de prix Pyth à un instant précis
+   * @param {string} priceFeedId - Identifiant du flux de prix
+   * @param {string} symbol - Symbole associé au flux (clé de cache et affichage)
+   * @param {number} timestamp - Timestamp Unix en secondes
+   * @returns {Promise<Object|null>} - Données de prix ou null si non trouvé
+   */
+  async getHistoricalPriceByFeedId(priceFeedId, symbol, timestamp) {
+    const upperSymbol = symbol.toUpperCase();
+
     try {
-      if (!symbol) return null;
-      
-      const upperSymbol = symbol.toUpperCase();
-      
-      // Vérifier si le symbole est supporté
-      if (!this.isSymbolSupported(upperSymbol)) {
-        console.warn(`Symbole ${symbol} non supporté par Pyth Network`);
-        return null;
-      }
-      
-      // Récupérer l'ID de flux de prix Pyth
-      const priceFeedId = PYTH_PRICE_FEEDS[upperSymbol];
-      
       // Vérifier le cache
       const cacheKey = `pyth_historical_${upperSymbol}_${timestamp}`;
       const cachedPrice = cacheService.getPrice(cacheKey);
@@ -299,7 +311,7 @@ const pythService = {
       // Vérifier si la réponse contient des données
       if (!response.data || !Array.isArray(response.data) || response.data.length === 0) {
         console.warn(`Aucune donnée de prix retournée par Pyth pour ${upperSymbol}`);
-        return await this.handlePriceError(upperSymbol, timestamp, new Error('Données manquantes'));
+        return await this.handlePriceError(upperSymbol, timestamp, new Error('Données manquantes'), priceFeedId);
       }
       
       const priceData = response.data[0];
@@ -308,14 +320,14 @@ const pythService = {
       if (!priceData.price && priceData.price !== 0) {
         console.warn(`Format de prix Pyth invalide pour ${upperSymbol} - prix manquant`);
         console.log('Données reçues:', JSON.stringify(priceData));
-        return await this.handlePriceError(upperSymbol, timestamp, new Error('Prix manquant'));
+        return await this.handlePriceError(upperSymbol, timestamp, new Error('Prix manquant'), priceFeedId);
       }
       
       // Vérifier si l'exposant est disponible
       if (priceData.expo === undefined) {
         console.warn(`Format de prix Pyth invalide pour ${upperSymbol} - exposant manquant`);
         console.log('Données reçues:', JSON.stringify(priceData));
-        return await this.handlePriceError(upperSymbol, timestamp, new Error('Exposant manquant'));
+        return await this.handlePriceError(upperSymbol, timestamp, new Error('Exposant manquant'), priceFeedId);
       }
       
       // Calculer le prix en USD avec la précision correcte
@@ -348,9 +360,9 @@ const pythService = {
         console.error(`Erreur API - Status: ${error.response.status}, Data:`, JSON.stringify(error.response.data).substring(0, 500));
       }
       // Utiliser la fonction de récupération d'erreur avec retentatives
-      return await this.handlePriceError(symbol, timestamp, error);
+      return await this.handlePriceError(upperSymbol, timestamp, error, priceFeedId);
     }
-  },
+  }
 
   /**
    * Récupère le prix historique d'un token à un instant précis via son adresse mint
@@ -358,52 +370,33 @@ const pythService = {
    * @param {number} timestamp - Timestamp Unix en secondes
    * @returns {Promise<Object|null>} - Données de prix ou null si non trouvé
    */
-  getHistoricalPrice: async function(tokenMint, timestamp) {
+  async getHistoricalPrice(tokenMint, timestamp) {
     try {
-      // Cas spécial pour SOL wrapped - traitement direct sans passer par Jupiter
-      if (tokenMint && tokenMint.toLowerCase() === 'so11111111111111111111111111111111111111112') {
-        console.log(`Token ${tokenMint} identifié comme SOL, traitement direct`);
-        const priceData = await this.getHistoricalPriceBySymbol('SOL', timestamp);
-        
-        if (priceData) {
-          // Ajouter l'adresse mint à l'objet de prix pour cohérence avec l'API
-          return {
-            ...priceData,
-            mint: tokenMint,
-            parsed: true
-          };
-        }
-      } else {
-        // Essayer de déterminer le symbole à partir de l'adresse mint
-        console.log(`Recherche du symbole pour ${tokenMint}`);
-        const symbol = await this.getSymbolFromMint(tokenMint);
-        
-        if (!symbol) {
-          console.warn(`Impossible de déterminer le symbole pour ${tokenMint}, prix historique non disponible via Pyth`);
-          return null;
-        }
-        
-        console.log(`Symbole trouvé pour ${tokenMint}: ${symbol}`);
-        
-        // Utiliser le symbole pour récupérer le prix
-        const priceData = await this.getHistoricalPriceBySymbol(symbol, timestamp);
-        
-        if (priceData) {
-          // Ajouter l'adresse mint à l'objet de prix pour cohérence avec l'API
-          return {
-            ...priceData,
-            mint: tokenMint,
-            parsed: true
-          };
-        }
+      const priceFeedId = await this.getPriceFeedIdFromMint(tokenMint);
+
+      if (!priceFeedId) {
+        console.warn(`Aucun flux Pyth associé à ${tokenMint}, prix historique non disponible via Pyth`);
+        return null;
       }
-      
+
+      const symbol = pythFeedRegistryService.getSymbolByFeedId(priceFeedId) || tokenMint;
+      const priceData = await this.getHistoricalPriceByFeedId(priceFeedId, symbol, timestamp);
+
+      if (priceData) {
+        // Ajouter l'adresse mint à l'objet de prix pour cohérence avec l'API
+        return {
+          ...priceData,
+          mint: tokenMint,
+          parsed: true
+        };
+      }
+
       return null;
     } catch (error) {
       console.error(`Erreur lors de la récupération du prix Pyth pour ${tokenMint}:`, error.message);
       return null;
     }
-  },
+  }
 
   /**
    * Récupère le prix historique pour plusieurs tokens à un instant précis (par symbole)
@@ -411,24 +404,46 @@ const pythService = {
    * @param {number} timestamp - Timestamp Unix en secondes
    * @returns {Promise<Object>} - Prix indexés par symbole
    */
-  getBatchHistoricalPricesBySymbol: async function(symbols, timestamp) {
+  async getBatchHistoricalPricesBySymbol(symbols, timestamp) {
+    if (!Array.isArray(symbols) || symbols.length === 0) {
+      return {};
+    }
+
+    await pythFeedRegistryService.load();
+
+    // Filtrer uniquement les symboles supportés
+    const symbolsByFeedId = {};
+    symbols
+      .map(s => s.toUpperCase())
+      .filter(s => this.isSymbolSupported(s))
+      .forEach(s => {
+        symbolsByFeedId[this.getPriceFeedId(s)] = s;
+      });
+
+    const feedPrices = await this.getBatchHistoricalPricesByFeedId(symbolsByFeedId, timestamp);
+
+    // Mapper les résultats par symbole
+    const results = {};
+    Object.values(feedPrices).forEach(priceData => {
+      results[priceData.symbol] = priceData;
+    });
+
+    return results;
+  }
+
+  /**
+   * Récupère le prix historique de plusieurs flux Pyth à un instant précis en une requête Hermes
+   * @param {Object} symbolsByFeedId - Symboles indexés par identifiant de flux (clés de cache et affichage)
+   * @param {number} timestamp - Timestamp Unix en secondes
+   * @returns {Promise<Object>} - Prix indexés par identifiant de flux
+   */
+  async getBatchHistoricalPricesByFeedId(symbolsByFeedId, timestamp) {
     try {
-      if (!Array.isArray(symbols) || symbols.length === 0) {
+      const feedIds = Object.keys(symbolsByFeedId || {});
+      if (feedIds.length === 0) {
         return {};
       }
       
-      // Filtrer uniquement les symboles supportés
-      const supportedSymbols = symbols
-        .map(s => s.toUpperCase())
-        .filter(s => this.isSymbolSupported(s));
-      
-      if (supportedSymbols.length === 0) {
-        return {};
-      }
-      
-      // Construire les identifiants pour la requête batch
-      const feedIds = supportedSymbols.map(s => PYTH_PRICE_FEEDS[s]);
-      
       // Construire l'URL avec tous les feedIds
       let url = `${this.HERMES_BASE_URL}/${timestamp}?`;
       feedIds.forEach(id => {
@@ -446,20 +461,18 @@ const pythService = {
         return {};
       }
       
-      // Mapper les résultats par symbole
+      // Mapper les résultats par flux
       const results = {};
       
       response.data.forEach(priceData => {
-        // Trouver le symbole correspondant à ce feedId
-        const symbol = Object.keys(PYTH_PRICE_FEEDS).find(
-          s => PYTH_PRICE_FEEDS[s] === priceData.id
-        );
+        const feedId = priceData.id?.replace(/^0x/, '');
+        const symbol = symbolsByFeedId[feedId];
         
         if (symbol && priceData.price) {
           const price = priceData.price * Math.pow(10, priceData.expo);
           const confidence = priceData.conf * Math.pow(10, priceData.expo);
           
-          results[symbol] = {
+          results[feedId] = {
             symbol,
             price,
             priceUsd: price,
@@ -473,7 +486,7 @@ const pythService = {
           
           // Mettre en cache chaque résultat individuel
           const cacheKey = `pyth_historical_${symbol}_${timestamp}`;
-          cacheService.setPrice(cacheKey, results[symbol], 86400 * 30);
+          cacheService.setPrice(cacheKey, results[feedId], 86400 * 30);
         }
       });
       
@@ -482,7 +495,7 @@ const pythService = {
       console.error(`Erreur lors de la récupération des prix Pyth par lot:`, error.message);
       return {};
     }
-  },
+  }
 
   /**
    * Récupère le prix historique pour plusieurs tokens à un instant précis (par adresse mint)
@@ -490,47 +503,33 @@ const pythService = {
    * @param {number} timestamp - Timestamp Unix en secondes
    * @returns {Promise<Object>} - Prix indexés par adresse de token
    */
-  getBatchHistoricalPrices: async function(tokenMints, timestamp) {
+  async getBatchHistoricalPrices(tokenMints, timestamp) {
     try {
       if (!Array.isArray(tokenMints) || tokenMints.length === 0) {
         return {};
       }
       
-      // Convertir les adresses en symboles
-      const mintToSymbol = {};
-      const symbols = [];
-      
-      // Traiter les adresses par lots pour éviter trop de promesses en parallèle
-      const batchSize = 5;
+      // Associer chaque adresse à son flux de prix
+      const feedIdByMint = {};
+      const symbolsByFeedId = {};
       
-      for (let i = 0; i < tokenMints.length; i += batchSize) {
-        const batch = tokenMints.slice(i, i + batchSize);
-        const symbolPromises = batch.map(async (mint) => {
-          const symbol = await this.getSymbolFromMint(mint);
-          if (symbol) {
-            mintToSymbol[mint] = symbol;
-            symbols.push(symbol);
-          }
-          return { mint, symbol };
-        });
-        
-        await Promise.all(symbolPromises);
-      }
-      
-      if (symbols.length === 0) {
-        return {};
-      }
+      await Promise.all(tokenMints.map(async (mint) => {
+        const feedId = await this.getPriceFeedIdFromMint(mint);
+        if (feedId) {
+          feedIdByMint[mint] = feedId;
+          symbolsByFeedId[feedId] = pythFeedRegistryService.getSymbolByFeedId(feedId) || mint;
+        }
+      }));
       
-      // Obtenir les prix par symbole
-      const symbolPrices = await this.getBatchHistoricalPricesBySymbol(symbols, timestamp);
+      const feedPrices = await this.getBatchHistoricalPricesByFeedId(symbolsByFeedId, timestamp);
       
       // Mapper les résultats par adresse de token
       const results = {};
       
-      for (const [mint, symbol] of Object.entries(mintToSymbol)) {
-        if (symbolPrices[symbol]) {
+      for (const [mint, feedId] of Object.entries(feedIdByMint)) {
+        if (feedPrices[feedId]) {
           results[mint] = {
-            ...symbolPrices[symbol],
+            ...feedPrices[feedId],
             mint
           };
         }
@@ -541,36 +540,262 @@ const pythService = {
       console.error(`Erreur lors de la récupération des prix Pyth par lot:`, error.message);
       return {};
     }
-  },
+  }
+
+  /**
+   * Récupère les derniers prix de plusieurs flux Pyth en une requête Hermes par lot
+   * @param {Array<string>} feedIds - Identifiants des flux de prix
+   * @returns {Promise<Object>} - Prix indexés par identifiant de flux : { price, confidence, publishTime }
+   */
+  async getLatestPrices(feedIds) {
+    const prices = {};
+    if (!Array.isArray(feedIds) || feedIds.length === 0) {
+      return prices;
+    }
+
+    for (let i = 0; i < feedIds.length; i += this.HERMES_BATCH_SIZE) {
+      const chunk = feedIds.slice(i, i + this.HERMES_BATCH_SIZE);
+
+      try {
+        const response = await axios.get(`${this.HERMES_BASE_URL}/latest`, {
+          params: { 'ids[]': chunk, parsed: true },
+          timeout: 5000
+        });
+        this.recordSuccess();
+
+        for (const feed of response.data?.parsed || []) {
+          if (!feed.price) continue;
+          const scale = Math.pow(10, feed.price.expo);
+          prices[feed.id.replace(/^0x/, '')] = {
+            price: Number(feed.price.price) * scale,
+            confidence: Number(feed.price.conf) * scale,
+            publishTime: feed.price.publish_time
+          };
+        }
+      } catch (error) {
+        this.recordFailure(error);
+        console.warn(`Erreur Pyth Hermes pour ${chunk.length} flux de prix: ${error.message}`);
+      }
+    }
+
+    return prices;
+  }
+
+  /**
+   * Décode un compte PriceUpdateV2 du receiver Pyth
+   * @param {Buffer} data - Données du compte
+   * @returns {Object|null} - Prix décodé ou null si le compte n'est pas un PriceUpdateV2
+   */
+  decodePriceUpdateAccount(data) {
+    return decodePriceUpdateAccount(data);
+  }
+
+  /**
+   * Calcule l'adresse du compte de prix du push oracle Pyth pour un flux
+   * @param {string} feedId - Identifiant du flux de prix (hex)
+   * @param {number} shardId - Shard du push oracle (défaut: 0, comptes sponsorisés)
+   * @returns {string} - Adresse du compte PriceUpdateV2
+   */
+  getPriceFeedAccountAddress(feedId, shardId = PYTH_DEFAULT_SHARD_ID) {
+    const shardBuffer = Buffer.alloc(2);
+    shardBuffer.writeUInt16LE(shardId);
+
+    const [address] = PublicKey.findProgramAddressSync(
+      [shardBuffer, Buffer.from(feedId.replace(/^0x/, ''), 'hex')],
+      new PublicKey(PYTH_PUSH_ORACLE_PROGRAM_ID)
+    );
+    return address.toBase58();
+  }
+
+  /**
+   * Lit les derniers prix de plusieurs flux directement dans les comptes du push oracle Pyth
+   * Les comptes absents, partiellement vérifiés ou plus vieux que PYTH_MAX_SLOT_AGE slots sont ignorés
+   * @param {Array<string>} feedIds - Identifiants des flux de prix
+   * @returns {Promise<Object>} - Prix indexés par identifiant de flux :
+   *   { price, confidence, emaPrice, emaConfidence, publishTime, postedSlot, slotAge }
+   */
+  async getOnChainPrices(feedIds) {
+    const prices = {};
+    if (!Array.isArray(feedIds) || feedIds.length === 0) {
+      return prices;
+    }
+
+    const solanaWebService = require('./solanaWebService');
+    const addressByFeedId = {};
+    feedIds.forEach(feedId => {
+      addressByFeedId[feedId] = this.getPriceFeedAccountAddress(feedId);
+    });
+
+    try {
+      const [accounts, currentSlot] = await Promise.all([
+        solanaWebService.getMultipleAccounts(Object.values(addressByFeedId)),
+        solanaWebService.connection.getSlot()
+      ]);
+      this.recordSuccess();
+
+      for (const [feedId, address] of Object.entries(addressByFeedId)) {
+        const account = accounts[address];
+        if (!account || account.owner !== PYTH_RECEIVER_PROGRAM_ID) continue;
+
+        const priceUpdate = decodePriceUpdateAccount(account.data);
+        if (!priceUpdate || priceUpdate.feedId !== feedId.replace(/^0x/, '')) continue;
+
+        if (priceUpdate.verificationLevel !== 'full') {
+          console.warn(`[PythService] Prix on-chain partiellement vérifié ignoré pour le flux ${feedId}`);
+          continue;
+        }
+
+        const slotAge = currentSlot - priceUpdate.postedSlot;
+        if (slotAge > PYTH_MAX_SLOT_AGE) {
+          console.warn(`[PythService] Prix on-chain périmé ignoré pour le flux ${feedId} (${slotAge} slots > ${PYTH_MAX_SLOT_AGE})`);
+          continue;
+        }
+
+        prices[feedId] = {
+          price: priceUpdate.price,
+          confidence: priceUpdate.confidence,
+          emaPrice: priceUpdate.emaPrice,
+          emaConfidence: priceUpdate.emaConfidence,
+          publishTime: priceUpdate.publishTime,
+          postedSlot: priceUpdate.postedSlot,
+          slotAge
+        };
+      }
+    } catch (error) {
+      this.recordFailure(error);
+      console.warn(`[PythService] Erreur de lecture on-chain pour ${feedIds.length} flux de prix: ${error.message}`);
+    }
+
+    return prices;
+  }
+
+  /**
+   * Récupère les derniers prix de plusieurs flux selon la source configurée (PYTH_PRICE_SOURCE)
+   * @param {Array<string>} feedIds - Identifiants des flux de prix
+   * @returns {Promise<Object>} - Prix indexés par identifiant de flux, avec leur origine ('onchain' ou 'hermes')
+   */
+  async getFeedPrices(feedIds) {
+    if (PYTH_PRICE_SOURCE === 'hermes') {
+      return this._withOrigin(await this.getLatestPrices(feedIds), 'hermes');
+    }
+
+    const prices = this._withOrigin(await this.getOnChainPrices(feedIds), 'onchain');
+    if (PYTH_PRICE_SOURCE === 'onchain') {
+      return prices;
+    }
+
+    // Mode auto : Hermes pour les flux sans compte on-chain exploitable
+    const missingFeedIds = feedIds.filter(feedId => !prices[feedId]);
+    return { ...prices, ...this._withOrigin(await this.getLatestPrices(missingFeedIds), 'hermes') };
+  }
+
+  /**
+   * Ajoute l'origine des prix à chaque flux
+   * @private
+   */
+  _withOrigin(prices, origin) {
+    Object.values(prices).forEach(feedPrice => {
+      feedPrice.origin = origin;
+    });
+    return prices;
+  }
+
+  /**
+   * Récupère les prix actuels de plusieurs tokens supportés par Pyth (par adresse mint)
+   * @param {Array<string>} tokenMints - Adresses des tokens
+   * @returns {Promise<Object>} - Prix indexés par adresse : { price, priceUsd, confidence, publishTime, origin, source }
+   *   (plus emaPrice, emaConfidence, postedSlot et slotAge pour les prix lus on-chain)
+   */
+  async getCurrentPrices(tokenMints) {
+    if (!Array.isArray(tokenMints) || tokenMints.length === 0) {
+      return {};
+    }
+
+    const feedIdByMint = {};
+    await Promise.all(tokenMints.map(async (mint) => {
+      const feedId = await this.getPriceFeedIdFromMint(mint);
+      if (feedId) feedIdByMint[mint] = feedId;
+    }));
+
+    const feedIds = [...new Set(Object.values(feedIdByMint))];
+    const feedPrices = await this.getFeedPrices(feedIds);
+
+    const results = {};
+    for (const [mint, feedId] of Object.entries(feedIdByMint)) {
+      const feedPrice = feedPrices[feedId];
+      if (feedPrice && feedPrice.price > 0) {
+        results[mint] = {
+          mint,
+          ...feedPrice,
+          priceUsd: feedPrice.price,
+          source: feedPrice.origin === 'onchain' ? 'pyth_onchain' : 'pyth'
+        };
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Récupère le prix actuel d'un token (contrat PriceProvider)
+   * @param {string} tokenMint - Adresse du token
+   * @returns {Promise<Object|null>} - Données de prix ou null si non trouvé
+   */
+  async getTokenPriceByMint(tokenMint) {
+    const prices = await this.getCurrentPrices([tokenMint]);
+    return prices[tokenMint] || null;
+  }
+
+  /**
+   * Récupère les prix actuels de plusieurs tokens (contrat PriceProvider)
+   * @param {Array<string>} tokenMints - Adresses des tokens
+   * @returns {Promise<Object>} - Données de prix indexées par adresse
+   */
+  async getTokenPricesByMint(tokenMints) {
+    return this.getCurrentPrices(tokenMints);
+  }
+
+  /**
+   * Récupère le prix d'un token à un instant précis (contrat PriceProvider)
+   * @param {string} tokenMint - Adresse du token
+   * @param {number} timestamp - Timestamp Unix en secondes
+   * @returns {Promise<Object|null>} - Données de prix ou null si non trouvé
+   */
+  async getHistoricalPriceByMint(tokenMint, timestamp) {
+    const priceData = await this.getHistoricalPrice(tokenMint, timestamp);
+    return priceData ? { ...priceData, source: 'pyth' } : null;
+  }
 
   /**
    * Récupère l'identifiant de flux de prix Pyth pour un symbole
    * @param {string} symbol - Symbole du token
    * @returns {string|null} - Identifiant du flux de prix ou null si non supporté
    */
-  getPriceFeedId: function(symbol) {
-    if (!symbol) return null;
-    return PYTH_PRICE_FEEDS[symbol.toUpperCase()] || null;
-  },
+  getPriceFeedId(symbol) {
+    return pythFeedRegistryService.getFeedIdBySymbol(symbol);
+  }
 
   /**
    * Récupère l'identifiant de flux de prix Pyth pour une adresse de token
+   * La résolution se fait par adresse (registre des flux), jamais par symbole : deux tokens
+   * partageant un symbole ne reçoivent pas le même flux
    * @param {string} tokenMint - Adresse du token
    * @returns {Promise<string|null>} - Identifiant du flux de prix ou null si non supporté
    */
   async getPriceFeedIdFromMint(tokenMint) {
-    const symbol = await this.getSymbolFromMint(tokenMint);
-    return symbol ? this.getPriceFeedId(symbol) : null;
-  },
+    // SOL natif : même flux que le SOL wrapped
+    const mint = tokenMint === 'SOL' ? 'So11111111111111111111111111111111111111112' : tokenMint;
+    return pythFeedRegistryService.getFeedIdByMint(mint);
+  }
 
   /**
    * Récupère le symbole d'un token à partir de son adresse
    * @param {string} tokenMint - Adresse du token
    * @returns {Promise<string|null>} - Symbole du token ou null si non supporté
    */
-  getTokenSymbol: function(tokenMint) {
+  getTokenSymbol(tokenMint) {
     return this.getSymbolFromMint(tokenMint);
-  },
+  }
 
   /**
    * Récupère les prix approximatifs des tokens spam si disponibles
@@ -596,6 +821,6 @@ const pythService = {
     }
     return null;
   }
-};
+}
 
-module.exports = pythService;
\ No newline at end of file
+module.exports = new PythService();
\ No newline at end of file
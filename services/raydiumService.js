@@ -0,0 +1,641 @@
+/**
+ * Service pour interagir avec Raydium (AMM v4 et CLMM)
+ * Détecte les tokens LP des pools AMM v4 et les NFT de position CLMM,
+ * puis calcule les montants sous-jacents à partir des comptes on-chain
+ */
+const { PublicKey } = require('@solana/web3.js');
+const solanaWebService = require('./solanaWebService');
+const tokenMetadataService = require('./tokenMetadataService');
+const {
+  readPubkey,
+  readU8,
+  readU16,
+  readI32,
+  readU32,
+  readU64,
+  readU128,
+  toUiAmount,
+  isDefaultPubkey
+} = require('../utils/bufferUtils');
+const {
+  sqrtPriceX64ToNumber,
+  sqrtPriceToPrice,
+  tickToSqrtPrice,
+  getAmountsFromLiquidity,
+  computeGrowthInside,
+  computeAccruedAmount
+} = require('../utils/clmmUtils');
+
+// Constantes
+const RAYDIUM_AMM_PROGRAM_ID = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const RAYDIUM_AMM_AUTHORITY = '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1';
+const RAYDIUM_CLMM_PROGRAM_ID = 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK';
+const NUM_REWARDS = 3;
+const TICK_ARRAY_SIZE = 60;
+const FEE_RATE_DENOMINATOR = 1e6;
+
+/**
+ * Layout d'un compte Mint SPL (offsets en octets)
+ */
+const MINT_LAYOUT = {
+  MINT_AUTHORITY_OPTION: 0,
+  MINT_AUTHORITY: 4,
+  SUPPLY: 36,
+  DECIMALS: 44
+};
+
+// Offset du montant dans un compte de token SPL
+const TOKEN_ACCOUNT_AMOUNT_OFFSET = 64;
+
+/**
+ * Layout du compte AmmInfo de Raydium AMM v4 (offsets en octets)
+ */
+const AMM_INFO_LAYOUT = {
+  SIZE: 752,
+  STATUS: 0,
+  BASE_DECIMAL: 32,
+  QUOTE_DECIMAL: 40,
+  TRADE_FEE_NUMERATOR: 144,
+  TRADE_FEE_DENOMINATOR: 152,
+  BASE_NEED_TAKE_PNL: 192,
+  QUOTE_NEED_TAKE_PNL: 200,
+  BASE_VAULT: 336,
+  QUOTE_VAULT: 368,
+  BASE_MINT: 400,
+  QUOTE_MINT: 432,
+  LP_MINT: 464,
+  OPEN_ORDERS: 496,
+  MARKET_ID: 528,
+  LP_RESERVE: 720
+};
+
+/**
+ * Layout du compte PoolState de Raydium CLMM (offsets en octets, discriminateur Anchor inclus)
+ */
+const CLMM_POOL_LAYOUT = {
+  SIZE: 1544,
+  AMM_CONFIG: 9,
+  TOKEN_MINT_0: 73,
+  TOKEN_MINT_1: 105,
+  TOKEN_VAULT_0: 137,
+  TOKEN_VAULT_1: 169,
+  MINT_DECIMALS_0: 233,
+  MINT_DECIMALS_1: 234,
+  TICK_SPACING: 235,
+  LIQUIDITY: 237,
+  SQRT_PRICE_X64: 253,
+  TICK_CURRENT: 269,
+  FEE_GROWTH_GLOBAL_0: 277,
+  FEE_GROWTH_GLOBAL_1: 293,
+  REWARD_INFOS: 397,
+  REWARD_INFO_SIZE: 169,
+  // Offsets relatifs dans un RewardInfo
+  REWARD_STATE: 0,
+  REWARD_OPEN_TIME: 1,
+  REWARD_END_TIME: 9,
+  REWARD_LAST_UPDATE_TIME: 17,
+  REWARD_EMISSIONS_PER_SECOND_X64: 25,
+  REWARD_TOKEN_MINT: 57,
+  REWARD_GROWTH_GLOBAL_X64: 153
+};
+
+/**
+ * Layout du compte AmmConfig de Raydium CLMM (offsets en octets, discriminateur Anchor inclus)
+ */
+const CLMM_AMM_CONFIG_LAYOUT = {
+  TRADE_FEE_RATE: 47
+};
+
+/**
+ * Layout du compte PersonalPositionState de Raydium CLMM (offsets en octets, discriminateur Anchor inclus)
+ */
+const CLMM_POSITION_LAYOUT = {
+  SIZE: 281,
+  NFT_MINT: 9,
+  POOL_ID: 41,
+  TICK_LOWER_INDEX: 73,
+  TICK_UPPER_INDEX: 77,
+  LIQUIDITY: 81,
+  FEE_GROWTH_INSIDE_0_LAST: 97,
+  FEE_GROWTH_INSIDE_1_LAST: 113,
+  TOKEN_FEES_OWED_0: 129,
+  TOKEN_FEES_OWED_1: 137,
+  REWARD_INFOS: 145,
+  REWARD_INFO_SIZE: 24,
+  // Offsets relatifs dans un PositionRewardInfo
+  REWARD_GROWTH_INSIDE_LAST: 0,
+  REWARD_AMOUNT_OWED: 16
+};
+
+/**
+ * Layout du compte TickArrayState de Raydium CLMM (offsets en octets, discriminateur Anchor inclus)
+ */
+const CLMM_TICK_ARRAY_LAYOUT = {
+  START_TICK_INDEX: 40,
+  TICKS: 44,
+  TICK_SIZE: 168,
+  // Offsets relatifs dans un TickState
+  FEE_GROWTH_OUTSIDE_0: 36,
+  FEE_GROWTH_OUTSIDE_1: 52,
+  REWARD_GROWTHS_OUTSIDE: 68
+};
+
+/**
+ * Décode un compte AmmInfo (AMM v4)
+ * @param {Buffer} data - Données du compte
+ * @returns {Object} Pool décodé
+ */
+function decodeAmmInfo(data) {
+  const layout = AMM_INFO_LAYOUT;
+
+  return {
+    status: Number(readU64(data, layout.STATUS)),
+    baseDecimals: Number(readU64(data, layout.BASE_DECIMAL)),
+    quoteDecimals: Number(readU64(data, layout.QUOTE_DECIMAL)),
+    tradeFeeNumerator: readU64(data, layout.TRADE_FEE_NUMERATOR),
+    tradeFeeDenominator: readU64(data, layout.TRADE_FEE_DENOMINATOR),
+    baseNeedTakePnl: readU64(data, layout.BASE_NEED_TAKE_PNL),
+    quoteNeedTakePnl: readU64(data, layout.QUOTE_NEED_TAKE_PNL),
+    baseVault: readPubkey(data, layout.BASE_VAULT),
+    quoteVault: readPubkey(data, layout.QUOTE_VAULT),
+    baseMint: readPubkey(data, layout.BASE_MINT),
+    quoteMint: readPubkey(data, layout.QUOTE_MINT),
+    lpMint: readPubkey(data, layout.LP_MINT),
+    openOrders: readPubkey(data, layout.OPEN_ORDERS),
+    marketId: readPubkey(data, layout.MARKET_ID),
+    lpReserve: readU64(data, layout.LP_RESERVE)
+  };
+}
+
+/**
+ * Décode un compte PoolState (CLMM)
+ * @param {Buffer} data - Données du compte
+ * @returns {Object} Pool décodé
+ */
+function decodeClmmPool(data) {
+  const layout = CLMM_POOL_LAYOUT;
+
+  const rewardInfos = [];
+  for (let i = 0; i < NUM_REWARDS; i++) {
+    const offset = layout.REWARD_INFOS + i * layout.REWARD_INFO_SIZE;
+    rewardInfos.push({
+      state: readU8(data, offset + layout.REWARD_STATE),
+      openTime: Number(readU64(data, offset + layout.REWARD_OPEN_TIME)),
+      endTime: Number(readU64(data, offset + layout.REWARD_END_TIME)),
+      lastUpdateTime: Number(readU64(data, offset + layout.REWARD_LAST_UPDATE_TIME)),
+      emissionsPerSecondX64: readU128(data, offset + layout.REWARD_EMISSIONS_PER_SECOND_X64),
+      mint: readPubkey(data, offset + layout.REWARD_TOKEN_MINT),
+      growthGlobalX64: readU128(data, offset + layout.REWARD_GROWTH_GLOBAL_X64)
+    });
+  }
+
+  return {
+    ammConfig: readPubkey(data, layout.AMM_CONFIG),
+    tokenMint0: readPubkey(data, layout.TOKEN_MINT_0),
+    tokenMint1: readPubkey(data, layout.TOKEN_MINT_1),
+    tokenVault0: readPubkey(data, layout.TOKEN_VAULT_0),
+    tokenVault1: readPubkey(data, layout.TOKEN_VAULT_1),
+    mintDecimals0: readU8(data, layout.MINT_DECIMALS_0),
+    mintDecimals1: readU8(data, layout.MINT_DECIMALS_1),
+    tickSpacing: readU16(data, layout.TICK_SPACING),
+    liquidity: readU128(data, layout.LIQUIDITY),
+    sqrtPriceX64: readU128(data, layout.SQRT_PRICE_X64),
+    tickCurrent: readI32(data, layout.TICK_CURRENT),
+    feeGrowthGlobal0: readU128(data, layout.FEE_GROWTH_GLOBAL_0),
+    feeGrowthGlobal1: readU128(data, layout.FEE_GROWTH_GLOBAL_1),
+    rewardInfos
+  };
+}
+
+/**
+ * Décode un compte PersonalPositionState (CLMM)
+ * @param {Buffer} data - Données du compte
+ * @returns {Object} Position décodée
+ */
+function decodeClmmPosition(data) {
+  const layout = CLMM_POSITION_LAYOUT;
+
+  const rewardInfos = [];
+  for (let i = 0; i < NUM_REWARDS; i++) {
+    const offset = layout.REWARD_INFOS + i * layout.REWARD_INFO_SIZE;
+    rewardInfos.push({
+      growthInsideLast: readU128(data, offset + layout.REWARD_GROWTH_INSIDE_LAST),
+      amountOwed: readU64(data, offset + layout.REWARD_AMOUNT_OWED)
+    });
+  }
+
+  return {
+    nftMint: readPubkey(data, layout.NFT_MINT),
+    poolId: readPubkey(data, layout.POOL_ID),
+    tickLowerIndex: readI32(data, layout.TICK_LOWER_INDEX),
+    tickUpperIndex: readI32(data, layout.TICK_UPPER_INDEX),
+    liquidity: readU128(data, layout.LIQUIDITY),
+    feeGrowthInside0Last: readU128(data, layout.FEE_GROWTH_INSIDE_0_LAST),
+    feeGrowthInside1Last: readU128(data, layout.FEE_GROWTH_INSIDE_1_LAST),
+    tokenFeesOwed0: readU64(data, layout.TOKEN_FEES_OWED_0),
+    tokenFeesOwed1: readU64(data, layout.TOKEN_FEES_OWED_1),
+    rewardInfos
+  };
+}
+
+/**
+ * Décode un tick à l'intérieur d'un compte TickArrayState (CLMM)
+ * @param {Buffer} data - Données du compte TickArrayState
+ * @param {number} tickIndex - Index du tick
+ * @param {number} tickSpacing - Espacement des ticks du pool
+ * @returns {Object} Tick décodé
+ */
+function decodeClmmTick(data, tickIndex, tickSpacing) {
+  const layout = CLMM_TICK_ARRAY_LAYOUT;
+  const startTickIndex = readI32(data, layout.START_TICK_INDEX);
+  const offset = layout.TICKS + ((tickIndex - startTickIndex) / tickSpacing) * layout.TICK_SIZE;
+
+  const rewardGrowthsOutside = [];
+  for (let i = 0; i < NUM_REWARDS; i++) {
+    rewardGrowthsOutside.push(readU128(data, offset + layout.REWARD_GROWTHS_OUTSIDE + i * 16));
+  }
+
+  return {
+    feeGrowthOutside0: readU128(data, offset + layout.FEE_GROWTH_OUTSIDE_0),
+    feeGrowthOutside1: readU128(data, offset + layout.FEE_GROWTH_OUTSIDE_1),
+    rewardGrowthsOutside
+  };
+}
+
+/**
+ * Calcule l'index de départ du TickArrayState contenant un tick
+ * @param {number} tickIndex - Index du tick
+ * @param {number} tickSpacing - Espacement des ticks du pool
+ * @returns {number}
+ */
+function getClmmTickArrayStartIndex(tickIndex, tickSpacing) {
+  const ticksInArray = tickSpacing * TICK_ARRAY_SIZE;
+  return Math.floor(tickIndex / ticksInArray) * ticksInArray;
+}
+
+/**
+ * Calcule l'adresse d'un compte TickArrayState (index de départ encodé en i32 big-endian)
+ * @param {string} poolId - Adresse du pool CLMM
+ * @param {number} startTickIndex - Index de départ
+ * @returns {string}
+ */
+function getClmmTickArrayAddress(poolId, startTickIndex) {
+  const startIndexBuffer = Buffer.alloc(4);
+  startIndexBuffer.writeInt32BE(startTickIndex);
+
+  const [address] = PublicKey.findProgramAddressSync(
+    [Buffer.from('tick_array'), new PublicKey(poolId).toBuffer(), startIndexBuffer],
+    new PublicKey(RAYDIUM_CLMM_PROGRAM_ID)
+  );
+  return address.toBase58();
+}
+
+/**
+ * Calcule l'adresse du compte PersonalPositionState associé à un NFT de position
+ * @param {string} nftMint - Mint du NFT de position
+ * @returns {string}
+ */
+function getClmmPositionAddress(nftMint) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [Buffer.from('position'), new PublicKey(nftMint).toBuffer()],
+    new PublicKey(RAYDIUM_CLMM_PROGRAM_ID)
+  );
+  return address.toBase58();
+}
+
+/**
+ * Met à jour la croissance globale des récompenses CLMM jusqu'à un instant donné
+ * @param {Object} pool - Pool CLMM décodé
+ * @param {number} nowSeconds - Timestamp Unix courant
+ * @returns {Array<bigint>} Croissance globale de chaque récompense
+ */
+function getUpdatedClmmRewardGrowthsGlobal(pool, nowSeconds) {
+  return pool.rewardInfos.map(reward => {
+    if (reward.state === 0 || pool.liquidity === 0n) {
+      return reward.growthGlobalX64;
+    }
+
+    const latestTime = Math.min(nowSeconds, reward.endTime);
+    const elapsed = latestTime - reward.lastUpdateTime;
+    if (elapsed <= 0) {
+      return reward.growthGlobalX64;
+    }
+
+    return reward.growthGlobalX64 + (BigInt(elapsed) * reward.emissionsPerSecondX64) / pool.liquidity;
+  });
+}
+
+/**
+ * Récupère les métadonnées d'une liste de mints, avec décimales lues on-chain si disponibles
+ * @param {Array<string>} mints - Adresses des mints
+ * @param {Object} mintAccounts - Comptes Mint indexés par adresse
+ * @returns {Promise<Object>} Informations indexées par mint
+ */
+async function getTokensInfo(mints, mintAccounts = {}) {
+  const tokensInfo = {};
+
+  await Promise.all([...new Set(mints)].map(async (mint) => {
+    const mintAccount = mintAccounts[mint];
+    const decimals = mintAccount ? readU8(mintAccount.data, MINT_LAYOUT.DECIMALS) : null;
+
+    let metadata = null;
+    try {
+      metadata = await tokenMetadataService.getTokenMetadata(mint);
+    } catch (error) {
+      console.warn(`[RaydiumService] Métadonnées indisponibles pour ${mint}: ${error.message}`);
+    }
+
+    tokensInfo[mint] = {
+      address: mint,
+      symbol: metadata?.symbol || 'UNKNOWN',
+      name: metadata?.name || 'Unknown Token',
+      decimals: decimals ?? metadata?.decimals ?? 0
+    };
+  }));
+
+  return tokensInfo;
+}
+
+/**
+ * Indique si un compte Mint est un token LP Raydium AMM v4 (autorité de mint = autorité AMM)
+ * @param {Object|null} mintAccount - Compte Mint brut
+ * @returns {boolean}
+ */
+function isAmmLpMint(mintAccount) {
+  return Boolean(mintAccount) &&
+    readU32(mintAccount.data, MINT_LAYOUT.MINT_AUTHORITY_OPTION) === 1 &&
+    readPubkey(mintAccount.data, MINT_LAYOUT.MINT_AUTHORITY) === RAYDIUM_AMM_AUTHORITY;
+}
+
+/**
+ * Récupère la composition d'un pool AMM v4 à partir de son token LP
+ * @param {string} lpMint - Mint du token LP
+ * @param {Object} [lpMintAccount] - Compte Mint du token LP, s'il est déjà chargé
+ * @returns {Promise<Object|null>} Pool, offre de LP et réserves (montants UI) ou null si introuvable
+ */
+async function getAmmPoolComposition(lpMint, lpMintAccount = null) {
+  const matches = await solanaWebService.getProgramAccounts(RAYDIUM_AMM_PROGRAM_ID, [
+    { dataSize: AMM_INFO_LAYOUT.SIZE },
+    { memcmp: { offset: AMM_INFO_LAYOUT.LP_MINT, bytes: lpMint } }
+  ]);
+  if (matches.length === 0) return null;
+
+  const pool = decodeAmmInfo(matches[0].data);
+  const accounts = await solanaWebService.getMultipleAccounts(
+    lpMintAccount ? [pool.baseVault, pool.quoteVault] : [pool.baseVault, pool.quoteVault, lpMint]
+  );
+  const mintAccount = lpMintAccount || accounts[lpMint];
+
+  const baseVaultAmount = accounts[pool.baseVault] ? readU64(accounts[pool.baseVault].data, TOKEN_ACCOUNT_AMOUNT_OFFSET) : 0n;
+  const quoteVaultAmount = accounts[pool.quoteVault] ? readU64(accounts[pool.quoteVault].data, TOKEN_ACCOUNT_AMOUNT_OFFSET) : 0n;
+
+  // Les PnL à prélever appartiennent au protocole, pas aux LP
+  const baseReserve = baseVaultAmount > pool.baseNeedTakePnl ? baseVaultAmount - pool.baseNeedTakePnl : 0n;
+  const quoteReserve = quoteVaultAmount > pool.quoteNeedTakePnl ? quoteVaultAmount - pool.quoteNeedTakePnl : 0n;
+
+  const lpSupply = mintAccount ? readU64(mintAccount.data, MINT_LAYOUT.SUPPLY) : pool.lpReserve;
+  const lpDecimals = mintAccount ? readU8(mintAccount.data, MINT_LAYOUT.DECIMALS) : pool.baseDecimals;
+
+  return {
+    poolAddress: matches[0].address,
+    lpMint,
+    lpSupply: toUiAmount(lpSupply, lpDecimals),
+    lpDecimals,
+    fee: pool.tradeFeeDenominator > 0n ? Number(pool.tradeFeeNumerator) / Number(pool.tradeFeeDenominator) : null,
+    reserves: [
+      { mint: pool.baseMint, decimals: pool.baseDecimals, amount: toUiAmount(baseReserve, pool.baseDecimals) },
+      { mint: pool.quoteMint, decimals: pool.quoteDecimals, amount: toUiAmount(quoteReserve, pool.quoteDecimals) }
+    ]
+  };
+}
+
+/**
+ * Récupère les positions AMM v4 d'un utilisateur (tokens LP détenus)
+ * @param {string} owner - Adresse du propriétaire
+ * @returns {Promise<Array>} Positions AMM avec montants sous-jacents
+ */
+async function getAmmPositions(owner) {
+  // 1. Identifier les tokens LP Raydium : leur autorité de mint est l'autorité AMM v4
+  const tokenAccounts = (await solanaWebService.getTokenAccountsByOwner(owner))
+    .filter(account => BigInt(account.amount) > 0n);
+  if (tokenAccounts.length === 0) return [];
+
+  const mintAccounts = await solanaWebService.getMultipleAccounts(tokenAccounts.map(account => account.mint));
+  const lpAccounts = tokenAccounts.filter(account => isAmmLpMint(mintAccounts[account.mint]));
+  if (lpAccounts.length === 0) return [];
+
+  // 2. Retrouver le pool et les réserves de chaque token LP
+  const pools = [];
+  for (const lpAccount of lpAccounts) {
+    const composition = await getAmmPoolComposition(lpAccount.mint, mintAccounts[lpAccount.mint]);
+    if (composition) {
+      pools.push({ lpAccount, composition });
+    }
+  }
+  if (pools.length === 0) return [];
+
+  const tokensInfo = await getTokensInfo(
+    pools.flatMap(({ composition }) => composition.reserves.map(reserve => reserve.mint))
+  );
+
+  // 3. Calculer la part de l'utilisateur dans les réserves
+  return pools.map(({ lpAccount, composition }) => {
+    const lpAmount = parseFloat(lpAccount.uiAmount) || toUiAmount(BigInt(lpAccount.amount), lpAccount.decimals);
+    const share = composition.lpSupply > 0 ? lpAmount / composition.lpSupply : 0;
+    const [base, quote] = composition.reserves;
+
+    return {
+      poolType: 'amm',
+      poolAddress: composition.poolAddress,
+      lpMint: composition.lpMint,
+      lpTokenAccount: lpAccount.tokenAccountAddress,
+      lpAmount,
+      share,
+      fee: composition.fee,
+      token0: { ...tokensInfo[base.mint], decimals: base.decimals, amount: base.amount * share },
+      token1: { ...tokensInfo[quote.mint], decimals: quote.decimals, amount: quote.amount * share }
+    };
+  });
+}
+
+/**
+ * Récupère les positions CLMM d'un utilisateur (NFT de position)
+ * @param {string} owner - Adresse du propriétaire
+ * @returns {Promise<Array>} Positions CLMM avec montants, frais et récompenses
+ */
+async function getClmmPositions(owner) {
+  // 1. Découvrir les NFT de position et vérifier les comptes PersonalPositionState associés
+  const candidateMints = await solanaWebService.getNftMintsByOwner(owner);
+  if (candidateMints.length === 0) return [];
+
+  const positionAddresses = candidateMints.map(getClmmPositionAddress);
+  const positionAccounts = await solanaWebService.getMultipleAccounts(positionAddresses);
+
+  const positions = positionAddresses
+    .map(address => positionAccounts[address])
+    .filter(account =>
+      account &&
+      account.owner === RAYDIUM_CLMM_PROGRAM_ID &&
+      account.data.length === CLMM_POSITION_LAYOUT.SIZE
+    )
+    .map(account => ({ address: account.address, position: decodeClmmPosition(account.data) }));
+
+  if (positions.length === 0) return [];
+
+  // 2. Charger les pools
+  const poolAddresses = [...new Set(positions.map(({ position }) => position.poolId))];
+  const poolAccounts = await solanaWebService.getMultipleAccounts(poolAddresses);
+
+  const pools = {};
+  for (const address of poolAddresses) {
+    if (poolAccounts[address]) {
+      pools[address] = decodeClmmPool(poolAccounts[address].data);
+    }
+  }
+
+  // 3. Charger les TickArrays des bornes et les métadonnées des tokens
+  const tickArrayAddresses = new Set();
+  const mints = [];
+
+  for (const { position } of positions) {
+    const pool = pools[position.poolId];
+    if (!pool) continue;
+
+    for (const tickIndex of [position.tickLowerIndex, position.tickUpperIndex]) {
+      const startIndex = getClmmTickArrayStartIndex(tickIndex, pool.tickSpacing);
+      tickArrayAddresses.add(getClmmTickArrayAddress(position.poolId, startIndex));
+    }
+
+    mints.push(pool.tokenMint0, pool.tokenMint1);
+    pool.rewardInfos
+      .filter(reward => reward.state !== 0 && !isDefaultPubkey(reward.mint))
+      .forEach(reward => mints.push(reward.mint));
+  }
+
+  const [tickArrayAccounts, mintAccounts, configAccounts] = await Promise.all([
+    solanaWebService.getMultipleAccounts([...tickArrayAddresses]),
+    solanaWebService.getMultipleAccounts([...new Set(mints)]),
+    solanaWebService.getMultipleAccounts(Object.values(pools).map(pool => pool.ammConfig))
+  ]);
+  const tokensInfo = await getTokensInfo(mints, mintAccounts);
+
+  // 4. Calculer montants, frais et récompenses
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const results = [];
+
+  for (const { address, position } of positions) {
+    const pool = pools[position.poolId];
+    if (!pool) continue;
+
+    const tokenA = { ...tokensInfo[pool.tokenMint0], decimals: pool.mintDecimals0 };
+    const tokenB = { ...tokensInfo[pool.tokenMint1], decimals: pool.mintDecimals1 };
+    const ammConfig = configAccounts[pool.ammConfig];
+
+    const sqrtPriceCurrent = sqrtPriceX64ToNumber(pool.sqrtPriceX64);
+    const rawAmounts = getAmountsFromLiquidity(
+      position.liquidity, sqrtPriceCurrent, position.tickLowerIndex, position.tickUpperIndex
+    );
+
+    const lowerArray = tickArrayAccounts[getClmmTickArrayAddress(
+      position.poolId, getClmmTickArrayStartIndex(position.tickLowerIndex, pool.tickSpacing)
+    )];
+    const upperArray = tickArrayAccounts[getClmmTickArrayAddress(
+      position.poolId, getClmmTickArrayStartIndex(position.tickUpperIndex, pool.tickSpacing)
+    )];
+
+    let fees = null;
+    const rewards = [];
+
+    if (lowerArray && upperArray) {
+      const tickLower = decodeClmmTick(lowerArray.data, position.tickLowerIndex, pool.tickSpacing);
+      const tickUpper = decodeClmmTick(upperArray.data, position.tickUpperIndex, pool.tickSpacing);
+      const { tickCurrent } = pool;
+      const { tickLowerIndex, tickUpperIndex, liquidity } = position;
+
+      const feeGrowthInside0 = computeGrowthInside(
+        tickCurrent, tickLowerIndex, tickUpperIndex,
+        pool.feeGrowthGlobal0, tickLower.feeGrowthOutside0, tickUpper.feeGrowthOutside0
+      );
+      const feeGrowthInside1 = computeGrowthInside(
+        tickCurrent, tickLowerIndex, tickUpperIndex,
+        pool.feeGrowthGlobal1, tickLower.feeGrowthOutside1, tickUpper.feeGrowthOutside1
+      );
+
+      fees = {
+        token0: toUiAmount(
+          position.tokenFeesOwed0 + computeAccruedAmount(feeGrowthInside0, position.feeGrowthInside0Last, liquidity),
+          tokenA.decimals
+        ),
+        token1: toUiAmount(
+          position.tokenFeesOwed1 + computeAccruedAmount(feeGrowthInside1, position.feeGrowthInside1Last, liquidity),
+          tokenB.decimals
+        )
+      };
+
+      const rewardGrowthsGlobal = getUpdatedClmmRewardGrowthsGlobal(pool, nowSeconds);
+      pool.rewardInfos.forEach((reward, i) => {
+        if (reward.state === 0 || isDefaultPubkey(reward.mint)) return;
+
+        const growthInside = computeGrowthInside(
+          tickCurrent, tickLowerIndex, tickUpperIndex,
+          rewardGrowthsGlobal[i], tickLower.rewardGrowthsOutside[i], tickUpper.rewardGrowthsOutside[i]
+        );
+        const positionReward = position.rewardInfos[i];
+        const amount = positionReward.amountOwed +
+          computeAccruedAmount(growthInside, positionReward.growthInsideLast, liquidity);
+
+        rewards.push({
+          token: tokensInfo[reward.mint],
+          amount: toUiAmount(amount, tokensInfo[reward.mint].decimals)
+        });
+      });
+    } else {
+      console.warn(`[RaydiumService] TickArrays introuvables pour la position ${address}, frais non calculés`);
+    }
+
+    results.push({
+      poolType: 'clmm',
+      positionAddress: address,
+      positionMint: position.nftMint,
+      poolAddress: position.poolId,
+      liquidity: position.liquidity.toString(),
+      lowerTick: position.tickLowerIndex,
+      upperTick: position.tickUpperIndex,
+      currentTick: pool.tickCurrent,
+      inRange: pool.tickCurrent >= position.tickLowerIndex && pool.tickCurrent < position.tickUpperIndex,
+      fee: ammConfig ? readU32(ammConfig.data, CLMM_AMM_CONFIG_LAYOUT.TRADE_FEE_RATE) / FEE_RATE_DENOMINATOR : null,
+      tickSpacing: pool.tickSpacing,
+      prices: {
+        current: sqrtPriceToPrice(sqrtPriceCurrent, tokenA.decimals, tokenB.decimals),
+        lower: sqrtPriceToPrice(tickToSqrtPrice(position.tickLowerIndex), tokenA.decimals, tokenB.decimals),
+        upper: sqrtPriceToPrice(tickToSqrtPrice(position.tickUpperIndex), tokenA.decimals, tokenB.decimals)
+      },
+      token0: { ...tokenA, amount: rawAmounts.amountA / Math.pow(10, tokenA.decimals) },
+      token1: { ...tokenB, amount: rawAmounts.amountB / Math.pow(10, tokenB.decimals) },
+      fees,
+      rewards
+    });
+  }
+
+  return results;
+}
+
+module.exports = {
+  getAmmPositions,
+  getAmmPoolComposition,
+  isAmmLpMint,
+  getClmmPositions,
+  decodeAmmInfo,
+  decodeClmmPool,
+  decodeClmmPosition,
+  decodeClmmTick,
+  getClmmTickArrayStartIndex,
+  getClmmTickArrayAddress,
+  getClmmPositionAddress,
+  RAYDIUM_AMM_PROGRAM_ID,
+  RAYDIUM_CLMM_PROGRAM_ID,
+  AMM_INFO_LAYOUT,
+  CLMM_POOL_LAYOUT,
+  CLMM_POSITION_LAYOUT,
+  CLMM_TICK_ARRAY_LAYOUT
+};
@@ -1,19 +1,74 @@
 // filepath: c:\Users\rasam\Downloads\rpc1-1\services\solanaWebService.js
+const { AsyncLocalStorage } = require('async_hooks');
 const { Connection, PublicKey, clusterApiUrl } = require('@solana/web3.js');
-const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
 const priceService = require('./priceService');
+const { readPubkey, readU32, readU64, readI64 } = require('../utils/bufferUtils');
+
+const STAKE_PROGRAM_ID = 'Stake11111111111111111111111111111111111111';
+const U64_MAX = 0xffffffffffffffffn;
+
+// États possibles d'un compte de stake (StakeStateV2)
+const STAKE_STATES = ['uninitialized', 'initialized', 'stake', 'rewardsPool'];
+
+// Layout d'un compte de stake (offsets en octets)
+const STAKE_ACCOUNT_LAYOUT = {
+  STATE: 0,
+  RENT_EXEMPT_RESERVE: 4,
+  STAKER: 12,
+  WITHDRAWER: 44,
+  LOCKUP_UNIX_TIMESTAMP: 76,
+  LOCKUP_EPOCH: 84,
+  LOCKUP_CUSTODIAN: 92,
+  VOTER: 124,
+  STAKE: 156,
+  ACTIVATION_EPOCH: 164,
+  DEACTIVATION_EPOCH: 172,
+  CREDITS_OBSERVED: 188
+};
 
 class SolanaWebService {
   constructor() {
     // Utiliser la variable d'environnement RPC_URL ou un endpoint par défaut
     const rpcUrl = process.env.RPC_URL || process.env.HELIUS_RPC_URL || process.env.ALCHEMY_RPC_URL || clusterApiUrl('mainnet-beta');
-    this.connection = new Connection(rpcUrl, 'confirmed');
+    this.defaultConnection = new Connection(rpcUrl, 'confirmed');
+
+    // Connexions dédiées par endpoint (surcharges RPC par fetcher)
+    this.endpointConnections = new Map(); // rpcUrl -> Connection
+    this.rpcContext = new AsyncLocalStorage();
     
     // Cache pour éviter des appels répétés
     this.balanceCache = new Map(); // tokenAccountAddress -> {timestamp, balance}
     this.cacheTtl = 60 * 1000; // 1 minute
   }
 
+  /**
+   * Connexion active : celle du contexte d'exécution courant si un endpoint a été surchargé,
+   * la connexion par défaut sinon
+   * @returns {Connection}
+   */
+  get connection() {
+    return this.rpcContext.getStore() || this.defaultConnection;
+  }
+
+  /**
+   * Exécute une fonction en routant tous les appels RPC de son contexte asynchrone vers un endpoint donné
+   * @param {string|null} rpcUrl - Endpoint RPC à utiliser (connexion par défaut si absent)
+   * @param {Function} fn - Fonction asynchrone à exécuter
+   * @returns {Promise<*>} - Résultat de la fonction
+   */
+  runWithRpcEndpoint(rpcUrl, fn) {
+    if (!rpcUrl) return fn();
+
+    let connection = this.endpointConnections.get(rpcUrl);
+    if (!connection) {
+      connection = new Connection(rpcUrl, 'confirmed');
+      this.endpointConnections.set(rpcUrl, connection);
+    }
+
+    return this.rpcContext.run(connection, fn);
+  }
+
   /**
    * Récupère le solde précis d'un compte de token SPL
    * @param {string} tokenAccountAddress - L'adresse du compte de token
@@ -141,8 +196,78 @@ class SolanaWebService {
     }
   }
 
+  /**
+   * Décode les données brutes d'un compte de stake (StakeStateV2)
+   * @param {Buffer} data - Données du compte (200 octets)
+   * @returns {Object} - État du compte de stake décodé
+   */
+  decodeStakeAccount(data) {
+    const state = readU32(data, STAKE_ACCOUNT_LAYOUT.STATE);
+    const decoded = {
+      state: STAKE_STATES[state] || 'unknown',
+      meta: null,
+      delegation: null,
+      creditsObserved: null
+    };
+
+    // Les comptes non initialisés ne contiennent ni autorités ni délégation
+    if (state !== 1 && state !== 2) {
+      return decoded;
+    }
+
+    decoded.meta = {
+      rentExemptReserve: readU64(data, STAKE_ACCOUNT_LAYOUT.RENT_EXEMPT_RESERVE),
+      staker: readPubkey(data, STAKE_ACCOUNT_LAYOUT.STAKER),
+      withdrawer: readPubkey(data, STAKE_ACCOUNT_LAYOUT.WITHDRAWER),
+      lockup: {
+        unixTimestamp: Number(readI64(data, STAKE_ACCOUNT_LAYOUT.LOCKUP_UNIX_TIMESTAMP)),
+        epoch: Number(readU64(data, STAKE_ACCOUNT_LAYOUT.LOCKUP_EPOCH)),
+        custodian: readPubkey(data, STAKE_ACCOUNT_LAYOUT.LOCKUP_CUSTODIAN)
+      }
+    };
+
+    if (state === 2) {
+      const activationEpoch = readU64(data, STAKE_ACCOUNT_LAYOUT.ACTIVATION_EPOCH);
+      const deactivationEpoch = readU64(data, STAKE_ACCOUNT_LAYOUT.DEACTIVATION_EPOCH);
+
+      decoded.delegation = {
+        voter: readPubkey(data, STAKE_ACCOUNT_LAYOUT.VOTER),
+        stake: readU64(data, STAKE_ACCOUNT_LAYOUT.STAKE),
+        // u64::MAX signifie "jamais" (ex: stake non désactivé)
+        activationEpoch: activationEpoch === U64_MAX ? null : Number(activationEpoch),
+        deactivationEpoch: deactivationEpoch === U64_MAX ? null : Number(deactivationEpoch)
+      };
+      decoded.creditsObserved = Number(readU64(data, STAKE_ACCOUNT_LAYOUT.CREDITS_OBSERVED));
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Détermine le statut d'une délégation à partir de ses époques et de l'époque courante
+   * @param {Object|null} delegation - Délégation décodée
+   * @param {number} currentEpoch - Époque courante
+   * @returns {string} - active, inactive, activating ou deactivating
+   */
+  getDelegationStatus(delegation, currentEpoch) {
+    if (!delegation) return 'inactive';
+
+    const { activationEpoch, deactivationEpoch } = delegation;
+
+    if (deactivationEpoch === null) {
+      // Le stake devient actif à la frontière d'époque suivant la délégation
+      return activationEpoch !== null && activationEpoch >= currentEpoch ? 'activating' : 'active';
+    }
+
+    // Une désactivation dans la même époque que l'activation annule la délégation
+    if (deactivationEpoch === activationEpoch) return 'inactive';
+
+    return deactivationEpoch >= currentEpoch ? 'deactivating' : 'inactive';
+  }
+
   /**
    * Récupère les comptes de stake d'un portefeuille
+   * Un portefeuille est considéré propriétaire s'il est staker ou withdrawer du compte
    * @param {string} walletAddress - L'adresse du portefeuille
    * @returns {Promise<Array>} - Liste des comptes de stake
    */
@@ -150,79 +275,141 @@ class SolanaWebService {
     try {
       console.log(`SolanaWebService: Récupération des comptes de stake pour ${walletAddress}`);
       
-      // Convertir l'adresse en PublicKey de Solana
-      const walletPubkey = new PublicKey(walletAddress);
+      // Rechercher par staker et par withdrawer en parallèle
+      const [stakerAccounts, withdrawerAccounts, epochInfo] = await Promise.all([
+        this.getProgramAccounts(STAKE_PROGRAM_ID, [
+          { memcmp: { offset: STAKE_ACCOUNT_LAYOUT.STAKER, bytes: walletAddress } }
+        ]),
+        this.getProgramAccounts(STAKE_PROGRAM_ID, [
+          { memcmp: { offset: STAKE_ACCOUNT_LAYOUT.WITHDRAWER, bytes: walletAddress } }
+        ]),
+        this.connection.getEpochInfo()
+      ]);
       
-      // Récupérer tous les comptes de stake appartenant au portefeuille
-      const stakeAccounts = await this.connection.getParsedProgramAccounts(
-        new PublicKey("Stake11111111111111111111111111111111111111"),
-        {
-          filters: [
-            {
-              memcmp: {
-                offset: 44, // Position de l'adresse du staker dans le buffer
-                bytes: walletPubkey.toBase58()
-              }
-            }
-          ]
-        }
-      );
+      // Dédupliquer les comptes trouvés par les deux recherches
+      const accountsByAddress = new Map();
+      for (const account of [...stakerAccounts, ...withdrawerAccounts]) {
+        accountsByAddress.set(account.address, account);
+      }
       
-      // Traiter les comptes pour extraire les informations pertinentes
-      const processedAccounts = await Promise.all(
-        stakeAccounts.map(async account => {
-          const address = account.pubkey.toString();
-          
-          // Pour simplifier, on simule une structure de compte de stake
-          // En réalité, il faudrait parser les données binaires correctement
-          
-          // Récupérer quelques informations de base sur le stake
-          let stakeStatus = "active";
-          let stakeAmount = 0;
-          
-          try {
-            // On récupère quelques informations sur le stake account
-            const accountInfo = await this.connection.getStakeActivation(account.pubkey);
-            stakeStatus = accountInfo.state; // active, inactive, ou activating
-            
-            // Récupérer le lamport balance
-            const balance = await this.connection.getBalance(account.pubkey);
-            stakeAmount = balance / 1e9; // Convertir en SOL
-          } catch (error) {
-            console.warn(`Erreur lors de la récupération des détails du stake ${address}:`, error.message);
-          }
-          
-          // Simuler un délégué (validateur)
-          // En réalité, il faudrait l'extraire des données du compte
-          let voter = "unknown";
-          try {
-            // Tenter de récupérer le vote account (validateur)
-            // Cette partie est simplifiée car l'extraction réelle est plus complexe
-            // et nécessiterait de parser les données du stake account
-            voter = "Voter" + Math.random().toString(16).substr(2, 8);
-          } catch (err) {
-            console.warn(`Impossible de déterminer le validateur pour ${address}:`, err.message);
-          }
-          
-          return {
-            address, // L'adresse du compte de stake
-            amount: stakeAmount.toString(), // Montant en SOL
-            status: stakeStatus, // État du stake: active, inactive, activating
-            activationEpoch: "unknown", // L'époque d'activation (simplifié)
-            voter, // L'adresse du validateur
-            withdrawer: walletAddress, // Par défaut, c'est le propriétaire
-            delegatedStake: true // Indique que c'est un stake délégué
-          };
-        })
-      );
+      const currentEpoch = epochInfo.epoch;
+      const nowSeconds = Math.floor(Date.now() / 1000);
       
-      return processedAccounts;
+      return [...accountsByAddress.values()].map(account => {
+        const decoded = this.decodeStakeAccount(account.data);
+        const meta = decoded.meta;
+        const delegation = decoded.delegation;
+        
+        const lockup = meta ? {
+          ...meta.lockup,
+          isActive: meta.lockup.unixTimestamp > nowSeconds || meta.lockup.epoch > currentEpoch
+        } : null;
+        
+        return {
+          address: account.address, // L'adresse du compte de stake
+          amount: (account.lamports / 1e9).toString(), // Solde total du compte en SOL
+          lamports: account.lamports,
+          delegatedAmount: delegation ? Number(delegation.stake) / 1e9 : 0, // Montant délégué en SOL
+          rentExemptReserve: meta ? Number(meta.rentExemptReserve) / 1e9 : 0,
+          status: this.getDelegationStatus(delegation, currentEpoch), // active, inactive, activating, deactivating
+          activationEpoch: delegation ? delegation.activationEpoch : null,
+          deactivationEpoch: delegation ? delegation.deactivationEpoch : null,
+          creditsObserved: decoded.creditsObserved,
+          voter: delegation ? delegation.voter : null, // L'adresse du compte de vote du validateur
+          staker: meta ? meta.staker : null,
+          withdrawer: meta ? meta.withdrawer : null,
+          lockup,
+          delegatedStake: decoded.state === 'stake' // Indique si le compte est délégué
+        };
+      });
     } catch (error) {
       console.error(`Erreur lors de la récupération des comptes de stake pour ${walletAddress}:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Récupère les comptes d'un programme correspondant aux filtres donnés
+   * @param {string} programId - Adresse du programme
+   * @param {Array} filters - Filtres RPC (dataSize, memcmp)
+   * @returns {Promise<Array>} - Liste des comptes avec adresse et données brutes
+   */
+  async getProgramAccounts(programId, filters = []) {
+    try {
+      console.log(`SolanaWebService: Récupération des comptes du programme ${programId}`);
+
+      const accounts = await this.connection.getProgramAccounts(new PublicKey(programId), { filters });
+
+      return accounts.map(account => ({
+        address: account.pubkey.toBase58(),
+        owner: account.account.owner.toBase58(),
+        lamports: account.account.lamports,
+        data: account.account.data
+      }));
+    } catch (error) {
+      console.error(`Erreur lors de la récupération des comptes du programme ${programId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Récupère les mints des NFT détenus par un portefeuille (solde 1, 0 décimale)
+   * Couvre les programmes SPL Token et Token-2022, utilisés pour les NFT de position des DEX
+   * @param {string} walletAddress - L'adresse du portefeuille
+   * @returns {Promise<Array<string>>} - Mints des NFT
+   */
+  async getNftMintsByOwner(walletAddress) {
+    try {
+      const ownerPubkey = new PublicKey(walletAddress);
+
+      const responses = await Promise.all([TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID].map(programId =>
+        this.connection.getParsedTokenAccountsByOwner(ownerPubkey, { programId })
+      ));
+
+      return responses
+        .flatMap(response => response.value)
+        .map(account => account.account.data.parsed.info)
+        .filter(info => info.tokenAmount.decimals === 0 && info.tokenAmount.amount === '1')
+        .map(info => info.mint);
+    } catch (error) {
+      console.error(`Erreur lors de la récupération des NFT de ${walletAddress}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Récupère les données brutes de plusieurs comptes en une seule série d'appels
+   * @param {Array<string>} addresses - Adresses des comptes
+   * @returns {Promise<Object>} - Comptes indexés par adresse (null si inexistant)
+   */
+  async getMultipleAccounts(addresses) {
+    try {
+      const uniqueAddresses = [...new Set(addresses)];
+      const accounts = {};
+
+      // Le RPC limite getMultipleAccounts à 100 adresses par appel
+      const chunkSize = 100;
+      for (let i = 0; i < uniqueAddresses.length; i += chunkSize) {
+        const chunk = uniqueAddresses.slice(i, i + chunkSize);
+        const infos = await this.connection.getMultipleAccountsInfo(chunk.map(address => new PublicKey(address)));
+
+        infos.forEach((info, index) => {
+          accounts[chunk[index]] = info ? {
+            address: chunk[index],
+            owner: info.owner.toBase58(),
+            lamports: info.lamports,
+            data: info.data
+          } : null;
+        });
+      }
+
+      return accounts;
+    } catch (error) {
+      console.error(`Erreur lors de la récupération de ${addresses.length} comptes:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Récupère les détails complets d'un portefeuille, incluant SOL, tokens SPL précis
    * @param {string} walletAddress - L'adresse du portefeuille
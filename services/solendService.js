@@ -0,0 +1,307 @@
+/**
+ * Service pour interagir avec Solend (lending)
+ * Décode les comptes Obligation et Reserve du programme pour reconstituer les dépôts et emprunts
+ */
+const solanaWebService = require('./solanaWebService');
+const tokenMetadataService = require('./tokenMetadataService');
+const {
+  readPubkey,
+  readU8,
+  readU64,
+  readU128,
+  isDefaultPubkey
+} = require('../utils/bufferUtils');
+const { computeLendingRisk } = require('../utils/lendingUtils');
+
+// Constantes
+const SOLEND_PROGRAM_ID = 'So1endDq2YkqhipRh3WViPa8hdiSpxWy6z3Z6tMCpAo';
+// Les Decimal Solend sont des entiers mis à l'échelle 10^18 (WAD)
+const WAD = 10n ** 18n;
+
+/**
+ * Layout du compte Obligation Solend (offsets en octets, pas de discriminateur)
+ */
+const OBLIGATION_LAYOUT = {
+  SIZE: 1300,
+  LENDING_MARKET: 10,
+  OWNER: 42,
+  DEPOSITED_VALUE: 74,
+  BORROWED_VALUE: 90,
+  ALLOWED_BORROW_VALUE: 106,
+  UNHEALTHY_BORROW_VALUE: 122,
+  DEPOSITS_LEN: 202,
+  BORROWS_LEN: 203,
+  DATA_FLAT: 204,
+  DEPOSIT_SIZE: 88,
+  BORROW_SIZE: 112
+};
+
+/**
+ * Layout du compte Reserve Solend (offsets en octets, pas de discriminateur)
+ */
+const RESERVE_LAYOUT = {
+  SIZE: 619,
+  LENDING_MARKET: 10,
+  LIQUIDITY_MINT: 42,
+  LIQUIDITY_MINT_DECIMALS: 74,
+  LIQUIDITY_AVAILABLE_AMOUNT: 171,
+  LIQUIDITY_BORROWED_AMOUNT_WADS: 179,
+  LIQUIDITY_CUMULATIVE_BORROW_RATE_WADS: 195,
+  LIQUIDITY_MARKET_PRICE: 211,
+  COLLATERAL_MINT: 227,
+  COLLATERAL_MINT_TOTAL_SUPPLY: 259,
+  CONFIG_LOAN_TO_VALUE_RATIO: 300,
+  CONFIG_LIQUIDATION_THRESHOLD: 302,
+  LIQUIDITY_ACCUMULATED_PROTOCOL_FEES_WADS: 373
+};
+
+/**
+ * Convertit un Decimal Solend (WAD) en nombre flottant
+ * @param {bigint} value - Valeur brute
+ * @returns {number}
+ */
+function wadToNumber(value) {
+  return Number(value / WAD) + Number(value % WAD) / Number(WAD);
+}
+
+/**
+ * Décode un compte Obligation Solend
+ * @param {Buffer} data - Données brutes du compte
+ * @returns {Object} Obligation décodée (valeurs USD en nombres flottants)
+ */
+function decodeObligation(data) {
+  const depositsLen = readU8(data, OBLIGATION_LAYOUT.DEPOSITS_LEN);
+  const borrowsLen = readU8(data, OBLIGATION_LAYOUT.BORROWS_LEN);
+
+  // Les dépôts puis les emprunts sont stockés à la suite dans data_flat
+  const deposits = [];
+  for (let i = 0; i < depositsLen; i++) {
+    const offset = OBLIGATION_LAYOUT.DATA_FLAT + i * OBLIGATION_LAYOUT.DEPOSIT_SIZE;
+    const reserve = readPubkey(data, offset);
+    if (isDefaultPubkey(reserve)) continue;
+
+    deposits.push({
+      reserve,
+      depositedAmount: readU64(data, offset + 32),
+      marketValueUsd: wadToNumber(readU128(data, offset + 40))
+    });
+  }
+
+  const borrowsStart = OBLIGATION_LAYOUT.DATA_FLAT + depositsLen * OBLIGATION_LAYOUT.DEPOSIT_SIZE;
+  const borrows = [];
+  for (let i = 0; i < borrowsLen; i++) {
+    const offset = borrowsStart + i * OBLIGATION_LAYOUT.BORROW_SIZE;
+    const reserve = readPubkey(data, offset);
+    if (isDefaultPubkey(reserve)) continue;
+
+    borrows.push({
+      reserve,
+      cumulativeBorrowRate: readU128(data, offset + 32),
+      borrowedAmountWads: readU128(data, offset + 48),
+      marketValueUsd: wadToNumber(readU128(data, offset + 64))
+    });
+  }
+
+  return {
+    lendingMarket: readPubkey(data, OBLIGATION_LAYOUT.LENDING_MARKET),
+    owner: readPubkey(data, OBLIGATION_LAYOUT.OWNER),
+    deposits,
+    borrows,
+    depositedValueUsd: wadToNumber(readU128(data, OBLIGATION_LAYOUT.DEPOSITED_VALUE)),
+    borrowedValueUsd: wadToNumber(readU128(data, OBLIGATION_LAYOUT.BORROWED_VALUE)),
+    allowedBorrowValueUsd: wadToNumber(readU128(data, OBLIGATION_LAYOUT.ALLOWED_BORROW_VALUE)),
+    unhealthyBorrowValueUsd: wadToNumber(readU128(data, OBLIGATION_LAYOUT.UNHEALTHY_BORROW_VALUE))
+  };
+}
+
+/**
+ * Décode un compte Reserve Solend
+ * @param {Buffer} data - Données brutes du compte
+ * @returns {Object} Reserve décodée
+ */
+function decodeReserve(data) {
+  const availableAmount = Number(readU64(data, RESERVE_LAYOUT.LIQUIDITY_AVAILABLE_AMOUNT));
+  const borrowedAmount = wadToNumber(readU128(data, RESERVE_LAYOUT.LIQUIDITY_BORROWED_AMOUNT_WADS));
+  const protocolFees = wadToNumber(readU128(data, RESERVE_LAYOUT.LIQUIDITY_ACCUMULATED_PROTOCOL_FEES_WADS));
+
+  // Liquidité totale (en unités natives du token) = disponible + empruntée - frais du protocole
+  const totalLiquidity = availableAmount + borrowedAmount - protocolFees;
+  const collateralSupply = Number(readU64(data, RESERVE_LAYOUT.COLLATERAL_MINT_TOTAL_SUPPLY));
+
+  return {
+    lendingMarket: readPubkey(data, RESERVE_LAYOUT.LENDING_MARKET),
+    liquidityMint: readPubkey(data, RESERVE_LAYOUT.LIQUIDITY_MINT),
+    collateralMint: readPubkey(data, RESERVE_LAYOUT.COLLATERAL_MINT),
+    decimals: readU8(data, RESERVE_LAYOUT.LIQUIDITY_MINT_DECIMALS),
+    marketPriceUsd: wadToNumber(readU128(data, RESERVE_LAYOUT.LIQUIDITY_MARKET_PRICE)),
+    cumulativeBorrowRate: readU128(data, RESERVE_LAYOUT.LIQUIDITY_CUMULATIVE_BORROW_RATE_WADS),
+    totalLiquidity,
+    borrowedAmount,
+    utilization: totalLiquidity > 0 ? borrowedAmount / totalLiquidity : 0,
+    // Nombre de tokens sous-jacents par cToken
+    collateralExchangeRate: collateralSupply > 0 ? totalLiquidity / collateralSupply : 1,
+    loanToValue: readU8(data, RESERVE_LAYOUT.CONFIG_LOAN_TO_VALUE_RATIO) / 100,
+    liquidationThreshold: readU8(data, RESERVE_LAYOUT.CONFIG_LIQUIDATION_THRESHOLD) / 100
+  };
+}
+
+/**
+ * Calcule les indicateurs de risque d'une obligation
+ * @param {Object} obligation - Obligation décodée
+ * @returns {Object} Health factor, LTV actuel et LTV de liquidation
+ */
+function computeObligationRisk(obligation) {
+  return computeLendingRisk({
+    collateralUsd: obligation.depositedValueUsd,
+    debtUsd: obligation.borrowedValueUsd,
+    allowedBorrowUsd: obligation.allowedBorrowValueUsd,
+    unhealthyBorrowUsd: obligation.unhealthyBorrowValueUsd
+  });
+}
+
+/**
+ * Transforme une obligation et ses reserves en positions de prêt/emprunt
+ * @param {string} obligationAddress - Adresse de l'obligation
+ * @param {Object} obligation - Obligation décodée
+ * @param {Object} reserves - Reserves décodées indexées par adresse
+ * @param {Object} tokensInfo - Métadonnées des tokens indexées par mint
+ * @returns {Array} Positions de lending
+ */
+function buildLendingPositions(obligationAddress, obligation, reserves, tokensInfo = {}) {
+  const risk = computeObligationRisk(obligation);
+  const positions = [];
+
+  const basePosition = (reserveAddress, reserve) => {
+    const tokenInfo = tokensInfo[reserve.liquidityMint] || {};
+    return {
+      address: obligationAddress,
+      pool: reserveAddress,
+      lendingMarket: obligation.lendingMarket,
+      tokenMint: reserve.liquidityMint,
+      tokenSymbol: tokenInfo.symbol || 'Unknown',
+      tokenName: tokenInfo.name || 'Unknown Token',
+      decimals: reserve.decimals,
+      healthFactor: risk.healthFactor,
+      isLiquidating: risk.healthFactor !== null && risk.healthFactor < 1,
+      ltv: risk.ltv,
+      maxLtv: risk.maxLtv,
+      liquidationLtv: risk.liquidationLtv,
+      utilization: reserve.utilization
+    };
+  };
+
+  for (const deposit of obligation.deposits) {
+    const reserve = reserves[deposit.reserve];
+    if (!reserve) continue;
+
+    // Les dépôts sont comptés en cTokens : les convertir en tokens sous-jacents
+    const nativeAmount = Number(deposit.depositedAmount) * reserve.collateralExchangeRate;
+    positions.push({
+      ...basePosition(deposit.reserve, reserve),
+      isDeposit: true,
+      // Une reserve avec un LTV nul ne peut pas servir de collatéral
+      isCollateral: reserve.loanToValue > 0,
+      amount: nativeAmount / Math.pow(10, reserve.decimals),
+      marketValueUsd: deposit.marketValueUsd,
+      reserveLtv: reserve.loanToValue,
+      reserveLiquidationThreshold: reserve.liquidationThreshold
+    });
+  }
+
+  for (const borrow of obligation.borrows) {
+    const reserve = reserves[borrow.reserve];
+    if (!reserve) continue;
+
+    // Actualiser le montant emprunté avec le taux cumulé courant de la reserve
+    let nativeAmount = wadToNumber(borrow.borrowedAmountWads);
+    if (borrow.cumulativeBorrowRate > 0n && reserve.cumulativeBorrowRate > borrow.cumulativeBorrowRate) {
+      nativeAmount *= Number(reserve.cumulativeBorrowRate) / Number(borrow.cumulativeBorrowRate);
+    }
+
+    positions.push({
+      ...basePosition(borrow.reserve, reserve),
+      isDeposit: false,
+      isCollateral: false,
+      amount: nativeAmount / Math.pow(10, reserve.decimals),
+      marketValueUsd: borrow.marketValueUsd
+    });
+  }
+
+  return positions;
+}
+
+/**
+ * Récupère les positions de lending d'un utilisateur sur Solend
+ * @param {string} owner - Adresse du propriétaire
+ * @returns {Promise<Array>} Liste des positions de prêt et d'emprunt
+ */
+async function getLendingPositions(owner) {
+  try {
+    // 1. Récupérer les obligations du propriétaire (tous marchés confondus)
+    const obligationAccounts = await solanaWebService.getProgramAccounts(SOLEND_PROGRAM_ID, [
+      { dataSize: OBLIGATION_LAYOUT.SIZE },
+      { memcmp: { offset: OBLIGATION_LAYOUT.OWNER, bytes: owner } }
+    ]);
+
+    if (obligationAccounts.length === 0) {
+      return [];
+    }
+
+    const obligations = obligationAccounts.map(account => ({
+      address: account.address,
+      obligation: decodeObligation(account.data)
+    }));
+
+    // 2. Récupérer et décoder toutes les reserves référencées
+    const reserveAddresses = obligations.flatMap(({ obligation }) => [
+      ...obligation.deposits.map(deposit => deposit.reserve),
+      ...obligation.borrows.map(borrow => borrow.reserve)
+    ]);
+    const reserveAccounts = await solanaWebService.getMultipleAccounts([...new Set(reserveAddresses)]);
+
+    const reserves = {};
+    for (const [address, account] of Object.entries(reserveAccounts)) {
+      if (account) {
+        reserves[address] = decodeReserve(account.data);
+      }
+    }
+
+    // 3. Récupérer les métadonnées des tokens sous-jacents
+    const mints = [...new Set(Object.values(reserves).map(reserve => reserve.liquidityMint))];
+    const tokensInfo = {};
+    await Promise.all(mints.map(async mint => {
+      tokensInfo[mint] = await getTokenInfo(mint);
+    }));
+
+    // 4. Construire les positions de dépôt et d'emprunt
+    return obligations.flatMap(({ address, obligation }) =>
+      buildLendingPositions(address, obligation, reserves, tokensInfo)
+    );
+  } catch (error) {
+    console.error(`[SolendService] Erreur lors de la récupération des positions de lending: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Récupère les métadonnées d'un token
+ * @param {string} tokenMint - Adresse du token
+ * @returns {Promise<Object|null>} Informations sur le token
+ */
+async function getTokenInfo(tokenMint) {
+  try {
+    return await tokenMetadataService.getTokenMetadata(tokenMint);
+  } catch (error) {
+    console.error(`[SolendService] Erreur lors de la récupération des informations du token ${tokenMint}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  getLendingPositions,
+  decodeObligation,
+  decodeReserve,
+  computeObligationRisk,
+  buildLendingPositions,
+  SOLEND_PROGRAM_ID
+};
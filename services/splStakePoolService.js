@@ -0,0 +1,217 @@
+/**
+ * Service pour lire les stake pools SPL (jitoSOL, bSOL, JupSOL, ...)
+ * Décode le compte StakePool du programme SPL Stake Pool pour obtenir
+ * le taux token/SOL réel, les frais et la croissance d'une époque à l'autre
+ */
+const { PublicKey } = require('@solana/web3.js');
+const solanaWebService = require('./solanaWebService');
+const validatorService = require('./validatorService');
+const cacheService = require('./cacheService');
+const { readPubkey, readU8, readU64, readI64 } = require('../utils/bufferUtils');
+
+// Constantes
+const SPL_STAKE_POOL_PROGRAM_ID = 'SPoo1Ku8WFXoNDMHPsrGSTSG1Y47rzgn41SLUNakuHy';
+const LAMPORTS_PER_SOL = 1e9;
+
+// Durée de cache d'un stake pool décodé (en secondes)
+const STAKE_POOL_TTL = 60;
+
+/**
+ * Lecteur séquentiel Borsh : le compte StakePool contient des Option et des enums
+ * de taille variable, les offsets ne sont donc pas fixes après epoch_fee
+ */
+class BorshReader {
+  constructor(data) {
+    this.data = data;
+    this.offset = 0;
+  }
+
+  u8() {
+    const value = readU8(this.data, this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  u64() {
+    const value = readU64(this.data, this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  i64() {
+    const value = readI64(this.data, this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  pubkey() {
+    const value = readPubkey(this.data, this.offset);
+    this.offset += 32;
+    return value;
+  }
+
+  optionPubkey() {
+    return this.u8() === 1 ? this.pubkey() : null;
+  }
+
+  fee() {
+    const denominator = this.u64();
+    const numerator = this.u64();
+    return { denominator, numerator };
+  }
+
+  // FutureEpoch<Fee> : None (0), One (1) ou Two (2) suivi de la valeur
+  futureEpochFee() {
+    return this.u8() === 0 ? null : this.fee();
+  }
+}
+
+/**
+ * Convertit un frais SPL (numérateur / dénominateur) en fraction
+ * @param {Object|null} fee - Frais décodé
+ * @returns {number} Fraction (0.05 = 5%)
+ */
+function feeToNumber(fee) {
+  if (!fee || fee.denominator === 0n) return 0;
+  return Number(fee.numerator) / Number(fee.denominator);
+}
+
+/**
+ * Décode un compte StakePool du programme SPL Stake Pool
+ * @param {Buffer} data - Données du compte
+ * @returns {Object} Stake pool décodé (montants bruts en lamports)
+ */
+function decodeStakePool(data) {
+  const reader = new BorshReader(data);
+
+  const pool = {
+    accountType: reader.u8(),
+    manager: reader.pubkey(),
+    staker: reader.pubkey(),
+    stakeDepositAuthority: reader.pubkey(),
+    stakeWithdrawBumpSeed: reader.u8(),
+    validatorList: reader.pubkey(),
+    reserveStake: reader.pubkey(),
+    poolMint: reader.pubkey(),
+    managerFeeAccount: reader.pubkey(),
+    tokenProgramId: reader.pubkey(),
+    totalLamports: reader.u64(),
+    poolTokenSupply: reader.u64(),
+    lastUpdateEpoch: reader.u64(),
+    lockup: {
+      unixTimestamp: reader.i64(),
+      epoch: reader.u64(),
+      custodian: reader.pubkey()
+    },
+    epochFee: reader.fee(),
+    nextEpochFee: reader.futureEpochFee(),
+    preferredDepositValidator: reader.optionPubkey(),
+    preferredWithdrawValidator: reader.optionPubkey(),
+    stakeDepositFee: reader.fee(),
+    stakeWithdrawalFee: reader.fee(),
+    nextStakeWithdrawalFee: reader.futureEpochFee(),
+    stakeReferralFee: reader.u8(),
+    solDepositAuthority: reader.optionPubkey(),
+    solDepositFee: reader.fee(),
+    solReferralFee: reader.u8(),
+    solWithdrawAuthority: reader.optionPubkey(),
+    solWithdrawalFee: reader.fee(),
+    nextSolWithdrawalFee: reader.futureEpochFee()
+  };
+
+  pool.lastEpochPoolTokenSupply = reader.u64();
+  pool.lastEpochTotalLamports = reader.u64();
+
+  return pool;
+}
+
+/**
+ * Calcule le taux token du pool -> SOL
+ * @param {bigint} totalLamports - Lamports gérés par le pool
+ * @param {bigint} poolTokenSupply - Offre de tokens du pool
+ * @returns {number|null} Nombre de SOL pour 1 token du pool
+ */
+function computePoolRate(totalLamports, poolTokenSupply) {
+  if (poolTokenSupply === 0n) return null;
+  return Number(totalLamports) / Number(poolTokenSupply);
+}
+
+/**
+ * Calcule l'adresse de l'autorité de retrait d'un stake pool (détentrice des comptes de stake)
+ * @param {string} stakePoolAddress - Adresse du stake pool
+ * @returns {string} Adresse de la PDA
+ */
+function getWithdrawAuthority(stakePoolAddress) {
+  const [withdrawAuthority] = PublicKey.findProgramAddressSync(
+    [new PublicKey(stakePoolAddress).toBuffer(), Buffer.from('withdraw')],
+    new PublicKey(SPL_STAKE_POOL_PROGRAM_ID)
+  );
+  return withdrawAuthority.toBase58();
+}
+
+/**
+ * Récupère et décode un stake pool SPL, avec son taux et son rendement d'une époque à l'autre
+ * @param {string} stakePoolAddress - Adresse du compte StakePool
+ * @returns {Promise<Object|null>} Détails du stake pool ou null si introuvable
+ */
+async function getStakePoolDetails(stakePoolAddress) {
+  const cacheKey = `spl_stake_pool_${stakePoolAddress}`;
+  const cachedData = cacheService.get(cacheKey);
+  if (cachedData) return cachedData;
+
+  const accounts = await solanaWebService.getMultipleAccounts([stakePoolAddress]);
+  const account = accounts[stakePoolAddress];
+
+  if (!account) {
+    console.warn(`[SplStakePoolService] Stake pool introuvable: ${stakePoolAddress}`);
+    return null;
+  }
+
+  const pool = decodeStakePool(account.data);
+  const rate = computePoolRate(pool.totalLamports, pool.poolTokenSupply);
+  const lastEpochRate = computePoolRate(pool.lastEpochTotalLamports, pool.lastEpochPoolTokenSupply);
+
+  // Croissance du taux sur la dernière époque (récompenses nettes des frais du pool)
+  const epochGrowth = rate !== null && lastEpochRate ? rate / lastEpochRate - 1 : null;
+
+  let apy = null;
+  if (epochGrowth !== null) {
+    const epochsPerYear = await validatorService.getEpochsPerYear();
+    apy = Math.pow(1 + epochGrowth, epochsPerYear) - 1;
+  }
+
+  const details = {
+    address: stakePoolAddress,
+    poolMint: pool.poolMint,
+    manager: pool.manager,
+    reserveStake: pool.reserveStake,
+    validatorList: pool.validatorList,
+    withdrawAuthority: getWithdrawAuthority(stakePoolAddress),
+    rate,
+    lastEpochRate,
+    epochGrowth,
+    apy,
+    totalStaked: Number(pool.totalLamports) / LAMPORTS_PER_SOL,
+    poolTokenSupply: pool.poolTokenSupply.toString(),
+    lastUpdateEpoch: Number(pool.lastUpdateEpoch),
+    fees: {
+      epochFee: feeToNumber(pool.epochFee),
+      solDepositFee: feeToNumber(pool.solDepositFee),
+      solWithdrawalFee: feeToNumber(pool.solWithdrawalFee),
+      stakeDepositFee: feeToNumber(pool.stakeDepositFee),
+      stakeWithdrawalFee: feeToNumber(pool.stakeWithdrawalFee)
+    }
+  };
+
+  cacheService.set(cacheKey, details, STAKE_POOL_TTL);
+  return details;
+}
+
+module.exports = {
+  getStakePoolDetails,
+  decodeStakePool,
+  computePoolRate,
+  feeToNumber,
+  getWithdrawAuthority,
+  SPL_STAKE_POOL_PROGRAM_ID
+};
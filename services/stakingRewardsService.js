@@ -0,0 +1,241 @@
+/**
+ * Service pour reconstituer l'historique des récompenses de staking SOL natif
+ * Parcourt getInflationReward époque par époque pour chaque compte de stake
+ * et valorise chaque récompense au prix du SOL en fin d'époque
+ */
+const { PublicKey } = require('@solana/web3.js');
+const solanaWebService = require('./solanaWebService');
+const priceService = require('./priceService');
+const cacheService = require('./cacheService');
+
+// Constantes
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const LAMPORTS_PER_SOL = 1e9;
+const DEFAULT_EPOCH_RANGE = 10;
+const MAX_EPOCH_RANGE = 100;
+const MAX_ACCOUNTS_PER_REQUEST = 100;
+
+// Les récompenses d'une époque terminée ne changent plus : cache long
+const EPOCH_REWARDS_TTL = 24 * 60 * 60; // 24 heures
+
+/**
+ * Crée une erreur de plage d'époques, renvoyée en 400 par les routes
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur avec statusCode = 400
+ */
+function epochRangeError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Résout la plage d'époques à parcourir
+ * @param {number} currentEpoch - Époque courante
+ * @param {Object} options - Options (fromEpoch, toEpoch)
+ * @returns {{fromEpoch: number, toEpoch: number}} Plage d'époques terminées
+ * @throws {Error} Plage invalide ou trop large (statusCode = 400)
+ */
+function resolveEpochRange(currentEpoch, { fromEpoch, toEpoch } = {}) {
+  // L'époque courante n'a pas encore distribué ses récompenses
+  const lastCompletedEpoch = currentEpoch - 1;
+
+  const resolvedTo = Number.isInteger(toEpoch) ? Math.min(toEpoch, lastCompletedEpoch) : lastCompletedEpoch;
+  const resolvedFrom = Number.isInteger(fromEpoch) ? fromEpoch : resolvedTo - DEFAULT_EPOCH_RANGE + 1;
+
+  if (resolvedFrom > resolvedTo) {
+    throw epochRangeError(`Plage d'époques invalide: ${resolvedFrom} > ${resolvedTo}`);
+  }
+  if (resolvedTo - resolvedFrom + 1 > MAX_EPOCH_RANGE) {
+    throw epochRangeError(`Plage d'époques trop large (maximum ${MAX_EPOCH_RANGE} époques)`);
+  }
+
+  return { fromEpoch: Math.max(resolvedFrom, 0), toEpoch: resolvedTo };
+}
+
+/**
+ * Récupère les récompenses d'inflation d'une époque pour plusieurs comptes de stake
+ * @param {Array<string>} stakeAddresses - Adresses des comptes de stake
+ * @param {number} epoch - Époque ciblée
+ * @returns {Promise<Object>} Récompenses indexées par adresse (null si aucune récompense)
+ */
+async function getEpochRewards(stakeAddresses, epoch) {
+  const rewards = {};
+  const missingAddresses = [];
+
+  for (const address of stakeAddresses) {
+    const cachedReward = cacheService.get(`inflation_reward_${address}_${epoch}`);
+    if (cachedReward !== null) {
+      rewards[address] = cachedReward.reward;
+    } else {
+      missingAddresses.push(address);
+    }
+  }
+
+  for (let i = 0; i < missingAddresses.length; i += MAX_ACCOUNTS_PER_REQUEST) {
+    const chunk = missingAddresses.slice(i, i + MAX_ACCOUNTS_PER_REQUEST);
+    const results = await solanaWebService.connection.getInflationReward(
+      chunk.map(address => new PublicKey(address)),
+      epoch
+    );
+
+    results.forEach((reward, index) => {
+      const address = chunk[index];
+      rewards[address] = reward ? {
+        lamports: reward.amount,
+        postBalance: reward.postBalance,
+        commission: reward.commission ?? null,
+        effectiveSlot: reward.effectiveSlot
+      } : null;
+
+      // Envelopper la valeur pour pouvoir mettre en cache l'absence de récompense
+      cacheService.set(`inflation_reward_${address}_${epoch}`, { reward: rewards[address] }, EPOCH_REWARDS_TTL);
+    });
+  }
+
+  return rewards;
+}
+
+/**
+ * Récupère l'horodatage d'un slot (fin d'époque pour le slot effectif des récompenses)
+ * @param {number} slot - Numéro du slot
+ * @returns {Promise<number|null>} Timestamp Unix en secondes
+ */
+async function getSlotTimestamp(slot) {
+  const cacheKey = `block_time_${slot}`;
+  const cachedData = cacheService.get(cacheKey);
+  if (cachedData) return cachedData;
+
+  try {
+    const blockTime = await solanaWebService.connection.getBlockTime(slot);
+    if (blockTime) {
+      cacheService.set(cacheKey, blockTime, EPOCH_REWARDS_TTL);
+    }
+    return blockTime;
+  } catch (error) {
+    console.warn(`[StakingRewardsService] Horodatage indisponible pour le slot ${slot}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Récupère le prix du SOL à la fin d'une époque
+ * Un prix approximé à partir du prix actuel est rejeté : la récompense reste alors sans valeur USD
+ * @param {number|null} timestamp - Timestamp Unix en secondes
+ * @returns {Promise<Object|null>} { price, source } ou null si aucun prix historique
+ */
+async function getSolPriceAt(timestamp) {
+  if (!timestamp) return null;
+
+  try {
+    const priceData = await priceService.getHistoricalPrice(SOL_MINT, timestamp);
+    const price = priceData?.price ?? priceData?.priceUsd ?? null;
+    if (price === null || priceData.source?.startsWith('approximated_')) {
+      return null;
+    }
+    return { price, source: priceData.source };
+  } catch (error) {
+    console.warn(`[StakingRewardsService] Prix historique du SOL indisponible à ${timestamp}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Construit le registre des récompenses de staking par époque pour un portefeuille
+ * @param {string} owner - Adresse du portefeuille
+ * @param {Object} options - Options
+ * @param {number} [options.fromEpoch] - Première époque (incluse)
+ * @param {number} [options.toEpoch] - Dernière époque (incluse)
+ * @returns {Promise<Object>} Registre des récompenses et totaux
+ */
+async function getStakingRewards(owner, options = {}) {
+  const stakeAccounts = await solanaWebService.getStakeAccountsByOwner(owner);
+  const { epoch: currentEpoch } = await solanaWebService.connection.getEpochInfo();
+  const { fromEpoch, toEpoch } = resolveEpochRange(currentEpoch, options);
+
+  const result = {
+    owner,
+    fromEpoch,
+    toEpoch,
+    stakeAccounts: stakeAccounts.map(account => account.address),
+    rewards: [],
+    totals: {
+      amount: 0,
+      valueUsd: 0,
+      byStakeAccount: {}
+    },
+    failedEpochs: []
+  };
+
+  if (stakeAccounts.length === 0) {
+    return result;
+  }
+
+  console.log(`[StakingRewardsService] Récupération des récompenses de ${stakeAccounts.length} comptes de stake (époques ${fromEpoch}-${toEpoch})`);
+
+  for (let epoch = fromEpoch; epoch <= toEpoch; epoch++) {
+    // Ne pas interroger les comptes qui n'étaient pas délégués pendant cette époque
+    const eligibleAddresses = stakeAccounts
+      .filter(account => account.activationEpoch === null || account.activationEpoch < epoch)
+      .filter(account => account.deactivationEpoch === null || account.deactivationEpoch >= epoch)
+      .map(account => account.address);
+
+    if (eligibleAddresses.length === 0) continue;
+
+    let epochRewards;
+    try {
+      epochRewards = await getEpochRewards(eligibleAddresses, epoch);
+    } catch (error) {
+      console.warn(`[StakingRewardsService] Récompenses indisponibles pour l'époque ${epoch}: ${error.message}`);
+      result.failedEpochs.push(epoch);
+      continue;
+    }
+
+    const rewardedAddresses = eligibleAddresses.filter(address => epochRewards[address]);
+    if (rewardedAddresses.length === 0) continue;
+
+    // Toutes les récompenses d'une époque sont versées au même slot
+    const effectiveSlot = epochRewards[rewardedAddresses[0]].effectiveSlot;
+    const timestamp = await getSlotTimestamp(effectiveSlot);
+    const solPrice = await getSolPriceAt(timestamp);
+
+    for (const address of rewardedAddresses) {
+      const reward = epochRewards[address];
+      const amount = reward.lamports / LAMPORTS_PER_SOL;
+      const valueUsd = solPrice !== null ? amount * solPrice.price : null;
+
+      result.rewards.push({
+        epoch,
+        stakeAccount: address,
+        lamports: reward.lamports,
+        amount,
+        postBalance: reward.postBalance,
+        commission: reward.commission,
+        effectiveSlot: reward.effectiveSlot,
+        timestamp,
+        date: timestamp ? new Date(timestamp * 1000).toISOString() : null,
+        price: solPrice?.price ?? null,
+        priceSource: solPrice?.source ?? null,
+        valueUsd
+      });
+
+      const accountTotals = result.totals.byStakeAccount[address] || { amount: 0, valueUsd: 0 };
+      accountTotals.amount += amount;
+      accountTotals.valueUsd += valueUsd || 0;
+      result.totals.byStakeAccount[address] = accountTotals;
+
+      result.totals.amount += amount;
+      result.totals.valueUsd += valueUsd || 0;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  getStakingRewards,
+  getEpochRewards,
+  resolveEpochRange,
+  DEFAULT_EPOCH_RANGE,
+  MAX_EPOCH_RANGE
+};
@@ -0,0 +1,200 @@
+/**
+ * Service de valorisation des tokens composites (tokens d'index, tokens LP, LST)
+ * Ces tokens sont valorisés à partir de la composition de leur pool plutôt que d'un prix de marché,
+ * ce qui permet d'exposer la répartition par actif sous-jacent
+ */
+const fs = require('fs');
+const path = require('path');
+const solanaWebService = require('./solanaWebService');
+const jupiterPerpsService = require('./jupiterPerpsService');
+const raydiumService = require('./raydiumService');
+const marinadeService = require('./marinadeService');
+const jitoService = require('./jitoService');
+const splStakePoolService = require('./splStakePoolService');
+
+// Constantes
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const DEFAULT_LST_REGISTRY_PATH = path.join(__dirname, '../data/lst-registry.json');
+
+// Types de tokens composites
+const COMPOSITE_TYPES = {
+  INDEX: 'index',
+  LP: 'lp',
+  LST: 'lst'
+};
+
+/**
+ * Charge les stake pools SPL du registre des LST, indexés par mint
+ * @returns {Map<string, Object>} Entrées du registre de type spl-stake-pool
+ */
+function loadStakePoolRegistry() {
+  const registryPath = process.env.LST_REGISTRY_PATH || DEFAULT_LST_REGISTRY_PATH;
+
+  try {
+    const entries = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+    return new Map(entries
+      .filter(entry => entry.type === 'spl-stake-pool' && entry.mint && entry.stakePool)
+      .map(entry => [entry.mint, entry]));
+  } catch (error) {
+    console.error(`[TokenValuationService] Impossible de charger le registre ${registryPath}: ${error.message}`);
+    return new Map();
+  }
+}
+
+const stakePoolRegistry = loadStakePoolRegistry();
+
+/**
+ * Composition du token JLP : AUM / offre, sous-jacents répartis selon les actifs de chaque custody
+ * @returns {Promise<Object|null>}
+ */
+async function getJlpComposition() {
+  const pool = await jupiterPerpsService.getJlpPoolComposition();
+  if (!pool || pool.lpSupply <= 0) return null;
+
+  return {
+    type: COMPOSITE_TYPES.INDEX,
+    protocol: 'jupiter-perps',
+    source: pool.poolAddress,
+    priceUsd: pool.aumUsd / pool.lpSupply,
+    underlying: pool.custodies.map(custody => ({
+      mint: custody.mint,
+      amountPerToken: custody.owned / pool.lpSupply
+    }))
+  };
+}
+
+/**
+ * Composition d'un LST : un token vaut `rate` SOL
+ * @param {string} protocol - Protocole de staking
+ * @param {string} source - Compte lu pour obtenir le taux
+ * @param {number|null} rate - Taux LST -> SOL
+ * @returns {Object|null}
+ */
+function buildLstComposition(protocol, source, rate) {
+  if (!rate || rate <= 0) return null;
+
+  return {
+    type: COMPOSITE_TYPES.LST,
+    protocol,
+    source,
+    priceUsd: null,
+    underlying: [{ mint: SOL_MINT, amountPerToken: rate }]
+  };
+}
+
+/**
+ * Composition d'un LST lu depuis un stake pool SPL
+ * @param {string} protocol - Protocole de staking
+ * @param {string} stakePoolAddress - Adresse du stake pool
+ * @param {string} mint - Mint attendu du LST
+ * @returns {Promise<Object|null>}
+ */
+async function getStakePoolComposition(protocol, stakePoolAddress, mint) {
+  const pool = await splStakePoolService.getStakePoolDetails(stakePoolAddress);
+  if (!pool || pool.poolMint !== mint) return null;
+
+  return buildLstComposition(protocol, stakePoolAddress, pool.rate);
+}
+
+/**
+ * Composition d'un token LP Raydium AMM v4 : réserves / offre de LP
+ * @param {string} lpMint - Mint du token LP
+ * @param {Object} lpMintAccount - Compte Mint du token LP
+ * @returns {Promise<Object|null>}
+ */
+async function getRaydiumLpComposition(lpMint, lpMintAccount) {
+  const pool = await raydiumService.getAmmPoolComposition(lpMint, lpMintAccount);
+  if (!pool || pool.lpSupply <= 0) return null;
+
+  return {
+    type: COMPOSITE_TYPES.LP,
+    protocol: 'raydium',
+    source: pool.poolAddress,
+    priceUsd: null,
+    underlying: pool.reserves.map(reserve => ({
+      mint: reserve.mint,
+      amountPerToken: reserve.amount / pool.lpSupply
+    }))
+  };
+}
+
+/**
+ * Résout la composition d'un token identifié par son mint (hors tokens LP)
+ * @param {string} mint - Adresse du token
+ * @returns {Promise<Object|null|undefined>} Composition, null si illisible, undefined si non reconnu
+ */
+async function getKnownComposition(mint) {
+  if (mint === jupiterPerpsService.JLP_MINT) {
+    return getJlpComposition();
+  }
+
+  if (mint === marinadeService.MSOL_TOKEN) {
+    const details = await marinadeService.getStakingDetails();
+    return buildLstComposition('marinade', marinadeService.MARINADE_STATE_ADDRESS, details.msolToSolRate);
+  }
+
+  if (mint === jitoService.JITOSOL_TOKEN) {
+    return getStakePoolComposition('jito', jitoService.JITO_STAKE_POOL_ADDRESS, mint);
+  }
+
+  const registryEntry = stakePoolRegistry.get(mint);
+  if (registryEntry) {
+    return getStakePoolComposition(registryEntry.platformId || registryEntry.id, registryEntry.stakePool, mint);
+  }
+
+  return undefined;
+}
+
+/**
+ * Résout la composition des tokens composites parmi une liste de mints
+ * Chaque composition donne, pour 1 token, la quantité de chaque actif sous-jacent
+ * et éventuellement un prix unitaire lu on-chain (AUM / offre)
+ * @param {Array<string>} mints - Adresses des tokens
+ * @returns {Promise<Object>} Compositions indexées par mint (les tokens ordinaires sont absents)
+ */
+async function getCompositions(mints) {
+  const compositions = {};
+  const unknownMints = [];
+
+  for (const mint of new Set(mints)) {
+    try {
+      const composition = await getKnownComposition(mint);
+      if (composition === undefined) {
+        unknownMints.push(mint);
+      } else if (composition) {
+        compositions[mint] = composition;
+      }
+    } catch (error) {
+      console.warn(`[TokenValuationService] Composition indisponible pour ${mint}: ${error.message}`);
+    }
+  }
+
+  if (unknownMints.length === 0) return compositions;
+
+  // Les tokens LP sont reconnus par leur autorité de mint
+  try {
+    const mintAccounts = await solanaWebService.getMultipleAccounts(unknownMints);
+
+    for (const mint of unknownMints) {
+      if (!raydiumService.isAmmLpMint(mintAccounts[mint])) continue;
+
+      try {
+        const composition = await getRaydiumLpComposition(mint, mintAccounts[mint]);
+        if (composition) {
+          compositions[mint] = composition;
+        }
+      } catch (error) {
+        console.warn(`[TokenValuationService] Composition du token LP ${mint} indisponible: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    console.warn(`[TokenValuationService] Détection des tokens LP impossible: ${error.message}`);
+  }
+
+  return compositions;
+}
+
+module.exports = {
+  getCompositions,
+  COMPOSITE_TYPES
+};
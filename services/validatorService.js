@@ -0,0 +1,283 @@
+/**
+ * Service pour récupérer les métadonnées et les performances des validateurs Solana
+ * Combine les comptes de vote, la production de blocs, les validator-info on-chain
+ * et les récompenses d'inflation des comptes de stake
+ */
+const { PublicKey } = require('@solana/web3.js');
+const solanaWebService = require('./solanaWebService');
+const cacheService = require('./cacheService');
+
+// Constantes
+const CONFIG_PROGRAM_ID = 'Config1111111111111111111111111111111111111';
+const SECONDS_PER_YEAR = 365.25 * 24 * 60 * 60;
+const DEFAULT_SLOT_DURATION_SECONDS = 0.4;
+
+// Durées de cache (en secondes)
+const VOTE_ACCOUNTS_TTL = 300; // 5 minutes
+const BLOCK_PRODUCTION_TTL = 300; // 5 minutes
+const VALIDATOR_INFO_TTL = 24 * 60 * 60; // 24 heures
+
+/**
+ * Récupère les comptes de vote (actifs et délinquants) indexés par adresse de vote
+ * @returns {Promise<Object>} Comptes de vote indexés par votePubkey
+ */
+async function getVoteAccounts() {
+  const cacheKey = 'validator_vote_accounts';
+  const cachedData = cacheService.get(cacheKey);
+  if (cachedData) return cachedData;
+
+  const { current, delinquent } = await solanaWebService.connection.getVoteAccounts();
+
+  const voteAccounts = {};
+  const addAccounts = (accounts, isDelinquent) => {
+    for (const account of accounts) {
+      voteAccounts[account.votePubkey] = {
+        votePubkey: account.votePubkey,
+        identity: account.nodePubkey,
+        commission: account.commission,
+        activatedStake: account.activatedStake / 1e9,
+        lastVote: account.lastVote,
+        epochCredits: account.epochCredits,
+        delinquent: isDelinquent
+      };
+    }
+  };
+  addAccounts(current, false);
+  addAccounts(delinquent, true);
+
+  cacheService.set(cacheKey, voteAccounts, VOTE_ACCOUNTS_TTL);
+  return voteAccounts;
+}
+
+/**
+ * Récupère la production de blocs de l'époque courante indexée par identité
+ * @returns {Promise<Object>} Slots de leader et blocs produits par identité
+ */
+async function getBlockProduction() {
+  const cacheKey = 'validator_block_production';
+  const cachedData = cacheService.get(cacheKey);
+  if (cachedData) return cachedData;
+
+  const blockProduction = await solanaWebService.connection.getBlockProduction();
+  const byIdentity = blockProduction.value.byIdentity || {};
+
+  cacheService.set(cacheKey, byIdentity, BLOCK_PRODUCTION_TTL);
+  return byIdentity;
+}
+
+/**
+ * Récupère les validator-info publiés on-chain (nom, icône, site) indexés par identité
+ * @returns {Promise<Object>} Métadonnées des validateurs par identité
+ */
+async function getValidatorInfos() {
+  const cacheKey = 'validator_infos';
+  const cachedData = cacheService.get(cacheKey);
+  if (cachedData) return cachedData;
+
+  const accounts = await solanaWebService.connection.getParsedProgramAccounts(new PublicKey(CONFIG_PROGRAM_ID));
+
+  const infos = {};
+  for (const { account } of accounts) {
+    const parsed = account.data?.parsed;
+    if (!parsed || parsed.type !== 'validatorInfo') continue;
+
+    // La deuxième clé (signataire) est l'identité du validateur
+    const identityKey = parsed.info.keys?.find(key => key.signer);
+    if (!identityKey) continue;
+
+    const configData = parsed.info.configData || {};
+    infos[identityKey.pubkey] = {
+      name: configData.name || null,
+      iconUrl: configData.iconUrl || null,
+      website: configData.website || null,
+      details: configData.details || null,
+      keybaseUsername: configData.keybaseUsername || null
+    };
+  }
+
+  cacheService.set(cacheKey, infos, VALIDATOR_INFO_TTL);
+  return infos;
+}
+
+/**
+ * Estime le nombre d'époques par an à partir de la durée moyenne récente des slots
+ * @returns {Promise<number>} Nombre d'époques par an
+ */
+async function getEpochsPerYear() {
+  const cacheKey = 'validator_epochs_per_year';
+  const cachedData = cacheService.get(cacheKey);
+  if (cachedData) return cachedData;
+
+  const connection = solanaWebService.connection;
+  const epochSchedule = await connection.getEpochSchedule();
+
+  let slotDuration = DEFAULT_SLOT_DURATION_SECONDS;
+  try {
+    const samples = await connection.getRecentPerformanceSamples(60);
+    const totalSlots = samples.reduce((sum, sample) => sum + sample.numSlots, 0);
+    const totalSeconds = samples.reduce((sum, sample) => sum + sample.samplePeriodSecs, 0);
+    if (totalSlots > 0) {
+      slotDuration = totalSeconds / totalSlots;
+    }
+  } catch (error) {
+    console.warn(`[ValidatorService] Durée des slots indisponible, utilisation de ${DEFAULT_SLOT_DURATION_SECONDS}s: ${error.message}`);
+  }
+
+  const epochsPerYear = SECONDS_PER_YEAR / (epochSchedule.slotsPerEpoch * slotDuration);
+  cacheService.set(cacheKey, epochsPerYear, VOTE_ACCOUNTS_TTL);
+  return epochsPerYear;
+}
+
+/**
+ * Estime le rendement annuel de l'inflation pour le SOL staké (avant commission des validateurs)
+ * rendement = inflation des validateurs * offre totale / stake actif total
+ * @returns {Promise<number|null>} Rendement annuel (0.07 = 7%)
+ */
+async function getNetworkStakingApy() {
+  const cacheKey = 'validator_network_staking_apy';
+  const cachedData = cacheService.get(cacheKey);
+  if (cachedData) return cachedData;
+
+  const connection = solanaWebService.connection;
+  const [inflationRate, supply, voteAccounts] = await Promise.all([
+    connection.getInflationRate(),
+    connection.getSupply({ excludeNonCirculatingAccountsList: true }),
+    getVoteAccounts()
+  ]);
+
+  const totalActiveStake = Object.values(voteAccounts).reduce((sum, account) => sum + account.activatedStake, 0);
+  if (totalActiveStake === 0) return null;
+
+  const totalSupply = supply.value.total / 1e9;
+  const stakingApy = inflationRate.validator * totalSupply / totalActiveStake;
+
+  cacheService.set(cacheKey, stakingApy, VALIDATOR_INFO_TTL);
+  return stakingApy;
+}
+
+/**
+ * Calcule le taux de slots manqués d'un validateur sur l'époque courante
+ * @param {Array<number>|undefined} production - [slots de leader, blocs produits]
+ * @returns {number|null} Taux de skip (0 à 1) ou null si pas de slots de leader
+ */
+function computeSkipRate(production) {
+  if (!production) return null;
+  const [leaderSlots, blocksProduced] = production;
+  return leaderSlots > 0 ? 1 - blocksProduced / leaderSlots : null;
+}
+
+/**
+ * Récupère les métadonnées et performances de plusieurs validateurs
+ * @param {Array<string>} votePubkeys - Adresses des comptes de vote
+ * @returns {Promise<Object>} Informations des validateurs indexées par votePubkey
+ */
+async function getValidatorsInfo(votePubkeys) {
+  try {
+    const [voteAccounts, blockProduction, validatorInfos] = await Promise.all([
+      getVoteAccounts(),
+      getBlockProduction().catch(error => {
+        console.warn(`[ValidatorService] Production de blocs indisponible: ${error.message}`);
+        return {};
+      }),
+      getValidatorInfos().catch(error => {
+        console.warn(`[ValidatorService] Validator-info indisponibles: ${error.message}`);
+        return {};
+      })
+    ]);
+
+    const results = {};
+    for (const votePubkey of votePubkeys) {
+      const voteAccount = voteAccounts[votePubkey];
+      if (!voteAccount) {
+        // Compte de vote inconnu : validateur fermé ou hors du set actif
+        results[votePubkey] = null;
+        continue;
+      }
+
+      const info = validatorInfos[voteAccount.identity] || {};
+      results[votePubkey] = {
+        votePubkey,
+        identity: voteAccount.identity,
+        name: info.name,
+        iconUrl: info.iconUrl,
+        website: info.website,
+        commission: voteAccount.commission,
+        activatedStake: voteAccount.activatedStake,
+        delinquent: voteAccount.delinquent,
+        skipRate: computeSkipRate(blockProduction[voteAccount.identity]),
+        lastVote: voteAccount.lastVote
+      };
+    }
+
+    return results;
+  } catch (error) {
+    console.error(`[ValidatorService] Erreur lors de la récupération des validateurs: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Récupère les récompenses d'inflation de la dernière époque terminée pour des comptes de stake
+ * @param {Array<string>} stakeAddresses - Adresses des comptes de stake
+ * @returns {Promise<Object>} Récompenses indexées par adresse (epoch, lamports, postBalance, commission)
+ */
+async function getLastEpochRewards(stakeAddresses) {
+  try {
+    if (stakeAddresses.length === 0) return {};
+
+    const connection = solanaWebService.connection;
+    const { epoch } = await connection.getEpochInfo();
+    const lastEpoch = epoch - 1;
+
+    const rewards = {};
+    const chunkSize = 100;
+    for (let i = 0; i < stakeAddresses.length; i += chunkSize) {
+      const chunk = stakeAddresses.slice(i, i + chunkSize);
+      const results = await connection.getInflationReward(chunk.map(address => new PublicKey(address)), lastEpoch);
+
+      results.forEach((reward, index) => {
+        rewards[chunk[index]] = reward ? {
+          epoch: reward.epoch,
+          lamports: reward.amount,
+          postBalance: reward.postBalance,
+          commission: reward.commission ?? null
+        } : null;
+      });
+    }
+
+    return rewards;
+  } catch (error) {
+    console.error(`[ValidatorService] Erreur lors de la récupération des récompenses: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Calcule l'APY annualisé à partir des récompenses d'une époque
+ * @param {Array<Object>} rewards - Récompenses de la même époque (lamports, postBalance)
+ * @param {number} epochsPerYear - Nombre d'époques par an
+ * @returns {number|null} APY (0.07 = 7%) ou null si aucune récompense
+ */
+function computeApyFromRewards(rewards, epochsPerYear) {
+  const validRewards = rewards.filter(Boolean);
+  if (validRewards.length === 0) return null;
+
+  const earned = validRewards.reduce((sum, reward) => sum + reward.lamports, 0);
+  const principal = validRewards.reduce((sum, reward) => sum + (reward.postBalance - reward.lamports), 0);
+  if (principal <= 0) return null;
+
+  return Math.pow(1 + earned / principal, epochsPerYear) - 1;
+}
+
+module.exports = {
+  getVoteAccounts,
+  getBlockProduction,
+  getValidatorInfos,
+  getValidatorsInfo,
+  getLastEpochRewards,
+  getEpochsPerYear,
+  getNetworkStakingApy,
+  computeSkipRate,
+  computeApyFromRewards,
+  CONFIG_PROGRAM_ID
+};
@@ -0,0 +1,160 @@
+/**
+ * Tests des calculs de liquidité concentrée (utils/clmmUtils.js)
+ * Les montants attendus sont écrits à partir des formules de Uniswap v3 pour une fourchette [-100, 100]
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  Q64,
+  sqrtPriceX64ToNumber,
+  tickToSqrtPrice,
+  sqrtPriceToPrice,
+  getAmountsFromLiquidity,
+  wrappingSubU128,
+  computeGrowthInside,
+  computeAccruedAmount
+} = require('../utils/clmmUtils');
+
+const U128_MAX = 2n ** 128n - 1n;
+const LIQUIDITY = 1000000n;
+const SQRT_LOWER = Math.pow(1.0001, -50);
+const SQRT_UPPER = Math.pow(1.0001, 50);
+
+/**
+ * Vérifie l'égalité de deux nombres à une précision relative près
+ * @param {number} actual
+ * @param {number} expected
+ */
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * 1e-9, `${actual} ≠ ${expected}`);
+}
+
+describe('conversions de prix', () => {
+  test('convertit un prix racine Q64.64', () => {
+    assert.equal(sqrtPriceX64ToNumber(Q64 * 2n), 2);
+    assert.equal(sqrtPriceX64ToNumber(Q64 / 2n), 0.5);
+  });
+
+  test('calcule le prix racine d\'un tick en base 1.0001', () => {
+    assert.equal(tickToSqrtPrice(0), 1);
+    assertClose(tickToSqrtPrice(100), SQRT_UPPER);
+    assertClose(tickToSqrtPrice(-100), SQRT_LOWER);
+  });
+
+  test('ajuste le prix des décimales des deux tokens', () => {
+    // SOL (9 décimales) / USDC (6 décimales) : 0.15 unité brute de USDC par lamport = 150 USDC par SOL
+    assertClose(sqrtPriceToPrice(Math.sqrt(0.15), 9, 6), 150);
+  });
+});
+
+describe('getAmountsFromLiquidity', () => {
+  const cases = [
+    {
+      name: 'prix sous la fourchette : uniquement du token A',
+      sqrtPrice: 0.9,
+      expected: { amountA: 1e6 * (1 / SQRT_LOWER - 1 / SQRT_UPPER), amountB: 0 }
+    },
+    {
+      name: 'prix égal à la borne inférieure : uniquement du token A',
+      sqrtPrice: SQRT_LOWER,
+      expected: { amountA: 1e6 * (1 / SQRT_LOWER - 1 / SQRT_UPPER), amountB: 0 }
+    },
+    {
+      name: 'prix au centre de la fourchette : les deux tokens',
+      sqrtPrice: 1,
+      expected: { amountA: 1e6 * (1 - 1 / SQRT_UPPER), amountB: 1e6 * (1 - SQRT_LOWER) }
+    },
+    {
+      name: 'prix au-dessus de la fourchette : uniquement du token B',
+      sqrtPrice: 1.1,
+      expected: { amountA: 0, amountB: 1e6 * (SQRT_UPPER - SQRT_LOWER) }
+    },
+    {
+      name: 'prix égal à la borne supérieure : uniquement du token B',
+      sqrtPrice: SQRT_UPPER,
+      expected: { amountA: 0, amountB: 1e6 * (SQRT_UPPER - SQRT_LOWER) }
+    }
+  ];
+
+  for (const testCase of cases) {
+    test(testCase.name, () => {
+      const amounts = getAmountsFromLiquidity(LIQUIDITY, testCase.sqrtPrice, -100, 100);
+
+      assertClose(amounts.amountA, testCase.expected.amountA);
+      assertClose(amounts.amountB, testCase.expected.amountB);
+    });
+  }
+});
+
+describe('wrappingSubU128', () => {
+  const cases = [
+    { name: 'soustraction sans débordement', a: 500n, b: 200n, expected: 300n },
+    { name: 'résultat négatif ramené modulo 2^128', a: 100n, b: 300n, expected: 2n ** 128n - 200n },
+    { name: 'compteur repassé par zéro', a: 50n, b: U128_MAX - 49n, expected: 100n }
+  ];
+
+  for (const testCase of cases) {
+    test(testCase.name, () => {
+      assert.equal(wrappingSubU128(testCase.a, testCase.b), testCase.expected);
+    });
+  }
+});
+
+describe('computeGrowthInside', () => {
+  const cases = [
+    {
+      name: 'tick courant dans la fourchette',
+      tickCurrent: 0, growthGlobal: 1000n, lowerOutside: 100n, upperOutside: 200n, expected: 700n
+    },
+    {
+      name: 'tick courant égal au tick inférieur (dans la fourchette)',
+      tickCurrent: -10, growthGlobal: 1000n, lowerOutside: 100n, upperOutside: 200n, expected: 700n
+    },
+    {
+      name: 'tick courant sous la fourchette',
+      tickCurrent: -20, growthGlobal: 1000n, lowerOutside: 300n, upperOutside: 100n, expected: 200n
+    },
+    {
+      name: 'tick courant égal au tick supérieur (hors fourchette)',
+      tickCurrent: 10, growthGlobal: 1000n, lowerOutside: 100n, upperOutside: 300n, expected: 200n
+    },
+    {
+      name: 'tick courant au-dessus de la fourchette',
+      tickCurrent: 20, growthGlobal: 1000n, lowerOutside: 100n, upperOutside: 300n, expected: 200n
+    },
+    {
+      name: 'croissance globale repassée par zéro',
+      tickCurrent: 0, growthGlobal: 50n, lowerOutside: U128_MAX - 99n, upperOutside: 20n, expected: 130n
+    },
+    {
+      name: 'croissance extérieure supérieure à la croissance globale',
+      tickCurrent: 0, growthGlobal: 100n, lowerOutside: 80n, upperOutside: 40n, expected: 2n ** 128n - 20n
+    }
+  ];
+
+  for (const testCase of cases) {
+    test(testCase.name, () => {
+      const growthInside = computeGrowthInside(
+        testCase.tickCurrent, -10, 10,
+        testCase.growthGlobal, testCase.lowerOutside, testCase.upperOutside
+      );
+
+      assert.equal(growthInside, testCase.expected);
+    });
+  }
+});
+
+describe('computeAccruedAmount', () => {
+  const cases = [
+    { name: 'croissance depuis le checkpoint', growthInside: 3n * Q64, checkpoint: Q64, liquidity: 1000n, expected: 2000n },
+    { name: 'croissance inchangée', growthInside: Q64, checkpoint: Q64, liquidity: 1000n, expected: 0n },
+    { name: 'croissance repassée par zéro depuis le checkpoint', growthInside: 5n * Q64, checkpoint: 2n ** 128n - Q64, liquidity: 1000n, expected: 6000n },
+    { name: 'montant tronqué à l\'unité inférieure', growthInside: Q64 / 2n, checkpoint: 0n, liquidity: 3n, expected: 1n }
+  ];
+
+  for (const testCase of cases) {
+    test(testCase.name, () => {
+      assert.equal(computeAccruedAmount(testCase.growthInside, testCase.checkpoint, testCase.liquidity), testCase.expected);
+    });
+  }
+});
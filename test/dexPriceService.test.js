@@ -0,0 +1,74 @@
+/**
+ * Tests des limites de recherche du fournisseur de prix on-chain (services/dexPriceService.js)
+ * Les getProgramAccounts sont simulés : aucun pool n'est trouvé
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const dexPriceService = require('../services/dexPriceService');
+const solanaWebService = require('../services/solanaWebService');
+const raydiumService = require('../services/raydiumService');
+const meteoraService = require('../services/meteoraService');
+
+/**
+ * Génère une adresse de token fictive propre au test
+ * @param {string} prefix - Préfixe distinguant le test
+ * @param {number} index - Numéro du token
+ * @returns {string}
+ */
+function fakeMint(prefix, index) {
+  return `${prefix}${index}`.padEnd(44, '1');
+}
+
+describe('dexPriceService', () => {
+  test('filtre les recherches par taille de compte sur chaque DEX', async (t) => {
+    const getProgramAccounts = t.mock.method(solanaWebService, 'getProgramAccounts', async () => []);
+
+    await dexPriceService.getTokenPriceByMint(fakeMint('Size', 0));
+
+    assert.equal(getProgramAccounts.mock.callCount(), 8);
+    for (const call of getProgramAccounts.mock.calls) {
+      assert.ok(call.arguments[1].some(filter => filter.dataSize > 0), `${call.arguments[0]} sans filtre dataSize`);
+    }
+
+    const sizesByProgram = Object.fromEntries(getProgramAccounts.mock.calls.map(call =>
+      [call.arguments[0], call.arguments[1].find(filter => filter.dataSize).dataSize]
+    ));
+    assert.equal(sizesByProgram[raydiumService.RAYDIUM_CLMM_PROGRAM_ID], raydiumService.CLMM_POOL_LAYOUT.SIZE);
+    assert.equal(sizesByProgram[meteoraService.METEORA_DLMM_PROGRAM_ID], meteoraService.LB_PAIR_LAYOUT.SIZE);
+  });
+
+  test('ne recherche plus un token sans pool pendant la durée du cache négatif', async (t) => {
+    const getProgramAccounts = t.mock.method(solanaWebService, 'getProgramAccounts', async () => []);
+    const mint = fakeMint('Miss', 0);
+
+    assert.equal(await dexPriceService.getTokenPriceByMint(mint), null);
+    assert.equal(await dexPriceService.getTokenPriceByMint(mint), null);
+
+    assert.equal(getProgramAccounts.mock.callCount(), 8);
+    assert.equal(await dexPriceService.isTokenSupported(mint), false);
+  });
+
+  test('ne met pas en cache une recherche interrompue par une erreur RPC', async (t) => {
+    let calls = 0;
+    t.mock.method(solanaWebService, 'getProgramAccounts', async () => {
+      calls++;
+      if (calls === 1) throw new Error('429 Too Many Requests');
+      return [];
+    });
+    const mint = fakeMint('Fail', 0);
+
+    assert.equal(await dexPriceService.getTokenPriceByMint(mint), null);
+
+    assert.equal(await dexPriceService.isTokenSupported(mint), true);
+  });
+
+  test('limite le nombre de tokens recherchés par appel groupé', async (t) => {
+    const getProgramAccounts = t.mock.method(solanaWebService, 'getProgramAccounts', async () => []);
+    const mints = Array.from({ length: 25 }, (_, index) => fakeMint('Batch', index));
+
+    const prices = await dexPriceService.getTokenPricesByMint(mints);
+
+    assert.deepEqual(prices, {});
+    assert.equal(getProgramAccounts.mock.callCount(), 10 * 8);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests des métriques de position Jupiter Perps (services/jupiterPerpsService.js) :
+ * PnL latent, levier, prix de liquidation et frais d'emprunt
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { computePositionMetrics, computeBorrowFeeUsd } = require('../services/jupiterPerpsService');
+
+/**
+ * Vérifie l'égalité de deux nombres (ou null) à une précision relative près
+ * @param {number|null} actual
+ * @param {number|null} expected
+ */
+function assertClose(actual, expected) {
+  if (expected === null) {
+    assert.equal(actual, null);
+    return;
+  }
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * 1e-9 + 1e-12, `${actual} ≠ ${expected}`);
+}
+
+/**
+ * Position de 1000 USD ouverte à 100 avec 100 USD de collatéral (levier maximal 100x)
+ * @param {Object} overrides - Champs remplacés
+ * @returns {Object}
+ */
+function position(overrides) {
+  return { side: 'long', entryPrice: 100, sizeUsd: 1000, collateralUsd: 100, borrowFeeUsd: 0, maxLeverage: 100, ...overrides };
+}
+
+describe('computePositionMetrics', () => {
+  // Marge de maintenance : 1000 / 100 = 10 USD ; marge disponible avant liquidation : 100 - 10 = 90 USD, soit 9 % du prix d'entrée
+  const cases = [
+    {
+      name: 'long en gain',
+      position: position({}),
+      markPrice: 110,
+      expected: { pnlUsd: 100, pnlPercent: 100, equityUsd: 200, leverage: 5, liquidationPrice: 91 }
+    },
+    {
+      name: 'long en perte',
+      position: position({}),
+      markPrice: 95,
+      expected: { pnlUsd: -50, pnlPercent: -50, equityUsd: 50, leverage: 20, liquidationPrice: 91 }
+    },
+    {
+      name: 'short en gain',
+      position: position({ side: 'short' }),
+      markPrice: 90,
+      expected: { pnlUsd: 100, pnlPercent: 100, equityUsd: 200, leverage: 5, liquidationPrice: 109 }
+    },
+    {
+      name: 'short en perte au-delà du collatéral',
+      position: position({ side: 'short' }),
+      markPrice: 115,
+      expected: { pnlUsd: -150, pnlPercent: -150, equityUsd: 0, leverage: null, liquidationPrice: 109 }
+    },
+    {
+      name: 'frais d\'emprunt déduits de la marge (long)',
+      position: position({ borrowFeeUsd: 10 }),
+      markPrice: 100,
+      expected: { pnlUsd: 0, pnlPercent: 0, equityUsd: 90, leverage: 1000 / 90, liquidationPrice: 92 }
+    },
+    {
+      name: 'frais d\'emprunt déduits de la marge (short)',
+      position: position({ side: 'short', borrowFeeUsd: 10 }),
+      markPrice: 100,
+      expected: { pnlUsd: 0, pnlPercent: 0, equityUsd: 90, leverage: 1000 / 90, liquidationPrice: 108 }
+    },
+    {
+      name: 'long sur-collatéralisé : prix de liquidation borné à zéro',
+      position: position({ collateralUsd: 2000 }),
+      markPrice: 100,
+      expected: { pnlUsd: 0, pnlPercent: 0, equityUsd: 2000, leverage: 0.5, liquidationPrice: 0 }
+    },
+    {
+      name: 'sans prix courant : ni PnL ni pourcentage',
+      position: position({}),
+      markPrice: 0,
+      expected: { pnlUsd: null, pnlPercent: null, equityUsd: 100, leverage: 10, liquidationPrice: 91 }
+    },
+    {
+      name: 'sans levier maximal connu : pas de prix de liquidation',
+      position: position({ maxLeverage: 0 }),
+      markPrice: 100,
+      expected: { pnlUsd: 0, pnlPercent: 0, equityUsd: 100, leverage: 10, liquidationPrice: null }
+    }
+  ];
+
+  for (const testCase of cases) {
+    test(testCase.name, () => {
+      const metrics = computePositionMetrics(testCase.position, testCase.markPrice);
+
+      for (const [field, expected] of Object.entries(testCase.expected)) {
+        assertClose(metrics[field], expected);
+      }
+    });
+  }
+});
+
+describe('computeBorrowFeeUsd', () => {
+  // Taux cumulés en base 1e9, taille en USD à 6 décimales
+  const cases = [
+    { name: 'intérêts accumulés depuis le snapshot', snapshot: 1000000n, rate: 1500000n, expected: 0.5 },
+    { name: 'aucun intérêt depuis le snapshot', snapshot: 1500000n, rate: 1500000n, expected: 0 },
+    { name: 'snapshot postérieur au taux de la custody', snapshot: 2000000n, rate: 1500000n, expected: 0 }
+  ];
+
+  for (const testCase of cases) {
+    test(testCase.name, () => {
+      const fee = computeBorrowFeeUsd(
+        { sizeUsd: 1000000000n, cumulativeInterestSnapshot: testCase.snapshot },
+        { cumulativeInterestRate: testCase.rate }
+      );
+
+      assertClose(fee, testCase.expected);
+    });
+  }
+});
@@ -0,0 +1,55 @@
+/**
+ * Tests de la récupération groupée des prix Jupiter (services/jupiterService.js)
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const jupiterService = require('../services/jupiterService');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const UNLISTED_MINT = '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin';
+
+describe('getTokenPrices', () => {
+  test('interroge l\'API de prix v3 et lit usdPrice par mint', async (t) => {
+    const get = t.mock.method(axios, 'get', async () => ({
+      data: {
+        [SOL_MINT]: { usdPrice: 152.3, blockId: 348004023, decimals: 9, priceChange24h: 1.2 },
+        [USDC_MINT]: { usdPrice: 0.9999, blockId: 348004023, decimals: 6, priceChange24h: 0 }
+      }
+    }));
+
+    const prices = await jupiterService.getTokenPrices([SOL_MINT, USDC_MINT, UNLISTED_MINT]);
+
+    assert.equal(get.mock.callCount(), 1);
+    assert.equal(get.mock.calls[0].arguments[0], 'https://lite-api.jup.ag/price/v3');
+    assert.equal(get.mock.calls[0].arguments[1].params.ids, [SOL_MINT, USDC_MINT, UNLISTED_MINT].join(','));
+    assert.deepEqual(prices, {
+      [SOL_MINT]: { mint: SOL_MINT, price: 152.3, priceUsd: 152.3, source: 'jupiter' },
+      [USDC_MINT]: { mint: USDC_MINT, price: 0.9999, priceUsd: 0.9999, source: 'jupiter' }
+    });
+  });
+
+  test('découpe les demandes par lots de 50 tokens', async (t) => {
+    const get = t.mock.method(axios, 'get', async () => ({ data: {} }));
+    const mints = Array.from({ length: 120 }, (_, index) => `mint${index}`);
+
+    await jupiterService.getTokenPrices(mints);
+
+    assert.deepEqual(get.mock.calls.map(call => call.arguments[1].params.ids.split(',').length), [50, 50, 20]);
+  });
+
+  test('ignore un lot en erreur sans interrompre les suivants', async (t) => {
+    let calls = 0;
+    t.mock.method(axios, 'get', async () => {
+      calls++;
+      if (calls === 1) throw new Error('Request failed with status code 429');
+      return { data: { mint50: { usdPrice: 2 } } };
+    });
+    const mints = Array.from({ length: 51 }, (_, index) => `mint${index}`);
+
+    const prices = await jupiterService.getTokenPrices(mints);
+
+    assert.deepEqual(Object.keys(prices), ['mint50']);
+  });
+});
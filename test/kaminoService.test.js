@@ -0,0 +1,197 @@
+/**
+ * Tests du décodage des obligations et reserves KLend (services/kaminoService.js)
+ * Les fixtures sont des comptes KLend au format RPC (adresse, programme, données base64), encodés
+ * champ par champ selon l'IDL publié du programme (klend 1.22.0) et non selon les offsets du service :
+ * une obligation du marché principal avec 10 SOL déposés (1500 USD) et 600 USDC empruntés,
+ * et les reserves SOL et USDC de ce marché
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const kaminoService = require('../services/kaminoService');
+const solanaWebService = require('../services/solanaWebService');
+const tokenMetadataService = require('../services/tokenMetadataService');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+/**
+ * Charge une fixture de compte KLend
+ * @param {string} name - Nom du fichier dans test/fixtures/kamino
+ * @returns {Object} - { address, owner, data: Buffer }
+ */
+function loadAccount(name) {
+  const account = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/kamino', name), 'utf8'));
+  return { ...account, data: Buffer.from(account.data, 'base64') };
+}
+
+const obligationAccount = loadAccount('obligation.json');
+const solReserveAccount = loadAccount('reserve-sol.json');
+const usdcReserveAccount = loadAccount('reserve-usdc.json');
+
+const reserves = {
+  [solReserveAccount.address]: kaminoService.decodeReserve(solReserveAccount.data),
+  [usdcReserveAccount.address]: kaminoService.decodeReserve(usdcReserveAccount.data)
+};
+
+/**
+ * Discriminateur Anchor d'un type de compte
+ * @param {string} accountName - Nom du compte dans l'IDL
+ * @returns {Buffer}
+ */
+function accountDiscriminator(accountName) {
+  return crypto.createHash('sha256').update(`account:${accountName}`).digest().subarray(0, 8);
+}
+
+describe('fixtures', () => {
+  test('portent le discriminateur et la taille des comptes KLend', () => {
+    assert.ok(obligationAccount.data.subarray(0, 8).equals(accountDiscriminator('Obligation')));
+    assert.equal(obligationAccount.data.length, 3344);
+    for (const reserveAccount of [solReserveAccount, usdcReserveAccount]) {
+      assert.ok(reserveAccount.data.subarray(0, 8).equals(accountDiscriminator('Reserve')));
+      assert.equal(reserveAccount.data.length, 8624);
+    }
+  });
+});
+
+describe('decodeObligation', () => {
+  const obligation = kaminoService.decodeObligation(obligationAccount.data);
+
+  test('décode le marché et le propriétaire', () => {
+    assert.equal(obligation.lendingMarket, '7u3HeHxYDLhnCoErrtycNokbQYbWGzLs6JSDqGAv5PfF');
+    assert.equal(obligation.owner, 'FuRS2oiXnGvwabV7JYjBU1VQCa6aida7LDybt91xy1YH');
+  });
+
+  test('ignore les emplacements vides et décode les dépôts', () => {
+    assert.equal(obligation.deposits.length, 1);
+    assert.equal(obligation.deposits[0].reserve, solReserveAccount.address);
+    assert.equal(obligation.deposits[0].depositedAmount, 9500000000n);
+    assert.equal(obligation.deposits[0].marketValueUsd, 1500);
+  });
+
+  test('décode les emprunts', () => {
+    assert.equal(obligation.borrows.length, 1);
+    assert.equal(obligation.borrows[0].reserve, usdcReserveAccount.address);
+    assert.equal(obligation.borrows[0].marketValueUsd, 600);
+  });
+
+  test('décode les valeurs agrégées du compte', () => {
+    assert.equal(obligation.depositedValueUsd, 1500);
+    assert.equal(obligation.borrowFactorAdjustedDebtValueUsd, 600);
+    assert.equal(obligation.allowedBorrowValueUsd, 1110);
+    assert.equal(obligation.unhealthyBorrowValueUsd, 1200);
+  });
+});
+
+describe('decodeReserve', () => {
+  test('décode la reserve SOL', () => {
+    const reserve = reserves[solReserveAccount.address];
+
+    assert.equal(reserve.liquidityMint, SOL_MINT);
+    assert.equal(reserve.decimals, 9);
+    assert.equal(reserve.marketPriceUsd, 150);
+    assert.equal(reserve.utilization, 0.2);
+    assert.equal(reserve.collateralExchangeRate, 1e15 / 9.5e14);
+    assert.equal(reserve.loanToValue, 0.74);
+    assert.equal(reserve.liquidationThreshold, 0.8);
+  });
+
+  test('décode la reserve USDC (non utilisable comme collatéral)', () => {
+    const reserve = reserves[usdcReserveAccount.address];
+
+    assert.equal(reserve.liquidityMint, USDC_MINT);
+    assert.equal(reserve.decimals, 6);
+    assert.equal(reserve.utilization, 0.5);
+    assert.equal(reserve.loanToValue, 0);
+  });
+});
+
+describe('computeObligationRisk', () => {
+  test('calcule le health factor et les LTV', () => {
+    const risk = kaminoService.computeObligationRisk(kaminoService.decodeObligation(obligationAccount.data));
+
+    assert.equal(risk.healthFactor, 2);
+    assert.equal(risk.ltv, 0.4);
+    assert.equal(risk.maxLtv, 0.74);
+    assert.equal(risk.liquidationLtv, 0.8);
+  });
+
+  test('représente un compte sans dette par un health factor null', () => {
+    const risk = kaminoService.computeObligationRisk({
+      depositedValueUsd: 1500,
+      borrowFactorAdjustedDebtValueUsd: 0,
+      allowedBorrowValueUsd: 1110,
+      unhealthyBorrowValueUsd: 1200
+    });
+
+    assert.equal(risk.healthFactor, null);
+    assert.equal(risk.ltv, 0);
+  });
+});
+
+describe('buildLendingPositions', () => {
+  const obligation = kaminoService.decodeObligation(obligationAccount.data);
+  const positions = kaminoService.buildLendingPositions(obligationAccount.address, obligation, reserves, {
+    [SOL_MINT]: { symbol: 'SOL', name: 'Wrapped SOL' }
+  });
+  const deposit = positions.find(position => position.isDeposit);
+  const borrow = positions.find(position => !position.isDeposit);
+
+  test('convertit les cTokens déposés en tokens sous-jacents', () => {
+    assert.equal(deposit.tokenMint, SOL_MINT);
+    assert.equal(deposit.tokenSymbol, 'SOL');
+    assert.equal(deposit.amount, 10);
+    assert.equal(deposit.marketValueUsd, 1500);
+    assert.equal(deposit.isCollateral, true);
+  });
+
+  test('actualise la dette avec le taux d\'emprunt cumulé de la reserve', () => {
+    assert.equal(borrow.tokenMint, USDC_MINT);
+    assert.equal(borrow.tokenSymbol, 'Unknown');
+    assert.equal(borrow.amount, 600);
+    assert.equal(borrow.isCollateral, false);
+  });
+
+  test('reporte le risque du compte sur chaque position', () => {
+    for (const position of positions) {
+      assert.equal(position.healthFactor, 2);
+      assert.equal(position.isLiquidating, false);
+      assert.equal(position.ltv, 0.4);
+      assert.equal(position.liquidationLtv, 0.8);
+    }
+  });
+});
+
+describe('getLendingPositions', () => {
+  test('décode les obligations du propriétaire et charge chaque reserve une seule fois', async (t) => {
+    const secondObligation = { ...obligationAccount, address: '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin' };
+    const accountsByAddress = {
+      [solReserveAccount.address]: solReserveAccount,
+      [usdcReserveAccount.address]: usdcReserveAccount
+    };
+
+    t.mock.method(solanaWebService, 'getProgramAccounts', async () => [obligationAccount, secondObligation]);
+    const getMultipleAccounts = t.mock.method(solanaWebService, 'getMultipleAccounts', async (addresses) =>
+      Object.fromEntries(addresses.map(address => [address, accountsByAddress[address] || null]))
+    );
+    t.mock.method(tokenMetadataService, 'getTokenMetadata', async (mint) =>
+      ({ symbol: mint === SOL_MINT ? 'SOL' : 'USDC', name: mint })
+    );
+
+    const positions = await kaminoService.getLendingPositions('FuRS2oiXnGvwabV7JYjBU1VQCa6aida7LDybt91xy1YH');
+
+    assert.equal(getMultipleAccounts.mock.callCount(), 1);
+    assert.deepEqual(getMultipleAccounts.mock.calls[0].arguments[0].sort(),
+      [solReserveAccount.address, usdcReserveAccount.address].sort());
+    assert.equal(positions.length, 4);
+    assert.deepEqual(positions.map(position => position.tokenSymbol), ['SOL', 'USDC', 'SOL', 'USDC']);
+  });
+
+  test('retourne une liste vide sans obligation', async (t) => {
+    t.mock.method(solanaWebService, 'getProgramAccounts', async () => []);
+
+    assert.deepEqual(await kaminoService.getLendingPositions('FuRS2oiXnGvwabV7JYjBU1VQCa6aida7LDybt91xy1YH'), []);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests des utilitaires de lending (utils/lendingUtils.js) :
+ * indicateurs de risque d'un compte et signe des éléments de dépôt et d'emprunt
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeLendingRisk, formatLendingElement } = require('../utils/lendingUtils');
+
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+describe('computeLendingRisk', () => {
+  const cases = [
+    {
+      name: 'compte emprunteur sain',
+      values: { collateralUsd: 1000, debtUsd: 400, allowedBorrowUsd: 750, unhealthyBorrowUsd: 800 },
+      expected: { healthFactor: 2, ltv: 0.4, maxLtv: 0.75, liquidationLtv: 0.8 }
+    },
+    {
+      name: 'compte liquidable (dette au-delà du seuil de maintenance)',
+      values: { collateralUsd: 1000, debtUsd: 1000, allowedBorrowUsd: 750, unhealthyBorrowUsd: 800 },
+      expected: { healthFactor: 0.8, ltv: 1, maxLtv: 0.75, liquidationLtv: 0.8 }
+    },
+    {
+      name: 'sans dette : health factor infini représenté par null',
+      values: { collateralUsd: 1000, debtUsd: 0, allowedBorrowUsd: 750, unhealthyBorrowUsd: 800 },
+      expected: { healthFactor: null, ltv: 0, maxLtv: 0.75, liquidationLtv: 0.8 }
+    },
+    {
+      name: 'compte vide',
+      values: { collateralUsd: 0, debtUsd: 0, allowedBorrowUsd: 0, unhealthyBorrowUsd: 0 },
+      expected: { healthFactor: null, ltv: 0, maxLtv: 0, liquidationLtv: 0 }
+    },
+    {
+      name: 'dette sans collatéral',
+      values: { collateralUsd: 0, debtUsd: 50, allowedBorrowUsd: 0, unhealthyBorrowUsd: 0 },
+      expected: { healthFactor: 0, ltv: 0, maxLtv: 0, liquidationLtv: 0 }
+    }
+  ];
+
+  for (const testCase of cases) {
+    test(testCase.name, () => {
+      assert.deepEqual(computeLendingRisk(testCase.values), testCase.expected);
+    });
+  }
+});
+
+describe('formatLendingElement', () => {
+  const fetcher = { networkId: 'solana', platformId: 'kamino' };
+  const protocol = { name: 'Kamino', tag: 'kamino-lending', programId: 'KLend2g3cP87fffoy8q1mQqGKjrxjC8boSyAYavgmjD', link: 'https://app.kamino.finance' };
+
+  const cases = [
+    { name: 'un dépôt compte positivement', isDeposit: true, expectedType: 'lending-deposit', expectedValue: 200 },
+    { name: 'un emprunt est une dette et compte négativement', isDeposit: false, expectedType: 'lending-borrow', expectedValue: -200 }
+  ];
+
+  for (const testCase of cases) {
+    test(testCase.name, () => {
+      const element = formatLendingElement(fetcher, {
+        address: 'obligation',
+        isDeposit: testCase.isDeposit,
+        tokenMint: USDC_MINT,
+        tokenSymbol: 'USDC',
+        amount: 200,
+        decimals: 6,
+        healthFactor: null
+      }, 1, protocol);
+
+      assert.equal(element.type, testCase.expectedType);
+      assert.equal(element.value.amount, testCase.expectedValue);
+      assert.equal(element.baseTokens[0].value.amount, 200);
+      assert.equal(element.attributes.healthFactor, null);
+    });
+  }
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests des calculs de bins DLMM et des vaults Meteora (services/meteoraService.js)
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getBinArrayIndex,
+  getBinPrice,
+  computeBinShare,
+  getVaultUnlockedAmount
+} = require('../services/meteoraService');
+
+const Q64 = 2n ** 64n;
+
+/**
+ * Vérifie l'égalité de deux nombres à une précision relative près
+ * @param {number} actual
+ * @param {number} expected
+ */
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * 1e-9, `${actual} ≠ ${expected}`);
+}
+
+describe('getBinArrayIndex', () => {
+  // Un BinArray contient 70 bins
+  const cases = [
+    { binId: 0, expected: 0 },
+    { binId: 69, expected: 0 },
+    { binId: 70, expected: 1 },
+    { binId: -1, expected: -1 },
+    { binId: -70, expected: -1 },
+    { binId: -71, expected: -2 }
+  ];
+
+  for (const testCase of cases) {
+    test(`bin ${testCase.binId} -> BinArray ${testCase.expected}`, () => {
+      assert.equal(getBinArrayIndex(testCase.binId), testCase.expected);
+    });
+  }
+});
+
+describe('getBinPrice', () => {
+  const cases = [
+    { name: 'bin 0 : prix 1 ajusté des décimales', binId: 0, binStep: 25, decimalsX: 9, decimalsY: 6, expected: 1000 },
+    { name: 'bin positif', binId: 100, binStep: 10, decimalsX: 6, decimalsY: 6, expected: Math.pow(1.001, 100) },
+    { name: 'bin négatif', binId: -100, binStep: 10, decimalsX: 6, decimalsY: 6, expected: Math.pow(1.001, -100) },
+    { name: 'token Y avec plus de décimales', binId: 1, binStep: 100, decimalsX: 6, decimalsY: 9, expected: 1.01 / 1000 }
+  ];
+
+  for (const testCase of cases) {
+    test(testCase.name, () => {
+      assertClose(getBinPrice(testCase.binId, testCase.binStep, testCase.decimalsX, testCase.decimalsY), testCase.expected);
+    });
+  }
+});
+
+describe('computeBinShare', () => {
+  const bin = {
+    amountX: 1000n,
+    amountY: 500n,
+    liquiditySupply: 4n * Q64,
+    feeXPerTokenStored: 10n * Q64,
+    feeYPerTokenStored: 2n * Q64
+  };
+
+  const cases = [
+    {
+      name: 'quart de la liquidité du bin avec frais en attente',
+      positionBin: { liquidityShare: Q64, feeXPending: 5n, feeYPending: 0n, feeXPerTokenComplete: 4n * Q64, feeYPerTokenComplete: 2n * Q64 },
+      bin,
+      expected: { amountX: 250n, amountY: 125n, feeX: 11n, feeY: 0n }
+    },
+    {
+      name: 'croissance des frais repassée par zéro depuis le checkpoint',
+      positionBin: { liquidityShare: 2n * Q64, feeXPending: 0n, feeYPending: 1n, feeXPerTokenComplete: 10n * Q64, feeYPerTokenComplete: 2n ** 128n - Q64 },
+      bin,
+      expected: { amountX: 500n, amountY: 250n, feeX: 0n, feeY: 7n }
+    },
+    {
+      name: 'bin sans liquidité',
+      positionBin: { liquidityShare: 0n, feeXPending: 3n, feeYPending: 4n, feeXPerTokenComplete: 10n * Q64, feeYPerTokenComplete: 2n * Q64 },
+      bin: { ...bin, liquiditySupply: 0n },
+      expected: { amountX: 0n, amountY: 0n, feeX: 3n, feeY: 4n }
+    }
+  ];
+
+  for (const testCase of cases) {
+    test(testCase.name, () => {
+      assert.deepEqual(computeBinShare(testCase.positionBin, testCase.bin), testCase.expected);
+    });
+  }
+});
+
+describe('getVaultUnlockedAmount', () => {
+  // Le profit verrouillé se libère entièrement en 1000 secondes
+  const vault = {
+    totalAmount: 1000n,
+    lastUpdatedLockedProfit: 100n,
+    lastReport: 1000n,
+    lockedProfitDegradation: 1000000000n
+  };
+
+  const cases = [
+    { name: 'au moment du rapport : tout le profit est verrouillé', vault, nowSeconds: 1000, expected: 900n },
+    { name: 'à mi-parcours : la moitié du profit est libérée', vault, nowSeconds: 1500, expected: 950n },
+    { name: 'en fin de dégradation : tout est libéré', vault, nowSeconds: 2000, expected: 1000n },
+    { name: 'après la dégradation : tout est libéré', vault, nowSeconds: 5000, expected: 1000n },
+    { name: 'horloge antérieure au rapport', vault, nowSeconds: 900, expected: 900n },
+    { name: 'profit verrouillé supérieur au total', vault: { ...vault, totalAmount: 50n }, nowSeconds: 1000, expected: 0n }
+  ];
+
+  for (const testCase of cases) {
+    test(testCase.name, () => {
+      assert.equal(getVaultUnlockedAmount(testCase.vault, testCase.nowSeconds), testCase.expected);
+    });
+  }
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests du moteur de portfolio (services/portfolioAssetsService.js)
+ * Le fetcher wallet s'exécute avec ses services de soldes, de prix et de métadonnées remplacés,
+ * aux côtés de fetchers de protocoles simulés
+ */
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const portfolioAssetsService = require('../services/portfolioAssetsService');
+const fetcherService = require('../services/fetcherService');
+const walletFetcher = require('../fetchers/walletFetcher');
+const alchemyService = require('../services/alchemyService');
+const heliusService = require('../services/heliusService');
+const priceService = require('../services/priceService');
+const cacheService = require('../services/cacheService');
+const tokenMetadataService = require('../services/tokenMetadataService');
+const tokenValuationService = require('../services/tokenValuationService');
+
+const { PLATFORM_TYPES } = fetcherService;
+
+const OWNER = 'FuRS2oiXnGvwabV7JYjBU1VQCa6aida7LDybt91xy1YH';
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const MSOL_MINT = 'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So';
+const BONK_MINT = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+const PRICES = { [SOL_MINT]: 150, [MSOL_MINT]: 180, [BONK_MINT]: 0.00002 };
+
+const METADATA = {
+  [SOL_MINT]: { symbol: 'SOL', name: 'Wrapped SOL', decimals: 9, logoURI: null },
+  [MSOL_MINT]: { symbol: 'mSOL', name: 'Marinade staked SOL', decimals: 9, logoURI: null }
+};
+
+/**
+ * Crée un fetcher simulé retournant des éléments fixes
+ * @param {string} platformId - ID de la plateforme
+ * @param {string} platformType - Type de plateforme
+ * @param {Function} execute - Implémentation de execute(owner)
+ * @returns {Object}
+ */
+function stubFetcher(platformId, platformType, execute) {
+  return {
+    id: `${platformId}-solana`,
+    networkId: 'solana',
+    platformId,
+    platformType,
+    options: { enabled: true },
+    execute
+  };
+}
+
+const marinadeFetcher = stubFetcher('marinade', PLATFORM_TYPES.STAKING, async () => [{
+  networkId: 'solana',
+  platformId: 'marinade',
+  type: 'staking',
+  value: { amount: 360, currency: 'usd' },
+  data: {
+    sourceRefs: [{ address: 'msol-token-account', name: 'Token Account' }]
+  },
+  baseTokens: [{ data: { address: MSOL_MINT, amount: 2 } }]
+}]);
+
+const kaminoFetcher = stubFetcher('kamino', PLATFORM_TYPES.LENDING, async () => {
+  throw new Error('RPC indisponible');
+});
+
+describe('getAllPortfolioAssets', () => {
+  beforeEach((t) => {
+    t.mock.method(alchemyService, 'getBalances', async () => ({ nativeBalance: { lamports: 2e9, solAmount: 2 } }));
+    t.mock.method(heliusService, 'getTokenBalances', async () => [
+      { mint: MSOL_MINT, tokenAmount: { uiAmount: 3, decimals: 9 } },
+      { mint: BONK_MINT, tokenAmount: { uiAmount: 1000000, decimals: 5 } }
+    ]);
+    t.mock.method(priceService, 'getCurrentPrices', async (mints) =>
+      Object.fromEntries(mints.filter(mint => PRICES[mint]).map(mint => [mint, { price: PRICES[mint] }]))
+    );
+    t.mock.method(cacheService, 'getTokenMetadata', () => null);
+    t.mock.method(cacheService, 'setTokenMetadata', () => {});
+    t.mock.method(tokenValuationService, 'getCompositions', async () => ({}));
+    t.mock.method(fetcherService, 'getFetchersByNetworkId', () => [walletFetcher, marinadeFetcher, kaminoFetcher]);
+  });
+
+  test('conserve les tokens du wallet quand les métadonnées d\'un token échouent', async (t) => {
+    t.mock.method(tokenMetadataService, 'getTokenMetadata', async (mint) => {
+      if (mint === BONK_MINT) throw new Error('API de métadonnées indisponible');
+      return METADATA[mint];
+    });
+
+    const portfolio = await portfolioAssetsService.getAllPortfolioAssets(OWNER);
+    const wallet = portfolio.elements.find(element => element.platformId === 'wallet');
+    const bonk = wallet.data.assets.find(asset => asset.data.address === BONK_MINT);
+
+    assert.ok(bonk);
+    assert.equal(bonk.value.amount, 20);
+    assert.equal(wallet.data.assets.find(asset => asset.data.address === SOL_MINT).symbol, 'SOL');
+  });
+
+  test('retire du wallet le mSOL revendiqué par Marinade et calcule la valeur nette', async (t) => {
+    t.mock.method(tokenMetadataService, 'getTokenMetadata', async (mint) => METADATA[mint] || null);
+
+    const portfolio = await portfolioAssetsService.getAllPortfolioAssets(OWNER);
+    const wallet = portfolio.elements.find(element => element.platformId === 'wallet');
+    const msol = wallet.data.assets.find(asset => asset.data.address === MSOL_MINT);
+
+    assert.equal(msol.data.amount, 1);
+    assert.equal(msol.value.amount, 180);
+    assert.deepEqual(portfolio.duplicates, [{
+      address: MSOL_MINT,
+      symbol: 'mSOL',
+      amount: 2,
+      value: { amount: 360, currency: 'usd' },
+      claimedBy: ['marinade']
+    }]);
+
+    // 2 SOL (300) + 1 mSOL restant (180) + BONK (20) dans le wallet, 360 chez Marinade
+    assert.equal(wallet.value.amount, 500);
+    assert.equal(portfolio.value.amount, 860);
+    assert.equal(portfolio.netWorth.byPlatformType[PLATFORM_TYPES.WALLET].amount, 500);
+    assert.equal(portfolio.netWorth.byPlatformType[PLATFORM_TYPES.STAKING].amount, 360);
+  });
+
+  test('signale le fetcher en échec sans bloquer les autres', async (t) => {
+    t.mock.method(tokenMetadataService, 'getTokenMetadata', async (mint) => METADATA[mint] || null);
+
+    const portfolio = await portfolioAssetsService.getAllPortfolioAssets(OWNER);
+
+    assert.deepEqual(portfolio.fetcherStatuses.map(status => [status.platformId, status.status]), [
+      ['wallet', 'success'],
+      ['marinade', 'success'],
+      ['kamino', 'error']
+    ]);
+    assert.equal(portfolio.fetcherStatuses[2].error, 'RPC indisponible');
+  });
+
+  test('n\'exécute pas les fetchers exclus par les options', async (t) => {
+    t.mock.method(tokenMetadataService, 'getTokenMetadata', async (mint) => METADATA[mint] || null);
+
+    const portfolio = await portfolioAssetsService.getAllPortfolioAssets(OWNER, {
+      includeStaking: false,
+      includeProtocols: false
+    });
+
+    assert.deepEqual(portfolio.fetcherStatuses.map(status => status.platformId), ['wallet']);
+    assert.deepEqual(portfolio.duplicates, []);
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Tests de la consolidation du portfolio (utils/portfolioUtils.js)
+ * Chaque cas décrit les éléments issus des fetchers et le résultat attendu de la déduplication
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { deduplicateElements, computeNetWorth } = require('../utils/portfolioUtils');
+
+const PLATFORM_TYPES = { wallet: 'wallet', nft: 'nft' };
+
+const MSOL_MINT = 'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So';
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const LP_MINT = '8HoQnePLqPj4M7PUDzfw8e3Ymdwgc7NLGnaTUapubyvu';
+const POSITION_MINT = '6tdYbKr5i3o6yHL1r3T8ohCfHhTrXWtDrBAy1FNjZbsu';
+const OTHER_NFT_MINT = '3saAedkM9o5g1u5DCqsuMZuC4GRqPB4TuMkvSsSVvGQ3';
+
+/**
+ * Crée un élément wallet à partir de ses assets
+ * @param {Array<Object>} assets - { address, symbol, amount, value }
+ * @returns {Object}
+ */
+function walletElement(assets) {
+  return {
+    platformId: 'wallet',
+    platformType: 'wallet',
+    value: { amount: assets.reduce((sum, asset) => sum + asset.value, 0), currency: 'usd' },
+    data: {
+      assets: assets.map(asset => ({
+        symbol: asset.symbol,
+        value: { amount: asset.value, currency: 'usd' },
+        data: { address: asset.address, amount: asset.amount }
+      }))
+    }
+  };
+}
+
+/**
+ * Crée un élément de collection NFT à partir de ses items
+ * @param {Array<Object>} items - { mint, symbol, estimatedValue }
+ * @returns {Object}
+ */
+function nftElement(items) {
+  return {
+    platformId: 'nft',
+    platformType: 'nft',
+    value: { amount: items.reduce((sum, item) => sum + item.estimatedValue, 0), currency: 'usd' },
+    attributes: { itemCount: items.length },
+    data: { items }
+  };
+}
+
+const marinadeElement = {
+  platformId: 'marinade',
+  platformType: 'staking',
+  value: { amount: 360, currency: 'usd' },
+  data: { sourceRefs: [{ address: 'msol-token-account', name: 'Token Account' }] },
+  baseTokens: [{ data: { address: MSOL_MINT, amount: 2 } }]
+};
+
+const raydiumElement = {
+  platformId: 'raydium',
+  platformType: 'liquidity_pool',
+  value: { amount: 400, currency: 'usd' },
+  data: {
+    pools: [{
+      data: {
+        lpMint: LP_MINT,
+        lpAmount: 4,
+        sourceRefs: [{ address: 'lp-token-account', name: 'LP Token Account' }]
+      }
+    }]
+  }
+};
+
+const orcaElement = {
+  platformId: 'orca',
+  platformType: 'liquidity_pool',
+  value: { amount: 250, currency: 'usd' },
+  data: {
+    pools: [{ data: { positionMint: POSITION_MINT } }]
+  }
+};
+
+describe('deduplicateElements', () => {
+  const cases = [
+    {
+      name: 'retire du wallet le mSOL revendiqué par Marinade',
+      elements: [
+        walletElement([
+          { address: SOL_MINT, symbol: 'SOL', amount: 1, value: 150 },
+          { address: MSOL_MINT, symbol: 'mSOL', amount: 2, value: 360 }
+        ]),
+        marinadeElement
+      ],
+      expectedWalletAssets: [{ address: SOL_MINT, amount: 1, value: 150 }],
+      expectedWalletValue: 150,
+      expectedDuplicates: [{ address: MSOL_MINT, symbol: 'mSOL', amount: 2, value: 360, claimedBy: ['marinade'] }]
+    },
+    {
+      name: 'ne retire que la part des tokens LP revendiquée par le pool',
+      elements: [
+        walletElement([{ address: LP_MINT, symbol: 'RAY-SOL', amount: 10, value: 1000 }]),
+        raydiumElement
+      ],
+      expectedWalletAssets: [{ address: LP_MINT, amount: 6, value: 600 }],
+      expectedWalletValue: 600,
+      expectedDuplicates: [{ address: LP_MINT, symbol: 'RAY-SOL', amount: 4, value: 400, claimedBy: ['raydium'] }]
+    },
+    {
+      name: 'retire d\'une collection le NFT de position Orca',
+      elements: [
+        nftElement([
+          { mint: POSITION_MINT, symbol: 'OWP', estimatedValue: 0 },
+          { mint: OTHER_NFT_MINT, symbol: 'MAD', estimatedValue: 80 }
+        ]),
+        orcaElement
+      ],
+      expectedNftItems: [OTHER_NFT_MINT],
+      expectedNftValue: 80,
+      expectedDuplicates: [{ address: POSITION_MINT, symbol: 'OWP', amount: 1, value: 0, claimedBy: ['orca'] }]
+    },
+    {
+      name: 'supprime la collection qui ne contenait que le NFT de position',
+      elements: [
+        nftElement([{ mint: POSITION_MINT, symbol: 'OWP', estimatedValue: 0 }]),
+        orcaElement
+      ],
+      expectedNftItems: null,
+      expectedDuplicates: [{ address: POSITION_MINT, symbol: 'OWP', amount: 1, value: 0, claimedBy: ['orca'] }]
+    },
+    {
+      name: 'laisse le wallet intact sans revendication',
+      elements: [
+        walletElement([{ address: MSOL_MINT, symbol: 'mSOL', amount: 2, value: 360 }]),
+        orcaElement
+      ],
+      expectedWalletAssets: [{ address: MSOL_MINT, amount: 2, value: 360 }],
+      expectedWalletValue: 360,
+      expectedDuplicates: []
+    }
+  ];
+
+  for (const testCase of cases) {
+    test(testCase.name, () => {
+      const { elements, duplicates } = deduplicateElements(testCase.elements, PLATFORM_TYPES);
+
+      assert.deepEqual(duplicates, testCase.expectedDuplicates.map(duplicate => ({
+        ...duplicate,
+        value: { amount: duplicate.value, currency: 'usd' }
+      })));
+
+      if (testCase.expectedWalletAssets) {
+        const wallet = elements.find(element => element.platformType === 'wallet');
+        assert.deepEqual(
+          wallet.data.assets.map(asset => ({ address: asset.data.address, amount: asset.data.amount, value: asset.value.amount })),
+          testCase.expectedWalletAssets
+        );
+        assert.equal(wallet.value.amount, testCase.expectedWalletValue);
+      }
+
+      if (testCase.expectedNftItems !== undefined) {
+        const collection = elements.find(element => element.platformType === 'nft');
+        if (testCase.expectedNftItems === null) {
+          assert.equal(collection, undefined);
+        } else {
+          assert.deepEqual(collection.data.items.map(item => item.mint), testCase.expectedNftItems);
+          assert.equal(collection.attributes.itemCount, testCase.expectedNftItems.length);
+          assert.equal(collection.value.amount, testCase.expectedNftValue);
+        }
+      }
+    });
+  }
+
+  test('ne modifie pas les éléments d\'origine', () => {
+    const wallet = walletElement([{ address: MSOL_MINT, symbol: 'mSOL', amount: 2, value: 360 }]);
+
+    deduplicateElements([wallet, marinadeElement], PLATFORM_TYPES);
+
+    assert.equal(wallet.data.assets.length, 1);
+    assert.equal(wallet.value.amount, 360);
+  });
+});
+
+describe('computeNetWorth', () => {
+  const cases = [
+    {
+      name: 'compte les éléments négatifs en dettes',
+      elements: [
+        { platformId: 'wallet', platformType: 'wallet', value: { amount: 500 } },
+        { platformId: 'kamino', platformType: 'lending', value: { amount: 1500 } },
+        { platformId: 'kamino', platformType: 'lending', value: { amount: -600 } }
+      ],
+      expected: {
+        total: 1400,
+        assets: 2000,
+        debts: 600,
+        byPlatformType: { wallet: 500, lending: 900 },
+        byPlatform: { wallet: 500, kamino: 900 }
+      }
+    },
+    {
+      name: 'donne une valeur nette négative quand les dettes dépassent les actifs',
+      elements: [
+        { platformId: 'marginfi', platformType: 'lending', value: { amount: 100 } },
+        { platformId: 'marginfi', platformType: 'lending', value: { amount: -250 } }
+      ],
+      expected: {
+        total: -150,
+        assets: 100,
+        debts: 250,
+        byPlatformType: { lending: -150 },
+        byPlatform: { marginfi: -150 }
+      }
+    },
+    {
+      name: 'ignore les valeurs non numériques et regroupe les éléments sans type',
+      elements: [
+        { platformId: 'drift', value: { amount: 40 } },
+        { platformId: 'drift', platformType: 'leverage', value: { amount: NaN } },
+        { platformId: 'drift', platformType: 'leverage', value: null }
+      ],
+      expected: {
+        total: 40,
+        assets: 40,
+        debts: 0,
+        byPlatformType: { unknown: 40 },
+        byPlatform: { drift: 40 }
+      }
+    }
+  ];
+
+  for (const testCase of cases) {
+    test(testCase.name, () => {
+      const netWorth = computeNetWorth(testCase.elements);
+      const amounts = breakdown => Object.fromEntries(
+        Object.entries(breakdown).map(([key, value]) => [key, value.amount])
+      );
+
+      assert.equal(netWorth.total.amount, testCase.expected.total);
+      assert.equal(netWorth.assets.amount, testCase.expected.assets);
+      assert.equal(netWorth.debts.amount, testCase.expected.debts);
+      assert.deepEqual(amounts(netWorth.byPlatformType), testCase.expected.byPlatformType);
+      assert.deepEqual(amounts(netWorth.byPlatform), testCase.expected.byPlatform);
+    });
+  }
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests du prix de consensus et du cache des prix actuels (services/priceService.js)
+ * Les fournisseurs sont remplacés par des PriceProvider retournant des cotations fixes
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const priceService = require('../services/priceService');
+const cacheService = require('../services/cacheService');
+const { PriceProvider } = require('../services/priceProviderService');
+
+const MINT = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+class StubProvider extends PriceProvider {
+  /**
+   * @param {string} name - Identifiant du fournisseur
+   * @param {number|null|Error} quote - Prix retourné, null sans cotation, ou erreur levée
+   * @param {boolean} supported - Indique si le fournisseur couvre le token
+   */
+  constructor(name, quote, supported = true) {
+    super(name);
+    this.quote = quote;
+    this.supported = supported;
+    this.calls = 0;
+  }
+
+  async isTokenSupported() {
+    return this.supported;
+  }
+
+  async getTokenPriceByMint(tokenMint) {
+    this.calls++;
+    if (this.quote instanceof Error) throw this.quote;
+    return this.quote === null ? null : { mint: tokenMint, price: this.quote, priceUsd: this.quote, source: this.name };
+  }
+}
+
+/**
+ * Calcule le consensus avec les fournisseurs simulés donnés
+ * @param {Object} t - Contexte de test (pour le mock de getProviders)
+ * @param {Array<StubProvider>} providers - Fournisseurs interrogés
+ * @returns {Promise<Object|null>}
+ */
+function consensusWith(t, providers) {
+  t.mock.method(priceService, 'getProviders', () => providers);
+  return priceService.getConsensusPrice(MINT, { maxDeviation: 0.02 });
+}
+
+describe('getConsensusPrice', () => {
+  test('plafonne la confiance à 0.5 avec une seule source', async (t) => {
+    const failing = new StubProvider('coingecko', new Error('Request failed with status code 429'));
+    const consensus = await consensusWith(t, [
+      new StubProvider('birdeye', 0.00002),
+      new StubProvider('jupiter', null),
+      failing
+    ]);
+
+    assert.equal(consensus.price, 0.00002);
+    assert.equal(consensus.confidence, 0.5);
+    assert.equal(consensus.disagreement, false);
+    assert.deepEqual(consensus.sources.map(source => source.source), ['birdeye']);
+    assert.deepEqual(consensus.outliers, []);
+    assert.equal(failing.health.errorCount, 1);
+  });
+
+  test('retient la médiane sans majorité quand deux sources sont en désaccord', async (t) => {
+    const consensus = await consensusWith(t, [
+      new StubProvider('birdeye', 100),
+      new StubProvider('jupiter', 110)
+    ]);
+
+    assert.equal(consensus.price, 105);
+    assert.equal(consensus.confidence, 0);
+    assert.equal(consensus.disagreement, true);
+    assert.deepEqual(consensus.sources, []);
+    assert.deepEqual(consensus.outliers.map(outlier => outlier.source), ['birdeye', 'jupiter']);
+  });
+
+  test('écarte la source aberrante parmi trois', async (t) => {
+    const consensus = await consensusWith(t, [
+      new StubProvider('birdeye', 100),
+      new StubProvider('jupiter', 100.5),
+      new StubProvider('coingecko', 130)
+    ]);
+
+    assert.equal(consensus.price, 100.25);
+    assert.equal(consensus.confidence, 2 / 3);
+    assert.equal(consensus.disagreement, true);
+    assert.deepEqual(consensus.sources.map(source => source.source), ['birdeye', 'jupiter']);
+    assert.deepEqual(consensus.outliers.map(outlier => outlier.source), ['coingecko']);
+  });
+
+  test('donne une confiance pleine quand toutes les sources concordent', async (t) => {
+    const consensus = await consensusWith(t, [
+      new StubProvider('birdeye', 100),
+      new StubProvider('jupiter', 101)
+    ]);
+
+    assert.equal(consensus.price, 100.5);
+    assert.equal(consensus.confidence, 1);
+    assert.equal(consensus.disagreement, false);
+  });
+
+  test('retourne null sans aucune cotation', async (t) => {
+    assert.equal(await consensusWith(t, [new StubProvider('birdeye', null)]), null);
+  });
+
+  test('n\'interroge pas les fournisseurs qui ne couvrent pas le token', async (t) => {
+    const unsupported = new StubProvider('dex', new Error('aucun pool'), false);
+    const consensus = await consensusWith(t, [
+      new StubProvider('birdeye', 100),
+      new StubProvider('jupiter', 100.5),
+      unsupported
+    ]);
+
+    assert.equal(consensus.confidence, 1);
+    assert.deepEqual(consensus.sources.map(source => source.source), ['birdeye', 'jupiter']);
+    assert.equal(unsupported.calls, 0);
+    assert.equal(unsupported.health.errorCount, 0);
+  });
+});
+
+describe('cache des prix actuels', () => {
+  class BareProvider extends PriceProvider {
+    // Cotation sans mint ni priceUsd, comme certains fournisseurs
+    async getTokenPriceByMint() {
+      return { price: 2, source: this.name };
+    }
+  }
+
+  test('getCurrentPrice et getCurrentPrices mettent en cache la même forme', async (t) => {
+    t.mock.method(priceService, 'getProviders', () => [new BareProvider('stub')]);
+    const singleMint = 'CacheSingle'.padEnd(44, '1');
+    const batchMint = 'CacheBatch'.padEnd(44, '1');
+
+    const single = await priceService.getCurrentPrice(singleMint);
+    const batch = await priceService.getCurrentPrices([batchMint]);
+
+    assert.deepEqual(single, { price: 2, source: 'stub', mint: singleMint, priceUsd: 2 });
+    assert.deepEqual(batch[batchMint], { price: 2, source: 'stub', mint: batchMint, priceUsd: 2 });
+    assert.deepEqual(cacheService.get(`current_price_${singleMint}`), single);
+    assert.deepEqual(cacheService.get(`current_price_${batchMint}`), batch[batchMint]);
+    assert.deepEqual(await priceService.getCurrentPrices([singleMint]), { [singleMint]: single });
+  });
+});
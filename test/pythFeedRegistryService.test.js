@@ -0,0 +1,50 @@
+/**
+ * Tests de la liste statique du registre des flux Pyth (services/pythFeedRegistryService.js)
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const pythFeedRegistryService = require('../services/pythFeedRegistryService');
+
+describe('registre statique', () => {
+  const registry = pythFeedRegistryService.buildRegistry([], 'static');
+
+  test('associe une adresse de token à chaque flux statique', () => {
+    const feedsWithMint = new Set(Object.values(registry.feedsByMint));
+    const symbolsWithoutMint = Object.keys(registry.feedsBySymbol)
+      .filter(symbol => !feedsWithMint.has(registry.feedsBySymbol[symbol]));
+
+    assert.deepEqual(symbolsWithoutMint, []);
+  });
+
+  test('résout les flux des tokens Solana par adresse', () => {
+    assert.equal(registry.feedsByMint['So11111111111111111111111111111111111111112'], registry.feedsBySymbol.SOL);
+    assert.equal(registry.feedsByMint['EchesyfXePKdLtoiZSL8pBe8Myagyy8ZRqsACNCFGnvp'], registry.feedsBySymbol.FIDA);
+    assert.equal(registry.feedsByMint['BLZEEuZUBVqFhj8adcCFPJvPVCiCyVmh3hkJMrU8KuJA'], registry.feedsBySymbol.BLZE);
+  });
+
+  test('complète la liste statique avec les flux du catalogue', () => {
+    const catalogueRegistry = pythFeedRegistryService.buildRegistry([{
+      id: '0xe62df6c8b4a85fe1a67db44dc12de5db330f7ac66b72dc658afedf0f4a415b43',
+      attributes: { base: 'BTC', symbol: 'Crypto.BTC/USD' }
+    }], 'catalogue');
+
+    assert.equal(catalogueRegistry.feedsBySymbol.BTC, 'e62df6c8b4a85fe1a67db44dc12de5db330f7ac66b72dc658afedf0f4a415b43');
+    assert.equal(catalogueRegistry.feedsBySymbol.SOL, registry.feedsBySymbol.SOL);
+  });
+
+  test('conserve le flux statique face à un flux du catalogue de même symbole', () => {
+    const conflictingFeedId = '1111111111111111111111111111111111111111111111111111111111111111';
+    const catalogueRegistry = pythFeedRegistryService.buildRegistry([{
+      id: `0x${conflictingFeedId}`,
+      attributes: {
+        base: 'MSOL',
+        symbol: 'Crypto.MSOL/USD',
+        contract_id: 'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So'
+      }
+    }], 'catalogue');
+
+    assert.equal(catalogueRegistry.feedsBySymbol.MSOL, registry.feedsBySymbol.MSOL);
+    assert.equal(catalogueRegistry.feedsByMint['mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So'], registry.feedsBySymbol.MSOL);
+    assert.equal(catalogueRegistry.symbolsByFeedId[conflictingFeedId], undefined);
+  });
+});
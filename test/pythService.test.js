@@ -0,0 +1,181 @@
+/**
+ * Tests de la lecture on-chain des prix Pyth (services/pythService.js)
+ * Les fixtures sont des comptes PriceUpdateV2 au format RPC (adresse, programme, données base64), encodés
+ * champ par champ selon l'IDL publié du receiver Pyth (pyth_solana_receiver 0.2.0) et non selon les offsets
+ * du service : SOL/USD et BONK/USD entièrement vérifiés, et SOL/USD partiellement vérifié
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const pythService = require('../services/pythService');
+const solanaWebService = require('../services/solanaWebService');
+
+const SOL_FEED_ID = 'ef0d8b6fda2ceba41da15d4095d1da392a0d2f8ed0c6c7bc0f4cfac8c280b56d';
+const BONK_FEED_ID = '72b021217ca3fe68922a19aaf990109cb9d84e9ad004b4d2025ad6f529314419';
+const POSTED_SLOT = 372000000;
+
+/**
+ * Charge une fixture de compte PriceUpdateV2
+ * @param {string} name - Nom du fichier dans test/fixtures/pyth
+ * @returns {Object} - { address, owner, data: Buffer }
+ */
+function loadAccount(name) {
+  const account = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/pyth', name), 'utf8'));
+  return { ...account, data: Buffer.from(account.data, 'base64') };
+}
+
+const solFullAccount = loadAccount('price-update-sol-full.json');
+const solPartialAccount = loadAccount('price-update-sol-partial.json');
+const bonkFullAccount = loadAccount('price-update-bonk-full.json');
+
+/**
+ * Simule le RPC : comptes indexés par adresse et slot courant
+ * @param {Object} t - Contexte de test
+ * @param {Array<Object>} accounts - Comptes retournés par getMultipleAccounts
+ * @param {number} currentSlot - Slot courant
+ */
+function mockRpc(t, accounts, currentSlot) {
+  t.mock.method(solanaWebService, 'getMultipleAccounts', async (addresses) => Object.fromEntries(
+    addresses.map(address => [address, accounts.find(account => account.address === address) || null])
+  ));
+  t.mock.method(solanaWebService.connection, 'getSlot', async () => currentSlot);
+}
+
+describe('fixtures', () => {
+  test('portent le discriminateur et la taille des comptes PriceUpdateV2', () => {
+    const discriminator = crypto.createHash('sha256').update('account:PriceUpdateV2').digest().subarray(0, 8);
+    for (const account of [solFullAccount, solPartialAccount, bonkFullAccount]) {
+      assert.ok(account.data.subarray(0, 8).equals(discriminator));
+      assert.equal(account.data.length, 134);
+    }
+  });
+
+  test('sont à l\'adresse du compte sponsorisé de chaque flux', () => {
+    assert.equal(solFullAccount.address, '7UVimffxr9ow1uXYxsr4LHAcV58mLzhmwaeKvJ1pjLiE');
+    assert.equal(pythService.getPriceFeedAccountAddress(SOL_FEED_ID), solFullAccount.address);
+    assert.equal(pythService.getPriceFeedAccountAddress(`0x${BONK_FEED_ID}`), bonkFullAccount.address);
+  });
+});
+
+describe('decodePriceUpdateAccount', () => {
+  test('lit un compte entièrement vérifié', () => {
+    assert.deepEqual(pythService.decodePriceUpdateAccount(solFullAccount.data), {
+      writeAuthority: 'FuRS2oiXnGvwabV7JYjBU1VQCa6aida7LDybt91xy1YH',
+      verificationLevel: 'full',
+      feedId: SOL_FEED_ID,
+      price: 15034567890 * 1e-8,
+      confidence: 7654321 * 1e-8,
+      exponent: -8,
+      publishTime: 1760900000,
+      prevPublishTime: 1760899999,
+      emaPrice: 14998765432 * 1e-8,
+      emaConfidence: 8000000 * 1e-8,
+      postedSlot: POSTED_SLOT
+    });
+  });
+
+  test('décale le message d\'un octet pour un compte partiellement vérifié', () => {
+    const full = pythService.decodePriceUpdateAccount(solFullAccount.data);
+    const partial = pythService.decodePriceUpdateAccount(solPartialAccount.data);
+
+    assert.equal(partial.verificationLevel, 'partial');
+    assert.deepEqual({ ...partial, verificationLevel: 'full' }, full);
+  });
+
+  const scalingCases = [
+    { name: 'exposant -8 (SOL/USD)', account: solFullAccount, expected: { price: 150.3456789, confidence: 0.07654321, emaPrice: 149.98765432 } },
+    { name: 'exposant -10 (BONK/USD)', account: bonkFullAccount, expected: { price: 0.0002345678, confidence: 0.0000001234, emaPrice: 0.00023 } }
+  ];
+
+  for (const testCase of scalingCases) {
+    test(`applique l'${testCase.name}`, () => {
+      const priceUpdate = pythService.decodePriceUpdateAccount(testCase.account.data);
+
+      for (const [field, expected] of Object.entries(testCase.expected)) {
+        assert.ok(Math.abs(priceUpdate[field] - expected) <= expected * 1e-12, `${field}: ${priceUpdate[field]} ≠ ${expected}`);
+      }
+    });
+  }
+
+  test('ignore un compte qui n\'est pas un PriceUpdateV2', () => {
+    const otherAccount = Buffer.from(solFullAccount.data);
+    otherAccount[0] ^= 0xff;
+
+    assert.equal(pythService.decodePriceUpdateAccount(otherAccount), null);
+    assert.equal(pythService.decodePriceUpdateAccount(Buffer.alloc(4)), null);
+    assert.equal(pythService.decodePriceUpdateAccount(null), null);
+  });
+});
+
+describe('getOnChainPrices', () => {
+  test('retourne le prix d\'un compte vérifié et récent avec son âge en slots', async (t) => {
+    mockRpc(t, [solFullAccount, bonkFullAccount], POSTED_SLOT + 100);
+
+    const prices = await pythService.getOnChainPrices([SOL_FEED_ID, BONK_FEED_ID]);
+
+    assert.deepEqual(Object.keys(prices), [SOL_FEED_ID, BONK_FEED_ID]);
+    assert.deepEqual(prices[SOL_FEED_ID], {
+      price: 15034567890 * 1e-8,
+      confidence: 7654321 * 1e-8,
+      emaPrice: 14998765432 * 1e-8,
+      emaConfidence: 8000000 * 1e-8,
+      publishTime: 1760900000,
+      postedSlot: POSTED_SLOT,
+      slotAge: 100
+    });
+    assert.equal(prices[BONK_FEED_ID].slotAge, 80);
+  });
+
+  const stalenessCases = [
+    { name: 'accepte un prix à l\'âge maximal (750 slots)', slotAge: 750, accepted: true },
+    { name: 'rejette un prix plus vieux que l\'âge maximal', slotAge: 751, accepted: false },
+    { name: 'rejette un prix très ancien', slotAge: 100000, accepted: false }
+  ];
+
+  for (const testCase of stalenessCases) {
+    test(testCase.name, async (t) => {
+      mockRpc(t, [solFullAccount], POSTED_SLOT + testCase.slotAge);
+
+      const prices = await pythService.getOnChainPrices([SOL_FEED_ID]);
+
+      assert.equal(Boolean(prices[SOL_FEED_ID]), testCase.accepted);
+    });
+  }
+
+  const verificationCases = [
+    { name: 'accepte un compte de niveau Full', account: solFullAccount, accepted: true },
+    { name: 'rejette un compte de niveau Partial', account: solPartialAccount, accepted: false }
+  ];
+
+  for (const testCase of verificationCases) {
+    test(testCase.name, async (t) => {
+      mockRpc(t, [testCase.account], POSTED_SLOT);
+
+      const prices = await pythService.getOnChainPrices([SOL_FEED_ID]);
+
+      assert.equal(Boolean(prices[SOL_FEED_ID]), testCase.accepted);
+    });
+  }
+
+  test('ignore un compte d\'un autre programme ou d\'un autre flux', async (t) => {
+    mockRpc(t, [
+      { ...solFullAccount, owner: '11111111111111111111111111111111' },
+      { ...bonkFullAccount, address: pythService.getPriceFeedAccountAddress(BONK_FEED_ID), data: solFullAccount.data }
+    ], POSTED_SLOT);
+
+    const prices = await pythService.getOnChainPrices([SOL_FEED_ID, BONK_FEED_ID]);
+
+    assert.deepEqual(prices, {});
+  });
+
+  test('ne retourne rien si le RPC échoue', async (t) => {
+    t.mock.method(solanaWebService, 'getMultipleAccounts', async () => {
+      throw new Error('429 Too Many Requests');
+    });
+    t.mock.method(solanaWebService.connection, 'getSlot', async () => POSTED_SLOT);
+
+    assert.deepEqual(await pythService.getOnChainPrices([SOL_FEED_ID]), {});
+  });
+});
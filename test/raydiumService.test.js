@@ -0,0 +1,59 @@
+/**
+ * Tests des fonctions pures de Raydium (services/raydiumService.js) :
+ * index de départ des TickArray CLMM et détection des tokens LP AMM v4
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { PublicKey } = require('@solana/web3.js');
+const raydiumService = require('../services/raydiumService');
+
+const RAYDIUM_AMM_AUTHORITY = '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1';
+const OTHER_AUTHORITY = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const MINT_ACCOUNT_SIZE = 82;
+
+/**
+ * Construit un compte Mint SPL avec l'autorité de mint donnée
+ * @param {string|null} authority - Autorité de mint (null si révoquée)
+ * @returns {Object} Compte brut { data }
+ */
+function mintAccount(authority) {
+  const data = Buffer.alloc(MINT_ACCOUNT_SIZE);
+  if (authority) {
+    data.writeUInt32LE(1, 0);
+    new PublicKey(authority).toBuffer().copy(data, 4);
+  }
+  return { data };
+}
+
+describe('getClmmTickArrayStartIndex', () => {
+  // Un TickArray CLMM couvre 60 ticks espacés de tickSpacing
+  const cases = [
+    { name: 'tick positif', tick: 1234, tickSpacing: 10, expected: 1200 },
+    { name: 'tick sur le début d\'un TickArray', tick: 600, tickSpacing: 10, expected: 600 },
+    { name: 'tick zéro', tick: 0, tickSpacing: 60, expected: 0 },
+    { name: 'tick négatif arrondi vers -infini', tick: -1, tickSpacing: 10, expected: -600 },
+    { name: 'tick négatif sur le début d\'un TickArray', tick: -600, tickSpacing: 10, expected: -600 },
+    { name: 'tick négatif au-delà d\'un TickArray', tick: -601, tickSpacing: 10, expected: -1200 }
+  ];
+
+  for (const testCase of cases) {
+    test(testCase.name, () => {
+      assert.equal(raydiumService.getClmmTickArrayStartIndex(testCase.tick, testCase.tickSpacing), testCase.expected);
+    });
+  }
+});
+
+describe('isAmmLpMint', () => {
+  const cases = [
+    { name: 'reconnaît un mint dont l\'autorité est l\'autorité AMM v4', account: mintAccount(RAYDIUM_AMM_AUTHORITY), expected: true },
+    { name: 'ignore un mint d\'une autre autorité', account: mintAccount(OTHER_AUTHORITY), expected: false },
+    { name: 'ignore un mint sans autorité', account: mintAccount(null), expected: false },
+    { name: 'ignore un compte absent', account: null, expected: false }
+  ];
+
+  for (const testCase of cases) {
+    test(testCase.name, () => {
+      assert.equal(raydiumService.isAmmLpMint(testCase.account), testCase.expected);
+    });
+  }
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests du registre des récompenses de staking natif (services/stakingRewardsService.js)
+ * Les appels RPC (comptes de stake, époque courante, récompenses d'inflation, horodatage des slots)
+ * et les prix historiques sont simulés
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair } = require('@solana/web3.js');
+const stakingRewardsService = require('../services/stakingRewardsService');
+const solanaWebService = require('../services/solanaWebService');
+const priceService = require('../services/priceService');
+
+const OWNER = 'FuRS2oiXnGvwabV7JYjBU1VQCa6aida7LDybt91xy1YH';
+
+/**
+ * Génère une adresse de compte de stake (unique pour ne pas partager le cache des récompenses)
+ * @returns {string}
+ */
+function stakeAddress() {
+  return Keypair.generate().publicKey.toBase58();
+}
+
+describe('resolveEpochRange', () => {
+  const cases = [
+    { name: 'retient par défaut les 10 dernières époques terminées', currentEpoch: 600, options: {}, expected: { fromEpoch: 590, toEpoch: 599 } },
+    { name: 'borne toEpoch à la dernière époque terminée', currentEpoch: 600, options: { fromEpoch: 595, toEpoch: 700 }, expected: { fromEpoch: 595, toEpoch: 599 } },
+    { name: 'accepte une plage explicite', currentEpoch: 600, options: { fromEpoch: 500, toEpoch: 520 }, expected: { fromEpoch: 500, toEpoch: 520 } },
+    { name: 'accepte une plage d\'une seule époque', currentEpoch: 600, options: { fromEpoch: 599, toEpoch: 599 }, expected: { fromEpoch: 599, toEpoch: 599 } },
+    { name: 'ne descend pas sous l\'époque 0', currentEpoch: 5, options: {}, expected: { fromEpoch: 0, toEpoch: 4 } },
+    { name: 'accepte la plage maximale', currentEpoch: 600, options: { fromEpoch: 400, toEpoch: 499 }, expected: { fromEpoch: 400, toEpoch: 499 } }
+  ];
+
+  for (const testCase of cases) {
+    test(testCase.name, () => {
+      assert.deepEqual(stakingRewardsService.resolveEpochRange(testCase.currentEpoch, testCase.options), testCase.expected);
+    });
+  }
+
+  const invalidCases = [
+    { name: 'rejette fromEpoch supérieur à toEpoch', currentEpoch: 600, options: { fromEpoch: 550, toEpoch: 540 }, message: /invalide: 550 > 540/ },
+    { name: 'rejette une plage commençant après la dernière époque terminée', currentEpoch: 600, options: { fromEpoch: 650 }, message: /invalide: 650 > 599/ },
+    { name: 'rejette une plage de plus de 100 époques', currentEpoch: 600, options: { fromEpoch: 400, toEpoch: 500 }, message: /trop large/ }
+  ];
+
+  for (const testCase of invalidCases) {
+    test(testCase.name, () => {
+      assert.throws(
+        () => stakingRewardsService.resolveEpochRange(testCase.currentEpoch, testCase.options),
+        error => error.statusCode === 400 && testCase.message.test(error.message)
+      );
+    });
+  }
+});
+
+describe('getStakingRewards', () => {
+  /**
+   * Simule le RPC et les prix pour un ensemble de comptes de stake
+   * @param {Object} t - Contexte de test
+   * @param {Object} setup - { accounts, rewards: (address, epoch) => reward|null, failingEpochs, historicalPrice }
+   * @returns {Object} - Mock de getInflationReward
+   */
+  function mockRpc(t, { accounts, rewards, failingEpochs = [], historicalPrice }) {
+    const connection = solanaWebService.connection;
+    t.mock.method(solanaWebService, 'getStakeAccountsByOwner', async () => accounts);
+    t.mock.method(connection, 'getEpochInfo', async () => ({ epoch: 600 }));
+    t.mock.method(connection, 'getBlockTime', async (slot) => 1700000000 + slot);
+    t.mock.method(priceService, 'getHistoricalPrice', async () => historicalPrice);
+    return t.mock.method(connection, 'getInflationReward', async (publicKeys, epoch) => {
+      if (failingEpochs.includes(epoch)) throw new Error('429 Too Many Requests');
+      return publicKeys.map(publicKey => rewards(publicKey.toBase58(), epoch));
+    });
+  }
+
+  const reward = (epoch, lamports) => ({ amount: lamports, postBalance: 1000e9, commission: 5, effectiveSlot: epoch * 432000 });
+
+  test('n\'interroge que les comptes délégués pendant chaque époque', async (t) => {
+    const activating = stakeAddress();
+    const deactivating = stakeAddress();
+    const getInflationReward = mockRpc(t, {
+      accounts: [
+        { address: activating, activationEpoch: 595, deactivationEpoch: null },
+        { address: deactivating, activationEpoch: null, deactivationEpoch: 596 }
+      ],
+      rewards: (address, epoch) => reward(epoch, 1e9),
+      historicalPrice: { price: 150, source: 'birdeye' }
+    });
+
+    const result = await stakingRewardsService.getStakingRewards(OWNER, { fromEpoch: 595, toEpoch: 597 });
+
+    const queried = getInflationReward.mock.calls.map(call => [
+      call.arguments[1],
+      call.arguments[0].map(publicKey => publicKey.toBase58())
+    ]);
+    assert.deepEqual(queried, [
+      [595, [deactivating]],
+      [596, [activating, deactivating]],
+      [597, [activating]]
+    ]);
+    assert.equal(result.rewards.length, 4);
+  });
+
+  test('ignore les époques sans récompense et valorise au prix historique', async (t) => {
+    const account = stakeAddress();
+    mockRpc(t, {
+      accounts: [{ address: account, activationEpoch: 500, deactivationEpoch: null }],
+      rewards: (address, epoch) => (epoch === 591 ? null : reward(epoch, 2.5e9)),
+      historicalPrice: { price: 150, source: 'birdeye' }
+    });
+
+    const result = await stakingRewardsService.getStakingRewards(OWNER, { fromEpoch: 590, toEpoch: 592 });
+
+    assert.deepEqual(result.rewards.map(row => row.epoch), [590, 592]);
+    assert.deepEqual(result.rewards[0], {
+      epoch: 590,
+      stakeAccount: account,
+      lamports: 2.5e9,
+      amount: 2.5,
+      postBalance: 1000e9,
+      commission: 5,
+      effectiveSlot: 590 * 432000,
+      timestamp: 1700000000 + 590 * 432000,
+      date: new Date((1700000000 + 590 * 432000) * 1000).toISOString(),
+      price: 150,
+      priceSource: 'birdeye',
+      valueUsd: 375
+    });
+    assert.equal(result.totals.amount, 5);
+    assert.equal(result.totals.valueUsd, 750);
+    assert.deepEqual(result.totals.byStakeAccount[account], { amount: 5, valueUsd: 750 });
+  });
+
+  test('laisse la valeur USD vide quand le prix n\'est qu\'une approximation du prix actuel', async (t) => {
+    const account = stakeAddress();
+    mockRpc(t, {
+      accounts: [{ address: account, activationEpoch: 500, deactivationEpoch: null }],
+      rewards: (address, epoch) => reward(epoch, 1e9),
+      historicalPrice: { price: 180, source: 'approximated_birdeye', note: 'Prix approximé à partir du prix actuel' }
+    });
+
+    const result = await stakingRewardsService.getStakingRewards(OWNER, { fromEpoch: 580, toEpoch: 580 });
+
+    assert.equal(result.rewards[0].amount, 1);
+    assert.equal(result.rewards[0].price, null);
+    assert.equal(result.rewards[0].priceSource, null);
+    assert.equal(result.rewards[0].valueUsd, null);
+    assert.equal(result.totals.valueUsd, 0);
+  });
+
+  test('signale les époques dont les récompenses n\'ont pas pu être lues', async (t) => {
+    const account = stakeAddress();
+    mockRpc(t, {
+      accounts: [{ address: account, activationEpoch: 500, deactivationEpoch: null }],
+      rewards: (address, epoch) => reward(epoch, 1e9),
+      failingEpochs: [571],
+      historicalPrice: { price: 150, source: 'birdeye' }
+    });
+
+    const result = await stakingRewardsService.getStakingRewards(OWNER, { fromEpoch: 570, toEpoch: 572 });
+
+    assert.deepEqual(result.failedEpochs, [571]);
+    assert.deepEqual(result.rewards.map(row => row.epoch), [570, 572]);
+  });
+
+  test('rejette une plage invalide avant toute lecture des récompenses', async (t) => {
+    const getInflationReward = mockRpc(t, {
+      accounts: [{ address: stakeAddress(), activationEpoch: 500, deactivationEpoch: null }],
+      rewards: () => null
+    });
+
+    await assert.rejects(
+      stakingRewardsService.getStakingRewards(OWNER, { fromEpoch: 610 }),
+      error => error.statusCode === 400
+    );
+    assert.equal(getInflationReward.mock.callCount(), 0);
+  });
+});
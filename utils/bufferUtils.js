@@ -0,0 +1,152 @@
+/**
+ * Utilitaires pour décoder les données binaires des comptes Solana
+ * Toutes les lectures sont en little-endian, comme les layouts Borsh/Anchor
+ */
+const { PublicKey } = require('@solana/web3.js');
+
+// Adresse d'une clé publique vide (tous les octets à zéro)
+const DEFAULT_PUBKEY = '11111111111111111111111111111111';
+
+/**
+ * Lit une clé publique de 32 octets
+ * @param {Buffer} data - Données du compte
+ * @param {number} offset - Position de lecture
+ * @returns {string} - Adresse en base58
+ */
+function readPubkey(data, offset) {
+  return new PublicKey(data.subarray(offset, offset + 32)).toBase58();
+}
+
+/**
+ * Lit un entier non signé de 8 bits
+ * @param {Buffer} data - Données du compte
+ * @param {number} offset - Position de lecture
+ * @returns {number}
+ */
+function readU8(data, offset) {
+  return data.readUInt8(offset);
+}
+
+/**
+ * Lit un entier non signé de 16 bits
+ * @param {Buffer} data - Données du compte
+ * @param {number} offset - Position de lecture
+ * @returns {number}
+ */
+function readU16(data, offset) {
+  return data.readUInt16LE(offset);
+}
+
+/**
+ * Lit un entier non signé de 32 bits
+ * @param {Buffer} data - Données du compte
+ * @param {number} offset - Position de lecture
+ * @returns {number}
+ */
+function readU32(data, offset) {
+  return data.readUInt32LE(offset);
+}
+
+/**
+ * Lit un entier signé de 32 bits
+ * @param {Buffer} data - Données du compte
+ * @param {number} offset - Position de lecture
+ * @returns {number}
+ */
+function readI32(data, offset) {
+  return data.readInt32LE(offset);
+}
+
+/**
+ * Lit un entier non signé de 64 bits
+ * @param {Buffer} data - Données du compte
+ * @param {number} offset - Position de lecture
+ * @returns {bigint}
+ */
+function readU64(data, offset) {
+  return data.readBigUInt64LE(offset);
+}
+
+/**
+ * Lit un entier signé de 64 bits
+ * @param {Buffer} data - Données du compte
+ * @param {number} offset - Position de lecture
+ * @returns {bigint}
+ */
+function readI64(data, offset) {
+  return data.readBigInt64LE(offset);
+}
+
+/**
+ * Lit un entier non signé de 128 bits
+ * @param {Buffer} data - Données du compte
+ * @param {number} offset - Position de lecture
+ * @returns {bigint}
+ */
+function readU128(data, offset) {
+  const low = data.readBigUInt64LE(offset);
+  const high = data.readBigUInt64LE(offset + 8);
+  return (high << 64n) + low;
+}
+
+/**
+ * Lit un entier signé de 128 bits
+ * @param {Buffer} data - Données du compte
+ * @param {number} offset - Position de lecture
+ * @returns {bigint}
+ */
+function readI128(data, offset) {
+  const low = data.readBigUInt64LE(offset);
+  const high = data.readBigInt64LE(offset + 8);
+  return (high << 64n) + low;
+}
+
+/**
+ * Convertit un nombre à virgule fixe (scaled fraction) en nombre flottant
+ * @param {bigint} value - Valeur brute
+ * @param {number} fractionalBits - Nombre de bits de la partie fractionnaire (60 pour Kamino)
+ * @returns {number}
+ */
+function scaledFractionToNumber(value, fractionalBits = 60) {
+  const scale = 1n << BigInt(fractionalBits);
+  const integerPart = value / scale;
+  const fractionalPart = value % scale;
+  return Number(integerPart) + Number(fractionalPart) / Number(scale);
+}
+
+/**
+ * Convertit un montant brut en montant UI selon les décimales du token
+ * @param {bigint|number|string} rawAmount - Montant brut
+ * @param {number} decimals - Décimales du token
+ * @returns {number}
+ */
+function toUiAmount(rawAmount, decimals) {
+  const amount = BigInt(rawAmount);
+  const divisor = 10n ** BigInt(decimals);
+  return Number(amount / divisor) + Number(amount % divisor) / Number(divisor);
+}
+
+/**
+ * Vérifie si une adresse correspond à une clé publique vide
+ * @param {string} address - Adresse en base58
+ * @returns {boolean}
+ */
+function isDefaultPubkey(address) {
+  return !address || address === DEFAULT_PUBKEY;
+}
+
+module.exports = {
+  DEFAULT_PUBKEY,
+  readPubkey,
+  readU8,
+  readU16,
+  readU32,
+  readI32,
+  readU64,
+  readI64,
+  readU128,
+  readI128,
+  scaledFractionToNumber,
+  toUiAmount,
+  isDefaultPubkey
+};
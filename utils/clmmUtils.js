@@ -0,0 +1,126 @@
+/**
+ * Utilitaires mathématiques pour la liquidité concentrée (Orca Whirlpool, Raydium CLMM)
+ * Les prix racines sont en Q64.64 et les ticks suivent la base 1.0001
+ */
+
+const Q64 = 2n ** 64n;
+const U128_MODULUS = 2n ** 128n;
+const TICK_BASE = 1.0001;
+
+/**
+ * Convertit un prix racine Q64.64 en nombre flottant
+ * @param {bigint} sqrtPriceX64 - Prix racine Q64.64
+ * @returns {number}
+ */
+function sqrtPriceX64ToNumber(sqrtPriceX64) {
+  return Number(sqrtPriceX64) / Number(Q64);
+}
+
+/**
+ * Calcule le prix racine correspondant à un tick
+ * @param {number} tick - Index du tick
+ * @returns {number} Prix racine (sans mise à l'échelle Q64)
+ */
+function tickToSqrtPrice(tick) {
+  return Math.pow(TICK_BASE, tick / 2);
+}
+
+/**
+ * Calcule le prix (token B par token A, ajusté des décimales) à partir d'un prix racine
+ * @param {number} sqrtPrice - Prix racine
+ * @param {number} decimalsA - Décimales du token A
+ * @param {number} decimalsB - Décimales du token B
+ * @returns {number}
+ */
+function sqrtPriceToPrice(sqrtPrice, decimalsA, decimalsB) {
+  return sqrtPrice * sqrtPrice * Math.pow(10, decimalsA - decimalsB);
+}
+
+/**
+ * Calcule les montants bruts de tokens A et B d'une position de liquidité concentrée
+ * @param {bigint} liquidity - Liquidité de la position
+ * @param {number} sqrtPriceCurrent - Prix racine courant
+ * @param {number} tickLower - Tick inférieur
+ * @param {number} tickUpper - Tick supérieur
+ * @returns {{amountA: number, amountB: number}} Montants bruts (en unités de base)
+ */
+function getAmountsFromLiquidity(liquidity, sqrtPriceCurrent, tickLower, tickUpper) {
+  const liquidityValue = Number(liquidity);
+  const sqrtLower = tickToSqrtPrice(tickLower);
+  const sqrtUpper = tickToSqrtPrice(tickUpper);
+
+  // Prix sous la fourchette : la position est entièrement en token A
+  if (sqrtPriceCurrent <= sqrtLower) {
+    return {
+      amountA: liquidityValue * (1 / sqrtLower - 1 / sqrtUpper),
+      amountB: 0
+    };
+  }
+
+  // Prix au-dessus de la fourchette : la position est entièrement en token B
+  if (sqrtPriceCurrent >= sqrtUpper) {
+    return {
+      amountA: 0,
+      amountB: liquidityValue * (sqrtUpper - sqrtLower)
+    };
+  }
+
+  return {
+    amountA: liquidityValue * (1 / sqrtPriceCurrent - 1 / sqrtUpper),
+    amountB: liquidityValue * (sqrtPriceCurrent - sqrtLower)
+  };
+}
+
+/**
+ * Soustraction avec débordement sur 128 bits (comme les compteurs de croissance on-chain)
+ * @param {bigint} a
+ * @param {bigint} b
+ * @returns {bigint}
+ */
+function wrappingSubU128(a, b) {
+  return ((a - b) % U128_MODULUS + U128_MODULUS) % U128_MODULUS;
+}
+
+/**
+ * Calcule la croissance (frais ou récompenses) à l'intérieur d'une fourchette de ticks
+ * @param {number} tickCurrent - Tick courant du pool
+ * @param {number} tickLower - Tick inférieur
+ * @param {number} tickUpper - Tick supérieur
+ * @param {bigint} growthGlobal - Croissance globale du pool
+ * @param {bigint} lowerGrowthOutside - Croissance à l'extérieur du tick inférieur
+ * @param {bigint} upperGrowthOutside - Croissance à l'extérieur du tick supérieur
+ * @returns {bigint}
+ */
+function computeGrowthInside(tickCurrent, tickLower, tickUpper, growthGlobal, lowerGrowthOutside, upperGrowthOutside) {
+  const growthBelow = tickCurrent >= tickLower
+    ? lowerGrowthOutside
+    : wrappingSubU128(growthGlobal, lowerGrowthOutside);
+
+  const growthAbove = tickCurrent < tickUpper
+    ? upperGrowthOutside
+    : wrappingSubU128(growthGlobal, upperGrowthOutside);
+
+  return wrappingSubU128(wrappingSubU128(growthGlobal, growthBelow), growthAbove);
+}
+
+/**
+ * Calcule le montant accumulé depuis le dernier checkpoint d'une position
+ * @param {bigint} growthInside - Croissance actuelle à l'intérieur de la fourchette (Q64.64)
+ * @param {bigint} growthCheckpoint - Croissance enregistrée dans la position (Q64.64)
+ * @param {bigint} liquidity - Liquidité de la position
+ * @returns {bigint} Montant brut accumulé
+ */
+function computeAccruedAmount(growthInside, growthCheckpoint, liquidity) {
+  return (wrappingSubU128(growthInside, growthCheckpoint) * liquidity) >> 64n;
+}
+
+module.exports = {
+  Q64,
+  sqrtPriceX64ToNumber,
+  tickToSqrtPrice,
+  sqrtPriceToPrice,
+  getAmountsFromLiquidity,
+  wrappingSubU128,
+  computeGrowthInside,
+  computeAccruedAmount
+};
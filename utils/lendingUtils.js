@@ -0,0 +1,102 @@
+/**
+ * Utilitaires communs aux fetchers de lending (Kamino, Marginfi, Solend, Drift)
+ * Construit les éléments de portfolio `lending-deposit` / `lending-borrow`
+ */
+
+/**
+ * Formate une position de prêt ou d'emprunt en élément de portfolio
+ * Les emprunts sont des dettes : leur valeur vient en déduction du total
+ * @param {Object} fetcher - Fetcher appelant (networkId, platformId)
+ * @param {Object} position - Position renvoyée par le service du protocole
+ * @param {number} tokenPrice - Prix du token en USD
+ * @param {Object} protocol - Description du protocole
+ * @param {string} protocol.name - Nom affiché (ex: 'Kamino')
+ * @param {string} protocol.tag - Tag du protocole (ex: 'kamino-lending')
+ * @param {string} protocol.programId - Adresse du programme
+ * @param {string} protocol.link - Lien vers l'application
+ * @returns {Object} - Élément de portfolio
+ */
+function formatLendingElement(fetcher, position, tokenPrice, protocol) {
+  const tokenValue = position.amount * tokenPrice;
+
+  return {
+    networkId: fetcher.networkId,
+    platformId: fetcher.platformId,
+    type: position.isDeposit ? 'lending-deposit' : 'lending-borrow',
+    label: position.isDeposit ? 'Lending Deposit' : 'Lending Borrow',
+    name: `${protocol.name} ${position.tokenSymbol}`,
+    value: { amount: position.isDeposit ? tokenValue : -tokenValue, currency: 'usd' },
+    attributes: {
+      isCollateral: position.isCollateral || false,
+      isLiquidating: position.isLiquidating || false,
+      healthFactor: position.healthFactor || null,
+      tags: [position.isDeposit ? 'deposit' : 'borrow', protocol.tag]
+    },
+    data: {
+      apy: position.apy || 0,
+      tokenMint: position.tokenMint,
+      amount: position.amount,
+      pool: position.pool,
+      lendingMarket: position.lendingMarket,
+      ltv: position.ltv || 0,
+      maxLtv: position.maxLtv || 0,
+      liquidationLtv: position.liquidationLtv || 0,
+      utilization: position.utilization || 0,
+      ref: position.address,
+      sourceRefs: [
+        {
+          address: position.address,
+          name: 'Position'
+        },
+        {
+          address: position.pool || protocol.programId,
+          name: 'Pool'
+        },
+        {
+          address: protocol.programId,
+          name: 'Program'
+        }
+      ],
+      link: protocol.link
+    },
+    baseTokens: [
+      {
+        networkId: fetcher.networkId,
+        type: 'token',
+        value: { amount: tokenValue, currency: 'usd' },
+        name: position.tokenName || 'Unknown Token',
+        symbol: position.tokenSymbol || 'Unknown',
+        data: {
+          address: position.tokenMint,
+          amount: position.amount,
+          price: { amount: tokenPrice, currency: 'usd' },
+          decimals: position.decimals || 9
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Calcule les indicateurs de risque d'un compte à partir de ses valeurs pondérées
+ * @param {Object} values - Valeurs USD du compte
+ * @param {number} values.collateralUsd - Valeur brute des dépôts
+ * @param {number} values.debtUsd - Dette pondérée
+ * @param {number} values.allowedBorrowUsd - Emprunt autorisé (pondération initiale)
+ * @param {number} values.unhealthyBorrowUsd - Seuil de liquidation (pondération de maintenance)
+ * @returns {Object} Health factor, LTV actuel, LTV maximal et LTV de liquidation
+ */
+function computeLendingRisk({ collateralUsd, debtUsd, allowedBorrowUsd, unhealthyBorrowUsd }) {
+  return {
+    // Sans dette, le health factor est infini : on le représente par null
+    healthFactor: debtUsd > 0 ? unhealthyBorrowUsd / debtUsd : null,
+    ltv: collateralUsd > 0 ? debtUsd / collateralUsd : 0,
+    maxLtv: collateralUsd > 0 ? allowedBorrowUsd / collateralUsd : 0,
+    liquidationLtv: collateralUsd > 0 ? unhealthyBorrowUsd / collateralUsd : 0
+  };
+}
+
+module.exports = {
+  formatLendingElement,
+  computeLendingRisk
+};
@@ -0,0 +1,223 @@
+/**
+ * Utilitaires de consolidation du portfolio
+ * Déduplique les actifs comptés à la fois dans le wallet et par un protocole
+ * (mSOL dans le wallet et chez Marinade, token LP Raydium, NFT de position Orca, ...)
+ * et ventile la valeur nette par type de plateforme
+ */
+
+// Écart toléré entre le montant du wallet et le montant revendiqué par un protocole
+const AMOUNT_EPSILON = 1e-9;
+
+// Noms des sourceRefs désignant un compte de token détenu directement par le wallet
+const TOKEN_ACCOUNT_REF = 'Token Account';
+const LP_TOKEN_ACCOUNT_REF = 'LP Token Account';
+
+/**
+ * Retourne les entrées d'un élément susceptibles de revendiquer un actif :
+ * l'élément lui-même et, pour les éléments regroupant des pools (Orca, Raydium, Meteora), chaque pool
+ * @param {Object} element - Élément de portfolio
+ * @returns {Array<Object>}
+ */
+function getClaimingEntries(element) {
+  const pools = Array.isArray(element.data?.pools) ? element.data.pools : [];
+  return [element, ...pools];
+}
+
+/**
+ * Recense les actifs du wallet revendiqués par les éléments des protocoles
+ * - tokens détenus via un 'Token Account' (LST, mSOL, jitoSOL) : premier baseToken
+ * - tokens LP détenus via un 'LP Token Account' : data.lpMint / data.lpAmount
+ * - NFTs de position de liquidité concentrée : data.positionMint
+ * @param {Array<Object>} elements - Éléments de portfolio (hors wallet et NFTs)
+ * @returns {Object} - { tokens: Map<mint, {amount, claimedBy}>, nfts: Map<mint, claimedBy> }
+ */
+function collectWalletClaims(elements) {
+  const tokens = new Map();
+  const nfts = new Map();
+
+  const claimToken = (mint, amount, claimedBy) => {
+    if (!mint || !(amount > 0)) return;
+    const claim = tokens.get(mint) || { amount: 0, claimedBy: [] };
+    claim.amount += amount;
+    if (!claim.claimedBy.includes(claimedBy)) claim.claimedBy.push(claimedBy);
+    tokens.set(mint, claim);
+  };
+
+  for (const element of elements) {
+    for (const entry of getClaimingEntries(element)) {
+      const refs = entry.sourceRefs || entry.data?.sourceRefs || [];
+      const refNames = refs.map(ref => ref.name);
+
+      if (refNames.includes(LP_TOKEN_ACCOUNT_REF)) {
+        claimToken(entry.data?.lpMint, entry.data?.lpAmount, element.platformId);
+      } else if (refNames.includes(TOKEN_ACCOUNT_REF)) {
+        const baseToken = entry.baseTokens?.[0];
+        claimToken(baseToken?.data?.address, baseToken?.data?.amount, element.platformId);
+      }
+
+      if (entry.data?.positionMint) {
+        nfts.set(entry.data.positionMint, element.platformId);
+      }
+    }
+  }
+
+  return { tokens, nfts };
+}
+
+/**
+ * Retire des assets du wallet les montants revendiqués par les protocoles
+ * Les éléments d'origine ne sont pas modifiés (ils peuvent provenir du cache des fetchers)
+ * @param {Object} element - Élément wallet (data.assets)
+ * @param {Map} tokenClaims - Revendications de tokens (collectWalletClaims)
+ * @param {Array} duplicates - Liste complétée avec les actifs retirés
+ * @returns {Object} - Nouvel élément wallet
+ */
+function deduplicateWalletElement(element, tokenClaims, duplicates) {
+  const assets = [];
+
+  for (const asset of element.data?.assets || []) {
+    const claim = tokenClaims.get(asset.data?.address);
+    const amount = asset.data?.amount || 0;
+
+    if (!claim || claim.amount <= 0 || amount <= 0) {
+      assets.push(asset);
+      continue;
+    }
+
+    const removedAmount = Math.min(amount, claim.amount);
+    const remainingAmount = amount - removedAmount;
+    const unitValue = (asset.value?.amount || 0) / amount;
+    claim.amount -= removedAmount;
+
+    duplicates.push({
+      address: asset.data.address,
+      symbol: asset.symbol || null,
+      amount: removedAmount,
+      value: { amount: removedAmount * unitValue, currency: 'usd' },
+      claimedBy: claim.claimedBy
+    });
+
+    if (remainingAmount > AMOUNT_EPSILON * amount) {
+      assets.push({
+        ...asset,
+        value: { amount: remainingAmount * unitValue, currency: 'usd' },
+        data: { ...asset.data, amount: remainingAmount }
+      });
+    }
+  }
+
+  const value = assets.reduce((sum, asset) => sum + (asset.value?.amount || 0), 0);
+
+  return {
+    ...element,
+    value: { amount: value, currency: 'usd' },
+    data: { ...element.data, assets }
+  };
+}
+
+/**
+ * Retire d'une collection NFT les NFTs de position déjà valorisés par un protocole
+ * @param {Object} element - Élément de collection NFT (data.items)
+ * @param {Map} nftClaims - Revendications de NFTs (collectWalletClaims)
+ * @param {Array} duplicates - Liste complétée avec les NFTs retirés
+ * @returns {Object|null} - Nouvel élément, ou null si la collection ne contient plus rien
+ */
+function deduplicateNftElement(element, nftClaims, duplicates) {
+  const items = [];
+
+  for (const item of element.data?.items || []) {
+    const claimedBy = nftClaims.get(item.mint);
+    if (!claimedBy) {
+      items.push(item);
+      continue;
+    }
+
+    duplicates.push({
+      address: item.mint,
+      symbol: item.symbol || null,
+      amount: 1,
+      value: { amount: item.estimatedValue || 0, currency: 'usd' },
+      claimedBy: [claimedBy]
+    });
+  }
+
+  if (items.length === (element.data?.items || []).length) return element;
+  if (items.length === 0) return null;
+
+  const value = items.reduce((sum, item) => sum + (item.estimatedValue || 0), 0);
+
+  return {
+    ...element,
+    value: { amount: value, currency: 'usd' },
+    attributes: { ...element.attributes, itemCount: items.length },
+    data: { ...element.data, items }
+  };
+}
+
+/**
+ * Déduplique les éléments d'un portfolio : les positions des protocoles priment sur les
+ * actifs bruts du wallet et des NFTs, qui sont retirés à hauteur du montant revendiqué
+ * @param {Array<Object>} elements - Éléments issus des fetchers (avec platformType)
+ * @param {Object} platformTypes - Types des plateformes du wallet et des NFTs
+ * @param {string} platformTypes.wallet - Type de plateforme des éléments wallet
+ * @param {string} platformTypes.nft - Type de plateforme des éléments NFT
+ * @returns {Object} - { elements, duplicates }
+ */
+function deduplicateElements(elements, platformTypes) {
+  const isWallet = element => element.platformType === platformTypes.wallet;
+  const isNft = element => element.platformType === platformTypes.nft;
+
+  const claims = collectWalletClaims(elements.filter(element => !isWallet(element) && !isNft(element)));
+  const duplicates = [];
+
+  const deduplicated = elements
+    .map(element => {
+      if (isWallet(element)) return deduplicateWalletElement(element, claims.tokens, duplicates);
+      if (isNft(element)) return deduplicateNftElement(element, claims.nfts, duplicates);
+      return element;
+    })
+    .filter(Boolean);
+
+  return { elements: deduplicated, duplicates };
+}
+
+/**
+ * Calcule la valeur nette d'un portfolio et sa ventilation par type de plateforme et par plateforme
+ * Les éléments de valeur négative (emprunts) sont comptés en dettes
+ * @param {Array<Object>} elements - Éléments dédupliqués (avec platformType)
+ * @returns {Object} - { total, assets, debts, byPlatformType, byPlatform }
+ */
+function computeNetWorth(elements) {
+  const netWorth = {
+    total: { amount: 0, currency: 'usd' },
+    assets: { amount: 0, currency: 'usd' },
+    debts: { amount: 0, currency: 'usd' },
+    byPlatformType: {},
+    byPlatform: {}
+  };
+
+  for (const element of elements) {
+    const amount = element.value?.amount;
+    if (typeof amount !== 'number' || !isFinite(amount)) continue;
+
+    netWorth.total.amount += amount;
+    if (amount >= 0) netWorth.assets.amount += amount;
+    else netWorth.debts.amount += -amount;
+
+    const platformType = element.platformType || 'unknown';
+    netWorth.byPlatformType[platformType] = netWorth.byPlatformType[platformType] || { amount: 0, currency: 'usd' };
+    netWorth.byPlatformType[platformType].amount += amount;
+
+    const platformId = element.platformId || 'unknown';
+    netWorth.byPlatform[platformId] = netWorth.byPlatform[platformId] || { amount: 0, currency: 'usd' };
+    netWorth.byPlatform[platformId].amount += amount;
+  }
+
+  return netWorth;
+}
+
+module.exports = {
+  collectWalletClaims,
+  deduplicateElements,
+  computeNetWorth
+};